@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "maxConcurrentSessions" INTEGER,
+ADD COLUMN     "sessionIdleTimeoutMinutes" INTEGER,
+ADD COLUMN     "sessionMaxLifetimeHours" INTEGER;
@@ -0,0 +1,127 @@
+-- Routes now require permissions instead of role lists (requireRole).
+-- Create the permissions they use and grant them to the roles the routes
+-- allowed, so nobody loses access. Existing grants are left untouched.
+-- The grants are the default roles of permission.catalogue.js
+-- (tests/unit/permission-routes.test.js fails if they differ).
+
+INSERT INTO "Permission" ("id", "name", "description", "resource", "action")
+SELECT gen_random_uuid()::text, p.name, p.description, p.resource, p.action
+FROM (VALUES
+    ('cases:delete', 'Delete cases', 'cases', 'delete'),
+    ('emergencies:create', 'Mark cases as emergencies', 'emergencies', 'create'),
+    ('emergencies:escalate', 'Escalate emergencies', 'emergencies', 'escalate'),
+    ('emergencies:resolve', 'Resolve emergencies', 'emergencies', 'resolve'),
+    ('homeless:create', 'Register homeless persons', 'homeless', 'create'),
+    ('homeless:read', 'View homeless persons', 'homeless', 'read'),
+    ('homeless:update', 'Update homeless persons', 'homeless', 'update'),
+    ('homeless:delete', 'Delete homeless persons', 'homeless', 'delete'),
+    ('users:update', 'Update users', 'users', 'update'),
+    ('members:unlock', 'Unlock member accounts', 'members', 'unlock'),
+    ('members:sessions', 'View and revoke member sessions', 'members', 'sessions'),
+    ('members:remove', 'Remove members from the organization', 'members', 'remove'),
+    ('teams:create', 'Create teams', 'teams', 'create'),
+    ('teams:delete', 'Delete teams', 'teams', 'delete'),
+    ('zones:create', 'Create zones', 'zones', 'create'),
+    ('zones:update', 'Update zones', 'zones', 'update'),
+    ('zones:delete', 'Delete zones', 'zones', 'delete'),
+    ('organizations:create', 'Create organizations', 'organizations', 'create'),
+    ('organizations:read', 'List all organizations', 'organizations', 'read'),
+    ('organizations:update', 'Update organizations', 'organizations', 'update'),
+    ('organizations:delete', 'Delete organizations', 'organizations', 'delete'),
+    ('organizations:security', 'Manage organization security policies', 'organizations', 'security'),
+    ('organizations:sso', 'Manage organization single sign-on', 'organizations', 'sso'),
+    ('api-keys:manage', 'Manage organization API keys', 'api-keys', 'manage'),
+    ('service-points:create', 'Create service points', 'service-points', 'create'),
+    ('service-points:sync', 'Import service points from Google Places', 'service-points', 'sync'),
+    ('service-points:update', 'Update service points', 'service-points', 'update'),
+    ('service-points:delete', 'Delete service points', 'service-points', 'delete'),
+    ('audit:read', 'View audit logs', 'audit', 'read'),
+    ('audit:users', 'View the audit trail of a user', 'audit', 'users'),
+    ('permissions:manage', 'Manage role and user permissions', 'permissions', 'manage')
+) AS p(name, description, resource, action)
+ON CONFLICT ("name") DO NOTHING;
+
+INSERT INTO "RolePermission" ("id", "role", "permissionId")
+SELECT gen_random_uuid()::text, g.role::"Role", perm."id"
+FROM (VALUES
+    ('ADMIN', 'cases:delete'),
+    ('ORGANIZATION_ADMIN', 'cases:delete'),
+    ('ADMIN', 'emergencies:create'),
+    ('ORGANIZATION_ADMIN', 'emergencies:create'),
+    ('COORDINATOR', 'emergencies:create'),
+    ('SOCIAL_WORKER', 'emergencies:create'),
+    ('ADMIN', 'emergencies:escalate'),
+    ('ORGANIZATION_ADMIN', 'emergencies:escalate'),
+    ('COORDINATOR', 'emergencies:escalate'),
+    ('ADMIN', 'emergencies:resolve'),
+    ('ORGANIZATION_ADMIN', 'emergencies:resolve'),
+    ('COORDINATOR', 'emergencies:resolve'),
+    ('SOCIAL_WORKER', 'emergencies:resolve'),
+    ('ADMIN', 'homeless:create'),
+    ('ORGANIZATION_ADMIN', 'homeless:create'),
+    ('COORDINATOR', 'homeless:create'),
+    ('SOCIAL_WORKER', 'homeless:create'),
+    ('VOLUNTEER', 'homeless:create'),
+    ('ADMIN', 'homeless:read'),
+    ('ORGANIZATION_ADMIN', 'homeless:read'),
+    ('COORDINATOR', 'homeless:read'),
+    ('SOCIAL_WORKER', 'homeless:read'),
+    ('VOLUNTEER', 'homeless:read'),
+    ('DATA_ANALYST', 'homeless:read'),
+    ('ADMIN', 'homeless:update'),
+    ('ORGANIZATION_ADMIN', 'homeless:update'),
+    ('COORDINATOR', 'homeless:update'),
+    ('SOCIAL_WORKER', 'homeless:update'),
+    ('ORGANIZATION_ADMIN', 'homeless:delete'),
+    ('COORDINATOR', 'homeless:delete'),
+    ('ADMIN', 'users:update'),
+    ('ORGANIZATION_ADMIN', 'users:update'),
+    ('ADMIN', 'members:unlock'),
+    ('ORGANIZATION_ADMIN', 'members:unlock'),
+    ('ADMIN', 'members:sessions'),
+    ('ORGANIZATION_ADMIN', 'members:sessions'),
+    ('ADMIN', 'members:remove'),
+    ('ORGANIZATION_ADMIN', 'members:remove'),
+    ('ADMIN', 'teams:create'),
+    ('ORGANIZATION_ADMIN', 'teams:create'),
+    ('ADMIN', 'teams:delete'),
+    ('ORGANIZATION_ADMIN', 'teams:delete'),
+    ('ADMIN', 'zones:create'),
+    ('ORGANIZATION_ADMIN', 'zones:create'),
+    ('COORDINATOR', 'zones:create'),
+    ('ADMIN', 'zones:update'),
+    ('ORGANIZATION_ADMIN', 'zones:update'),
+    ('COORDINATOR', 'zones:update'),
+    ('ADMIN', 'zones:delete'),
+    ('ORGANIZATION_ADMIN', 'zones:delete'),
+    ('ADMIN', 'organizations:create'),
+    ('ADMIN', 'organizations:read'),
+    ('ADMIN', 'organizations:update'),
+    ('ORGANIZATION_ADMIN', 'organizations:update'),
+    ('ADMIN', 'organizations:delete'),
+    ('ADMIN', 'organizations:security'),
+    ('ORGANIZATION_ADMIN', 'organizations:security'),
+    ('ADMIN', 'organizations:sso'),
+    ('ORGANIZATION_ADMIN', 'organizations:sso'),
+    ('ADMIN', 'api-keys:manage'),
+    ('ORGANIZATION_ADMIN', 'api-keys:manage'),
+    ('ADMIN', 'service-points:create'),
+    ('ORGANIZATION_ADMIN', 'service-points:create'),
+    ('COORDINATOR', 'service-points:create'),
+    ('ADMIN', 'service-points:sync'),
+    ('ORGANIZATION_ADMIN', 'service-points:sync'),
+    ('COORDINATOR', 'service-points:sync'),
+    ('ADMIN', 'service-points:update'),
+    ('ORGANIZATION_ADMIN', 'service-points:update'),
+    ('COORDINATOR', 'service-points:update'),
+    ('ADMIN', 'service-points:delete'),
+    ('ORGANIZATION_ADMIN', 'service-points:delete'),
+    ('ADMIN', 'audit:read'),
+    ('ORGANIZATION_ADMIN', 'audit:read'),
+    ('DATA_ANALYST', 'audit:read'),
+    ('ADMIN', 'audit:users'),
+    ('ORGANIZATION_ADMIN', 'audit:users'),
+    ('ADMIN', 'permissions:manage')
+) AS g(role, name)
+JOIN "Permission" perm ON perm."name" = g.name
+ON CONFLICT ("role", "permissionId") DO NOTHING;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "UserPermission" ADD COLUMN     "validFrom" TIMESTAMP(3),
+ADD COLUMN     "validUntil" TIMESTAMP(3),
+ADD COLUMN     "zoneId" TEXT,
+ADD COLUMN     "teamId" TEXT,
+ADD COLUMN     "reason" TEXT,
+ADD COLUMN     "grantedById" TEXT;
+
+-- CreateIndex
+CREATE INDEX "UserPermission_validUntil_idx" ON "UserPermission"("validUntil");
+
+-- AddForeignKey
+ALTER TABLE "UserPermission" ADD CONSTRAINT "UserPermission_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "Zone"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UserPermission" ADD CONSTRAINT "UserPermission_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "Team"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UserPermission" ADD CONSTRAINT "UserPermission_grantedById_fkey" FOREIGN KEY ("grantedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "Homeless" ADD COLUMN     "zoneId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ZoneAssignment" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "zoneId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ZoneAssignment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ZoneAssignment_zoneId_idx" ON "ZoneAssignment"("zoneId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ZoneAssignment_userId_zoneId_key" ON "ZoneAssignment"("userId", "zoneId");
+
+-- CreateIndex
+CREATE INDEX "Homeless_zoneId_idx" ON "Homeless"("zoneId");
+
+-- AddForeignKey
+ALTER TABLE "ZoneAssignment" ADD CONSTRAINT "ZoneAssignment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ZoneAssignment" ADD CONSTRAINT "ZoneAssignment_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "Zone"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Homeless" ADD CONSTRAINT "Homeless_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "Zone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "ConsentVersion" (
+    "id" TEXT NOT NULL,
+    "consentTypeId" TEXT NOT NULL,
+    "version" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "changeSummary" TEXT,
+    "publishedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConsentVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConsentVersion_consentTypeId_version_key" ON "ConsentVersion"("consentTypeId", "version");
+
+-- AddForeignKey
+ALTER TABLE "ConsentVersion" ADD CONSTRAINT "ConsentVersion_consentTypeId_fkey" FOREIGN KEY ("consentTypeId") REFERENCES "ConsentType"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Keep the text of the versions already published
+INSERT INTO "ConsentVersion" ("id", "consentTypeId", "version", "content")
+SELECT gen_random_uuid()::text, "id", "version", "content"
+FROM "ConsentType";
+
+-- Published versions are proof of what users agreed to: never rewrite them
+CREATE FUNCTION "prevent_consent_version_update"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'ConsentVersion rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "ConsentVersion_immutable"
+BEFORE UPDATE ON "ConsentVersion"
+FOR EACH ROW EXECUTE FUNCTION "prevent_consent_version_update"();
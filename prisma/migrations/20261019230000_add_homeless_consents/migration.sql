@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "HomelessConsentScope" AS ENUM ('PERSONAL_DATA', 'PHOTO', 'HEALTH_DATA', 'DATA_SHARING');
+
+-- CreateEnum
+CREATE TYPE "HomelessConsentMethod" AS ENUM ('VERBAL', 'WRITTEN');
+
+-- CreateTable
+CREATE TABLE "HomelessConsent" (
+    "id" TEXT NOT NULL,
+    "homelessId" TEXT NOT NULL,
+    "scope" "HomelessConsentScope" NOT NULL,
+    "method" "HomelessConsentMethod" NOT NULL DEFAULT 'VERBAL',
+    "witnessedById" TEXT,
+    "witnessName" TEXT,
+    "notes" TEXT,
+    "grantedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "withdrawnAt" TIMESTAMP(3),
+    "withdrawnById" TEXT,
+    "withdrawalReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "HomelessConsent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "HomelessConsent_homelessId_scope_idx" ON "HomelessConsent"("homelessId", "scope");
+
+-- AddForeignKey
+ALTER TABLE "HomelessConsent" ADD CONSTRAINT "HomelessConsent_homelessId_fkey" FOREIGN KEY ("homelessId") REFERENCES "Homeless"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessConsent" ADD CONSTRAINT "HomelessConsent_witnessedById_fkey" FOREIGN KEY ("witnessedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessConsent" ADD CONSTRAINT "HomelessConsent_withdrawnById_fkey" FOREIGN KEY ("withdrawnById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- The verbal consent flag covered personal data: keep it as a consent record.
+-- Photos and health data stored before this change have no recorded consent.
+INSERT INTO "HomelessConsent" ("id", "homelessId", "scope", "method", "witnessedById", "notes", "grantedAt")
+SELECT gen_random_uuid()::text, "id", 'PERSONAL_DATA', 'VERBAL', "registradoPor", 'Migrated from consentimientoVerbal', "createdAt"
+FROM "Homeless"
+WHERE "consentimientoVerbal" = true;
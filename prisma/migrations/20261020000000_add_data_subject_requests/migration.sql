@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "DataSubjectRequestType" AS ENUM ('EXPORT', 'ERASURE');
+
+-- CreateEnum
+CREATE TYPE "DataSubjectRequestStatus" AS ENUM ('PENDING', 'LOCATED', 'EXPORTED', 'ERASED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "DataSubjectRequest" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "type" "DataSubjectRequestType" NOT NULL,
+    "status" "DataSubjectRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "subjectName" TEXT,
+    "homelessIds" TEXT[],
+    "caseIds" TEXT[],
+    "notes" TEXT,
+    "located" JSONB,
+    "requestedById" TEXT,
+    "dueAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DataSubjectRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DataSubjectRequestEvent" (
+    "id" TEXT NOT NULL,
+    "requestId" TEXT NOT NULL,
+    "step" TEXT NOT NULL,
+    "performedById" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DataSubjectRequestEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DataSubjectRequest_organizationId_status_idx" ON "DataSubjectRequest"("organizationId", "status");
+
+-- CreateIndex
+CREATE INDEX "DataSubjectRequestEvent_requestId_idx" ON "DataSubjectRequestEvent"("requestId");
+
+-- AddForeignKey
+ALTER TABLE "DataSubjectRequest" ADD CONSTRAINT "DataSubjectRequest_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DataSubjectRequest" ADD CONSTRAINT "DataSubjectRequest_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DataSubjectRequestEvent" ADD CONSTRAINT "DataSubjectRequestEvent_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "DataSubjectRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DataSubjectRequestEvent" ADD CONSTRAINT "DataSubjectRequestEvent_performedById_fkey" FOREIGN KEY ("performedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
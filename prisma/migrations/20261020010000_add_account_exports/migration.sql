@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "AccountExportStatus" AS ENUM ('PENDING', 'READY', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "AccountExport" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "AccountExportStatus" NOT NULL DEFAULT 'PENDING',
+    "data" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+
+    CONSTRAINT "AccountExport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AccountExport_userId_createdAt_idx" ON "AccountExport"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AccountExport" ADD CONSTRAINT "AccountExport_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
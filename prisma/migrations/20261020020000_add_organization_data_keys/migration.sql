@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "OrganizationDataKey" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "encryptedKey" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "retiredAt" TIMESTAMP(3),
+
+    CONSTRAINT "OrganizationDataKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrganizationDataKey_organizationId_version_key" ON "OrganizationDataKey"("organizationId", "version");
+
+-- CreateIndex
+CREATE INDEX "OrganizationDataKey_organizationId_active_idx" ON "OrganizationDataKey"("organizationId", "active");
+
+-- AddForeignKey
+ALTER TABLE "OrganizationDataKey" ADD CONSTRAINT "OrganizationDataKey_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "HomelessMerge" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "survivorId" TEXT NOT NULL,
+    "mergedId" TEXT NOT NULL,
+    "mergedSnapshot" JSONB NOT NULL,
+    "changes" JSONB NOT NULL,
+    "movedRelations" JSONB NOT NULL,
+    "score" DOUBLE PRECISION,
+    "mergedById" TEXT,
+    "undoneAt" TIMESTAMP(3),
+    "undoneById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "HomelessMerge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "HomelessMerge_organizationId_createdAt_idx" ON "HomelessMerge"("organizationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "HomelessMerge_survivorId_idx" ON "HomelessMerge"("survivorId");
+
+-- CreateIndex
+CREATE INDEX "HomelessMerge_mergedId_idx" ON "HomelessMerge"("mergedId");
+
+-- AddForeignKey
+ALTER TABLE "HomelessMerge" ADD CONSTRAINT "HomelessMerge_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessMerge" ADD CONSTRAINT "HomelessMerge_mergedById_fkey" FOREIGN KEY ("mergedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessMerge" ADD CONSTRAINT "HomelessMerge_undoneById_fkey" FOREIGN KEY ("undoneById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
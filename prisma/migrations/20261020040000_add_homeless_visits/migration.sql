@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "VisitService" AS ENUM ('FOOD', 'WATER', 'BLANKET', 'CLOTHING', 'HYGIENE_KIT', 'MEDICAL_REFERRAL', 'SHELTER_REFERRAL', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "HomelessVisit" (
+    "id" TEXT NOT NULL,
+    "homelessId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "lat" DOUBLE PRECISION NOT NULL,
+    "lng" DOUBLE PRECISION NOT NULL,
+    "visitedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "visitedById" TEXT,
+    "services" "VisitService"[] DEFAULT ARRAY[]::"VisitService"[],
+    "condition" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "HomelessVisit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "HomelessVisit_homelessId_visitedAt_idx" ON "HomelessVisit"("homelessId", "visitedAt");
+
+-- CreateIndex
+CREATE INDEX "HomelessVisit_organizationId_visitedAt_idx" ON "HomelessVisit"("organizationId", "visitedAt");
+
+-- AddForeignKey
+ALTER TABLE "HomelessVisit" ADD CONSTRAINT "HomelessVisit_homelessId_fkey" FOREIGN KEY ("homelessId") REFERENCES "Homeless"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessVisit" ADD CONSTRAINT "HomelessVisit_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessVisit" ADD CONSTRAINT "HomelessVisit_visitedById_fkey" FOREIGN KEY ("visitedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Registrations count as the first sighting of each person
+INSERT INTO "HomelessVisit" ("id", "homelessId", "organizationId", "lat", "lng", "visitedAt", "visitedById", "createdAt")
+SELECT gen_random_uuid()::text, "id", "organizationId", "lat", "lng", "ultimaVezVisto", "registradoPor", "createdAt"
+FROM "Homeless";
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Case" ADD COLUMN "homelessId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Case_homelessId_idx" ON "Case"("homelessId");
+
+-- AddForeignKey
+ALTER TABLE "Case" ADD CONSTRAINT "Case_homelessId_fkey" FOREIGN KEY ("homelessId") REFERENCES "Homeless"("id") ON DELETE SET NULL ON UPDATE CASCADE;
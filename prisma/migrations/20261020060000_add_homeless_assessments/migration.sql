@@ -0,0 +1,61 @@
+-- CreateTable
+CREATE TABLE "AssessmentTemplate" (
+    "id" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "questions" JSONB NOT NULL,
+    "maxScore" INTEGER NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AssessmentTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "HomelessAssessment" (
+    "id" TEXT NOT NULL,
+    "homelessId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "answers" TEXT,
+    "score" INTEGER,
+    "needs" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "assessedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "assessedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "HomelessAssessment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AssessmentTemplate_organizationId_key_version_key" ON "AssessmentTemplate"("organizationId", "key", "version");
+
+-- CreateIndex
+CREATE INDEX "HomelessAssessment_homelessId_assessedAt_idx" ON "HomelessAssessment"("homelessId", "assessedAt");
+
+-- CreateIndex
+CREATE INDEX "HomelessAssessment_organizationId_assessedAt_idx" ON "HomelessAssessment"("organizationId", "assessedAt");
+
+-- CreateIndex
+CREATE INDEX "HomelessAssessment_templateId_idx" ON "HomelessAssessment"("templateId");
+
+-- AddForeignKey
+ALTER TABLE "AssessmentTemplate" ADD CONSTRAINT "AssessmentTemplate_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssessmentTemplate" ADD CONSTRAINT "AssessmentTemplate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessAssessment" ADD CONSTRAINT "HomelessAssessment_homelessId_fkey" FOREIGN KEY ("homelessId") REFERENCES "Homeless"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessAssessment" ADD CONSTRAINT "HomelessAssessment_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessAssessment" ADD CONSTRAINT "HomelessAssessment_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "AssessmentTemplate"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HomelessAssessment" ADD CONSTRAINT "HomelessAssessment_assessedById_fkey" FOREIGN KEY ("assessedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "UserSession" ADD COLUMN     "lastActiveIp" TEXT;
+
+-- Existing sessions were last seen from their login IP
+UPDATE "UserSession" SET "lastActiveIp" = "ipAddress";
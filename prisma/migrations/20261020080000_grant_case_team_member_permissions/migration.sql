@@ -0,0 +1,119 @@
+-- Case, team, member and service point routes used to be open or checked role
+-- lists; they now require these permissions. Create the ones that are missing
+-- and grant the default roles of permission.catalogue.js, which match the
+-- roles the routes let through (tests/unit/permission-routes.test.js fails if
+-- they differ). Existing grants are left untouched.
+--
+-- Custom roles replace their base role, so they also get the grants their
+-- base role gains here for routes it could already use.
+
+INSERT INTO "Permission" ("id", "name", "description", "resource", "action")
+SELECT gen_random_uuid()::text, p.name, p.description, p.resource, p.action
+FROM (VALUES
+    ('cases:create', 'Create new cases', 'cases', 'create'),
+    ('cases:read', 'View cases', 'cases', 'read'),
+    ('cases:update', 'Update cases', 'cases', 'update'),
+    ('cases:assign', 'Assign cases to users/teams', 'cases', 'assign'),
+    ('users:create', 'Create new users', 'users', 'create'),
+    ('users:read', 'View users', 'users', 'read'),
+    ('users:manage', 'List every account and change their global role', 'users', 'manage'),
+    ('teams:read', 'View teams', 'teams', 'read'),
+    ('teams:update', 'Update teams', 'teams', 'update'),
+    ('teams:manage', 'Manage team members', 'teams', 'manage'),
+    ('service-points:read', 'View service points', 'service-points', 'read'),
+    ('analytics:view', 'View analytics and statistics', 'analytics', 'view'),
+    ('audit:all', 'View the audit logs of every organization', 'audit', 'all'),
+    ('persons:create', 'Report persons', 'persons', 'create'),
+    ('persons:update', 'Update reported persons', 'persons', 'update'),
+    ('persons:delete', 'Delete reported persons', 'persons', 'delete')
+) AS p(name, description, resource, action)
+ON CONFLICT ("name") DO NOTHING;
+
+INSERT INTO "RolePermission" ("id", "role", "permissionId")
+SELECT gen_random_uuid()::text, g.role::"Role", perm."id"
+FROM (VALUES
+    ('ADMIN', 'cases:create'),
+    ('ORGANIZATION_ADMIN', 'cases:create'),
+    ('COORDINATOR', 'cases:create'),
+    ('SOCIAL_WORKER', 'cases:create'),
+    ('VOLUNTEER', 'cases:create'),
+    ('OPERATOR', 'cases:create'),
+    ('PUBLIC', 'cases:create'),
+    ('ADMIN', 'cases:read'),
+    ('ORGANIZATION_ADMIN', 'cases:read'),
+    ('COORDINATOR', 'cases:read'),
+    ('SOCIAL_WORKER', 'cases:read'),
+    ('VOLUNTEER', 'cases:read'),
+    ('DATA_ANALYST', 'cases:read'),
+    ('OPERATOR', 'cases:read'),
+    ('PUBLIC', 'cases:read'),
+    ('ADMIN', 'cases:update'),
+    ('ORGANIZATION_ADMIN', 'cases:update'),
+    ('COORDINATOR', 'cases:update'),
+    ('SOCIAL_WORKER', 'cases:update'),
+    ('OPERATOR', 'cases:update'),
+    ('PUBLIC', 'cases:update'),
+    ('ADMIN', 'cases:assign'),
+    ('ORGANIZATION_ADMIN', 'cases:assign'),
+    ('COORDINATOR', 'cases:assign'),
+    ('ADMIN', 'users:create'),
+    ('ORGANIZATION_ADMIN', 'users:create'),
+    ('ADMIN', 'users:read'),
+    ('ORGANIZATION_ADMIN', 'users:read'),
+    ('COORDINATOR', 'users:read'),
+    ('SOCIAL_WORKER', 'users:read'),
+    ('VOLUNTEER', 'users:read'),
+    ('DATA_ANALYST', 'users:read'),
+    ('OPERATOR', 'users:read'),
+    ('ADMIN', 'users:manage'),
+    ('ADMIN', 'teams:read'),
+    ('ORGANIZATION_ADMIN', 'teams:read'),
+    ('COORDINATOR', 'teams:read'),
+    ('SOCIAL_WORKER', 'teams:read'),
+    ('VOLUNTEER', 'teams:read'),
+    ('DATA_ANALYST', 'teams:read'),
+    ('OPERATOR', 'teams:read'),
+    ('ADMIN', 'teams:update'),
+    ('ORGANIZATION_ADMIN', 'teams:update'),
+    ('COORDINATOR', 'teams:update'),
+    ('ADMIN', 'teams:manage'),
+    ('ORGANIZATION_ADMIN', 'teams:manage'),
+    ('COORDINATOR', 'teams:manage'),
+    ('ADMIN', 'service-points:read'),
+    ('ORGANIZATION_ADMIN', 'service-points:read'),
+    ('COORDINATOR', 'service-points:read'),
+    ('SOCIAL_WORKER', 'service-points:read'),
+    ('VOLUNTEER', 'service-points:read'),
+    ('DATA_ANALYST', 'service-points:read'),
+    ('OPERATOR', 'service-points:read'),
+    ('PUBLIC', 'service-points:read'),
+    ('ADMIN', 'analytics:view'),
+    ('ORGANIZATION_ADMIN', 'analytics:view'),
+    ('COORDINATOR', 'analytics:view'),
+    ('DATA_ANALYST', 'analytics:view'),
+    ('ADMIN', 'audit:all'),
+    ('ADMIN', 'persons:create'),
+    ('OPERATOR', 'persons:create'),
+    ('VOLUNTEER', 'persons:create'),
+    ('ADMIN', 'persons:update'),
+    ('OPERATOR', 'persons:update'),
+    ('ADMIN', 'persons:delete')
+) AS g(role, name)
+JOIN "Permission" perm ON perm."name" = g.name
+ON CONFLICT ("role", "permissionId") DO NOTHING;
+
+INSERT INTO "OrganizationRolePermission" ("id", "organizationRoleId", "permissionId")
+SELECT gen_random_uuid()::text, r."id", perm."id"
+FROM (VALUES
+    ('VOLUNTEER', 'cases:create'),
+    ('VOLUNTEER', 'users:read'),
+    ('OPERATOR', 'users:read'),
+    ('VOLUNTEER', 'teams:read'),
+    ('OPERATOR', 'teams:read'),
+    ('VOLUNTEER', 'persons:create'),
+    ('OPERATOR', 'persons:create'),
+    ('OPERATOR', 'persons:update')
+) AS g(role, name)
+JOIN "OrganizationRole" r ON r."baseRole" = g.role::"Role"
+JOIN "Permission" perm ON perm."name" = g.name
+ON CONFLICT ("organizationRoleId", "permissionId") DO NOTHING;
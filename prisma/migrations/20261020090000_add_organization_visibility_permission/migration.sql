@@ -0,0 +1,32 @@
+-- Members only see the cases, persons and statistics of their zones and teams
+-- unless their role (or custom role) has visibility:organization. Grant it to
+-- the roles that saw the whole organization (every role except SOCIAL_WORKER
+-- and VOLUNTEER), including the custom roles built on them, so nobody's view
+-- changes. The grants are the default roles of permission.catalogue.js
+-- (tests/unit/permission-routes.test.js fails if they differ).
+
+INSERT INTO "Permission" ("id", "name", "description", "resource", "action")
+SELECT gen_random_uuid()::text, p.name, p.description, p.resource, p.action
+FROM (VALUES
+    ('visibility:organization', 'See the work of every zone and team of the organization', 'visibility', 'organization')
+) AS p(name, description, resource, action)
+ON CONFLICT ("name") DO NOTHING;
+
+INSERT INTO "RolePermission" ("id", "role", "permissionId")
+SELECT gen_random_uuid()::text, g.role::"Role", perm."id"
+FROM (VALUES
+    ('ADMIN', 'visibility:organization'),
+    ('ORGANIZATION_ADMIN', 'visibility:organization'),
+    ('COORDINATOR', 'visibility:organization'),
+    ('DATA_ANALYST', 'visibility:organization'),
+    ('OPERATOR', 'visibility:organization')
+) AS g(role, name)
+JOIN "Permission" perm ON perm."name" = g.name
+ON CONFLICT ("role", "permissionId") DO NOTHING;
+
+INSERT INTO "OrganizationRolePermission" ("id", "organizationRoleId", "permissionId")
+SELECT gen_random_uuid()::text, r."id", perm."id"
+FROM "OrganizationRole" r
+JOIN "Permission" perm ON perm."name" = 'visibility:organization'
+WHERE r."baseRole" IN ('ADMIN', 'ORGANIZATION_ADMIN', 'COORDINATOR', 'DATA_ANALYST', 'OPERATOR')
+ON CONFLICT ("organizationRoleId", "permissionId") DO NOTHING;
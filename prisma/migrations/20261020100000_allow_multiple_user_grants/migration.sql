@@ -0,0 +1,6 @@
+-- Each grant window or scope of a permission is its own row
+-- DropIndex
+DROP INDEX "UserPermission_userId_permissionId_key";
+
+-- CreateIndex
+CREATE INDEX "UserPermission_userId_permissionId_idx" ON "UserPermission"("userId", "permissionId");
@@ -0,0 +1,6 @@
+-- Published versions are proof of what users agreed to: never delete them either
+DROP TRIGGER "ConsentVersion_immutable" ON "ConsentVersion";
+
+CREATE TRIGGER "ConsentVersion_immutable"
+BEFORE UPDATE OR DELETE ON "ConsentVersion"
+FOR EACH ROW EXECUTE FUNCTION "prevent_consent_version_update"();
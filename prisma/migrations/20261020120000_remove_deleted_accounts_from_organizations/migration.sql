@@ -0,0 +1,8 @@
+-- Accounts closed before deletion removed the membership: unassign their open cases
+UPDATE "Case" SET "assignedToUserId" = NULL
+WHERE "status" <> 'RESOLVED'
+  AND "assignedToUserId" IN (SELECT "id" FROM "User" WHERE "deletedAt" IS NOT NULL);
+
+-- and take them out of their organization
+UPDATE "User" SET "organizationId" = NULL, "role" = 'PUBLIC', "customRoleId" = NULL
+WHERE "deletedAt" IS NOT NULL AND "organizationId" IS NOT NULL;
@@ -44,11 +44,20 @@ async function seedConsents() {
   ];
 
   for (const type of consentTypes) {
-    await prisma.consentType.upsert({
+    const consentType = await prisma.consentType.upsert({
       where: { name: type.name },
       update: type,
       create: type,
     });
+
+    // Published versions are immutable: only store the text of new ones
+    const version = { consentTypeId: consentType.id, version: type.version };
+    const existing = await prisma.consentVersion.findUnique({
+      where: { consentTypeId_version: version },
+    });
+    if (!existing) {
+      await prisma.consentVersion.create({ data: { ...version, content: type.content } });
+    }
   }
 
   console.log(`✅ Seeded ${consentTypes.length} consent types`);
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Data Key Rotation Script
+ * Creates a new data key for each organization and re-encrypts the homeless
+ * and visit health data with it, in batches. Also encrypts rows stored before encryption.
+ *
+ * Usage:
+ *   node scripts/rotate-data-keys.js [--organization <id>] [--batch-size <n>] [--resume]
+ *
+ *   --organization  Only rotate this organization (default: all)
+ *   --batch-size    Rows per batch (default: 100)
+ *   --resume        Do not create a new key, finish re-encrypting with the active one
+ */
+
+const prisma = require('../src/prismaClient');
+const fieldEncryptionService = require('../src/services/field-encryption.service');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+async function main() {
+  const organizationId = getArg('organization');
+  const batchSize = parseInt(getArg('batch-size') || '100', 10);
+  const resume = process.argv.includes('--resume');
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('--batch-size must be a positive integer');
+  }
+
+  const organizations = organizationId
+    ? [{ id: organizationId }]
+    : await prisma.organization.findMany({ select: { id: true }, orderBy: { createdAt: 'asc' } });
+
+  console.log(`🔑 ${resume ? 'Re-encrypting' : 'Rotating data keys of'} ${organizations.length} organization(s)...`);
+
+  for (const organization of organizations) {
+    const result = resume
+      ? await fieldEncryptionService.reencryptOrganization(organization.id, { batchSize })
+      : await fieldEncryptionService.rotateKey(organization.id, { batchSize });
+
+    console.log(`✅ ${organization.id}: key v${result.version}, ${result.reencrypted}/${result.scanned} rows re-encrypted`);
+  }
+
+  console.log('Data key rotation finished successfully.');
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Data key rotation failed:', e.message);
+    console.error('   Run again with --resume to finish re-encrypting with the new key.');
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
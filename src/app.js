@@ -70,6 +70,8 @@ app.use('/api/realtime', require('./modules/realtime/realtime.routes'));
 app.use('/api/sessions', require('./modules/sessions/session.routes'));
 app.use('/api/permissions', require('./modules/permissions/permission.routes'));
 app.use('/api/consents', require('./modules/consents/consent.routes'));
+app.use('/api/invitations', require('./modules/invitations/invitations.routes'));
+app.use('/api/data-requests', require('./modules/data-requests/data-requests.routes'));
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 
@@ -13,6 +13,8 @@ const envSchema = z.object({
   JWT_EXPIRES_IN: z.string().default('15m'),
   JWT_REFRESH_SECRET: z.string().min(1),
   JWT_REFRESH_EXPIRES_IN: z.string().default('7d'),
+  FRONTEND_URL: z.string().default('http://localhost:5173'),
+  OIDC_REDIRECT_URI: z.string().optional(), // Defaults to FRONTEND_URL/auth/sso/callback
   CLOUDINARY_CLOUD_NAME: z.string().optional(),
   CLOUDINARY_API_KEY: z.string().optional(),
   CLOUDINARY_API_SECRET: z.string().optional(),
@@ -24,6 +26,7 @@ const envSchema = z.object({
   SUPERADMIN_SECRET_BACKUP: z.string().optional(),
   SUPERADMIN_JTI_ENABLED: z.string().default('true').transform((val) => val === 'true'),
   SUPERADMIN_RATE_LIMIT: z.string().default('3').transform((val) => parseInt(val, 10)),
+  DATA_ENCRYPTION_KEY: z.string().optional(), // Base64, 32 bytes. Wraps the organization data keys
 });
 
 const envVars = envSchema.safeParse(process.env);
@@ -14,6 +14,9 @@ const envSchema = z.object({
   JWT_EXPIRES_IN: z.string().default('1d'),
   JWT_REFRESH_EXPIRES_IN: z.string().default('7d'),
   
+  // Field encryption (base64, 32 bytes)
+  DATA_ENCRYPTION_KEY: z.string().optional(),
+  
   // Cloudinary
   CLOUDINARY_CLOUD_NAME: z.string().min(1),
   CLOUDINARY_API_KEY: z.string().min(1),
@@ -46,6 +49,14 @@ function validateEnv() {
       console.warn('⚠️ GOOGLE_MAPS_API_KEY is missing. Google Places service will run in MOCK mode.');
     }
 
+    if (!env.DATA_ENCRYPTION_KEY) {
+      if (env.NODE_ENV === 'production') {
+        console.error('❌ DATA_ENCRYPTION_KEY is required in production (health data encryption).');
+        process.exit(1);
+      }
+      console.warn('⚠️ DATA_ENCRYPTION_KEY is missing. Data keys are wrapped with a key derived from JWT_SECRET.');
+    }
+
     return env;
   } catch (error) {
     if (error instanceof z.ZodError) {
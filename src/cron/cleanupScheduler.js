@@ -30,7 +30,13 @@ const cleanupScheduler = {
         // 3. Limpiar cache obsoleto
         await addCleanupJob('cache');
         
-        // 4. Limpiar logs antiguos (semanalmente, los domingos)
+        // 4. Eliminar permisos temporales vencidos
+        await addCleanupJob('permissions');
+        
+        // 5. Eliminar exportaciones de cuenta vencidas
+        await addCleanupJob('exports');
+        
+        // 6. Limpiar logs antiguos (semanalmente, los domingos)
         const today = new Date();
         if (today.getDay() === 0) { // 0 = Domingo
           await addCleanupJob('logs');
@@ -4,10 +4,67 @@ const AppError = require('../utils/errors');
 const env = require('../config/env');
 
 const sessionService = require('../modules/sessions/session.service');
+const apiKeyService = require('../modules/api-keys/api-key.service');
+
+// Accounts with an unverified email are read-only, except for managing their own account
+const UNVERIFIED_ALLOWED_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const UNVERIFIED_ALLOWED_PATHS = ['/api/auth', '/api/consents', '/api/sessions'];
+
+/**
+ * Check if a request can be performed by a user whose email is not verified yet
+ * @param {Object} req - Express request object
+ * @returns {boolean} Request allowed
+ */
+const isAllowedForUnverified = (req) => {
+  return (
+    UNVERIFIED_ALLOWED_METHODS.includes(req.method) ||
+    UNVERIFIED_ALLOWED_PATHS.some((path) => req.originalUrl.startsWith(path))
+  );
+};
+
+/**
+ * Check if the organization enforces 2FA for the user's role and the user has not enrolled yet
+ * @param {Object} user - Current user
+ * @param {Object} [organization] - User organization (twoFactorRequiredRoles)
+ * @returns {boolean} 2FA setup pending
+ */
+const isTwoFactorSetupPending = (user, organization) => {
+  return !user.twoFactorEnabled && !!organization?.twoFactorRequiredRoles?.includes(user.role);
+};
+
+/**
+ * Authenticate a request made with an X-API-Key header.
+ * The request runs as the key's service account and only on endpoints its scopes allow.
+ * @param {Object} req - Express request object
+ * @param {string} key - API key
+ * @param {Function} next - Express next middleware function
+ */
+const protectWithApiKey = async (req, key, next) => {
+  try {
+    const apiKey = await apiKeyService.authenticate(key, req.ip);
+    apiKeyService.assertRouteAllowed(apiKey, req.method, req.originalUrl);
+
+    req.user = apiKey.serviceAccount;
+    req.apiKey = {
+      id: apiKey.id,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      organizationId: apiKey.organizationId,
+    };
+    next();
+  } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
+    return next(new AppError('Invalid API key', 401));
+  }
+};
 
 /**
  * Middleware to protect routes.
  * Verifies JWT token and checks if user exists and token is not revoked.
+ * Enforces the organization session policy on the token's session.
+ * Requests without a token can authenticate with an X-API-Key header.
  * Attaches user object to request.
  * 
  * @param {Object} req - Express request object
@@ -24,6 +81,10 @@ const protect = async (req, res, next) => {
     token = req.headers.authorization.split(' ')[1];
   }
 
+  if (!token && req.headers['x-api-key']) {
+    return protectWithApiKey(req, req.headers['x-api-key'], next);
+  }
+
   if (!token) {
     return next(new AppError('You are not logged in! Please log in to get access.', 401));
   }
@@ -37,21 +98,54 @@ const protect = async (req, res, next) => {
 
     const decoded = jwt.verify(token, env.JWT_SECRET);
 
-    const currentUser = await prisma.user.findUnique({
+    const userWithOrganization = await prisma.user.findUnique({
       where: { id: decoded.id },
+      include: {
+        organization: {
+          select: {
+            twoFactorRequiredRoles: true,
+            sessionIdleTimeoutMinutes: true,
+            sessionMaxLifetimeHours: true,
+          },
+        },
+      },
     });
 
-    if (!currentUser) {
+    // Closed accounts are kept anonymized, but they no longer exist for authentication
+    if (!userWithOrganization || userWithOrganization.deletedAt) {
       return next(
         new AppError('The user belonging to this token does no longer exist.', 401)
       );
     }
 
+    const { organization, ...currentUser } = userWithOrganization;
+
+    // Enforce idle timeout and absolute lifetime, and record activity
+    await sessionService.touchSession(token, organization, req.ip);
+
+    if (currentUser.emailVerified === false && !isAllowedForUnverified(req)) {
+      return next(
+        new AppError('Please verify your email address to perform this action.', 403)
+      );
+    }
+
+    if (isTwoFactorSetupPending(currentUser, organization) && !req.originalUrl.startsWith('/api/auth')) {
+      return next(
+        new AppError(
+          'Your organization requires two-factor authentication for your role. Set it up at /api/auth/2fa/setup.',
+          403
+        )
+      );
+    }
+
     // Grant access to protected route
     req.user = currentUser;
     req.token = token; // Pass token to controller if needed
     next();
   } catch (err) {
+    if (err instanceof AppError) {
+      return next(err);
+    }
     return next(new AppError('Invalid token', 401));
   }
 };
@@ -86,7 +180,7 @@ const optionalProtect = async (req, res, next) => {
       where: { id: decoded.id },
     });
 
-    if (!currentUser) {
+    if (!currentUser || currentUser.deletedAt) {
       return next();
     }
 
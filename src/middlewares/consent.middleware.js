@@ -2,23 +2,39 @@ const consentService = require('../modules/consents/consent.service');
 const AppError = require('../utils/errors');
 
 /**
- * Middleware to require a specific consent
- * @param {string} consentTypeName - The unique name of the consent type (e.g., 'terms_of_service')
+ * Middleware to require consents in their current version
+ * Responds 451 with the consents still to accept (never accepted, revoked, or a new version).
+ * @param {...string} consentTypeNames - Unique names of the consent types (e.g., 'terms_of_service').
+ *   Without names, every required consent type is checked.
  */
-const requireConsent = (consentTypeName) => {
+const requireConsent = (...consentTypeNames) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
         return next(new AppError('Authentication required to check consent', 401));
       }
 
-      const hasConsent = await consentService.hasValidConsent(req.user.id, consentTypeName);
+      // Already checked by a parent router (e.g. case comments)
+      const key = consentTypeNames.join(',');
+      if (req.consentsChecked?.includes(key)) {
+        return next();
+      }
+
+      const pendingConsents = await consentService.getPendingConsents(
+        req.user.id,
+        consentTypeNames.length > 0 ? consentTypeNames : null
+      );
 
-      if (!hasConsent) {
+      if (pendingConsents.length > 0) {
         // 451 Unavailable For Legal Reasons
-        return next(new AppError(`Consent required: ${consentTypeName}`, 451));
+        return res.status(451).json({
+          status: 'fail',
+          message: `Consent required: ${pendingConsents.map((consent) => consent.name).join(', ')}`,
+          data: { pendingConsents },
+        });
       }
 
+      req.consentsChecked = [...(req.consentsChecked || []), key];
       next();
     } catch (error) {
       next(error);
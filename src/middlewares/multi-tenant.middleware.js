@@ -27,6 +27,9 @@ const multiTenantMiddleware = async (req, res, next) => {
     const isAdmin = await permissionService.hasRole(req.user.id, 'ADMIN');
     req.isGlobalAdmin = isAdmin;
 
+    // Field members only see their zones and teams (null = whole organization)
+    req.visibilityScope = isAdmin ? null : await permissionService.getVisibilityScope(req.user.id);
+
     next();
   } catch (error) {
     console.error('[MULTI-TENANT ERROR]', error);
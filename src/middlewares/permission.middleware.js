@@ -6,6 +6,7 @@
 const permissionService = require('../services/permission.service');
 const prisma = require('../prismaClient'); // Import prisma for existence checks
 const newPermissionService = require('../modules/permissions/permission.service');
+const { assertKnownPermissions } = require('../modules/permissions/permission.catalogue');
 const AppError = require('../utils/errors');
 const env = require('../config/env');
 const logger = require('../config/logger');
@@ -409,6 +410,56 @@ const canManageTeam = async (req, res, next) => {
   }
 };
 
+/**
+ * Require access to a team (teams of the user's organization)
+ */
+const canViewTeam = async (req, res, next) => {
+  try {
+    // GLOBAL ADMIN BYPASS
+    if (await logAdminBypass(req, 'canViewTeam')) {
+      return next();
+    }
+
+    const teamId = req.params.id || req.params.teamId;
+
+    if (!teamId) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Team ID is required',
+      });
+    }
+
+    // Check if team exists first
+    const teamExists = await prisma.team.findUnique({
+      where: { id: teamId },
+    });
+
+    if (!teamExists) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Team not found',
+      });
+    }
+
+    const hasPermission = await permissionService.canViewTeam(
+      req.user.id,
+      teamId
+    );
+
+    if (!hasPermission) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You do not have permission to view this team',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('[CAN-VIEW-TEAM ERROR]', error);
+    next(error);
+  }
+};
+
 /**
  * Require permission to view statistics
  */
@@ -428,10 +479,8 @@ const canViewStatistics = async (req, res, next) => {
       });
     }
 
-    const hasPermission = await permissionService.canViewStatistics(
-      req.user.id,
-      orgId
-    );
+    // Field members given analytics:view only see the statistics of their zones and teams
+    const hasPermission = await permissionService.canViewStatistics(req.user.id, orgId);
 
     if (!hasPermission) {
       return res.status(403).json({
@@ -511,11 +560,66 @@ const canManageServicePoint = async (req, res, next) => {
   }
 };
 
+/**
+ * Check a permission for the current request.
+ * API keys are limited to their scopes; users go through role and user permissions.
+ */
+const checkPermission = async (req, permissionName) => {
+  if (req.apiKey) {
+    return req.apiKey.scopes.includes(permissionName);
+  }
+
+  return await newPermissionService.hasPermission(req.user.id, permissionName, req.permissionScope);
+};
+
+/**
+ * Record the zone/team a request acts on, so user grants scoped to a zone or
+ * team can apply. Must run before the permission check.
+ * @param {Function} resolver - async (req) => ({ zoneId, teamId })
+ */
+const scopePermissions = (resolver) => {
+  return async (req, res, next) => {
+    try {
+      req.permissionScope = (await resolver(req)) || {};
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+const scopeToZone = scopePermissions((req) => ({ zoneId: req.params.id }));
+
+const scopeToTeam = scopePermissions((req) => ({ teamId: req.params.id }));
+
+const scopeToCase = scopePermissions(async (req) => {
+  const caseRecord = await prisma.case.findUnique({
+    where: { id: req.params.id },
+    select: { zoneId: true, assignedToTeamId: true },
+  });
+
+  return caseRecord ? { zoneId: caseRecord.zoneId, teamId: caseRecord.assignedToTeamId } : {};
+});
+
+/**
+ * Tag a permission middleware so the catalogue can list the routes using it
+ * @param {Function} middleware - Express middleware
+ * @param {string[]} permissionNames - Required permissions
+ * @param {string} match - 'all' or 'any'
+ * @returns {Function} The same middleware
+ */
+const declarePermissions = (middleware, permissionNames, match) => {
+  assertKnownPermissions(permissionNames);
+  middleware.permissions = permissionNames;
+  middleware.permissionMatch = match;
+  return middleware;
+};
+
 /**
  * Middleware to check if user has required permission
  */
 const requirePermission = (permissionName) => {
-  return async (req, res, next) => {
+  return declarePermissions(async (req, res, next) => {
     try {
       if (!req.user) {
         return next(new AppError('Authentication required', 401));
@@ -526,10 +630,7 @@ const requirePermission = (permissionName) => {
         return next();
       }
 
-      const hasPermission = await newPermissionService.hasPermission(
-        req.user.id,
-        permissionName
-      );
+      const hasPermission = await checkPermission(req, permissionName);
 
       if (!hasPermission) {
         return next(
@@ -541,14 +642,14 @@ const requirePermission = (permissionName) => {
     } catch (error) {
       next(error);
     }
-  };
+  }, [permissionName], 'all');
 };
 
 /**
  * Middleware to check if user has ANY of the required permissions
  */
 const requireAnyPermission = (...permissionNames) => {
-  return async (req, res, next) => {
+  return declarePermissions(async (req, res, next) => {
     try {
       if (!req.user) {
         return next(new AppError('Authentication required', 401));
@@ -560,10 +661,7 @@ const requireAnyPermission = (...permissionNames) => {
       }
 
       for (const permissionName of permissionNames) {
-        const hasPermission = await newPermissionService.hasPermission(
-          req.user.id,
-          permissionName
-        );
+        const hasPermission = await checkPermission(req, permissionName);
         if (hasPermission) {
           return next();
         }
@@ -578,14 +676,14 @@ const requireAnyPermission = (...permissionNames) => {
     } catch (error) {
       next(error);
     }
-  };
+  }, permissionNames, 'any');
 };
 
 /**
  * Middleware to check if user has ALL of the required permissions
  */
 const requireAllPermissions = (...permissionNames) => {
-  return async (req, res, next) => {
+  return declarePermissions(async (req, res, next) => {
     try {
       if (!req.user) {
         return next(new AppError('Authentication required', 401));
@@ -597,10 +695,7 @@ const requireAllPermissions = (...permissionNames) => {
       }
 
       for (const permissionName of permissionNames) {
-        const hasPermission = await newPermissionService.hasPermission(
-          req.user.id,
-          permissionName
-        );
+        const hasPermission = await checkPermission(req, permissionName);
         if (!hasPermission) {
           return next(
             new AppError(
@@ -615,9 +710,26 @@ const requireAllPermissions = (...permissionNames) => {
     } catch (error) {
       next(error);
     }
-  };
+  }, permissionNames, 'all');
 };
 
+/**
+ * Tag a resource check so the catalogue can list the routes running it and the
+ * permission explain can replay it
+ * @param {Function} middleware - Express middleware
+ * @param {string} resourceType - 'case' or 'team'
+ * @param {string} name - Permission service method the middleware runs
+ */
+const declareResourceCheck = (middleware, resourceType, name) => {
+  middleware.resourceCheck = { resourceType, name };
+};
+
+declareResourceCheck(canViewCase, 'case', 'canViewCase');
+declareResourceCheck(canEditCase, 'case', 'canEditCase');
+declareResourceCheck(canAssignCase, 'case', 'canAssignCase');
+declareResourceCheck(canViewTeam, 'team', 'canViewTeam');
+declareResourceCheck(canManageTeam, 'team', 'canManageTeam');
+
 module.exports = {
   requireRole,
   canViewCase,
@@ -625,10 +737,14 @@ module.exports = {
   canAssignCase,
   canCloseCase,
   canManageTeam,
+  canViewTeam,
   canViewStatistics,
   canCreateSubUsers,
   canManageServicePoint,
   requirePermission,
+  scopeToZone,
+  scopeToTeam,
+  scopeToCase,
   requireAnyPermission,
   requireAllPermissions,
 };
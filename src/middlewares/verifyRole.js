@@ -1,17 +0,0 @@
-const AppError = require('../utils/errors');
-
-const verifyRole = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(new AppError('Not authenticated', 401));
-    }
-
-    if (!roles.includes(req.user.role)) {
-      return next(new AppError('You do not have permission to perform this action', 403));
-    }
-
-    next();
-  };
-};
-
-module.exports = verifyRole;
@@ -1,18 +1,17 @@
 const express = require('express');
 const adminController = require('./admin.controller');
 const { protect } = require('../../middlewares/auth.middleware');
-const verifyRole = require('../../middlewares/verifyRole');
+const { requirePermission } = require('../../middlewares/permission.middleware');
 const validateRequest = require('../../middlewares/validateRequest');
 const { z } = require('zod');
 
 const router = express.Router();
 
-// All routes are protected and restricted to ADMIN
+// All routes are protected and act across organizations (global permissions)
 router.use(protect);
-router.use(verifyRole('ADMIN'));
 
-router.get('/users', adminController.getUsers);
-router.get('/audits', adminController.getAudits);
+router.get('/users', requirePermission('users:manage'), adminController.getUsers);
+router.get('/audits', requirePermission('audit:all'), adminController.getAudits);
 
 const updateRoleSchema = z.object({
   body: z.object({
@@ -20,6 +19,11 @@ const updateRoleSchema = z.object({
   }),
 });
 
-router.patch('/users/:id/role', validateRequest(updateRoleSchema), adminController.updateUserRole);
+router.patch(
+  '/users/:id/role',
+  requirePermission('users:manage'),
+  validateRequest(updateRoleSchema),
+  adminController.updateUserRole
+);
 
 module.exports = router;
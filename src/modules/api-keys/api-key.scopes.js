@@ -0,0 +1,32 @@
+/**
+ * API Key Scopes
+ * Endpoints reachable with an API key and the permission (scope) each one requires.
+ * Scopes use the Permission names (resource:action).
+ */
+
+const API_KEY_ROUTES = [
+  { method: 'POST', path: /^\/api\/cases\/?$/, scope: 'cases:create' },
+  { method: 'GET', path: /^\/api\/cases(\/[^/]+)?\/?$/, scope: 'cases:read' },
+  { method: 'GET', path: /^\/api\/cases\/[^/]+\/(history|timeline)\/?$/, scope: 'cases:read' },
+  { method: 'GET', path: /^\/api\/service-points\/?$/, scope: 'service-points:read' },
+];
+
+const API_KEY_SCOPES = [...new Set(API_KEY_ROUTES.map((route) => route.scope))];
+
+/**
+ * Find the scope required to call an endpoint with an API key
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string|null} Required scope, or null if the endpoint is not available to API keys
+ */
+const getRequiredScope = (method, url) => {
+  const path = url.split('?')[0];
+  const route = API_KEY_ROUTES.find((r) => r.method === method && r.path.test(path));
+  return route ? route.scope : null;
+};
+
+module.exports = {
+  API_KEY_ROUTES,
+  API_KEY_SCOPES,
+  getRequiredScope,
+};
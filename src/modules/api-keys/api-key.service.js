@@ -0,0 +1,215 @@
+/**
+ * API Key Service
+ * Organization API keys for machine-to-machine integrations.
+ * Each key acts as its own service account user, limited to its scopes.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../../prismaClient');
+const bcrypt = require('bcrypt');
+const AppError = require('../../utils/errors');
+const { generateOpaqueToken, hashToken } = require('../../utils/token.utils');
+const { getRequiredScope } = require('./api-key.scopes');
+
+const KEY_PREFIX = 'abz';
+
+// lastUsedAt is written at most once per minute per key
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  expiresAt: true,
+  rotatedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  organizationId: true,
+  serviceAccountId: true,
+  createdBy: { select: { id: true, email: true, name: true } },
+};
+
+/**
+ * Generate a new key: "abz_<prefix>_<secret>"
+ * @returns {Object} { key, prefix, keyHash }
+ */
+const generateKey = () => {
+  const prefix = `${KEY_PREFIX}_${generateOpaqueToken(4)}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+class ApiKeyService {
+  /**
+   * Create an API key and its service account
+   * @param {string} orgId - Organization ID
+   * @param {Object} data - Key data (name, scopes, expiresAt)
+   * @param {string} createdById - User ID creating the key
+   * @returns {Promise<Object>} { apiKey, key } (the key is only returned here)
+   */
+  async createApiKey(orgId, data, createdById) {
+    const organization = await prisma.organization.findUnique({
+      where: { id: orgId },
+      select: { id: true },
+    });
+
+    if (!organization) {
+      throw new AppError('Organization not found', 404);
+    }
+
+    const { key, prefix, keyHash } = generateKey();
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name: data.name,
+        prefix,
+        keyHash,
+        scopes: data.scopes,
+        expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+        organization: { connect: { id: orgId } },
+        createdBy: { connect: { id: createdById } },
+        serviceAccount: {
+          create: {
+            email: `${prefix}@api-keys.invalid`,
+            name: `API key: ${data.name}`,
+            // Random password nobody knows; service accounts cannot log in anyway
+            password: await bcrypt.hash(generateOpaqueToken(), 10),
+            role: 'OPERATOR',
+            isServiceAccount: true,
+            organization: { connect: { id: orgId } },
+          },
+        },
+      },
+      select: apiKeySelect,
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List API keys of an organization (without secrets)
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array>} API keys
+   */
+  async listApiKeys(orgId) {
+    return await prisma.apiKey.findMany({
+      where: { organizationId: orgId },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Find an active API key of an organization
+   * @param {string} orgId - Organization ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} API key
+   */
+  async getActiveApiKey(orgId, keyId) {
+    const apiKey = await prisma.apiKey.findFirst({
+      where: { id: keyId, organizationId: orgId },
+      select: apiKeySelect,
+    });
+
+    if (!apiKey) {
+      throw new AppError('API key not found', 404);
+    }
+
+    if (apiKey.revokedAt) {
+      throw new AppError('API key has been revoked', 400);
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Replace the secret of an API key. The previous key stops working immediately.
+   * @param {string} orgId - Organization ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} { apiKey, key, previousPrefix }
+   */
+  async rotateApiKey(orgId, keyId) {
+    const current = await this.getActiveApiKey(orgId, keyId);
+    const { key, prefix, keyHash } = generateKey();
+
+    const apiKey = await prisma.apiKey.update({
+      where: { id: current.id },
+      data: { prefix, keyHash, rotatedAt: new Date() },
+      select: apiKeySelect,
+    });
+
+    return { apiKey, key, previousPrefix: current.prefix };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} orgId - Organization ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} Revoked API key
+   */
+  async revokeApiKey(orgId, keyId) {
+    const current = await this.getActiveApiKey(orgId, keyId);
+
+    return await prisma.apiKey.update({
+      where: { id: current.id },
+      data: { revokedAt: new Date() },
+      select: apiKeySelect,
+    });
+  }
+
+  /**
+   * Resolve the API key sent in X-API-Key and record its use
+   * @param {string} key - Plain API key
+   * @param {string} ipAddress - Request IP
+   * @returns {Promise<Object>} API key with its serviceAccount user
+   */
+  async authenticate(key, ipAddress) {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: hashToken(key) },
+      include: { serviceAccount: true },
+    });
+
+    if (!apiKey || apiKey.revokedAt) {
+      throw new AppError('Invalid API key', 401);
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+      throw new AppError('API key has expired', 401);
+    }
+
+    const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed >= LAST_USED_UPDATE_INTERVAL_MS || apiKey.lastUsedIp !== ipAddress) {
+      await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+      });
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Check that an API key may call an endpoint
+   * @param {Object} apiKey - API key (scopes)
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @returns {void}
+   */
+  assertRouteAllowed(apiKey, method, url) {
+    const scope = getRequiredScope(method, url);
+
+    if (!scope) {
+      throw new AppError('This endpoint is not available to API keys', 403);
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      throw new AppError(`API key is missing the required scope: ${scope}`, 403);
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,116 @@
+/**
+ * API Keys Controller
+ * Handles HTTP requests for organization API keys
+ */
+
+const apiKeyService = require('./api-key.service');
+const { logAudit } = require('../audit/audit.service');
+
+class ApiKeysController {
+  /**
+   * Create API key
+   * POST /organizations/:id/api-keys
+   */
+  async createApiKey(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name, scopes, expiresAt } = req.body;
+
+      const { apiKey, key } = await apiKeyService.createApiKey(id, { name, scopes, expiresAt }, req.user.id);
+
+      await logAudit(
+        req.user.id,
+        'create_api_key',
+        'api_key',
+        apiKey.id,
+        { organizationId: id, name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes },
+        req.ip
+      );
+
+      res.status(201).json({
+        status: 'success',
+        message: 'Store this key now, it will not be shown again.',
+        data: { apiKey, key },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List API keys
+   * GET /organizations/:id/api-keys
+   */
+  async listApiKeys(req, res, next) {
+    try {
+      const apiKeys = await apiKeyService.listApiKeys(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        results: apiKeys.length,
+        data: { apiKeys },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rotate API key
+   * POST /organizations/:id/api-keys/:keyId/rotate
+   */
+  async rotateApiKey(req, res, next) {
+    try {
+      const { id, keyId } = req.params;
+
+      const { apiKey, key, previousPrefix } = await apiKeyService.rotateApiKey(id, keyId);
+
+      await logAudit(
+        req.user.id,
+        'rotate_api_key',
+        'api_key',
+        apiKey.id,
+        { organizationId: id, previousPrefix, prefix: apiKey.prefix },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Store this key now, it will not be shown again.',
+        data: { apiKey, key },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke API key
+   * DELETE /organizations/:id/api-keys/:keyId
+   */
+  async revokeApiKey(req, res, next) {
+    try {
+      const { id, keyId } = req.params;
+
+      const apiKey = await apiKeyService.revokeApiKey(id, keyId);
+
+      await logAudit(
+        req.user.id,
+        'revoke_api_key',
+        'api_key',
+        apiKey.id,
+        { organizationId: id, prefix: apiKey.prefix },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { apiKey },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ApiKeysController();
@@ -0,0 +1,18 @@
+const { z } = require('zod');
+const { API_KEY_SCOPES } = require('./api-key.scopes');
+
+const createApiKeySchema = z.object({
+  body: z.object({
+    name: z.string().min(1, 'Name is required').max(100),
+    scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, 'At least one scope is required'),
+    expiresAt: z
+      .string()
+      .datetime()
+      .refine((value) => new Date(value) > new Date(), 'Expiration must be in the future')
+      .optional(),
+  }),
+});
+
+module.exports = {
+  createApiKeySchema,
+};
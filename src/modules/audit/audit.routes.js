@@ -6,15 +6,15 @@ const express = require('express');
 const router = express.Router();
 const auditController = require('./audit.controller');
 const { protect } = require('../../middlewares/auth.middleware');
-const { requireRole } = require('../../middlewares/permission.middleware');
+const { requirePermission } = require('../../middlewares/permission.middleware');
 const { requireOrganization } = require('../../middlewares/multi-tenant.middleware');
 
 router.use(protect);
 router.use(requireOrganization);
 
-router.get('/', requireRole('ADMIN', 'ORGANIZATION_ADMIN', 'DATA_ANALYST'), auditController.getOrganizationLogs);
-router.get('/user/:userId', requireRole('ADMIN', 'ORGANIZATION_ADMIN'), auditController.getUserLogs);
+router.get('/', requirePermission('audit:read'), auditController.getOrganizationLogs);
+router.get('/user/:userId', requirePermission('audit:users'), auditController.getUserLogs);
 router.get('/case/:caseId', auditController.getCaseLogs);
-router.get('/statistics', requireRole('ADMIN', 'ORGANIZATION_ADMIN', 'DATA_ANALYST'), auditController.getStatistics);
+router.get('/statistics', requirePermission('audit:read'), auditController.getStatistics);
 
 module.exports = router;
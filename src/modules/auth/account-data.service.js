@@ -0,0 +1,345 @@
+/**
+ * Account Data Service
+ * Self-service export of a user's own data and account deletion
+ */
+
+const crypto = require('crypto');
+const prisma = require('../../prismaClient');
+const bcrypt = require('bcrypt');
+const AppError = require('../../utils/errors');
+const sessionService = require('../sessions/session.service');
+const twoFactorService = require('./two-factor.service');
+const { addAccountExportJob, isRedisAvailable } = require('../../queues');
+const { logAudit } = require('../audit/audit.service');
+const statisticsService = require('../statistics/statistics.service');
+const { deleteImage } = require('../../config/cloudinary');
+const logger = require('../../config/logger');
+
+// Ready exports are served for 24 hours, then a new one is built
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Roles that must not be left without a holder
+const ADMIN_ROLES = ['ADMIN', 'ORGANIZATION_ADMIN'];
+
+// Stored instead of a hash for accounts created through Firebase (see auth.service firebaseLogin)
+const SOCIAL_LOGIN_PASSWORD = 'SOCIAL_LOGIN_PASSWORD_PLACEHOLDER';
+
+// Accounts without a known password confirm a deletion with a login this recent
+const RECENT_LOGIN_MS = 10 * 60 * 1000;
+
+/**
+ * Gathers everything stored about a user as an account holder.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Bundle: profile, sessions, consents, consentHistory, comments, caseHistory
+ */
+const collectAccountData = async (userId) => {
+  const [profile, sessions, consents, consentHistory, comments, caseHistory] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        photoUrl: true,
+        role: true,
+        organizationId: true,
+        acceptedTerms: true,
+        emailVerified: true,
+        twoFactorEnabled: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    }),
+    prisma.userSession.findMany({
+      where: { userId },
+      select: {
+        deviceInfo: true,
+        ipAddress: true,
+        isValid: true,
+        createdAt: true,
+        lastActiveAt: true,
+        expiresAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.consent.findMany({
+      where: { userId },
+      select: {
+        consentType: { select: { name: true, displayName: true } },
+        version: true,
+        granted: true,
+        grantedAt: true,
+        revokedAt: true,
+        ipAddress: true,
+        userAgent: true,
+      },
+    }),
+    prisma.consentHistory.findMany({
+      where: { userId },
+      select: { consentType: true, version: true, action: true, ipAddress: true, userAgent: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.comment.findMany({
+      where: { authorId: userId },
+      select: { caseId: true, content: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.caseHistory.findMany({
+      where: { performedByUserId: userId },
+      select: { caseId: true, action: true, description: true, previousStatus: true, newStatus: true, createdAt: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+  ]);
+
+  return { generatedAt: new Date(), profile, sessions, consents, consentHistory, comments, caseHistory };
+};
+
+/**
+ * Builds a pending export. Run by the exports worker, or inline when queues are disabled.
+ * Failures are stored on the export and rethrown so the job is retried.
+ *
+ * @param {string} exportId - AccountExport ID
+ * @returns {Promise<Object>} Export
+ */
+const buildAccountExport = async (exportId) => {
+  const accountExport = await prisma.accountExport.findUnique({ where: { id: exportId } });
+
+  if (!accountExport) {
+    throw new Error(`Account export ${exportId} not found`);
+  }
+
+  try {
+    const data = await collectAccountData(accountExport.userId);
+    const now = new Date();
+
+    return await prisma.accountExport.update({
+      where: { id: exportId },
+      data: {
+        status: 'READY',
+        data,
+        error: null,
+        completedAt: now,
+        expiresAt: new Date(now.getTime() + EXPORT_TTL_MS),
+      },
+    });
+  } catch (error) {
+    await prisma.accountExport.update({
+      where: { id: exportId },
+      data: { status: 'FAILED', error: error.message },
+    });
+    throw error;
+  }
+};
+
+/**
+ * Returns the latest export of the user, or requests a new one when there is
+ * none in progress or ready.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Export (READY ones include the data)
+ */
+const getAccountExport = async (userId) => {
+  const latest = await prisma.accountExport.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  if (latest?.status === 'PENDING' || (latest?.status === 'READY' && latest.expiresAt > new Date())) {
+    return latest;
+  }
+
+  const accountExport = await prisma.accountExport.create({ data: { userId } });
+  await logAudit(userId, 'request_account_export', 'user', userId, { exportId: accountExport.id });
+
+  if (!isRedisAvailable) {
+    return await buildAccountExport(accountExport.id);
+  }
+
+  await addAccountExportJob({ exportId: accountExport.id });
+  return accountExport;
+};
+
+/**
+ * Deletes expired exports: their bundle holds IP addresses, user agents and comments
+ * that must not outlive the download window. Run by the cleanup worker.
+ *
+ * @returns {Promise<number>} Number of exports deleted
+ */
+const purgeExpiredExports = async () => {
+  const { count } = await prisma.accountExport.deleteMany({
+    where: { status: 'READY', expiresAt: { lt: new Date() } },
+  });
+
+  return count;
+};
+
+/**
+ * Whether the user signs in through a provider (Firebase or an SSO identity)
+ * and may not know a password for the account.
+ *
+ * @param {Object} user - User
+ * @returns {Promise<boolean>}
+ */
+const signsInWithoutPassword = async (user) => {
+  if (user.password === SOCIAL_LOGIN_PASSWORD) {
+    return true;
+  }
+
+  return (await prisma.userIdentity.count({ where: { userId: user.id } })) > 0;
+};
+
+/**
+ * Confirms the user is who they claim before closing the account: the password,
+ * or for accounts that sign in through a provider, a login (session of the
+ * access token) in the last minutes.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} [password] - Current password
+ * @param {string} [token] - Access token of the request
+ * @returns {Promise<void>}
+ */
+const assertFreshAuthentication = async (user, password, token) => {
+  if (password) {
+    if (!(await bcrypt.compare(password, user.password))) {
+      throw new AppError('Incorrect password', 401);
+    }
+    return;
+  }
+
+  if (!(await signsInWithoutPassword(user))) {
+    throw new AppError('Password is required', 400);
+  }
+
+  const session = token
+    ? await prisma.userSession.findFirst({ where: { token, userId: user.id, isValid: true } })
+    : null;
+  if (!session || Date.now() - new Date(session.createdAt).getTime() > RECENT_LOGIN_MS) {
+    throw new AppError('Log in again to confirm the deletion of your account', 401);
+  }
+};
+
+/**
+ * Refuses to delete the last holder of an admin role (global, or of the user's organization
+ * while it still has other members).
+ *
+ * @param {Object} user - User (id, role, organizationId)
+ * @returns {Promise<void>}
+ */
+const assertNotLastAdmin = async (user) => {
+  if (!ADMIN_ROLES.includes(user.role)) {
+    return;
+  }
+
+  const scope = user.role === 'ADMIN' ? {} : { organizationId: user.organizationId };
+  const [otherAdmins, otherMembers] = await Promise.all([
+    prisma.user.count({ where: { ...scope, role: user.role, deletedAt: null, id: { not: user.id } } }),
+    user.role === 'ADMIN'
+      ? 0
+      : prisma.user.count({ where: { ...scope, deletedAt: null, isServiceAccount: false, id: { not: user.id } } }),
+  ]);
+
+  if (otherAdmins === 0 && (user.role === 'ADMIN' || otherMembers > 0)) {
+    throw new AppError('Appoint another admin before deleting your account', 409);
+  }
+};
+
+/**
+ * Closes the account of the current user. The user row is anonymized rather than deleted,
+ * so cases, case history and comments keep pointing at it (`Case.createdBy`,
+ * `CaseHistory.performedByUserId`). Credentials, sessions and memberships are removed:
+ * the user leaves their organization and their open cases go back to the queue.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} confirmation - { password, code, recoveryCode } (code when 2FA is enabled;
+ *   password optional for accounts that sign in through a provider and logged in recently)
+ * @param {string} [token] - Access token of the request, revoked right away
+ * @returns {Promise<void>}
+ */
+const deleteAccount = async (user, { password, code, recoveryCode }, token) => {
+  if (user.isServiceAccount) {
+    throw new AppError('Service accounts are removed by revoking their API key', 403);
+  }
+
+  await assertFreshAuthentication(user, password, token);
+
+  if (user.twoFactorEnabled) {
+    await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+  }
+
+  await assertNotLastAdmin(user);
+
+  // Revoke live sessions (Redis and database) before their rows go away
+  await sessionService.revokeAllUserSessions(user.id, 'Account deleted');
+  if (token) {
+    await sessionService.revokeToken(token, user.id, 'Account deleted');
+  }
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        email: `deleted-${user.id}@deleted.invalid`,
+        // Random, never disclosed: the account can no longer log in
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+        name: null,
+        photoUrl: null,
+        refreshToken: null,
+        // No longer a member: out of member lists, counts and assignment
+        organizationId: null,
+        role: 'PUBLIC',
+        customRoleId: null,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+        deletedAt: new Date(),
+      },
+    }),
+    prisma.userSession.deleteMany({ where: { userId: user.id } }),
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } }),
+    prisma.passwordResetToken.deleteMany({ where: { userId: user.id } }),
+    prisma.emailVerificationToken.deleteMany({ where: { userId: user.id } }),
+    prisma.userIdentity.deleteMany({ where: { userId: user.id } }),
+    prisma.teamMember.deleteMany({ where: { userId: user.id } }),
+    prisma.zoneAssignment.deleteMany({ where: { userId: user.id } }),
+    prisma.userPermission.deleteMany({ where: { userId: user.id } }),
+    prisma.case.updateMany({
+      where: { assignedToUserId: user.id, status: { not: 'RESOLVED' } },
+      data: { assignedToUserId: null },
+    }),
+    prisma.accountExport.deleteMany({ where: { userId: user.id } }),
+    // Consents are kept as proof of what was accepted, without the device details
+    prisma.consent.updateMany({ where: { userId: user.id }, data: { ipAddress: null, userAgent: null } }),
+    prisma.consentHistory.updateMany({ where: { userId: user.id }, data: { ipAddress: null, userAgent: null } }),
+  ]);
+
+  if (user.photoUrl) {
+    try {
+      const parts = user.photoUrl.split('/');
+      const filename = parts[parts.length - 1].split('.')[0];
+      const folder = parts.slice(parts.indexOf('upload') + 2, -1).join('/');
+      await deleteImage(`${folder}/${filename}`);
+    } catch (err) {
+      logger.error(`Error deleting profile photo of closed account ${user.id}: ${err.message}`);
+    }
+  }
+
+  if (user.organizationId) {
+    await statisticsService.invalidateStatsCache(user.organizationId);
+  }
+
+  await logAudit(user.id, 'delete_account', 'user', user.id, {
+    role: user.role,
+    organizationId: user.organizationId,
+  });
+  logger.info(`Account ${user.id} deleted by its owner`);
+};
+
+module.exports = {
+  collectAccountData,
+  buildAccountExport,
+  getAccountExport,
+  purgeExpiredExports,
+  deleteAccount,
+};
@@ -0,0 +1,224 @@
+/**
+ * Account Lockout Service
+ * Per-account failed login counters with progressive lockout.
+ * Uses Redis when it is connected and an in-memory store otherwise.
+ */
+
+const { redisClient } = require('../../config/redis');
+const logger = require('../../config/logger');
+const AppError = require('../../utils/errors');
+const env = require('../../config/env');
+const { addEmailJob } = require('../../queues');
+const { logAudit } = require('../audit/audit.service');
+
+// 5 failures within 15 minutes lock the account
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPTS_WINDOW_SECONDS = 15 * 60;
+
+// Each new lockout within 24 hours lasts longer: 15 minutes, 1 hour, 24 hours
+const LOCK_DURATIONS_SECONDS = [15 * 60, 60 * 60, 24 * 60 * 60];
+const LOCK_LEVEL_TTL_SECONDS = 24 * 60 * 60;
+
+const FAILURES_PREFIX = 'login_failures:';
+const LOCK_PREFIX = 'login_lock:';
+const LOCK_LEVEL_PREFIX = 'login_lock_level:';
+
+// ============================================================================
+// MEMORY STORE (when Redis is unavailable)
+// ============================================================================
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, mode, seconds) {
+    const expiresAt = mode === 'EX' ? Date.now() + seconds * 1000 : null;
+    this.entries.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async incr(key) {
+    const entry = this.read(key);
+    const value = entry ? parseInt(entry.value, 10) + 1 : 1;
+    this.entries.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.read(key);
+    if (entry) {
+      entry.expiresAt = Date.now() + seconds * 1000;
+    }
+    return entry ? 1 : 0;
+  }
+
+  async ttl(key) {
+    const entry = this.read(key);
+    if (!entry) return -2;
+    if (!entry.expiresAt) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async del(...keys) {
+    keys.forEach((key) => this.entries.delete(key));
+    return keys.length;
+  }
+}
+
+const memoryStore = new MemoryStore();
+
+/**
+ * Returns the store to use for this call (Redis may connect or drop at runtime)
+ * @returns {Object} Redis client or memory store
+ */
+const getStore = () => {
+  if (redisClient.status === 'ready') {
+    return redisClient;
+  }
+  return memoryStore;
+};
+
+/**
+ * Normalizes the email used as counter key
+ * @param {string} email - Login email
+ * @returns {string} Normalized email
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Throws if the account is currently locked.
+ * Counters are kept per email, whether or not the account exists, so the
+ * lockout response does not reveal which emails are registered.
+ *
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ */
+const assertNotLocked = async (email) => {
+  const key = `${LOCK_PREFIX}${normalizeEmail(email)}`;
+  const store = getStore();
+
+  if (!(await store.get(key))) {
+    return;
+  }
+
+  const secondsLeft = await store.ttl(key);
+  const minutesLeft = Math.max(1, Math.ceil(secondsLeft / 60));
+
+  throw new AppError(
+    `Account temporarily locked due to too many failed login attempts. Try again in ${minutesLeft} minutes.`,
+    423
+  );
+};
+
+/**
+ * Records a failed login. When the threshold is reached the account is locked,
+ * the lockout is audited and the owner is notified by email.
+ *
+ * @param {string} email - Login email
+ * @param {Object} [user] - Matching user, if the account exists
+ * @param {string} [ipAddress] - IP address of the attempt
+ * @returns {Promise<boolean>} True if this attempt locked the account
+ */
+const recordFailedAttempt = async (email, user = null, ipAddress = null) => {
+  const normalizedEmail = normalizeEmail(email);
+  const store = getStore();
+  const failuresKey = `${FAILURES_PREFIX}${normalizedEmail}`;
+
+  const failures = await store.incr(failuresKey);
+  if (failures === 1) {
+    await store.expire(failuresKey, FAILED_ATTEMPTS_WINDOW_SECONDS);
+  }
+
+  if (failures < MAX_FAILED_ATTEMPTS) {
+    return false;
+  }
+
+  const levelKey = `${LOCK_LEVEL_PREFIX}${normalizedEmail}`;
+  const level = await store.incr(levelKey);
+  await store.expire(levelKey, LOCK_LEVEL_TTL_SECONDS);
+
+  const lockSeconds = LOCK_DURATIONS_SECONDS[Math.min(level, LOCK_DURATIONS_SECONDS.length) - 1];
+  await store.set(`${LOCK_PREFIX}${normalizedEmail}`, level, 'EX', lockSeconds);
+  await store.del(failuresKey);
+
+  logger.warn(`Account ${normalizedEmail} locked for ${lockSeconds}s after ${failures} failed logins`);
+
+  if (user) {
+    await logAudit(
+      user.id,
+      'account_locked',
+      'user',
+      user.id,
+      { failedAttempts: failures, lockLevel: level, lockedForSeconds: lockSeconds },
+      ipAddress
+    );
+
+    await addEmailJob({
+      to: user.email,
+      subject: 'Tu cuenta fue bloqueada temporalmente',
+      template: 'account-locked',
+      templateData: {
+        name: user.name || user.email,
+        lockedMinutes: Math.round(lockSeconds / 60),
+        ipAddress,
+        resetLink: `${env.FRONTEND_URL}/forgot-password`,
+      },
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Clears the failed attempt counter after a successful login.
+ * The lock level is kept so repeated lockouts keep escalating.
+ *
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ */
+const clearFailedAttempts = async (email) => {
+  await getStore().del(`${FAILURES_PREFIX}${normalizeEmail(email)}`);
+};
+
+/**
+ * Removes the lock, the counter and the lock level of an account.
+ *
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} True if the account was locked
+ */
+const unlockAccount = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+  const store = getStore();
+  const wasLocked = !!(await store.get(`${LOCK_PREFIX}${normalizedEmail}`));
+
+  await store.del(
+    `${LOCK_PREFIX}${normalizedEmail}`,
+    `${FAILURES_PREFIX}${normalizedEmail}`,
+    `${LOCK_LEVEL_PREFIX}${normalizedEmail}`
+  );
+
+  return wasLocked;
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  assertNotLocked,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  unlockAccount,
+};
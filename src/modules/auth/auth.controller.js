@@ -1,9 +1,26 @@
 const authService = require('./auth.service');
+const emailVerificationService = require('./email-verification.service');
+const twoFactorService = require('./two-factor.service');
+const accountDataService = require('./account-data.service');
 
 const sessionService = require('../sessions/session.service');
 const { uploadImage, deleteImage } = require('../../config/cloudinary');
 const { bufferToBase64 } = require('../../utils/file.utils');
 
+/**
+ * Answers a login that needs a second factor.
+ * 
+ * @param {Object} res - Express response object
+ * @param {string} challengeToken - Short-lived challenge token
+ */
+const sendTwoFactorChallenge = (res, challengeToken) => {
+  res.status(200).json({
+    status: 'success',
+    twoFactorRequired: true,
+    challengeToken,
+  });
+};
+
 /**
  * Registers a new user.
  * 
@@ -19,10 +36,11 @@ const { bufferToBase64 } = require('../../utils/file.utils');
  */
 const register = async (req, res, next) => {
   try {
-    const { user, token, refreshToken } = await authService.register(req.body);
-    
-    // Create session
-    await sessionService.createSession(user.id, token, req.headers['user-agent'], req.ip);
+    const { user, token, refreshToken } = await authService.register(
+      req.body,
+      req.ip,
+      req.headers['user-agent']
+    );
 
     res.status(201).json({
       status: 'success',
@@ -48,15 +66,19 @@ const register = async (req, res, next) => {
 const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
-    const { user, token, refreshToken } = await authService.login(email, password);
+    const result = await authService.login(email, password, req.ip, req.headers['user-agent']);
 
-    // Create session
-    await sessionService.createSession(user.id, token, req.headers['user-agent'], req.ip);
+    if (result.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, result.challengeToken);
+    }
+
+    const { user, token, refreshToken, twoFactorSetupRequired } = result;
 
     res.status(200).json({
       status: 'success',
       token,
       refreshToken,
+      twoFactorSetupRequired,
       data: { user },
     });
   } catch (err) {
@@ -65,7 +87,7 @@ const login = async (req, res, next) => {
 };
 
 /**
- * Logs out a user by revoking their token.
+ * Logs out a user by ending the session of their token.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -76,7 +98,8 @@ const logout = async (req, res, next) => {
     const token = req.token || (req.headers.authorization && req.headers.authorization.split(' ')[1]);
     
     if (token) {
-      await sessionService.revokeToken(token, req.user?.id, 'User logout');
+      // Ends the session, so its refresh token stops working too
+      await sessionService.revokeSessionByToken(token, req.user?.id, 'User logout');
     }
 
     res.status(200).json({
@@ -100,7 +123,7 @@ const logout = async (req, res, next) => {
 const refresh = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
-    const result = await authService.refresh(refreshToken);
+    const result = await authService.refresh(refreshToken, req.ip);
     res.status(200).json({
       status: 'success',
       token: result.token,
@@ -163,6 +186,58 @@ const updateMe = async (req, res, next) => {
   }
 };
 
+/**
+ * Downloads the data of the current user.
+ * The export is built in the background: until it is ready, answers 202 with its status.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const exportMe = async (req, res, next) => {
+  try {
+    const accountExport = await accountDataService.getAccountExport(req.user.id);
+
+    if (accountExport.status !== 'READY') {
+      const { id, status, createdAt, error } = accountExport;
+      return res.status(202).json({
+        status: 'success',
+        data: { export: { id, status, createdAt, error } },
+      });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename=account-export-${accountExport.id}.json`);
+    res.status(200).json(accountExport.data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Closes the account of the current user (anonymized, not removed).
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user
+ * @param {string} [req.body.password] - Current password (optional after a recent Firebase or SSO login)
+ * @param {string} [req.body.code] - 6-digit TOTP code (when 2FA is enabled)
+ * @param {string} [req.body.recoveryCode] - Single-use recovery code
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const deleteMe = async (req, res, next) => {
+  try {
+    await accountDataService.deleteAccount(req.user, req.body, req.token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account deleted.',
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Logs in or registers a user via Firebase (Social Login).
  * 
@@ -175,8 +250,69 @@ const updateMe = async (req, res, next) => {
 const firebaseLogin = async (req, res, next) => {
   try {
     const { idToken } = req.body;
-    const { user, token, refreshToken } = await authService.firebaseLogin(idToken);
+    const result = await authService.firebaseLogin(idToken, req.ip, req.headers['user-agent']);
+
+    if (result.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, result.challengeToken);
+    }
+
+    const { user, token, refreshToken } = result;
+    res.status(200).json({
+      status: 'success',
+      token,
+      refreshToken,
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Starts an organization SSO login.
+ * The client redirects the browser to the returned authorization URL.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.organizationId - Organization ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const ssoAuthorize = async (req, res, next) => {
+  try {
+    const { authorizationUrl } = await authService.ssoAuthorize(req.params.organizationId);
+
     res.status(200).json({
+      status: 'success',
+      data: { authorizationUrl },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Completes an organization SSO login with the code and state the identity
+ * provider sent to the redirect URI.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Authorization code
+ * @param {string} req.body.state - State from the authorization request
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const ssoCallback = async (req, res, next) => {
+  try {
+    const { code, state } = req.body;
+    const result = await authService.ssoLogin(code, state, req.ip, req.headers['user-agent']);
+
+    if (result.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, result.challengeToken);
+    }
+
+    const { user, token, refreshToken, provisioned } = result;
+    res.status(provisioned ? 201 : 200).json({
       status: 'success',
       token,
       refreshToken,
@@ -187,11 +323,246 @@ const firebaseLogin = async (req, res, next) => {
   }
 };
 
+/**
+ * Starts the password reset flow.
+ * Always answers with the same message, whether or not the email exists.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Email of the account to reset
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    await authService.requestPasswordReset(req.body.email, req.ip);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If the email is registered, a password reset link has been sent.',
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Sets a new password using a reset token.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - Reset token received by email
+ * @param {string} req.body.password - New password
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    await authService.resetPassword(token, password);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset. Please log in again.',
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Confirms an email address.
+ * The token comes from the query string (verification link) or from the body
+ * together with the new password (organization invitations).
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.token] - Verification token
+ * @param {Object} [req.body] - Request body
+ * @param {string} [req.body.token] - Verification token
+ * @param {string} [req.body.password] - Password chosen by an invited user
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const token = req.query.token || req.body.token;
+    const user = await emailVerificationService.verifyEmail(token, req.body?.password);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully.',
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Sends a new verification email.
+ * Always answers with the same message to avoid disclosing registered emails.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Account email
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    await emailVerificationService.resendVerification(req.body.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If the account exists and is not verified, a new verification email has been sent.',
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Completes a two-step login with a TOTP code or a recovery code.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.challengeToken - Challenge token returned by login
+ * @param {string} [req.body.code] - 6-digit TOTP code
+ * @param {string} [req.body.recoveryCode] - Single-use recovery code
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const { user, token, refreshToken } = await authService.verifyTwoFactorLogin(
+      challengeToken,
+      { code, recoveryCode },
+      req.ip,
+      req.headers['user-agent']
+    );
+
+    res.status(200).json({
+      status: 'success',
+      token,
+      refreshToken,
+      data: { user },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Starts 2FA enrollment for the current user.
+ * Returns the secret and the otpauth:// URI to render as a QR code.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactorService.setupTwoFactor(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: { secret, otpauthUrl },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Enables 2FA after confirming a code from the authenticator app.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user
+ * @param {string} req.body.code - 6-digit TOTP code
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await twoFactorService.enableTwoFactor(req.user, req.body.code);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+      data: { recoveryCodes },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Disables 2FA for the current user.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user
+ * @param {string} req.body.password - Current password
+ * @param {string} [req.body.code] - 6-digit TOTP code
+ * @param {string} [req.body.recoveryCode] - Single-use recovery code
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    await twoFactorService.disableTwoFactor(req.user, password, { code, recoveryCode });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled.',
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Replaces the recovery codes of the current user.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user
+ * @param {string} req.body.code - 6-digit TOTP code
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+    res.status(200).json({
+      status: 'success',
+      data: { recoveryCodes },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   register,
   login,
   refresh,
   updateMe,
+  exportMe,
+  deleteMe,
   firebaseLogin,
+  ssoAuthorize,
+  ssoCallback,
   logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 };
@@ -1,7 +1,24 @@
 const express = require('express');
 const authController = require('./auth.controller');
 const validateRequest = require('../../middlewares/validateRequest');
-const { registerSchema, loginSchema, refreshTokenSchema, updateMeSchema, firebaseLoginSchema } = require('./auth.validators');
+const {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  updateMeSchema,
+  firebaseLoginSchema,
+  ssoAuthorizeSchema,
+  ssoCallbackSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  activateAccountSchema,
+  resendVerificationSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  deleteMeSchema,
+} = require('./auth.validators');
 const { protect } = require('../../middlewares/auth.middleware');
 const { authLimiter } = require('../../middlewares/rate-limit.middleware');
 
@@ -12,6 +29,30 @@ const router = express.Router();
 router.post('/register', authLimiter, validateRequest(registerSchema), authController.register);
 router.post('/login', authLimiter, validateRequest(loginSchema), authController.login);
 router.post('/refresh', authLimiter, validateRequest(refreshTokenSchema), authController.refresh);
+router.post('/forgot-password', authLimiter, validateRequest(forgotPasswordSchema), authController.forgotPassword);
+router.post('/reset-password', authLimiter, validateRequest(resetPasswordSchema), authController.resetPassword);
+
+// Email verification (GET for plain verification links, POST for invitations that set a password)
+router.get('/verify-email', authLimiter, validateRequest(verifyEmailSchema), authController.verifyEmail);
+router.post('/verify-email', authLimiter, validateRequest(activateAccountSchema), authController.verifyEmail);
+router.post(
+  '/resend-verification',
+  authLimiter,
+  validateRequest(resendVerificationSchema),
+  authController.resendVerification
+);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/verify', authLimiter, validateRequest(twoFactorLoginSchema), authController.verifyTwoFactor);
+router.post('/2fa/setup', protect, authController.setupTwoFactor);
+router.post('/2fa/enable', protect, validateRequest(twoFactorCodeSchema), authController.enableTwoFactor);
+router.post('/2fa/disable', protect, validateRequest(disableTwoFactorSchema), authController.disableTwoFactor);
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  validateRequest(twoFactorCodeSchema),
+  authController.regenerateRecoveryCodes
+);
 
 router.patch(
   '/me',
@@ -21,6 +62,10 @@ router.patch(
   authController.updateMe
 );
 
+// Own data: export (built in the background) and account deletion
+router.get('/me/export', protect, authController.exportMe);
+router.delete('/me', protect, validateRequest(deleteMeSchema), authController.deleteMe);
+
 router.post(
   '/firebase-login',
   authLimiter,
@@ -28,6 +73,15 @@ router.post(
   authController.firebaseLogin
 );
 
+// Organization single sign-on (OIDC)
+router.get(
+  '/sso/:organizationId/authorize',
+  authLimiter,
+  validateRequest(ssoAuthorizeSchema),
+  authController.ssoAuthorize
+);
+router.post('/sso/callback', authLimiter, validateRequest(ssoCallbackSchema), authController.ssoCallback);
+
 router.post('/logout', protect, authController.logout);
 
 module.exports = router;
@@ -1,7 +1,47 @@
 const prisma = require('../../prismaClient');
 const bcrypt = require('bcrypt');
-const { signToken, signRefreshToken, verifyRefreshToken } = require('../../utils/jwt');
+const { signToken, signTwoFactorChallenge, verifyTwoFactorChallenge } = require('../../utils/jwt');
+const { generateOpaqueToken, hashToken } = require('../../utils/token.utils');
 const AppError = require('../../utils/errors');
+const env = require('../../config/env');
+const sessionService = require('../sessions/session.service');
+const emailVerificationService = require('./email-verification.service');
+const twoFactorService = require('./two-factor.service');
+const accountLockout = require('./account-lockout.service');
+const oidcService = require('./oidc.service');
+const { addEmailJob } = require('../../queues');
+const { logAudit } = require('../audit/audit.service');
+
+// Reset links are valid for 1 hour (matches the 'password-reset' email template)
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Removes credentials and 2FA secrets from a user before returning it to the client.
+ * 
+ * @param {Object} user - User record
+ * @returns {Object} User without sensitive fields
+ */
+const toPublicUser = (user) => {
+  const { password, refreshToken, twoFactorSecret, twoFactorLastStep, ...publicUser } = user;
+  return publicUser;
+};
+
+/**
+ * Starts a session for a user and issues its access/refresh token pair.
+ * The refresh token is the first one of the session's rotation family.
+ * 
+ * @param {Object} user - Authenticated user
+ * @param {string} [ipAddress] - Client IP address
+ * @param {string} [deviceInfo] - Client user agent
+ * @returns {Promise<Object>} Object containing user, token, and refreshToken
+ */
+const issueTokens = async (user, ipAddress, deviceInfo) => {
+  const token = signToken(user.id);
+  const session = await sessionService.createSession(user.id, token, deviceInfo, ipAddress);
+  const refreshToken = await sessionService.issueRefreshToken(session.id, user.id);
+
+  return { user: toPublicUser(user), token, refreshToken };
+};
 
 /**
  * Creates a new user in the database.
@@ -12,9 +52,11 @@ const AppError = require('../../utils/errors');
  * @param {string} data.name - User name
  * @param {string} [data.role] - User role
  * @param {boolean} data.acceptedTerms - Whether terms are accepted
+ * @param {string} [ipAddress] - Client IP address
+ * @param {string} [deviceInfo] - Client user agent
  * @returns {Promise<Object>} Object containing user, token, and refreshToken
  */
-const register = async (data) => {
+const register = async (data, ipAddress, deviceInfo) => {
   const { email, password, name, role, acceptedTerms } = data;
 
   const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -31,75 +73,104 @@ const register = async (data) => {
       name,
       role: role || 'VOLUNTEER',
       acceptedTerms: acceptedTerms,
+      emailVerified: false,
     },
   });
 
-  const token = signToken(user.id);
-  const refreshToken = signRefreshToken(user.id);
-
-  // Save refresh token (hashed ideally, but for now plain or hashed?)
-  // User request said "Refresh Tokens". Storing in DB is good practice for revocation.
-  // I added refreshToken field to User model.
-  await prisma.user.update({
-    where: { id: user.id },
-    data: { refreshToken },
-  });
+  await emailVerificationService.issueVerificationToken(user);
 
-  return { user, token, refreshToken };
+  return issueTokens(user, ipAddress, deviceInfo);
 };
 
 /**
  * Authenticates a user with email and password.
+ * Users with 2FA enabled get a short-lived challenge token instead of the
+ * token pair; the login is completed with `verifyTwoFactorLogin`.
+ * 
+ * Failed attempts are counted per account; too many lock it temporarily.
  * 
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Promise<Object>} Object containing user, token, and refreshToken
+ * @param {string} [ipAddress] - IP address of the attempt
+ * @param {string} [deviceInfo] - Client user agent
+ * @returns {Promise<Object>} Object containing user, token, and refreshToken,
+ *   or { twoFactorRequired: true, challengeToken }
  */
-const login = async (email, password) => {
+const login = async (email, password, ipAddress, deviceInfo) => {
+  await accountLockout.assertNotLocked(email);
+
   const user = await prisma.user.findUnique({ where: { email } });
 
-  if (!user || !(await bcrypt.compare(password, user.password))) {
+  // Service accounts (API keys) cannot log in
+  if (!user || user.isServiceAccount || !(await bcrypt.compare(password, user.password))) {
+    await accountLockout.recordFailedAttempt(email, user, ipAddress);
     throw new AppError('Incorrect email or password', 401);
   }
 
-  const token = signToken(user.id);
-  const refreshToken = signRefreshToken(user.id);
+  await accountLockout.clearFailedAttempts(email);
 
-  await prisma.user.update({
-    where: { id: user.id },
-    data: { refreshToken },
-  });
+  if (user.twoFactorEnabled) {
+    return { twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user.id) };
+  }
+
+  const result = await issueTokens(user, ipAddress, deviceInfo);
+  const twoFactorSetupRequired = await twoFactorService.isTwoFactorRequired(user);
 
-  return { user, token, refreshToken };
+  return { ...result, twoFactorSetupRequired };
 };
 
 /**
- * Refreshes an access token.
+ * Completes a two-step login with a TOTP code or a recovery code.
  * 
- * @param {string} token - Refresh token
- * @returns {Promise<Object>} Object containing new token and new refreshToken
+ * Wrong codes count as failed login attempts of the account.
+ * 
+ * @param {string} challengeToken - Challenge token returned by `login`
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {string} [ipAddress] - IP address of the attempt
+ * @param {string} [deviceInfo] - Client user agent
+ * @returns {Promise<Object>} Object containing user, token, and refreshToken
  */
-const refresh = async (token) => {
+const verifyTwoFactorLogin = async (challengeToken, factor, ipAddress, deviceInfo) => {
+  let decoded;
   try {
-    const decoded = verifyRefreshToken(token);
-    const user = await prisma.user.findUnique({ where: { id: decoded.id } });
+    decoded = verifyTwoFactorChallenge(challengeToken);
+  } catch (err) {
+    throw new AppError('Two-factor challenge is invalid or has expired', 401);
+  }
 
-    if (!user || user.refreshToken !== token) {
-      throw new AppError('Invalid refresh token', 401);
-    }
+  const user = await prisma.user.findUnique({ where: { id: decoded.id } });
 
-    const newToken = signToken(user.id);
-    const newRefreshToken = signRefreshToken(user.id);
+  if (!user || !user.twoFactorEnabled) {
+    throw new AppError('Two-factor challenge is invalid or has expired', 401);
+  }
 
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { refreshToken: newRefreshToken },
-    });
+  await accountLockout.assertNotLocked(user.email);
 
-    return { token: newToken, refreshToken: newRefreshToken };
+  try {
+    await twoFactorService.verifySecondFactor(user, factor);
   } catch (err) {
-    throw new AppError('Invalid refresh token', 401);
+    await accountLockout.recordFailedAttempt(user.email, user, ipAddress);
+    throw err;
   }
+
+  await accountLockout.clearFailedAttempts(user.email);
+
+  return issueTokens(user, ipAddress, deviceInfo);
+};
+
+/**
+ * Refreshes an access token.
+ * Refresh tokens rotate: each one can be used once and is replaced by a new one.
+ * Reusing a rotated token revokes the whole session.
+ * 
+ * @param {string} token - Refresh token
+ * @param {string} [ipAddress] - Client IP address
+ * @returns {Promise<Object>} Object containing new token and new refreshToken
+ */
+const refresh = async (token, ipAddress) => {
+  const result = await sessionService.rotateRefreshToken(token, ipAddress);
+
+  return { token: result.token, refreshToken: result.refreshToken };
 };
 
 /**
@@ -131,7 +202,14 @@ const updateUser = async (userId, updateData) => {
     }
   }
 
-  return await prisma.user.update({
+  // A new email address has to be verified again
+  const emailChanged = updateData.email && updateData.email !== user.email;
+  if (emailChanged) {
+    updateData.emailVerified = false;
+    updateData.emailVerifiedAt = null;
+  }
+
+  const updatedUser = await prisma.user.update({
     where: { id: userId },
     data: updateData,
     select: { 
@@ -141,11 +219,18 @@ const updateUser = async (userId, updateData) => {
       photoUrl: true, 
       role: true, 
       acceptedTerms: true,
+      emailVerified: true,
       createdAt: true,
       updatedAt: true,
       organizationId: true
     },
   });
+
+  if (emailChanged) {
+    await emailVerificationService.issueVerificationToken(updatedUser);
+  }
+
+  return updatedUser;
 };
 
 /**
@@ -153,9 +238,11 @@ const updateUser = async (userId, updateData) => {
  * Creates a new user if one doesn't exist.
  * 
  * @param {string} idToken - Firebase ID Token
+ * @param {string} [ipAddress] - Client IP address
+ * @param {string} [deviceInfo] - Client user agent
  * @returns {Promise<Object>} Object containing user, token, and refreshToken
  */
-const firebaseLogin = async (idToken) => {
+const firebaseLogin = async (idToken, ipAddress, deviceInfo) => {
   const firebaseAdmin = require('../../config/firebase'); // Import initialized firebase-admin instance
   
   if (!firebaseAdmin || typeof firebaseAdmin.auth !== 'function') {
@@ -184,25 +271,155 @@ const firebaseLogin = async (idToken) => {
       });
     }
 
-    // Generate our own JWT and refresh token
-    const token = signToken(user.id);
-    const refreshToken = signRefreshToken(user.id);
-
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { refreshToken },
-    });
+    // The Firebase token replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return { twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user.id) };
+    }
 
-    return { user, token, refreshToken };
+    // Generate our own JWT and refresh token
+    return await issueTokens(user, ipAddress, deviceInfo);
   } catch (error) {
     throw new AppError(`Firebase authentication failed: ${error.message}`, 401);
   }
 };
 
+/**
+ * Starts an organization SSO login.
+ * 
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} { authorizationUrl, state }
+ */
+const ssoAuthorize = async (organizationId) => {
+  return oidcService.getAuthorizationUrl(organizationId);
+};
+
+/**
+ * Completes an organization SSO login (OIDC authorization code + PKCE).
+ * Users are provisioned into the organization on their first login.
+ * Like Firebase, the identity provider replaces the password, not the second factor.
+ * 
+ * @param {string} code - Authorization code from the identity provider
+ * @param {string} state - State from `ssoAuthorize`
+ * @param {string} [ipAddress] - Client IP address
+ * @param {string} [deviceInfo] - Client user agent
+ * @returns {Promise<Object>} Object containing user, token, refreshToken and provisioned,
+ *   or { twoFactorRequired: true, challengeToken }
+ */
+const ssoLogin = async (code, state, ipAddress, deviceInfo) => {
+  const { user, provisioned, organizationId } = await oidcService.completeLogin(code, state);
+
+  await logAudit(
+    user.id,
+    provisioned ? 'sso_user_provisioned' : 'sso_login',
+    'user',
+    user.id,
+    { organizationId },
+    ipAddress
+  );
+
+  if (user.twoFactorEnabled) {
+    return { twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user.id), provisioned };
+  }
+
+  const result = await issueTokens(user, ipAddress, deviceInfo);
+  return { ...result, provisioned };
+};
+
+/**
+ * Issues a single-use password reset token and emails the reset link.
+ * Silently does nothing for unknown emails so the endpoint cannot be used
+ * to discover which addresses are registered.
+ * 
+ * @param {string} email - Email of the account to reset
+ * @param {string} [ipAddress] - IP address that requested the reset
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email, ipAddress) => {
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) {
+    return;
+  }
+
+  // Only the most recent link should work
+  await prisma.passwordResetToken.updateMany({
+    where: { userId: user.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  const token = generateOpaqueToken();
+
+  await prisma.passwordResetToken.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+      ipAddress,
+    },
+  });
+
+  await addEmailJob({
+    to: user.email,
+    subject: 'Restablecer contraseña',
+    template: 'password-reset',
+    templateData: {
+      name: user.name || user.email,
+      resetLink: `${env.FRONTEND_URL}/reset-password?token=${token}`,
+    },
+  });
+};
+
+/**
+ * Sets a new password using a reset token.
+ * The token is consumed, every active session of the user is revoked and the
+ * account lockout is lifted: the owner proved access to the mailbox.
+ * 
+ * @param {string} token - Plain reset token received by email
+ * @param {string} newPassword - New password
+ * @returns {Promise<void>}
+ */
+const resetPassword = async (token, newPassword) => {
+  const resetToken = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+    throw new AppError('Password reset token is invalid or has expired', 400);
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+  const user = await prisma.$transaction(async (tx) => {
+    // Claim the token: of two resets racing with the same link only one gets it
+    const now = new Date();
+    const claimed = await tx.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+
+    if (claimed.count !== 1) {
+      throw new AppError('Password reset token is invalid or has expired', 400);
+    }
+
+    return tx.user.update({
+      where: { id: resetToken.userId },
+      data: { password: hashedPassword, refreshToken: null },
+      select: { id: true, email: true },
+    });
+  });
+
+  await sessionService.revokeAllUserSessions(user.id);
+  await accountLockout.unlockAccount(user.email);
+};
+
 module.exports = {
   register,
   login,
   refresh,
   updateUser,
   firebaseLogin,
+  ssoAuthorize,
+  ssoLogin,
+  verifyTwoFactorLogin,
+  requestPasswordReset,
+  resetPassword,
 };
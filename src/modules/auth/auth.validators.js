@@ -38,10 +38,103 @@ const firebaseLoginSchema = z.object({
   }),
 });
 
+const ssoAuthorizeSchema = z.object({
+  params: z.object({
+    organizationId: z.string().uuid('Invalid organization ID'),
+  }),
+});
+
+const ssoCallbackSchema = z.object({
+  body: z.object({
+    code: z.string().min(1, 'Authorization code is required'),
+    state: z.string().min(1, 'State is required'),
+  }),
+});
+
+const forgotPasswordSchema = z.object({
+  body: z.object({
+    email: z.string().email('Invalid email address'),
+  }),
+});
+
+const resetPasswordSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, 'Reset token is required'),
+    password: z.string().min(6, 'Password must be at least 6 characters'),
+  }),
+});
+
+const verifyEmailSchema = z.object({
+  query: z.object({
+    token: z.string().min(1, 'Verification token is required'),
+  }),
+});
+
+const activateAccountSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, 'Verification token is required'),
+    password: z.string().min(6, 'Password must be at least 6 characters').optional(),
+  }),
+});
+
+const resendVerificationSchema = z.object({
+  body: z.object({
+    email: z.string().email('Invalid email address'),
+  }),
+});
+
+const totpCode = z.string().regex(/^\d{6}$/, 'Code must be 6 digits');
+
+const twoFactorLoginSchema = z.object({
+  body: z.object({
+    challengeToken: z.string().min(1, 'Challenge token is required'),
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).optional(),
+  }).refine((body) => body.code || body.recoveryCode, {
+    message: 'A code or a recovery code is required',
+  }),
+});
+
+const twoFactorCodeSchema = z.object({
+  body: z.object({
+    code: totpCode,
+  }),
+});
+
+const disableTwoFactorSchema = z.object({
+  body: z.object({
+    password: z.string().min(1, 'Password is required'),
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).optional(),
+  }).refine((body) => body.code || body.recoveryCode, {
+    message: 'A code or a recovery code is required',
+  }),
+});
+
+// Accounts that sign in through Firebase or SSO may confirm with a recent login instead
+const deleteMeSchema = z.object({
+  body: z.object({
+    password: z.string().min(1).optional(),
+    code: totpCode.optional(),
+    recoveryCode: z.string().min(1).optional(),
+  }),
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
   refreshTokenSchema,
   updateMeSchema,
   firebaseLoginSchema,
+  ssoAuthorizeSchema,
+  ssoCallbackSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  activateAccountSchema,
+  resendVerificationSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  deleteMeSchema,
 };
@@ -0,0 +1,150 @@
+/**
+ * Email Verification Service
+ * Issues and consumes email verification tokens (self-registration and invites)
+ */
+
+const prisma = require('../../prismaClient');
+const bcrypt = require('bcrypt');
+const { generateOpaqueToken, hashToken } = require('../../utils/token.utils');
+const AppError = require('../../utils/errors');
+const env = require('../../config/env');
+const { addEmailJob } = require('../../queues');
+
+// Verification links expire after 24 hours, invitation links after 7 days
+const TOKEN_TTL_MS = {
+  VERIFY: 24 * 60 * 60 * 1000,
+  INVITE: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Creates a verification token for a user and queues the email with the link.
+ * Any previous pending token of the user stops working.
+ *
+ * @param {Object} user - User receiving the email
+ * @param {string} [type='VERIFY'] - 'VERIFY' or 'INVITE'
+ * @param {Object} [templateData] - Extra data for the email template (e.g. organizationName)
+ * @returns {Promise<void>}
+ */
+const issueVerificationToken = async (user, type = 'VERIFY', templateData = {}) => {
+  await prisma.emailVerificationToken.updateMany({
+    where: { userId: user.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  const token = generateOpaqueToken();
+
+  await prisma.emailVerificationToken.create({
+    data: {
+      userId: user.id,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+    },
+  });
+
+  const isInvite = type === 'INVITE';
+  const path = isInvite ? 'activate-account' : 'verify-email';
+
+  await addEmailJob({
+    to: user.email,
+    subject: isInvite ? 'Activá tu cuenta en Abrazar' : 'Verificá tu email',
+    template: isInvite ? 'account-invite' : 'verify-email',
+    templateData: {
+      name: user.name || user.email,
+      verifyLink: `${env.FRONTEND_URL}/${path}?token=${token}`,
+      ...templateData,
+    },
+  });
+};
+
+/**
+ * Confirms an email address with a verification token.
+ * Invitation tokens also require the password the user chooses for the account.
+ *
+ * @param {string} token - Plain token received by email
+ * @param {string} [password] - New password (required for invitations)
+ * @returns {Promise<Object>} Verified user
+ */
+const verifyEmail = async (token, password) => {
+  const verificationToken = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!verificationToken || verificationToken.usedAt || verificationToken.expiresAt < new Date()) {
+    throw new AppError('Verification token is invalid or has expired', 400);
+  }
+
+  const userData = {
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  };
+
+  if (verificationToken.type === 'INVITE') {
+    if (!password) {
+      throw new AppError('A password is required to activate this account', 400);
+    }
+    userData.password = await bcrypt.hash(password, 12);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Claim the token: of two requests racing with the same link only one gets it
+    const now = new Date();
+    const claimed = await tx.emailVerificationToken.updateMany({
+      where: { id: verificationToken.id, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+
+    if (claimed.count !== 1) {
+      throw new AppError('Verification token is invalid or has expired', 400);
+    }
+
+    return tx.user.update({
+      where: { id: verificationToken.userId },
+      data: userData,
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        emailVerified: true,
+        emailVerifiedAt: true,
+        organizationId: true,
+      },
+    });
+  });
+};
+
+/**
+ * Sends a new verification email for an unverified account.
+ * Silently does nothing for unknown or already verified emails.
+ *
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+const resendVerification = async (email) => {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    include: { organization: { select: { name: true } } },
+  });
+
+  if (!user || user.emailVerified) {
+    return;
+  }
+
+  // Keep the flow the user was in: invited accounts still need to set a password
+  const lastToken = await prisma.emailVerificationToken.findFirst({
+    where: { userId: user.id },
+    orderBy: { createdAt: 'desc' },
+  });
+  const type = lastToken?.type || 'VERIFY';
+
+  await issueVerificationToken(user, type, {
+    organizationName: user.organization?.name,
+  });
+};
+
+module.exports = {
+  issueVerificationToken,
+  verifyEmail,
+  resendVerification,
+};
@@ -0,0 +1,386 @@
+/**
+ * OIDC Service
+ * Organization single sign-on: authorization code flow with PKCE,
+ * ID token validation and just-in-time user provisioning
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const prisma = require('../../prismaClient');
+const { redisClient } = require('../../config/redis');
+const env = require('../../config/env');
+const AppError = require('../../utils/errors');
+const fieldEncryptionService = require('../../services/field-encryption.service');
+const { generateOpaqueToken } = require('../../utils/token.utils');
+const { ORGANIZATION_ROLES } = require('../organizations/organizations.validators');
+
+// The user has 10 minutes to complete the login at the identity provider
+const STATE_TTL_SECONDS = 10 * 60;
+const STATE_PREFIX = 'oidc_state:';
+
+// Discovery documents and signing keys are cached per issuer for an hour
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Redirect URI registered at the identity providers
+ * @returns {string} Redirect URI
+ */
+const getRedirectUri = () => env.OIDC_REDIRECT_URI || `${env.FRONTEND_URL}/auth/sso/callback`;
+
+/**
+ * Encodes bytes as base64url (PKCE verifier and challenge)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base64url string
+ */
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Fetches (and caches) the OpenID Provider configuration of an issuer
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} Discovery document
+ */
+const getProviderMetadata = async (issuer) => {
+  const cached = metadataCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const { data: metadata } = await axios.get(
+    `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+    { timeout: 5000 }
+  );
+
+  if (metadata.issuer !== issuer) {
+    throw new AppError('Identity provider issuer does not match the configuration', 502);
+  }
+
+  metadataCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+  return metadata;
+};
+
+/**
+ * Finds the public key that signed an ID token.
+ * Keys are refetched once when the kid is unknown (key rotation at the provider).
+ *
+ * @param {string} jwksUri - JWKS URL of the provider
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find((key) => key.kid === kid && (!key.use || key.use === 'sig'));
+
+  const cached = jwksCache.get(jwksUri);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { data } = await axios.get(jwksUri, { timeout: 5000 });
+    jwksCache.set(jwksUri, { keys: data.keys || [], expiresAt: Date.now() + METADATA_TTL_MS });
+    jwk = findKey(data.keys || []);
+  }
+
+  if (!jwk) {
+    throw new AppError('ID token signing key not found', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Encryption context of the client secret of an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {string} Context
+ */
+const clientSecretContext = (organizationId) => `organization:${organizationId}:ssoClientSecret`;
+
+/**
+ * Encrypts a client secret for storage (null and undefined are kept as is)
+ * @param {string} organizationId - Organization ID
+ * @param {string|null|undefined} clientSecret - Plain client secret
+ * @returns {string|null|undefined} Stored value
+ */
+const encryptClientSecret = (organizationId, clientSecret) =>
+  clientSecret ? fieldEncryptionService.encryptSecret(clientSecret, clientSecretContext(organizationId)) : clientSecret;
+
+/**
+ * Loads the enabled SSO configuration of an organization, with the client secret decrypted
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} SSO configuration
+ */
+const getSsoConfig = async (organizationId) => {
+  const sso = await prisma.organizationSso.findUnique({
+    where: { organizationId },
+  });
+
+  if (!sso || !sso.enabled) {
+    throw new AppError('Single sign-on is not configured for this organization', 404);
+  }
+
+  return {
+    ...sso,
+    clientSecret: fieldEncryptionService.decryptSecret(sso.clientSecret, clientSecretContext(organizationId)),
+  };
+};
+
+/**
+ * Reads a claim, following dot paths such as "realm_access.roles"
+ * @param {Object} claims - ID token claims
+ * @param {string} path - Claim name or path
+ * @returns {*} Claim value
+ */
+const getClaim = (claims, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * Maps the role claim to an organization role. When several values match,
+ * the most privileged role wins. Global ADMIN can never be granted by SSO.
+ *
+ * @param {Object} sso - SSO configuration (roleClaim, roleMapping)
+ * @param {Object} claims - ID token claims
+ * @returns {string|null} Mapped role, or null when nothing matches
+ */
+const mapRole = (sso, claims) => {
+  if (!sso.roleClaim) {
+    return null;
+  }
+
+  const value = getClaim(claims, sso.roleClaim);
+  const values = Array.isArray(value) ? value : [value];
+  const mapping = sso.roleMapping || {};
+
+  const roles = values
+    .map((claimValue) => mapping[String(claimValue)])
+    .filter((role) => ORGANIZATION_ROLES.includes(role));
+
+  if (roles.length === 0) {
+    return null;
+  }
+
+  return ORGANIZATION_ROLES.find((role) => roles.includes(role));
+};
+
+/**
+ * Starts an SSO login: stores state, nonce and PKCE verifier and returns
+ * the URL of the identity provider to send the browser to.
+ *
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} { authorizationUrl, state }
+ */
+const getAuthorizationUrl = async (organizationId) => {
+  const sso = await getSsoConfig(organizationId);
+  const metadata = await getProviderMetadata(sso.issuer);
+
+  const state = generateOpaqueToken(16);
+  const nonce = generateOpaqueToken(16);
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await redisClient.set(
+    `${STATE_PREFIX}${state}`,
+    JSON.stringify({ organizationId, nonce, codeVerifier }),
+    'EX',
+    STATE_TTL_SECONDS
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: sso.clientId,
+    redirect_uri: getRedirectUri(),
+    scope: sso.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return { authorizationUrl: `${metadata.authorization_endpoint}?${params}`, state };
+};
+
+/**
+ * Consumes a login state. Each state works once.
+ * @param {string} state - State returned by the identity provider
+ * @returns {Promise<Object>} { organizationId, nonce, codeVerifier }
+ */
+const consumeState = async (state) => {
+  // Read and delete in one step, so two callbacks racing on a state can't both use it
+  const stored = await redisClient.getdel(`${STATE_PREFIX}${state}`);
+
+  if (!stored) {
+    throw new AppError('SSO login is invalid or has expired. Please start again.', 400);
+  }
+
+  return JSON.parse(stored);
+};
+
+/**
+ * Exchanges the authorization code and validates the returned ID token
+ * @param {Object} sso - SSO configuration
+ * @param {string} code - Authorization code
+ * @param {Object} loginState - { nonce, codeVerifier }
+ * @returns {Promise<Object>} ID token claims
+ */
+const exchangeCode = async (sso, code, { nonce, codeVerifier }) => {
+  const metadata = await getProviderMetadata(sso.issuer);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(),
+    client_id: sso.clientId,
+    code_verifier: codeVerifier,
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (sso.clientSecret) {
+    const credentials = `${encodeURIComponent(sso.clientId)}:${encodeURIComponent(sso.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  let tokens;
+  try {
+    ({ data: tokens } = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: 5000 }));
+  } catch (error) {
+    throw new AppError('The identity provider rejected the login', 401);
+  }
+
+  if (!tokens.id_token) {
+    throw new AppError('The identity provider did not return an ID token', 401);
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: sso.issuer,
+      audience: sso.clientId,
+    });
+  } catch (error) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Finds or creates (just in time) the user of an SSO login.
+ * Users are matched by issuer and subject, then by email within the organization.
+ * Linking an existing account by email needs an email the provider has verified.
+ *
+ * @param {Object} sso - SSO configuration
+ * @param {Object} claims - Validated ID token claims
+ * @returns {Promise<Object>} { user, provisioned }
+ */
+const provisionUser = async (sso, claims) => {
+  const mappedRole = mapRole(sso, claims);
+
+  const identity = await prisma.userIdentity.findUnique({
+    where: { issuer_subject: { issuer: sso.issuer, subject: claims.sub } },
+    include: { user: true },
+  });
+
+  let user = identity?.user;
+  let provisioned = false;
+
+  if (!user) {
+    if (!claims.email) {
+      throw new AppError('The identity provider did not share an email address', 401);
+    }
+    if (claims.email_verified === false) {
+      throw new AppError('The email address is not verified at the identity provider', 401);
+    }
+
+    // Accounts registered before emails were lowercased may differ in case
+    const email = claims.email.toLowerCase();
+    user = await prisma.user.findFirst({ where: { email: { equals: email, mode: 'insensitive' } } });
+
+    if (user && (user.organizationId !== sso.organizationId || user.isServiceAccount)) {
+      throw new AppError('An account with this email already exists outside this organization', 409);
+    }
+
+    // A missing claim is not proof of ownership of an existing account
+    if (user && claims.email_verified !== true) {
+      throw new AppError('The email address is not verified at the identity provider', 401);
+    }
+
+    if (!user) {
+      user = await prisma.user.create({
+        data: {
+          email,
+          name: claims.name || email.split('@')[0],
+          // Random password nobody knows: the account signs in through SSO
+          password: await bcrypt.hash(generateOpaqueToken(), 10),
+          role: mappedRole || sso.defaultRole,
+          organizationId: sso.organizationId,
+          acceptedTerms: true,
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+        },
+      });
+      provisioned = true;
+    }
+
+    await prisma.userIdentity.create({
+      data: { userId: user.id, issuer: sso.issuer, subject: claims.sub, lastLoginAt: new Date() },
+    });
+  } else {
+    if (user.organizationId !== sso.organizationId) {
+      throw new AppError('This account no longer belongs to the organization', 403);
+    }
+
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date() },
+    });
+  }
+
+  // The identity provider is the source of truth for mapped roles. A custom
+  // role is built on the previous role, so it no longer applies.
+  if (!provisioned && mappedRole && mappedRole !== user.role) {
+    user = await prisma.user.update({
+      where: { id: user.id },
+      data: { role: mappedRole, customRoleId: null },
+    });
+  }
+
+  return { user, provisioned };
+};
+
+/**
+ * Completes an SSO login from the redirect of the identity provider
+ * @param {string} code - Authorization code
+ * @param {string} state - State from the authorization request
+ * @returns {Promise<Object>} { user, provisioned, organizationId }
+ */
+const completeLogin = async (code, state) => {
+  const loginState = await consumeState(state);
+  const sso = await getSsoConfig(loginState.organizationId);
+
+  const claims = await exchangeCode(sso, code, loginState);
+  const { user, provisioned } = await provisionUser(sso, claims);
+
+  return { user, provisioned, organizationId: sso.organizationId };
+};
+
+module.exports = {
+  getRedirectUri,
+  encryptClientSecret,
+  getAuthorizationUrl,
+  completeLogin,
+};
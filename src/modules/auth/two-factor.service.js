@@ -0,0 +1,272 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrollment, verification and recovery codes
+ */
+
+const crypto = require('crypto');
+const prisma = require('../../prismaClient');
+const bcrypt = require('bcrypt');
+const AppError = require('../../utils/errors');
+const { hashToken } = require('../../utils/token.utils');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../../utils/totp.utils');
+const fieldEncryptionService = require('../../services/field-encryption.service');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encryption context of the TOTP secret of a user
+ * @param {string} userId - User ID
+ * @returns {string} Context
+ */
+const secretContext = (userId) => `user:${userId}:twoFactorSecret`;
+
+/**
+ * Plain TOTP secret of a user (stored encrypted; older secrets are plaintext)
+ * @param {Object} user - User (id, twoFactorSecret)
+ * @returns {string|null} Secret
+ */
+const readSecret = (user) => fieldEncryptionService.decryptSecret(user.twoFactorSecret, secretContext(user.id));
+
+/**
+ * Normalizes a recovery code as typed by the user before hashing it.
+ *
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+/**
+ * Generates a fresh set of recovery codes (format: xxxxx-xxxxx).
+ *
+ * @returns {string[]} Plain recovery codes
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Builds the operations that replace the recovery codes of a user.
+ * Previous codes stop working.
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} { operations } to run in a transaction and the plain { recoveryCodes }
+ */
+const buildRecoveryCodeOperations = (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+
+  const operations = [
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorRecoveryCode.createMany({
+      data: recoveryCodes.map((code) => ({
+        userId,
+        codeHash: hashToken(normalizeRecoveryCode(code)),
+      })),
+    }),
+  ];
+
+  return { operations, recoveryCodes };
+};
+
+/**
+ * Checks whether the organization of a user enforces 2FA for the user's role.
+ *
+ * @param {Object} user - User (role, organizationId)
+ * @returns {Promise<boolean>} True if 2FA is mandatory
+ */
+const isTwoFactorRequired = async (user) => {
+  if (!user.organizationId) {
+    return false;
+  }
+
+  const organization = await prisma.organization.findUnique({
+    where: { id: user.organizationId },
+    select: { twoFactorRequiredRoles: true },
+  });
+
+  return !!organization?.twoFactorRequiredRoles?.includes(user.role);
+};
+
+/**
+ * Starts enrollment: stores a new secret and returns the provisioning URI
+ * to render as a QR code. 2FA stays disabled until a code is confirmed.
+ *
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+const setupTwoFactor = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: fieldEncryptionService.encryptSecret(secret, secretContext(user.id)) },
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email),
+  };
+};
+
+/**
+ * Confirms enrollment with a code from the authenticator app.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Object>} { recoveryCodes } (shown only once)
+ */
+const enableTwoFactor = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new AppError('Start the two-factor setup first', 400);
+  }
+
+  const step = verifyTotp(readSecret(user), code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 400);
+  }
+
+  const { operations, recoveryCodes } = buildRecoveryCodeOperations(user.id);
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+      },
+    }),
+    ...operations,
+  ]);
+
+  return { recoveryCodes };
+};
+
+/**
+ * Checks a second factor: a TOTP code or an unused recovery code.
+ * Each TOTP code and each recovery code can only be used once.
+ *
+ * @param {Object} user - User with 2FA enabled
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<void>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code) {
+    const secret = readSecret(user);
+    const step = verifyTotp(secret, code);
+
+    if (step !== null) {
+      // Conditional update: the same code replayed concurrently matches no row
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+        },
+        data: {
+          twoFactorLastStep: step,
+          // Secrets stored before encryption are encrypted on their next use
+          ...(!fieldEncryptionService.isEncrypted(user.twoFactorSecret) && {
+            twoFactorSecret: fieldEncryptionService.encryptSecret(secret, secretContext(user.id)),
+          }),
+        },
+      });
+
+      if (count > 0) {
+        return;
+      }
+    }
+  } else if (recoveryCode) {
+    // updateMany with usedAt: null makes concurrent use of the same code fail
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+
+    if (count > 0) {
+      return;
+    }
+  }
+
+  throw new AppError('Invalid two-factor code', 401);
+};
+
+/**
+ * Disables 2FA after checking the password and a second factor.
+ * Not allowed when the organization enforces 2FA for the user's role.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} password - Current password
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (user, password, factor) => {
+  if (!user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await bcrypt.compare(password, user.password))) {
+    throw new AppError('Incorrect password', 401);
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    throw new AppError('Your organization requires two-factor authentication for your role', 403);
+  }
+
+  await verifySecondFactor(user, factor);
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+      },
+    }),
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } }),
+  ]);
+};
+
+/**
+ * Issues a new set of recovery codes. Requires a valid TOTP code.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.twoFactorEnabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  await verifySecondFactor(user, { code });
+
+  const { operations, recoveryCodes } = buildRecoveryCodeOperations(user.id);
+  await prisma.$transaction(operations);
+
+  return { recoveryCodes };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
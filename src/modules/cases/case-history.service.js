@@ -210,6 +210,48 @@ class CaseHistoryService {
     return history;
   }
 
+  /**
+   * Record the case being linked to a registered person
+   * @param {string} caseId - Case ID
+   * @param {string} userId - User ID who linked it
+   * @param {string} homelessId - Homeless ID
+   * @returns {Promise<Object>} Created history entry
+   */
+  async recordHomelessLinked(caseId, userId, homelessId) {
+    const history = await prisma.caseHistory.create({
+      data: {
+        caseId,
+        performedByUserId: userId,
+        action: 'homeless_linked',
+        description: 'Linked to a registered person',
+        metadata: { homelessId },
+      },
+    });
+
+    return history;
+  }
+
+  /**
+   * Record the link to a registered person being removed
+   * @param {string} caseId - Case ID
+   * @param {string} userId - User ID who unlinked it
+   * @param {string} homelessId - Homeless ID unlinked
+   * @returns {Promise<Object>} Created history entry
+   */
+  async recordHomelessUnlinked(caseId, userId, homelessId) {
+    const history = await prisma.caseHistory.create({
+      data: {
+        caseId,
+        performedByUserId: userId,
+        action: 'homeless_unlinked',
+        description: 'Unlinked from a registered person',
+        metadata: { homelessId },
+      },
+    });
+
+    return history;
+  }
+
   /**
    * Get case history
    * @param {string} caseId - Case ID
@@ -43,7 +43,8 @@ class CasesController {
       const caseData = await casesService.createCase(
         caseDataPayload,
         req.user.id,
-        req.organizationId
+        req.organizationId,
+        req.visibilityScope
       );
 
       res.status(201).json({
@@ -71,7 +72,8 @@ class CasesController {
       const cases = await casesService.getAllCases(
         req.query,
         req.organizationId,
-        req.isGlobalAdmin
+        req.isGlobalAdmin,
+        req.visibilityScope
       );
 
       res.status(200).json({
@@ -219,6 +221,74 @@ class CasesController {
     }
   }
 
+  /**
+   * Suggest registered persons the case may be about.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Case ID
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getHomelessSuggestions(req, res, next) {
+    try {
+      const caseData = await casesService.getCaseById(req.params.id);
+      const suggestions = await casesService.suggestHomeless(caseData, req.visibilityScope);
+
+      res.status(200).json({
+        status: 'success',
+        results: suggestions.length,
+        data: { suggestions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Link a case to a registered person.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Case ID
+   * @param {string} req.body.homelessId - Homeless ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async linkHomeless(req, res, next) {
+    try {
+      const caseData = await casesService.linkHomeless(req.params.id, req.body.homelessId, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { case: caseData },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove the link between a case and a registered person.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Case ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async unlinkHomeless(req, res, next) {
+    try {
+      const caseData = await casesService.unlinkHomeless(req.params.id, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { case: caseData },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get history of changes for a case.
    * 
@@ -7,57 +7,90 @@ const router = express.Router();
 const casesController = require('./cases.controller');
 const { protect } = require('../../middlewares/auth.middleware');
 const validateRequest = require('../../middlewares/validateRequest'); // Import validateRequest
-const { createCaseSchema, updateCaseSchema } = require('./cases.validators'); // Import schemas
+const { createCaseSchema, updateCaseSchema, linkHomelessSchema } = require('./cases.validators'); // Import schemas
 const {
   canViewCase,
   canEditCase,
   canAssignCase,
-  canCloseCase,
-  requireRole,
+  requirePermission,
+  scopeToCase,
 } = require('../../middlewares/permission.middleware');
 const { multiTenantMiddleware } = require('../../middlewares/multi-tenant.middleware');
+const { requireConsent } = require('../../middlewares/consent.middleware');
 const { emergencyLimiter } = require('../../middlewares/rate-limit.middleware');
 
 // All routes require authentication
 router.use(protect);
 router.use(multiTenantMiddleware);
+// Cases hold personal data: only users who accepted the current consents
+router.use(requireConsent());
 
 const upload = require('../../middlewares/upload.middleware');
 
+// Resource checks run after the catalogue permission, which scopeToCase narrows
+// to the case's zone and team
+const viewCase = [scopeToCase, requirePermission('cases:read'), canViewCase];
+const editCase = [scopeToCase, requirePermission('cases:update'), canEditCase];
+
 // CRUD operations
-router.post('/', upload.single('photo'), validateRequest(createCaseSchema), casesController.createCase);
-router.get('/', casesController.getAllCases);
-router.get('/:id', canViewCase, casesController.getCase);
-router.patch('/:id', canEditCase, upload.single('photo'), validateRequest(updateCaseSchema), casesController.updateCase);
-router.delete('/:id', requireRole('ADMIN', 'ORGANIZATION_ADMIN'), casesController.deleteCase);
+router.post(
+  '/',
+  requirePermission('cases:create'),
+  upload.single('photo'),
+  validateRequest(createCaseSchema),
+  casesController.createCase
+);
+router.get('/', requirePermission('cases:read'), casesController.getAllCases);
+router.get('/:id', viewCase, casesController.getCase);
+router.patch('/:id', editCase, upload.single('photo'), validateRequest(updateCaseSchema), casesController.updateCase);
+router.delete('/:id', scopeToCase, requirePermission('cases:delete'), casesController.deleteCase);
 
 // Comments routes
 router.use('/:id/comments', require('../comments/comments.routes'));
 
 // Assignment
-router.post('/:id/assign', canAssignCase, casesController.assignCase);
+router.post(
+  '/:id/assign',
+  scopeToCase,
+  requirePermission('cases:assign'),
+  canAssignCase,
+  casesController.assignCase
+);
+
+// Registered person the case is about
+router.get(
+  '/:id/homeless-suggestions',
+  viewCase,
+  requirePermission('homeless:read'),
+  casesController.getHomelessSuggestions
+);
+router.post('/:id/homeless', editCase, validateRequest(linkHomelessSchema), casesController.linkHomeless);
+router.delete('/:id/homeless', editCase, casesController.unlinkHomeless);
 
 // History & Timeline
-router.get('/:id/history', canViewCase, casesController.getCaseHistory);
-router.get('/:id/timeline', canViewCase, casesController.getCaseTimeline);
+router.get('/:id/history', viewCase, casesController.getCaseHistory);
+router.get('/:id/timeline', viewCase, casesController.getCaseTimeline);
 
 // Emergency management
 router.post(
   '/:id/emergency',
   emergencyLimiter,
-  requireRole('ADMIN', 'ORGANIZATION_ADMIN', 'COORDINATOR', 'SOCIAL_WORKER'),
+  scopeToCase,
+  requirePermission('emergencies:create'),
   casesController.markEmergency
 );
 router.patch(
   '/:id/emergency/escalate',
   emergencyLimiter,
-  requireRole('ADMIN', 'ORGANIZATION_ADMIN', 'COORDINATOR'),
+  scopeToCase,
+  requirePermission('emergencies:escalate'),
   casesController.escalateEmergency
 );
 router.patch(
   '/:id/emergency/resolve',
   emergencyLimiter,
-  requireRole('ADMIN', 'ORGANIZATION_ADMIN', 'COORDINATOR', 'SOCIAL_WORKER'),
+  scopeToCase,
+  requirePermission('emergencies:resolve'),
   casesController.resolveEmergency
 );
 
@@ -4,22 +4,41 @@
  */
 
 const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
 const caseHistoryService = require('./case-history.service');
 const zoneService = require('../zones/zone.service');
 const { logAudit } = require('../audit/audit.service');
 const statisticsService = require('../statistics/statistics.service');
+const homelessMergeService = require('../homeless/homeless-merge.service');
+const permissionService = require('../../services/permission.service');
+const rbacService = require('../permissions/permission.service');
+
+// Cases are reported from afar, so registered persons are looked for in a wider radius
+const SUGGESTION_RADIUS_KM = 2;
+const SUGGESTION_MIN_SCORE = 0.6;
+const SUGGESTION_LIMIT = 5;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const homelessSummarySelect = { id: true, nombre: true, apellido: true, apodo: true };
 
 class CasesService {
   /**
    * Create a new case.
-   * Auto-assigns to zone and invalidates stats cache.
+   * Auto-assigns to zone and invalidates stats cache. A case can be linked to a
+   * registered person right away (`homelessId`); otherwise, for users with
+   * `homeless:read`, the persons it may be about are returned in `homelessSuggestions`.
    * 
    * @param {Object} data - Case data
    * @param {string} userId - User ID creating the case
    * @param {string} [organizationId] - Organization ID
+   * @param {Object} [visibilityScope] - Zones of a field member, which limit the suggestions
    * @returns {Promise<Object>} Created case
    */
-  async createCase(data, userId, organizationId = null) {
+  async createCase(data, userId, organizationId = null, visibilityScope = null) {
+    if (data.homelessId) {
+      await this.findLinkableHomeless(data.homelessId, organizationId);
+    }
+
     const caseData = {
       fullName: data.fullName,
       age: data.age,
@@ -30,6 +49,7 @@ class CasesService {
       reportedByConsent: data.reportedByConsent || false,
       createdBy: userId,
       organizationId,
+      homelessId: data.homelessId,
     };
 
     const newCase = await prisma.case.create({
@@ -54,7 +74,17 @@ class CasesService {
     // Log audit
     await logAudit(userId, 'create_case', 'case', newCase.id);
 
-    return newCase;
+    if (newCase.homelessId) {
+      await caseHistoryService.recordHomelessLinked(newCase.id, userId, newCase.homelessId);
+      return newCase;
+    }
+
+    // Suggestions disclose registered persons: only to users who may read them
+    if (!(await rbacService.hasPermission(userId, 'homeless:read'))) {
+      return newCase;
+    }
+
+    return { ...newCase, homelessSuggestions: await this.suggestHomeless(newCase, visibilityScope) };
   }
 
   /**
@@ -63,9 +93,10 @@ class CasesService {
    * @param {Object} filters - Query filters (status, emergency, zone, team)
    * @param {string} [organizationId] - Organization ID
    * @param {boolean} [isGlobalAdmin] - Whether user is global admin
+   * @param {Object} [visibilityScope] - Zones and teams of a field member
    * @returns {Promise<Array>} List of cases
    */
-  async getAllCases(filters, organizationId = null, isGlobalAdmin = false) {
+  async getAllCases(filters, organizationId = null, isGlobalAdmin = false, visibilityScope = null) {
     const where = {};
 
     // Multi-tenant filtering
@@ -80,6 +111,11 @@ class CasesService {
       }
     }
 
+    // Zone/team filtering for field members
+    if (visibilityScope) {
+      where.AND = [permissionService.caseVisibilityFilter(visibilityScope)];
+    }
+
     // Status filter
     if (filters.status) {
       where.status = filters.status;
@@ -155,6 +191,9 @@ class CasesService {
         organization: {
           select: { id: true, name: true, type: true },
         },
+        homeless: {
+          select: homelessSummarySelect,
+        },
         statusHistory: {
           include: {
             user: {
@@ -293,6 +332,162 @@ class CasesService {
     return updatedCase;
   }
 
+  /**
+   * Registered persons a case may be about: nearby records of the organization
+   * whose name or nickname matches the reported name, best matches first.
+   * 
+   * @param {Object} caseData - Case (fullName, age, lat, lng, organizationId)
+   * @param {Object} [visibilityScope] - Zones of a field member: only their records are suggested
+   * @returns {Promise<Array>} [{ score, nameSimilarity, distanceKm, ageDifference, homeless }]
+   */
+  async suggestHomeless(caseData, visibilityScope = null) {
+    if (!caseData.organizationId) return [];
+
+    const latWindow = SUGGESTION_RADIUS_KM / KM_PER_DEGREE_LAT;
+    const lngWindow = latWindow / Math.max(Math.cos((caseData.lat * Math.PI) / 180), 0.01);
+    const candidates = await prisma.homeless.findMany({
+      where: {
+        organizationId: caseData.organizationId,
+        lat: { gte: caseData.lat - latWindow, lte: caseData.lat + latWindow },
+        lng: { gte: caseData.lng - lngWindow, lte: caseData.lng + lngWindow },
+        ...(visibilityScope && { AND: [permissionService.homelessVisibilityFilter(visibilityScope)] }),
+      },
+      select: { ...homelessSummarySelect, edad: true, lat: true, lng: true, ultimaVezVisto: true },
+    });
+
+    // The reported name is compared with the name and the nickname of each person
+    const reported = { nombre: caseData.fullName, edad: caseData.age, lat: caseData.lat, lng: caseData.lng };
+
+    return candidates
+      .map((homeless) => {
+        const match = homelessMergeService.scorePair(reported, homeless, { radiusKm: SUGGESTION_RADIUS_KM });
+        return match && { ...match, homeless };
+      })
+      .filter((match) => match && match.score >= SUGGESTION_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, SUGGESTION_LIMIT);
+  }
+
+  /**
+   * Link a case to a registered person of its organization.
+   * 
+   * @param {string} id - Case ID
+   * @param {string} homelessId - Homeless ID
+   * @param {string} userId - User ID linking
+   * @returns {Promise<Object>} Updated case
+   */
+  async linkHomeless(id, homelessId, userId) {
+    const currentCase = await prisma.case.findUnique({
+      where: { id },
+      select: { organizationId: true, homelessId: true },
+    });
+
+    if (currentCase.homelessId === homelessId) {
+      throw new AppError('The case is already linked to this person', 409);
+    }
+    await this.findLinkableHomeless(homelessId, currentCase.organizationId);
+
+    const updatedCase = await prisma.case.update({
+      where: { id },
+      data: { homelessId, updatedBy: userId },
+      include: { homeless: { select: homelessSummarySelect } },
+    });
+
+    await caseHistoryService.recordHomelessLinked(id, userId, homelessId);
+    await logAudit(userId, 'link_case_homeless', 'case', id, {
+      homelessId,
+      previousHomelessId: currentCase.homelessId,
+    });
+
+    return updatedCase;
+  }
+
+  /**
+   * Remove the link between a case and a registered person.
+   * 
+   * @param {string} id - Case ID
+   * @param {string} userId - User ID unlinking
+   * @returns {Promise<Object>} Updated case
+   */
+  async unlinkHomeless(id, userId) {
+    const currentCase = await prisma.case.findUnique({
+      where: { id },
+      select: { homelessId: true },
+    });
+
+    if (!currentCase.homelessId) {
+      throw new AppError('The case is not linked to a person', 409);
+    }
+
+    const updatedCase = await prisma.case.update({
+      where: { id },
+      data: { homelessId: null, updatedBy: userId },
+    });
+
+    await caseHistoryService.recordHomelessUnlinked(id, userId, currentCase.homelessId);
+    await logAudit(userId, 'unlink_case_homeless', 'case', id, { homelessId: currentCase.homelessId });
+
+    return updatedCase;
+  }
+
+  /**
+   * Cases about a registered person with their emergencies, newest first.
+   * 
+   * @param {string} homelessId - Homeless ID
+   * @param {Object} [visibilityScope] - Zones and teams of a field member
+   * @returns {Promise<Array>} Cases
+   */
+  async getCasesOfHomeless(homelessId, visibilityScope = null) {
+    const where = { homelessId };
+    if (visibilityScope) {
+      where.AND = [permissionService.caseVisibilityFilter(visibilityScope)];
+    }
+
+    return prisma.case.findMany({
+      where,
+      include: {
+        assignedToUser: {
+          select: { id: true, email: true, name: true },
+        },
+        assignedToTeam: {
+          select: { id: true, name: true },
+        },
+        zone: {
+          select: { id: true, name: true },
+        },
+        emergencies: {
+          orderBy: { createdAt: 'desc' },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Homeless record a case of the organization can be linked to.
+   * 
+   * @param {string} homelessId - Homeless ID
+   * @param {string|null} organizationId - Organization of the case
+   * @returns {Promise<Object>} Homeless record (id)
+   * @throws {AppError} 400 for cases without organization, 404 if not found in it
+   */
+  async findLinkableHomeless(homelessId, organizationId) {
+    if (!organizationId) {
+      throw new AppError('Only cases of an organization can be linked to a person', 400);
+    }
+
+    const homeless = await prisma.homeless.findFirst({
+      where: { id: homelessId, organizationId },
+      select: { id: true },
+    });
+
+    if (!homeless) {
+      throw new AppError('Homeless record not found', 404);
+    }
+
+    return homeless;
+  }
+
   /**
    * Delete case.
    * 
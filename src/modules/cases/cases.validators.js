@@ -22,6 +22,7 @@ const createCaseSchema = z.object({
     zoneId: z.string().uuid().optional(),
     assignedToUserId: z.string().uuid().optional(),
     assignedToTeamId: z.string().uuid().optional(),
+    homelessId: z.string().uuid().optional(),
   }),
 });
 
@@ -47,7 +48,17 @@ const updateCaseSchema = z.object({
   }).partial(), // All body fields are optional for update
 });
 
+const linkHomelessSchema = z.object({
+  params: z.object({
+    id: z.string().uuid(),
+  }),
+  body: z.object({
+    homelessId: z.string().uuid(),
+  }),
+});
+
 module.exports = {
   createCaseSchema,
   updateCaseSchema,
+  linkHomelessSchema,
 };
@@ -1,6 +1,8 @@
 const express = require('express');
 const commentsController = require('./comments.controller');
 const { protect } = require('../../middlewares/auth.middleware');
+const { requireConsent } = require('../../middlewares/consent.middleware');
+const { canViewCase, requirePermission, scopeToCase } = require('../../middlewares/permission.middleware');
 const validateRequest = require('../../middlewares/validateRequest');
 const { createCommentSchema, getCommentsSchema } = require('./comments.validators');
 const { z } = require('zod');
@@ -9,6 +11,10 @@ const router = express.Router({ mergeParams: true });
 
 // All routes here should be protected
 router.use(protect);
+router.use(requireConsent());
+
+// Mounted under /api/cases/:id/comments: only members who can see the case
+router.use(scopeToCase, requirePermission('cases:read'), canViewCase);
 
 router.post(
     '/', 
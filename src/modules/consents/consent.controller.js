@@ -1,4 +1,5 @@
 const consentService = require('./consent.service');
+const { logAudit } = require('../audit/audit.service');
 const AppError = require('../../utils/errors');
 
 class ConsentController {
@@ -7,7 +8,7 @@ class ConsentController {
    */
   async grantConsent(req, res, next) {
     try {
-      const { consentTypeId } = req.body;
+      const { consentTypeId, version } = req.body;
       const userId = req.user.id;
       const ipAddress = req.ip;
       const userAgent = req.get('User-Agent');
@@ -20,7 +21,8 @@ class ConsentController {
         userId,
         consentTypeId,
         ipAddress,
-        userAgent
+        userAgent,
+        version
       );
 
       res.status(200).json({
@@ -76,6 +78,23 @@ class ConsentController {
     }
   }
 
+  /**
+   * Get the consents I still have to accept (new versions included)
+   */
+  async getMyPendingConsents(req, res, next) {
+    try {
+      const pendingConsents = await consentService.getPendingConsents(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        results: pendingConsents.length,
+        data: { pendingConsents },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get my consent history
    */
@@ -110,6 +129,74 @@ class ConsentController {
       next(error);
     }
   }
+
+  /**
+   * Create a consent type with its first version
+   */
+  async createConsentType(req, res, next) {
+    try {
+      const type = await consentService.createConsentType(req.body, req.user.id);
+
+      await logAudit(
+        req.user.id,
+        'create_consent_type',
+        'consent_type',
+        type.id,
+        { name: type.name, version: type.version },
+        req.ip
+      );
+
+      res.status(201).json({
+        status: 'success',
+        data: { type },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Publish a new version of a consent type. Users must accept it again.
+   */
+  async publishVersion(req, res, next) {
+    try {
+      const { consentTypeId } = req.params;
+      const type = await consentService.publishVersion(consentTypeId, req.body, req.user.id);
+
+      await logAudit(
+        req.user.id,
+        'publish_consent_version',
+        'consent_type',
+        consentTypeId,
+        { name: type.name, version: type.version, changeSummary: req.body.changeSummary },
+        req.ip
+      );
+
+      res.status(201).json({
+        status: 'success',
+        data: { type },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the published versions of a consent type with their text
+   */
+  async getConsentVersions(req, res, next) {
+    try {
+      const versions = await consentService.getConsentVersions(req.params.consentTypeId);
+
+      res.status(200).json({
+        status: 'success',
+        results: versions.length,
+        data: { versions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new ConsentController();
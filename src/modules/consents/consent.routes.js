@@ -1,6 +1,9 @@
 const express = require('express');
 const consentController = require('./consent.controller');
+const validateRequest = require('../../middlewares/validateRequest');
+const { createConsentTypeSchema, publishConsentVersionSchema } = require('./consent.validators');
 const { protect } = require('../../middlewares/auth.middleware');
+const { requirePermission } = require('../../middlewares/permission.middleware');
 
 const router = express.Router();
 
@@ -12,7 +15,24 @@ router.use(protect);
 
 router.post('/', (req, res, next) => consentController.grantConsent(req, res, next));
 router.get('/my', (req, res, next) => consentController.getMyConsents(req, res, next));
+router.get('/pending', (req, res, next) => consentController.getMyPendingConsents(req, res, next));
 router.get('/history', (req, res, next) => consentController.getMyConsentHistory(req, res, next));
+
+// Consent types and their versions
+router.get('/types/:consentTypeId/versions', (req, res, next) => consentController.getConsentVersions(req, res, next));
+router.post(
+  '/types',
+  requirePermission('consents:manage'),
+  validateRequest(createConsentTypeSchema),
+  (req, res, next) => consentController.createConsentType(req, res, next)
+);
+router.post(
+  '/types/:consentTypeId/versions',
+  requirePermission('consents:manage'),
+  validateRequest(publishConsentVersionSchema),
+  (req, res, next) => consentController.publishVersion(req, res, next)
+);
+
 router.delete('/:consentTypeId', (req, res, next) => consentController.revokeConsent(req, res, next));
 
 module.exports = router;
@@ -6,8 +6,9 @@ const prisma = new PrismaClient();
 class ConsentService {
   /**
    * Grant consent for a user
+   * `version` is the version the user was shown; accepting an outdated text is rejected.
    */
-  async grantConsent(userId, consentTypeId, ipAddress, userAgent) {
+  async grantConsent(userId, consentTypeId, ipAddress, userAgent, version = null) {
     const consentType = await prisma.consentType.findUnique({
       where: { id: consentTypeId },
     });
@@ -16,6 +17,13 @@ class ConsentService {
       throw new AppError('Consent type not found', 404);
     }
 
+    if (version && version !== consentType.version) {
+      throw new AppError(
+        `Version ${version} of ${consentType.displayName} is outdated. Review version ${consentType.version}.`,
+        409
+      );
+    }
+
     // 1. Upsert Consent record
     const consent = await prisma.consent.upsert({
       where: {
@@ -139,10 +147,52 @@ class ConsentService {
       },
     });
 
-    // Must be granted AND match current version (strict mode)
-    // Or just be granted (lenient mode - usually sufficient unless major legal change)
-    // Here we implement strict check: must be granted. Version check can be added if needed.
-    return consent && consent.granted;
+    // Must be granted AND match the current version: new versions need re-acceptance
+    return Boolean(consent && consent.granted && consent.version === consentType.version);
+  }
+
+  /**
+   * Consents a user still has to accept: never accepted, revoked, or accepted
+   * in an older version than the current one
+   * @param {string} userId - User ID
+   * @param {string[]|null} names - Consent types to check (default: all required ones)
+   * @returns {Promise<Array>} Pending consent types with the reason
+   */
+  async getPendingConsents(userId, names = null) {
+    const consentTypes = await prisma.consentType.findMany({
+      where: names ? { name: { in: names } } : { required: true },
+      include: {
+        consents: { where: { userId } },
+      },
+      orderBy: { name: 'asc' },
+    });
+
+    // A typo in a route's consent name must not let requests through
+    const unknown = (names || []).filter((name) => !consentTypes.some((consentType) => consentType.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown consent types: ${unknown.join(', ')}`);
+    }
+
+    return consentTypes
+      .map(({ consents, ...consentType }) => {
+        const [consent] = consents;
+        let reason = null;
+
+        if (!consent) reason = 'NOT_ACCEPTED';
+        else if (!consent.granted) reason = 'REVOKED';
+        else if (consent.version !== consentType.version) reason = 'NEW_VERSION';
+
+        return {
+          id: consentType.id,
+          name: consentType.name,
+          displayName: consentType.displayName,
+          version: consentType.version,
+          acceptedVersion: consent?.granted ? consent.version : null,
+          required: consentType.required,
+          reason,
+        };
+      })
+      .filter((consentType) => consentType.reason);
   }
 
   /**
@@ -165,11 +215,75 @@ class ConsentService {
   }
 
   /**
-   * Create a new consent type (Admin/Seed)
+   * Create a new consent type (Admin/Seed), storing the text of its first version
    */
-  async createConsentType(data) {
+  async createConsentType(data, publishedById = null) {
+    const version = data.version || '1.0';
+
     return prisma.consentType.create({
-      data,
+      data: {
+        ...data,
+        version,
+        versions: {
+          create: { version, content: data.content, publishedById },
+        },
+      },
+    });
+  }
+
+  /**
+   * Publish a new version of a consent type. The previous texts stay stored,
+   * and users who accepted an older version must accept again.
+   * @param {string} consentTypeId - Consent type ID
+   * @param {Object} data - version, content, changeSummary
+   * @param {string} publishedById - Admin publishing the version
+   * @returns {Promise<Object>} Updated consent type
+   */
+  async publishVersion(consentTypeId, { version, content, changeSummary }, publishedById) {
+    const consentType = await prisma.consentType.findUnique({
+      where: { id: consentTypeId },
+    });
+
+    if (!consentType) {
+      throw new AppError('Consent type not found', 404);
+    }
+
+    const existing = await prisma.consentVersion.findUnique({
+      where: { consentTypeId_version: { consentTypeId, version } },
+    });
+
+    if (existing) {
+      throw new AppError(`Version ${version} of ${consentType.displayName} already exists`, 409);
+    }
+
+    const [, updated] = await prisma.$transaction([
+      prisma.consentVersion.create({
+        data: { consentTypeId, version, content, changeSummary, publishedById },
+      }),
+      prisma.consentType.update({
+        where: { id: consentTypeId },
+        data: { version, content },
+      }),
+    ]);
+
+    return updated;
+  }
+
+  /**
+   * Every published version of a consent type, newest first, with its text
+   */
+  async getConsentVersions(consentTypeId) {
+    const consentType = await prisma.consentType.findUnique({
+      where: { id: consentTypeId },
+    });
+
+    if (!consentType) {
+      throw new AppError('Consent type not found', 404);
+    }
+
+    return prisma.consentVersion.findMany({
+      where: { consentTypeId },
+      orderBy: { createdAt: 'desc' },
     });
   }
 }
@@ -0,0 +1,34 @@
+const { z } = require('zod');
+
+const version = z.string().trim().min(1).max(20);
+
+const createConsentTypeSchema = z.object({
+  body: z
+    .object({
+      name: z.string().regex(/^[a-z0-9_]+$/, 'Use lowercase letters, digits and underscores'),
+      displayName: z.string().min(1),
+      description: z.string().optional(),
+      version: version.optional(),
+      content: z.string().min(1),
+      required: z.boolean().optional(),
+    })
+    .strict(),
+});
+
+const publishConsentVersionSchema = z.object({
+  params: z.object({
+    consentTypeId: z.string().min(1),
+  }),
+  body: z
+    .object({
+      version,
+      content: z.string().min(1),
+      changeSummary: z.string().max(500).optional(),
+    })
+    .strict(),
+});
+
+module.exports = {
+  createConsentTypeSchema,
+  publishConsentVersionSchema,
+};
@@ -0,0 +1,653 @@
+/**
+ * Data Request Service
+ * Access and erasure requests of persons tracked in Homeless and Case (data subjects).
+ * A request goes through locate → export → erase; every step is kept as an event and audited.
+ * Erasure anonymizes the records in place so statistics keep their counts.
+ */
+
+const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
+const { logAudit } = require('../audit/audit.service');
+const { deleteImage } = require('../../config/cloudinary');
+const fieldEncryptionService = require('../../services/field-encryption.service');
+const logger = require('../../config/logger');
+
+// Requests must be answered within one month
+const RESPONSE_DAYS = 30;
+
+const ANONYMIZED_NAME = 'Anonymized';
+const REDACTED_TEXT = '[redacted]';
+
+const STEP_ACTIONS = {
+  created: 'create_data_request',
+  located: 'locate_data_request',
+  exported: 'export_data_request',
+  erased: 'erase_data_request',
+  rejected: 'reject_data_request',
+  failed: 'fail_data_request',
+};
+
+const CLOSED_STATUSES = ['ERASED', 'REJECTED'];
+
+const requestInclude = {
+  requestedBy: { select: { id: true, name: true, email: true } },
+  events: {
+    include: { performedBy: { select: { id: true, name: true, email: true } } },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+/**
+ * Keep locations at ~1 km so maps and zone statistics still work
+ * @param {number} value - Latitude or longitude
+ * @returns {number}
+ */
+const coarsen = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Delete an uploaded image from Cloudinary
+ * @param {string} url - Cloudinary URL
+ * @returns {Promise<boolean>} Whether it was deleted
+ */
+const deleteStoredImage = async (url) => {
+  try {
+    // Extract publicId from URL (simple extraction)
+    const parts = url.split('/');
+    const filename = parts[parts.length - 1].split('.')[0];
+    const folder = parts.slice(parts.indexOf('upload') + 2, -1).join('/');
+
+    await deleteImage(`${folder}/${filename}`);
+    return true;
+  } catch (err) {
+    logger.error(`Error deleting image ${url}: ${err.message}`);
+    return false;
+  }
+};
+
+/**
+ * Counts of the located records, for events and audit logs (no personal data)
+ * @param {Object} located - Located records
+ * @returns {Object}
+ */
+const summarize = (located) => ({
+  homeless: located.homelessIds.length,
+  cases: located.caseIds.length,
+  comments: located.commentIds.length,
+  caseHistory: located.caseHistoryIds.length,
+  emergencies: located.emergencyIds.length,
+  homelessConsents: located.homelessConsentIds.length,
+  homelessVisits: located.homelessVisitIds.length,
+  homelessAssessments: located.homelessAssessmentIds.length,
+  auditLogs: located.auditLogIds.length,
+  images: located.images.length,
+});
+
+class DataRequestService {
+  /**
+   * Create a request about records of the organization
+   * @param {Object} data - type, subjectName, homelessIds, caseIds, notes
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - Member registering the request
+   * @returns {Promise<Object>} Request
+   */
+  async createRequest(data, organizationId, userId) {
+    if (!organizationId) {
+      throw new AppError('organizationId is required', 400);
+    }
+
+    const homelessIds = [...new Set(data.homelessIds || [])];
+    const caseIds = [...new Set(data.caseIds || [])];
+    await this.assertRecordsExist(organizationId, homelessIds, caseIds);
+
+    const request = await prisma.dataSubjectRequest.create({
+      data: {
+        organizationId,
+        type: data.type,
+        subjectName: data.subjectName,
+        homelessIds,
+        caseIds,
+        notes: data.notes,
+        requestedById: userId,
+        dueAt: new Date(Date.now() + RESPONSE_DAYS * 24 * 60 * 60 * 1000),
+      },
+    });
+
+    await this.recordStep(request, 'created', userId, {
+      type: request.type,
+      homeless: homelessIds.length,
+      cases: caseIds.length,
+    });
+
+    return await this.getRequest(request.id, organizationId, false);
+  }
+
+  /**
+   * List the requests of an organization
+   * @param {Object} filters - status, type
+   * @param {string} organizationId - Organization ID
+   * @param {boolean} isGlobalAdmin - Global admins see every organization
+   * @returns {Promise<Array>} Requests, oldest deadline first
+   */
+  async getRequests(filters, organizationId, isGlobalAdmin) {
+    const where = {};
+    if (!isGlobalAdmin) where.organizationId = organizationId;
+    if (filters.status) where.status = filters.status;
+    if (filters.type) where.type = filters.type;
+
+    return await prisma.dataSubjectRequest.findMany({
+      where,
+      include: { requestedBy: requestInclude.requestedBy },
+      orderBy: { dueAt: 'asc' },
+    });
+  }
+
+  /**
+   * Get a request with its trail
+   * @param {string} id - Request ID
+   * @param {string} organizationId - Organization ID
+   * @param {boolean} isGlobalAdmin - Global admins see every organization
+   * @returns {Promise<Object>} Request
+   */
+  async getRequest(id, organizationId, isGlobalAdmin) {
+    const request = await prisma.dataSubjectRequest.findFirst({
+      where: isGlobalAdmin ? { id } : { id, organizationId },
+      include: requestInclude,
+    });
+
+    if (!request) {
+      throw new AppError('Data request not found', 404);
+    }
+
+    return request;
+  }
+
+  /**
+   * Locate every record about the subject. Records can be added to the request on the way,
+   * e.g. from the possible matches of a previous run.
+   * @param {Object} request - Request
+   * @param {Object} additions - homelessIds, caseIds to add
+   * @param {string} userId - Member performing the step
+   * @returns {Promise<Object>} Request with the located records
+   */
+  async locateRequest(request, additions, userId) {
+    this.assertOpen(request);
+
+    const newHomelessIds = (additions.homelessIds || []).filter((id) => !request.homelessIds.includes(id));
+    const newCaseIds = (additions.caseIds || []).filter((id) => !request.caseIds.includes(id));
+    await this.assertRecordsExist(request.organizationId, newHomelessIds, newCaseIds);
+
+    const subject = {
+      ...request,
+      homelessIds: [...request.homelessIds, ...newHomelessIds],
+      caseIds: [...request.caseIds, ...newCaseIds],
+    };
+    const located = await this.locate(subject);
+
+    await prisma.dataSubjectRequest.update({
+      where: { id: request.id },
+      data: { homelessIds: subject.homelessIds, caseIds: subject.caseIds, located, status: 'LOCATED' },
+    });
+
+    await this.recordStep(request, 'located', userId, {
+      ...summarize(located),
+      added: { homeless: newHomelessIds.length, cases: newCaseIds.length },
+    });
+
+    return await this.getRequest(request.id, request.organizationId, false);
+  }
+
+  /**
+   * Build the downloadable export of the subject's data
+   * @param {Object} request - Request (located)
+   * @param {string} userId - Member downloading it
+   * @returns {Promise<Object>} Export
+   */
+  async exportRequest(request, userId) {
+    if (request.status === 'ERASED') {
+      throw new AppError('The data of this request was erased', 409);
+    }
+    if (request.status === 'REJECTED') {
+      throw new AppError('The request was rejected', 409);
+    }
+    if (request.status === 'PENDING') {
+      throw new AppError('Locate the data before exporting it', 409);
+    }
+
+    const located = await this.locate(request);
+    const [storedHomeless, cases, auditLogs] = await Promise.all([
+      prisma.homeless.findMany({
+        where: { id: { in: located.homelessIds } },
+        select: {
+          id: true,
+          organizationId: true,
+          nombre: true,
+          apellido: true,
+          apodo: true,
+          edad: true,
+          estadoFisico: true,
+          adicciones: true,
+          estadoMental: true,
+          atencionMedicaUrgente: true,
+          lat: true,
+          lng: true,
+          ultimaVezVisto: true,
+          fotoUrl: true,
+          createdAt: true,
+          updatedAt: true,
+          consents: {
+            select: { scope: true, method: true, grantedAt: true, withdrawnAt: true, withdrawalReason: true },
+          },
+          visits: {
+            select: {
+              organizationId: true,
+              lat: true,
+              lng: true,
+              visitedAt: true,
+              services: true,
+              condition: true,
+              notes: true,
+            },
+            orderBy: { visitedAt: 'asc' },
+          },
+          assessments: {
+            select: {
+              organizationId: true,
+              template: { select: { name: true, version: true } },
+              answers: true,
+              score: true,
+              needs: true,
+              assessedAt: true,
+            },
+            orderBy: { assessedAt: 'asc' },
+          },
+        },
+      }),
+      prisma.case.findMany({
+        where: { id: { in: located.caseIds } },
+        select: {
+          id: true,
+          fullName: true,
+          age: true,
+          description: true,
+          photoUrl: true,
+          lat: true,
+          lng: true,
+          status: true,
+          isEmergency: true,
+          emergencyLevel: true,
+          reportedByConsent: true,
+          createdAt: true,
+          updatedAt: true,
+          comments: { select: { content: true, createdAt: true } },
+          caseHistory: {
+            select: { action: true, description: true, previousStatus: true, newStatus: true, createdAt: true },
+          },
+          statusHistory: { select: { oldStatus: true, newStatus: true, createdAt: true } },
+          emergencies: { select: { level: true, reason: true, resolved: true, resolvedAt: true, createdAt: true } },
+        },
+      }),
+      prisma.auditLog.findMany({
+        where: { id: { in: located.auditLogIds } },
+        select: { action: true, targetType: true, targetId: true, metadata: true, createdAt: true },
+        orderBy: { createdAt: 'asc' },
+      }),
+    ]);
+
+    // The subject gets their health data in plaintext
+    const homeless = await Promise.all(
+      storedHomeless.map(async (record) => ({
+        ...(await fieldEncryptionService.decryptFields(record, fieldEncryptionService.getEncryptedFields('homeless'))),
+        visits: await Promise.all(
+          record.visits.map((visit) =>
+            fieldEncryptionService.decryptFields(visit, fieldEncryptionService.getEncryptedFields('homelessVisit'))
+          )
+        ),
+        assessments: await Promise.all(
+          record.assessments.map(async (assessment) => {
+            const decrypted = await fieldEncryptionService.decryptFields(
+              assessment,
+              fieldEncryptionService.getEncryptedFields('homelessAssessment')
+            );
+            return { ...decrypted, answers: decrypted.answers ? JSON.parse(decrypted.answers) : null };
+          })
+        ),
+      }))
+    );
+
+    await prisma.dataSubjectRequest.update({
+      where: { id: request.id },
+      data: {
+        located,
+        status: 'EXPORTED',
+        completedAt: request.type === 'EXPORT' ? request.completedAt || new Date() : null,
+      },
+    });
+
+    await this.recordStep(request, 'exported', userId, summarize(located));
+
+    return {
+      request: { id: request.id, type: request.type, subjectName: request.subjectName, createdAt: request.createdAt },
+      generatedAt: new Date(),
+      homeless,
+      cases,
+      auditLogs,
+      images: located.images,
+    };
+  }
+
+  /**
+   * Erase the subject's data. Rows are anonymized rather than deleted so counts stay intact:
+   * personal fields are cleared, texts redacted, locations coarsened and images deleted.
+   * @param {Object} request - Erasure request (located)
+   * @param {string} userId - Member performing the erasure
+   * @returns {Promise<Object>} Request
+   */
+  async eraseRequest(request, userId) {
+    if (request.type !== 'ERASURE') {
+      throw new AppError('Only erasure requests erase data', 400);
+    }
+    this.assertOpen(request);
+    if (request.status === 'PENDING') {
+      throw new AppError('Locate the data before erasing it', 409);
+    }
+
+    const located = await this.locate(request);
+    const location = { id: true, lat: true, lng: true };
+    const [homeless, visits, cases] = await Promise.all([
+      prisma.homeless.findMany({ where: { id: { in: located.homelessIds } }, select: location }),
+      prisma.homelessVisit.findMany({ where: { id: { in: located.homelessVisitIds } }, select: location }),
+      prisma.case.findMany({ where: { id: { in: located.caseIds } }, select: location }),
+    ]);
+    const now = new Date();
+
+    try {
+      await prisma.$transaction([
+        ...homeless.map((record) =>
+          prisma.homeless.update({
+            where: { id: record.id },
+            data: {
+              nombre: null,
+              apellido: null,
+              apodo: null,
+              edad: null,
+              estadoFisico: null,
+              adicciones: null,
+              estadoMental: null,
+              fotoUrl: null,
+              consentimientoVerbal: false,
+              lat: coarsen(record.lat),
+              lng: coarsen(record.lng),
+            },
+          })
+        ),
+        prisma.homelessConsent.updateMany({
+          where: { homelessId: { in: located.homelessIds }, withdrawnAt: null },
+          data: { withdrawnAt: now, withdrawnById: userId, withdrawalReason: 'Erasure request' },
+        }),
+        prisma.homelessConsent.updateMany({
+          where: { homelessId: { in: located.homelessIds } },
+          data: { witnessName: null, notes: null },
+        }),
+        ...visits.map((record) =>
+          prisma.homelessVisit.update({
+            where: { id: record.id },
+            data: { condition: null, notes: null, lat: coarsen(record.lat), lng: coarsen(record.lng) },
+          })
+        ),
+        // Score and needs are kept for the statistics, the answers go
+        prisma.homelessAssessment.updateMany({
+          where: { id: { in: located.homelessAssessmentIds } },
+          data: { answers: null },
+        }),
+        ...cases.map((record) =>
+          prisma.case.update({
+            where: { id: record.id },
+            data: {
+              fullName: ANONYMIZED_NAME,
+              age: null,
+              description: null,
+              photoUrl: null,
+              lat: coarsen(record.lat),
+              lng: coarsen(record.lng),
+            },
+          })
+        ),
+        prisma.comment.updateMany({
+          where: { id: { in: located.commentIds } },
+          data: { content: REDACTED_TEXT },
+        }),
+        prisma.caseHistory.updateMany({
+          where: { id: { in: located.caseHistoryIds } },
+          data: { description: null, metadata: { redacted: true } },
+        }),
+        prisma.emergency.updateMany({
+          where: { id: { in: located.emergencyIds } },
+          data: { reason: null },
+        }),
+        prisma.auditLog.updateMany({
+          where: { id: { in: located.auditLogIds } },
+          data: { metadata: { redacted: true, dataRequestId: request.id } },
+        }),
+        // Duplicates merged into (or from) the records: their snapshot can no longer be restored
+        prisma.homelessMerge.updateMany({
+          where: {
+            OR: [{ survivorId: { in: located.homelessIds } }, { mergedId: { in: located.homelessIds } }],
+          },
+          data: { mergedSnapshot: { redacted: true, dataRequestId: request.id }, changes: {} },
+        }),
+        prisma.dataSubjectRequest.update({
+          where: { id: request.id },
+          data: { status: 'ERASED', subjectName: null, located, completedAt: now },
+        }),
+      ]);
+    } catch (error) {
+      await this.recordStep(request, 'failed', userId, { step: 'erase', error: error.message });
+      throw error;
+    }
+
+    // Images go after the records: a failed deletion is recorded and can be retried by hand
+    const deleted = await Promise.all(located.images.map((url) => deleteStoredImage(url)));
+    const failedImages = located.images.filter((url, index) => !deleted[index]);
+
+    await this.recordStep(request, 'erased', userId, {
+      ...summarize(located),
+      imagesDeleted: located.images.length - failedImages.length,
+      failedImages,
+    });
+    logger.info(`Data request ${request.id} erased by user ${userId}`);
+
+    return await this.getRequest(request.id, request.organizationId, false);
+  }
+
+  /**
+   * Reject a request (e.g. the identity of the requester could not be verified)
+   * @param {Object} request - Request
+   * @param {string} reason - Reason
+   * @param {string} userId - Member rejecting it
+   * @returns {Promise<Object>} Request
+   */
+  async rejectRequest(request, reason, userId) {
+    this.assertOpen(request);
+
+    await prisma.dataSubjectRequest.update({
+      where: { id: request.id },
+      data: { status: 'REJECTED', completedAt: new Date() },
+    });
+
+    await this.recordStep(request, 'rejected', userId, { reason });
+
+    return await this.getRequest(request.id, request.organizationId, false);
+  }
+
+  /**
+   * Find the subject's records and everything attached to them
+   * @param {Object} request - organizationId, subjectName, homelessIds, caseIds
+   * @returns {Promise<Object>} IDs per table, image URLs, missing IDs and possible matches
+   */
+  async locate(request) {
+    const { organizationId } = request;
+    const [homeless, cases] = await Promise.all([
+      prisma.homeless.findMany({
+        where: { id: { in: request.homelessIds }, organizationId },
+        select: { id: true, fotoUrl: true },
+      }),
+      prisma.case.findMany({
+        where: { id: { in: request.caseIds }, organizationId },
+        select: { id: true, photoUrl: true },
+      }),
+    ]);
+
+    const homelessIds = homeless.map((record) => record.id);
+    const caseIds = cases.map((record) => record.id);
+    const byCase = { where: { caseId: { in: caseIds } }, select: { id: true } };
+
+    const byHomeless = { where: { homelessId: { in: homelessIds } }, select: { id: true } };
+
+    const [
+      comments,
+      caseHistory,
+      emergencies,
+      homelessConsents,
+      homelessVisits,
+      homelessAssessments,
+      auditLogs,
+      possibleMatches,
+    ] = await Promise.all([
+      prisma.comment.findMany(byCase),
+      prisma.caseHistory.findMany(byCase),
+      prisma.emergency.findMany(byCase),
+      prisma.homelessConsent.findMany(byHomeless),
+      prisma.homelessVisit.findMany(byHomeless),
+      prisma.homelessAssessment.findMany(byHomeless),
+      prisma.auditLog.findMany({
+        where: {
+          OR: [
+            { targetType: 'homeless', targetId: { in: homelessIds } },
+            { targetType: 'case', targetId: { in: caseIds } },
+          ],
+        },
+        select: { id: true },
+      }),
+      this.findPossibleMatches(request),
+    ]);
+
+    const ids = (records) => records.map((record) => record.id);
+
+    return {
+      homelessIds,
+      caseIds,
+      commentIds: ids(comments),
+      caseHistoryIds: ids(caseHistory),
+      emergencyIds: ids(emergencies),
+      homelessConsentIds: ids(homelessConsents),
+      homelessVisitIds: ids(homelessVisits),
+      homelessAssessmentIds: ids(homelessAssessments),
+      auditLogIds: ids(auditLogs),
+      images: [...homeless.map((record) => record.fotoUrl), ...cases.map((record) => record.photoUrl)].filter(Boolean),
+      missing: {
+        homelessIds: request.homelessIds.filter((id) => !homelessIds.includes(id)),
+        caseIds: request.caseIds.filter((id) => !caseIds.includes(id)),
+      },
+      possibleMatches,
+    };
+  }
+
+  /**
+   * Other records of the organization whose name matches the subject, and cases linked
+   * to the subject's homeless records, for the member to review
+   * @param {Object} request - organizationId, subjectName, homelessIds, caseIds
+   * @returns {Promise<Object>} { homelessIds, caseIds }
+   */
+  async findPossibleMatches(request) {
+    const name = request.subjectName?.trim();
+    if (!name && request.homelessIds.length === 0) {
+      return { homelessIds: [], caseIds: [] };
+    }
+
+    const caseMatches = [{ homelessId: { in: request.homelessIds } }];
+    if (name) {
+      caseMatches.push({ fullName: { contains: name, mode: 'insensitive' } });
+    }
+
+    const tokens = name ? name.split(/\s+/) : [];
+    const [homeless, cases] = await Promise.all([
+      name
+        ? prisma.homeless.findMany({
+            where: {
+              organizationId: request.organizationId,
+              id: { notIn: request.homelessIds },
+              AND: tokens.map((token) => ({
+                OR: ['nombre', 'apellido', 'apodo'].map((field) => ({
+                  [field]: { contains: token, mode: 'insensitive' },
+                })),
+              })),
+            },
+            select: { id: true },
+          })
+        : [],
+      prisma.case.findMany({
+        where: {
+          organizationId: request.organizationId,
+          id: { notIn: request.caseIds },
+          OR: caseMatches,
+        },
+        select: { id: true },
+      }),
+    ]);
+
+    return { homelessIds: homeless.map((record) => record.id), caseIds: cases.map((record) => record.id) };
+  }
+
+  /**
+   * Refuse records that are not in the organization
+   * @param {string} organizationId - Organization ID
+   * @param {string[]} homelessIds - Homeless IDs
+   * @param {string[]} caseIds - Case IDs
+   * @throws {AppError} 404 listing the unknown IDs
+   */
+  async assertRecordsExist(organizationId, homelessIds, caseIds) {
+    const [homeless, cases] = await Promise.all([
+      homelessIds.length > 0
+        ? prisma.homeless.findMany({ where: { id: { in: homelessIds }, organizationId }, select: { id: true } })
+        : [],
+      caseIds.length > 0
+        ? prisma.case.findMany({ where: { id: { in: caseIds }, organizationId }, select: { id: true } })
+        : [],
+    ]);
+
+    const found = new Set([...homeless, ...cases].map((record) => record.id));
+    const unknown = [...homelessIds, ...caseIds].filter((id) => !found.has(id));
+
+    if (unknown.length > 0) {
+      throw new AppError(`Records not found in the organization: ${unknown.join(', ')}`, 404);
+    }
+  }
+
+  /**
+   * Refuse steps on requests already closed
+   * @param {Object} request - Request
+   * @throws {AppError} 409
+   */
+  assertOpen(request) {
+    if (CLOSED_STATUSES.includes(request.status)) {
+      throw new AppError(`The request is already ${request.status.toLowerCase()}`, 409);
+    }
+  }
+
+  /**
+   * Record a step in the trail of the request and in the audit log
+   * @param {Object} request - Request
+   * @param {string} step - created, located, exported, erased, rejected or failed
+   * @param {string} userId - Member performing the step
+   * @param {Object} details - Counts and IDs, never personal data
+   */
+  async recordStep(request, step, userId, details) {
+    await prisma.dataSubjectRequestEvent.create({
+      data: { requestId: request.id, step, performedById: userId, details },
+    });
+
+    await logAudit(userId, STEP_ACTIONS[step], 'data_request', request.id, { type: request.type, ...details });
+  }
+}
+
+module.exports = new DataRequestService();
@@ -0,0 +1,128 @@
+/**
+ * Data Requests Controller
+ * Handles HTTP requests for data subject access and erasure requests
+ */
+
+const dataRequestService = require('./data-request.service');
+
+class DataRequestsController {
+  /**
+   * Register a request of a data subject
+   */
+  async create(req, res, next) {
+    try {
+      const { organizationId: bodyOrganizationId, ...data } = req.body;
+      const organizationId = req.isGlobalAdmin ? bodyOrganizationId || req.organizationId : req.organizationId;
+
+      const request = await dataRequestService.createRequest(data, organizationId, req.user.id);
+
+      res.status(201).json({
+        status: 'success',
+        data: { request },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List requests, the closest deadline first
+   */
+  async getAll(req, res, next) {
+    try {
+      const requests = await dataRequestService.getRequests(req.query, req.organizationId, req.isGlobalAdmin);
+
+      res.status(200).json({
+        status: 'success',
+        results: requests.length,
+        data: { requests },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a request with its trail of steps
+   */
+  async getOne(req, res, next) {
+    try {
+      const request = await dataRequestService.getRequest(req.params.id, req.organizationId, req.isGlobalAdmin);
+
+      res.status(200).json({
+        status: 'success',
+        data: { request },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Locate the subject's data, optionally adding records to the request
+   */
+  async locate(req, res, next) {
+    try {
+      const request = await dataRequestService.getRequest(req.params.id, req.organizationId, req.isGlobalAdmin);
+      const located = await dataRequestService.locateRequest(request, req.body || {}, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { request: located },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the subject's data as a JSON file
+   */
+  async export(req, res, next) {
+    try {
+      const request = await dataRequestService.getRequest(req.params.id, req.organizationId, req.isGlobalAdmin);
+      const data = await dataRequestService.exportRequest(request, req.user.id);
+
+      res.setHeader('Content-Disposition', `attachment; filename=data-request-${request.id}.json`);
+      res.status(200).json(data);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Erase (anonymize) the subject's data
+   */
+  async erase(req, res, next) {
+    try {
+      const request = await dataRequestService.getRequest(req.params.id, req.organizationId, req.isGlobalAdmin);
+      const erased = await dataRequestService.eraseRequest(request, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { request: erased },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject a request
+   */
+  async reject(req, res, next) {
+    try {
+      const request = await dataRequestService.getRequest(req.params.id, req.organizationId, req.isGlobalAdmin);
+      const rejected = await dataRequestService.rejectRequest(request, req.body.reason, req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { request: rejected },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new DataRequestsController();
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const dataRequestsController = require('./data-requests.controller');
+const validateRequest = require('../../middlewares/validateRequest');
+const { protect } = require('../../middlewares/auth.middleware');
+const { multiTenantMiddleware, requireOrganization } = require('../../middlewares/multi-tenant.middleware');
+const { requirePermission } = require('../../middlewares/permission.middleware');
+const {
+  createDataRequestSchema,
+  listDataRequestsSchema,
+  locateDataRequestSchema,
+  rejectDataRequestSchema,
+  dataRequestIdSchema,
+} = require('./data-requests.validators');
+
+router.use(protect);
+router.use(multiTenantMiddleware);
+router.use(requireOrganization);
+router.use(requirePermission('data-requests:manage'));
+
+// Register a request
+router.post(
+  '/',
+  validateRequest(createDataRequestSchema),
+  (req, res, next) => dataRequestsController.create(req, res, next)
+);
+
+// List requests
+router.get(
+  '/',
+  validateRequest(listDataRequestsSchema),
+  (req, res, next) => dataRequestsController.getAll(req, res, next)
+);
+
+// Get a request with its trail
+router.get(
+  '/:id',
+  validateRequest(dataRequestIdSchema),
+  (req, res, next) => dataRequestsController.getOne(req, res, next)
+);
+
+// Locate the subject's data
+router.post(
+  '/:id/locate',
+  validateRequest(locateDataRequestSchema),
+  (req, res, next) => dataRequestsController.locate(req, res, next)
+);
+
+// Download the export
+router.get(
+  '/:id/export',
+  validateRequest(dataRequestIdSchema),
+  (req, res, next) => dataRequestsController.export(req, res, next)
+);
+
+// Erase (anonymize) the subject's data
+router.post(
+  '/:id/erase',
+  validateRequest(dataRequestIdSchema),
+  (req, res, next) => dataRequestsController.erase(req, res, next)
+);
+
+// Reject the request
+router.post(
+  '/:id/reject',
+  validateRequest(rejectDataRequestSchema),
+  (req, res, next) => dataRequestsController.reject(req, res, next)
+);
+
+module.exports = router;
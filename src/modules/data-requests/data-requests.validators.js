@@ -0,0 +1,60 @@
+const { z } = require('zod');
+
+const recordIds = z.array(z.string().uuid()).max(50);
+
+const createDataRequestSchema = z.object({
+  body: z
+    .object({
+      type: z.enum(['EXPORT', 'ERASURE']),
+      subjectName: z.string().trim().min(1).max(200).optional(),
+      homelessIds: recordIds.optional(),
+      caseIds: recordIds.optional(),
+      notes: z.string().max(1000).optional(),
+      organizationId: z.string().uuid().optional(), // Global admins only
+    })
+    .strict()
+    .refine((body) => (body.homelessIds?.length || 0) + (body.caseIds?.length || 0) > 0, {
+      message: 'Give at least one homeless or case record of the subject',
+    }),
+});
+
+const listDataRequestsSchema = z.object({
+  query: z.object({
+    status: z.enum(['PENDING', 'LOCATED', 'EXPORTED', 'ERASED', 'REJECTED']).optional(),
+    type: z.enum(['EXPORT', 'ERASURE']).optional(),
+  }),
+});
+
+const dataRequestParams = z.object({
+  id: z.string().uuid(),
+});
+
+const locateDataRequestSchema = z.object({
+  params: dataRequestParams,
+  body: z
+    .object({
+      homelessIds: recordIds.optional(),
+      caseIds: recordIds.optional(),
+    })
+    .strict()
+    .optional(),
+});
+
+const rejectDataRequestSchema = z.object({
+  params: dataRequestParams,
+  body: z.object({
+    reason: z.string().trim().min(1).max(500),
+  }),
+});
+
+const dataRequestIdSchema = z.object({
+  params: dataRequestParams,
+});
+
+module.exports = {
+  createDataRequestSchema,
+  listDataRequestsSchema,
+  locateDataRequestSchema,
+  rejectDataRequestSchema,
+  dataRequestIdSchema,
+};
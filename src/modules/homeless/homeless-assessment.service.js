@@ -0,0 +1,280 @@
+/**
+ * Homeless Assessment Service
+ * Structured needs assessments: versioned questionnaires of each organization
+ * (e.g. a vulnerability index) and the answers given about a person, scored
+ * and tagged with the needs they reveal.
+ */
+
+const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
+const { logAudit } = require('../audit/audit.service');
+const homelessService = require('./homeless.service');
+const homelessConsentService = require('./homeless-consent.service');
+const statisticsService = require('../statistics/statistics.service');
+const fieldEncryptionService = require('../../services/field-encryption.service');
+const logger = require('../../config/logger');
+
+// The answers are health data; the score and needs stay readable for statistics
+const ASSESSMENT_HEALTH_FIELDS = fieldEncryptionService.getEncryptedFields('homelessAssessment');
+
+// Clock difference tolerated between the device and the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const templateSummarySelect = { id: true, key: true, name: true, version: true, maxScore: true };
+
+const assessmentInclude = {
+  template: { select: templateSummarySelect },
+  assessedBy: { select: { id: true, name: true, email: true } },
+};
+
+class HomelessAssessmentService {
+  /**
+   * Publish a template. The first one of a key is version 1; publishing an
+   * existing key adds a new version and leaves the previous ones untouched.
+   * @param {Object} data - key, name, description, questions
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - Member publishing
+   * @returns {Promise<Object>} Template
+   */
+  async createTemplate(data, organizationId, userId) {
+    if (!organizationId) {
+      throw new AppError('Templates belong to an organization', 400);
+    }
+
+    const latest = await prisma.assessmentTemplate.findFirst({
+      where: { organizationId, key: data.key },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+
+    const template = await prisma.assessmentTemplate.create({
+      data: {
+        organizationId,
+        key: data.key,
+        version: (latest?.version || 0) + 1,
+        name: data.name,
+        description: data.description,
+        questions: data.questions,
+        maxScore: this.getMaxScore(data.questions),
+        createdById: userId,
+      },
+    });
+
+    await logAudit(userId, 'create_assessment_template', 'assessment_template', template.id, {
+      key: template.key,
+      version: template.version,
+    });
+    logger.info(`Assessment template ${template.key} v${template.version} published by user ${userId}`);
+
+    return template;
+  }
+
+  /**
+   * Templates of the organization: the current version of each key, or every version
+   * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @param {Object} [filters] - key, allVersions
+   * @returns {Promise<Array>} Templates
+   */
+  async listTemplates(organizationId, { key, allVersions = false } = {}) {
+    const where = {};
+    if (organizationId) where.organizationId = organizationId;
+    if (key) where.key = key;
+
+    return prisma.assessmentTemplate.findMany({
+      where,
+      orderBy: [{ organizationId: 'asc' }, { key: 'asc' }, { version: 'desc' }],
+      ...(!allVersions && { distinct: ['organizationId', 'key'] }),
+    });
+  }
+
+  /**
+   * Get a template
+   * @param {string} id - Template ID
+   * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplate(id, organizationId) {
+    const template = await prisma.assessmentTemplate.findFirst({
+      where: { id, ...(organizationId && { organizationId }) },
+    });
+
+    if (!template) {
+      throw new AppError('Assessment template not found', 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Record an assessment of a person. Only the current version of a template is
+   * accepted, and the answers need a HEALTH_DATA consent.
+   * @param {Object} homeless - Stored homeless record
+   * @param {Object} data - templateId, answers, assessedAt
+   * @param {string} userId - Member assessing
+   * @param {string} userRole - Role the assessment is returned to
+   * @returns {Promise<Object>} Assessment
+   */
+  async submitAssessment(homeless, data, userId, userRole) {
+    const assessedAt = data.assessedAt ? new Date(data.assessedAt) : new Date();
+    if (assessedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      throw new AppError('Assessment date cannot be in the future', 400);
+    }
+
+    const template = await this.getTemplate(data.templateId, homeless.organizationId);
+    const current = await prisma.assessmentTemplate.findFirst({
+      where: { organizationId: template.organizationId, key: template.key },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+    if (current.version !== template.version) {
+      throw new AppError(
+        `Version ${template.version} of ${template.name} is outdated. Use version ${current.version}.`,
+        409
+      );
+    }
+
+    const scopes = await homelessConsentService.getActiveScopes(homeless.id);
+    if (!scopes.includes('HEALTH_DATA')) {
+      throw new AppError('Consent required to store: answers (HEALTH_DATA)', 400);
+    }
+
+    const { score, needs } = this.scoreAnswers(template.questions, data.answers);
+    const storedData = await fieldEncryptionService.encryptFields(
+      {
+        homelessId: homeless.id,
+        organizationId: homeless.organizationId,
+        templateId: template.id,
+        answers: JSON.stringify(data.answers),
+        score,
+        needs,
+        assessedAt,
+        assessedById: userId,
+      },
+      ASSESSMENT_HEALTH_FIELDS,
+      homeless.organizationId
+    );
+
+    const assessment = await prisma.homelessAssessment.create({ data: storedData, include: assessmentInclude });
+
+    // Needs are aggregated per zone in the statistics
+    await statisticsService.invalidateStatsCache(homeless.organizationId);
+
+    await logAudit(userId, 'assess_homeless', 'homeless', homeless.id, {
+      assessmentId: assessment.id,
+      templateId: template.id,
+      score,
+    });
+    logger.info(`Assessment ${assessment.id} of homeless ${homeless.id} recorded by user ${userId}`);
+
+    return this.presentAssessment(assessment, userRole);
+  }
+
+  /**
+   * Assessments of a person, newest first
+   * @param {string} homelessId - Homeless ID
+   * @param {string} userRole - Role the assessments are shown to
+   * @returns {Promise<Array>} Assessments
+   */
+  async listAssessments(homelessId, userRole) {
+    const assessments = await prisma.homelessAssessment.findMany({
+      where: { homelessId },
+      include: assessmentInclude,
+      orderBy: { assessedAt: 'desc' },
+    });
+
+    return Promise.all(assessments.map((assessment) => this.presentAssessment(assessment, userRole)));
+  }
+
+  /**
+   * Check the answers against the questions and add up the score and needs.
+   * Yes/no questions count their points and need when answered yes; choices count
+   * those of the chosen option. Numbers and texts are recorded but not scored.
+   * @param {Array<Object>} questions - Template questions
+   * @param {Object} answers - Answers by question ID
+   * @returns {Object} { score, needs }
+   * @throws {AppError} 400 listing every invalid answer
+   */
+  scoreAnswers(questions, answers) {
+    const errors = Object.keys(answers)
+      .filter((id) => !questions.some((question) => question.id === id))
+      .map((id) => `${id} (unknown question)`);
+    let score = 0;
+    const needs = new Set();
+
+    const count = ({ points = 0, need }) => {
+      score += points;
+      if (need) needs.add(need);
+    };
+
+    questions.forEach((question) => {
+      const value = answers[question.id];
+      if (value === undefined || value === null) {
+        if (question.required) errors.push(`${question.id} (required)`);
+        return;
+      }
+
+      switch (question.type) {
+        case 'boolean':
+          if (typeof value !== 'boolean') errors.push(`${question.id} (expected yes or no)`);
+          else if (value) count(question);
+          break;
+        case 'choice': {
+          const option = question.options.find((candidate) => candidate.value === value);
+          if (!option) errors.push(`${question.id} (unknown option)`);
+          else count(option);
+          break;
+        }
+        case 'number':
+          if (
+            typeof value !== 'number' ||
+            (question.min !== undefined && value < question.min) ||
+            (question.max !== undefined && value > question.max)
+          ) {
+            errors.push(`${question.id} (out of range)`);
+          }
+          break;
+        default:
+          if (typeof value !== 'string') errors.push(`${question.id} (expected text)`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new AppError(`Invalid answers: ${errors.join(', ')}`, 400);
+    }
+
+    return { score, needs: [...needs] };
+  }
+
+  /**
+   * Highest score the questions can add up to
+   * @param {Array<Object>} questions - Template questions
+   * @returns {number}
+   */
+  getMaxScore(questions) {
+    return questions.reduce((total, question) => {
+      if (question.type === 'boolean') return total + (question.points || 0);
+      if (question.type === 'choice') {
+        return total + Math.max(0, ...question.options.map((option) => option.points || 0));
+      }
+      return total;
+    }, 0);
+  }
+
+  /**
+   * Prepare a stored assessment for a role: answers and needs are shown like the
+   * health data of the person, the score is always shown.
+   * @param {Object} assessment - Stored assessment
+   * @param {string} userRole - User role
+   * @returns {Promise<Object>} Assessment
+   */
+  async presentAssessment(assessment, userRole) {
+    if (!homelessService.canReadHealthData(userRole)) {
+      return homelessService.maskHealthData(assessment, [...ASSESSMENT_HEALTH_FIELDS, 'needs']);
+    }
+
+    const decrypted = await fieldEncryptionService.decryptFields(assessment, ASSESSMENT_HEALTH_FIELDS);
+    return { ...decrypted, answers: decrypted.answers ? JSON.parse(decrypted.answers) : null };
+  }
+}
+
+module.exports = new HomelessAssessmentService();
@@ -0,0 +1,200 @@
+/**
+ * Homeless Consent Service
+ * Consents given by registered persons (data subjects) for each use of their data.
+ * Fields covered by a scope can only be stored while its consent is active;
+ * withdrawing a consent redacts them.
+ */
+
+const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
+const { logAudit } = require('../audit/audit.service');
+const logger = require('../../config/logger');
+
+// Fields each consent scope covers (DATA_SHARING covers the whole record)
+const CONSENT_FIELDS = {
+  PERSONAL_DATA: ['nombre', 'apellido', 'edad'],
+  PHOTO: ['fotoUrl'],
+  HEALTH_DATA: ['estadoFisico', 'adicciones', 'estadoMental'],
+  DATA_SHARING: [],
+};
+
+const consentInclude = {
+  witnessedBy: { select: { id: true, name: true, email: true } },
+  withdrawnBy: { select: { id: true, name: true, email: true } },
+};
+
+class HomelessConsentService {
+  /**
+   * Scopes consented when registering a person. The legacy
+   * `consentimientoVerbal` flag stands for PERSONAL_DATA.
+   * @param {Object} data - consentScopes, consentimientoVerbal
+   * @returns {string[]} Scopes
+   */
+  getRequestedScopes(data) {
+    const scopes = new Set(data.consentScopes || []);
+    if (data.consentimientoVerbal) scopes.add('PERSONAL_DATA');
+    return [...scopes];
+  }
+
+  /**
+   * Scopes with an active (not withdrawn) consent
+   * @param {string} homelessId - Homeless ID
+   * @returns {Promise<string[]>} Scopes
+   */
+  async getActiveScopes(homelessId) {
+    const consents = await prisma.homelessConsent.findMany({
+      where: { homelessId, withdrawnAt: null },
+      select: { scope: true },
+    });
+
+    return [...new Set(consents.map((consent) => consent.scope))];
+  }
+
+  /**
+   * Refuse to store data the person did not consent to. Clearing a field needs no consent.
+   * @param {Object} data - Fields about to be stored
+   * @param {string[]} scopes - Active consent scopes
+   * @throws {AppError} 400 listing the fields and the consent they need
+   */
+  assertConsentedFields(data, scopes) {
+    const missing = [];
+
+    for (const [scope, fields] of Object.entries(CONSENT_FIELDS)) {
+      if (scopes.includes(scope)) continue;
+
+      for (const field of fields) {
+        if (data[field] !== undefined && data[field] !== null && data[field] !== '') {
+          missing.push(`${field} (${scope})`);
+        }
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new AppError(`Consent required to store: ${missing.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * List the consents of a person, withdrawn ones included
+   * @param {string} homelessId - Homeless ID
+   * @returns {Promise<Array>} Consents, newest first
+   */
+  async listConsents(homelessId) {
+    return await prisma.homelessConsent.findMany({
+      where: { homelessId },
+      include: consentInclude,
+      orderBy: { grantedAt: 'desc' },
+    });
+  }
+
+  /**
+   * Record a consent witnessed by a member
+   * @param {Object} homeless - Homeless record (id, consentimientoVerbal)
+   * @param {Object} data - scope, method, witnessName, notes
+   * @param {string} userId - Witnessing member
+   * @returns {Promise<Object>} Consent
+   */
+  async recordConsent(homeless, data, userId) {
+    const active = await prisma.homelessConsent.findFirst({
+      where: { homelessId: homeless.id, scope: data.scope, withdrawnAt: null },
+      select: { id: true },
+    });
+
+    if (active) {
+      throw new AppError(`${data.scope} consent is already active`, 409);
+    }
+
+    const consent = await prisma.homelessConsent.create({
+      data: {
+        homelessId: homeless.id,
+        scope: data.scope,
+        method: data.method,
+        witnessName: data.witnessName,
+        notes: data.notes,
+        witnessedById: userId,
+      },
+      include: consentInclude,
+    });
+
+    if (data.scope === 'PERSONAL_DATA' && !homeless.consentimientoVerbal) {
+      await prisma.homeless.update({
+        where: { id: homeless.id },
+        data: { consentimientoVerbal: true },
+      });
+    }
+
+    await logAudit(userId, 'record_homeless_consent', 'homeless', homeless.id, {
+      consentId: consent.id,
+      scope: consent.scope,
+      method: consent.method,
+    });
+
+    return consent;
+  }
+
+  /**
+   * Withdraw a consent and redact the fields it covered. Withdrawing HEALTH_DATA
+   * also clears the condition observed on each visit and the answers, score and
+   * needs of each assessment.
+   * @param {Object} homeless - Homeless record
+   * @param {string} consentId - Consent ID
+   * @param {string} reason - Withdrawal reason
+   * @param {string} userId - Member registering the withdrawal
+   * @returns {Promise<Object>} { consent, redactedFields, removedPhotoUrl }
+   */
+  async withdrawConsent(homeless, consentId, reason, userId) {
+    const consent = await prisma.homelessConsent.findFirst({
+      where: { id: consentId, homelessId: homeless.id },
+    });
+
+    if (!consent) {
+      throw new AppError('Consent not found', 404);
+    }
+
+    if (consent.withdrawnAt) {
+      throw new AppError('Consent was already withdrawn', 409);
+    }
+
+    const redactedFields = CONSENT_FIELDS[consent.scope];
+    const redaction = Object.fromEntries(redactedFields.map((field) => [field, null]));
+    if (consent.scope === 'PERSONAL_DATA') {
+      redaction.consentimientoVerbal = false;
+    }
+
+    const [withdrawn] = await prisma.$transaction([
+      prisma.homelessConsent.update({
+        where: { id: consentId },
+        data: { withdrawnAt: new Date(), withdrawnById: userId, withdrawalReason: reason },
+        include: consentInclude,
+      }),
+      prisma.homeless.update({
+        where: { id: homeless.id },
+        data: redaction,
+      }),
+      ...(consent.scope === 'HEALTH_DATA'
+        ? [
+          prisma.homelessVisit.updateMany({ where: { homelessId: homeless.id }, data: { condition: null } }),
+          prisma.homelessAssessment.updateMany({
+            where: { homelessId: homeless.id },
+            data: { answers: null, score: null, needs: [] },
+          }),
+        ]
+        : []),
+    ]);
+
+    await logAudit(userId, 'withdraw_homeless_consent', 'homeless', homeless.id, {
+      consentId,
+      scope: consent.scope,
+      redactedFields,
+    });
+    logger.info(`Homeless consent ${consent.scope} withdrawn for ${homeless.id} by user ${userId}`);
+
+    return {
+      consent: withdrawn,
+      redactedFields,
+      removedPhotoUrl: consent.scope === 'PHOTO' ? homeless.fotoUrl : null,
+    };
+  }
+}
+
+module.exports = new HomelessConsentService();
@@ -0,0 +1,457 @@
+/**
+ * Homeless Merge Service
+ * Detects records of the same person registered more than once and merges them.
+ * A merge keeps the survivor, moves what hangs from the duplicate to it and deletes
+ * the duplicate; the duplicate's snapshot is kept in HomelessMerge so it can be undone.
+ */
+
+const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
+const { calculateDistance } = require('../../utils/geolocation');
+const { nameSimilarity } = require('../../utils/similarity');
+const { logAudit } = require('../audit/audit.service');
+const homelessService = require('./homeless.service');
+const fieldEncryptionService = require('../../services/field-encryption.service');
+const logger = require('../../config/logger');
+
+const DEFAULT_RADIUS_KM = 1;
+const DEFAULT_AGE_TOLERANCE = 5;
+const DEFAULT_MIN_SCORE = 0.7;
+const DEFAULT_LIMIT = 50;
+
+// Pairs whose names are less alike than this are never candidates
+const MIN_NAME_SIMILARITY = 0.75;
+const WEIGHTS = { name: 0.6, proximity: 0.25, age: 0.15 };
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Fields the survivor takes from the duplicate when it has none (or when asked to)
+const MERGEABLE_FIELDS = [
+  'nombre',
+  'apellido',
+  'apodo',
+  'edad',
+  'estadoFisico',
+  'adicciones',
+  'estadoMental',
+  'fotoUrl',
+];
+
+// Health data is left out: candidates are compared on name, age and location
+const candidateSelect = {
+  id: true,
+  nombre: true,
+  apellido: true,
+  apodo: true,
+  edad: true,
+  lat: true,
+  lng: true,
+  ultimaVezVisto: true,
+  registradoPor: true,
+  createdAt: true,
+};
+
+const mergeInclude = {
+  mergedBy: { select: { id: true, name: true, email: true } },
+  undoneBy: { select: { id: true, name: true, email: true } },
+};
+
+const fullName = (record) => [record.nombre, record.apellido].filter(Boolean).join(' ');
+
+// Dates come back from the changes JSON as ISO strings
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Merge as returned by the API (without the duplicate's data)
+ * @param {Object} merge - HomelessMerge
+ * @returns {Object} Merge summary
+ */
+const summarize = (merge) => ({
+  id: merge.id,
+  organizationId: merge.organizationId,
+  survivorId: merge.survivorId,
+  mergedId: merge.mergedId,
+  score: merge.score,
+  fields: Object.keys(merge.changes || {}),
+  mergedBy: merge.mergedBy || null,
+  undoneAt: merge.undoneAt,
+  undoneBy: merge.undoneBy || null,
+  createdAt: merge.createdAt,
+});
+
+class HomelessMergeService {
+  /**
+   * Score how likely two records are the same person. Records too far apart, with
+   * ages beyond the tolerance, or with names that do not match, are not candidates.
+   * @param {Object} a - Homeless record
+   * @param {Object} b - Homeless record
+   * @param {Object} [options] - radiusKm, ageTolerance
+   * @returns {Object|null} { score, nameSimilarity, distanceKm, ageDifference } or null
+   */
+  scorePair(a, b, { radiusKm = DEFAULT_RADIUS_KM, ageTolerance = DEFAULT_AGE_TOLERANCE } = {}) {
+    const distanceKm = calculateDistance(a.lat, a.lng, b.lat, b.lng);
+    if (distanceKm > radiusKm) return null;
+
+    const ageDifference = a.edad != null && b.edad != null ? Math.abs(a.edad - b.edad) : null;
+    if (ageDifference !== null && ageDifference > ageTolerance) return null;
+
+    // Volunteers write down a name or a nickname, not always the same one
+    const similarities = [
+      nameSimilarity(fullName(a), fullName(b)),
+      nameSimilarity(a.apodo, b.apodo),
+      nameSimilarity(a.nombre, b.apodo),
+      nameSimilarity(a.apodo, b.nombre),
+    ].filter((similarity) => similarity !== null);
+    if (similarities.length === 0) return null;
+
+    const bestName = Math.max(...similarities);
+    if (bestName < MIN_NAME_SIMILARITY) return null;
+
+    let weighted = WEIGHTS.name * bestName + WEIGHTS.proximity * (radiusKm > 0 ? 1 - distanceKm / radiusKm : 1);
+    let total = WEIGHTS.name + WEIGHTS.proximity;
+    if (ageDifference !== null) {
+      weighted += WEIGHTS.age * (1 - ageDifference / (ageTolerance + 1));
+      total += WEIGHTS.age;
+    }
+
+    return {
+      score: round(weighted / total),
+      nameSimilarity: round(bestName),
+      distanceKm: round(distanceKm),
+      ageDifference,
+    };
+  }
+
+  /**
+   * Find probable duplicates in an organization, best matches first.
+   * Records are swept by latitude so only neighbours are compared.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} [options]
+   * @param {string} [options.homelessId] - Only pairs including this record
+   * @param {number} [options.radiusKm=1] - Maximum distance between the records
+   * @param {number} [options.ageTolerance=5] - Maximum age difference (years)
+   * @param {number} [options.minScore=0.7] - Minimum score (0-1)
+   * @param {number} [options.limit=50] - Maximum number of pairs
+   * @returns {Promise<Array>} [{ score, nameSimilarity, distanceKm, ageDifference, records: [a, b] }]
+   */
+  async findDuplicates(organizationId, options = {}) {
+    const {
+      homelessId,
+      radiusKm = DEFAULT_RADIUS_KM,
+      ageTolerance = DEFAULT_AGE_TOLERANCE,
+      minScore = DEFAULT_MIN_SCORE,
+      limit = DEFAULT_LIMIT,
+    } = options;
+
+    if (!organizationId) {
+      throw new AppError('An organization is required to find duplicates', 400);
+    }
+
+    const records = await prisma.homeless.findMany({
+      where: { organizationId },
+      select: candidateSelect,
+      orderBy: { lat: 'asc' },
+    });
+
+    if (homelessId && !records.some((record) => record.id === homelessId)) {
+      throw new AppError('Homeless record not found', 404);
+    }
+
+    const latWindow = radiusKm / KM_PER_DEGREE_LAT;
+    const pairs = [];
+
+    for (let i = 0; i < records.length; i++) {
+      for (let j = i + 1; j < records.length && records[j].lat - records[i].lat <= latWindow; j++) {
+        const [a, b] = [records[i], records[j]];
+        if (homelessId && a.id !== homelessId && b.id !== homelessId) continue;
+
+        const match = this.scorePair(a, b, { radiusKm, ageTolerance });
+        if (match && match.score >= minScore) {
+          // The older registration first: it is the usual survivor
+          pairs.push({ ...match, records: a.createdAt <= b.createdAt ? [a, b] : [b, a] });
+        }
+      }
+    }
+
+    return pairs.sort((x, y) => y.score - x.score).slice(0, limit);
+  }
+
+  /**
+   * Survivor fields changed by merging a duplicate into it. The survivor keeps its
+   * values unless it has none or the field is listed in `fields`; the most recent
+   * sighting wins for the location.
+   * @param {Object} survivor - Record kept
+   * @param {Object} merged - Duplicate
+   * @param {string[]} [fields] - Fields to take from the duplicate even if the survivor has them
+   * @returns {Object} { field: { from, to } }
+   */
+  consolidate(survivor, merged, fields = []) {
+    const changes = {};
+    const set = (field, value) => {
+      if (normalize(survivor[field]) !== normalize(value)) {
+        changes[field] = { from: survivor[field], to: value };
+      }
+    };
+
+    MERGEABLE_FIELDS.forEach((field) => {
+      if (merged[field] !== null && (fields.includes(field) || survivor[field] === null)) {
+        set(field, merged[field]);
+      }
+    });
+
+    if (merged.atencionMedicaUrgente) set('atencionMedicaUrgente', true);
+    if (merged.consentimientoVerbal) set('consentimientoVerbal', true);
+
+    if (merged.ultimaVezVisto > survivor.ultimaVezVisto) {
+      ['lat', 'lng', 'zoneId', 'ultimaVezVisto'].forEach((field) => set(field, merged[field]));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Merge a duplicate into the survivor. Consents, visits, assessments, cases and data
+   * requests of the duplicate move to the survivor, the survivor's fields are consolidated and the duplicate is
+   * deleted, all in one transaction.
+   * @param {Object} data - { survivorId, mergedId, fields }
+   * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @param {string} userId - Member merging
+   * @param {string} userRole - Role the survivor is returned to
+   * @returns {Promise<Object>} { merge, homeless }
+   */
+  async mergeHomeless({ survivorId, mergedId, fields = [] }, organizationId, userId, userRole) {
+    if (survivorId === mergedId) {
+      throw new AppError('A record cannot be merged into itself', 400);
+    }
+
+    const records = await prisma.homeless.findMany({
+      where: { id: { in: [survivorId, mergedId] }, ...(organizationId && { organizationId }) },
+    });
+    const survivor = records.find((record) => record.id === survivorId);
+    const merged = records.find((record) => record.id === mergedId);
+
+    if (!survivor || !merged) {
+      throw new AppError(`Homeless record not found: ${survivor ? mergedId : survivorId}`, 404);
+    }
+    if (survivor.organizationId !== merged.organizationId) {
+      throw new AppError('Records of different organizations cannot be merged', 400);
+    }
+
+    const changes = this.consolidate(survivor, merged, fields);
+    const [consents, visits, assessments, cases, requests] = await Promise.all([
+      prisma.homelessConsent.findMany({ where: { homelessId: mergedId }, select: { id: true } }),
+      prisma.homelessVisit.findMany({ where: { homelessId: mergedId }, select: { id: true } }),
+      prisma.homelessAssessment.findMany({ where: { homelessId: mergedId }, select: { id: true } }),
+      prisma.case.findMany({ where: { homelessId: mergedId }, select: { id: true } }),
+      prisma.dataSubjectRequest.findMany({
+        where: { homelessIds: { has: mergedId } },
+        select: { id: true, homelessIds: true },
+      }),
+    ]);
+
+    const movedRelations = {
+      homelessConsentIds: consents.map((consent) => consent.id),
+      homelessVisitIds: visits.map((visit) => visit.id),
+      homelessAssessmentIds: assessments.map((assessment) => assessment.id),
+      caseIds: cases.map((record) => record.id),
+      dataSubjectRequests: requests.map((request) => ({
+        id: request.id,
+        hadSurvivor: request.homelessIds.includes(survivorId),
+      })),
+    };
+
+    const results = await prisma.$transaction([
+      prisma.homelessConsent.updateMany({
+        where: { id: { in: movedRelations.homelessConsentIds } },
+        data: { homelessId: survivorId },
+      }),
+      prisma.homelessVisit.updateMany({
+        where: { id: { in: movedRelations.homelessVisitIds } },
+        data: { homelessId: survivorId },
+      }),
+      prisma.homelessAssessment.updateMany({
+        where: { id: { in: movedRelations.homelessAssessmentIds } },
+        data: { homelessId: survivorId },
+      }),
+      prisma.case.updateMany({
+        where: { id: { in: movedRelations.caseIds } },
+        data: { homelessId: survivorId },
+      }),
+      ...requests.map((request) =>
+        prisma.dataSubjectRequest.update({
+          where: { id: request.id },
+          data: {
+            homelessIds: [...new Set(request.homelessIds.map((id) => (id === mergedId ? survivorId : id)))],
+          },
+        })
+      ),
+      prisma.homeless.update({
+        where: { id: survivorId },
+        data: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+      }),
+      prisma.homeless.delete({ where: { id: mergedId } }),
+      prisma.homelessMerge.create({
+        data: {
+          organizationId: survivor.organizationId,
+          survivorId,
+          mergedId,
+          mergedSnapshot: merged,
+          changes,
+          movedRelations,
+          score: this.scorePair(survivor, merged)?.score ?? null,
+          mergedById: userId,
+        },
+        include: mergeInclude,
+      }),
+    ]);
+
+    const merge = results[results.length - 1];
+    const updated = results[results.length - 3];
+
+    await logAudit(userId, 'merge_homeless', 'homeless', survivorId, {
+      mergeId: merge.id,
+      mergedId,
+      fields: Object.keys(changes),
+      score: merge.score,
+    });
+    logger.info(`Homeless record ${mergedId} merged into ${survivorId} by user ${userId}`);
+
+    return { merge: summarize(merge), homeless: await homelessService.presentHomeless(updated, userRole) };
+  }
+
+  /**
+   * Undo a merge: the duplicate is restored with its ID, its consents, visits, assessments,
+   * cases and data requests move back, and survivor fields the merge changed are restored unless they were
+   * edited since (those are reported as kept).
+   * @param {string} mergeId - HomelessMerge ID
+   * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @param {string} userId - Member undoing
+   * @returns {Promise<Object>} { merge, restoredFields, keptFields }
+   */
+  async undoMerge(mergeId, organizationId, userId) {
+    const merge = await prisma.homelessMerge.findFirst({
+      where: { id: mergeId, ...(organizationId && { organizationId }) },
+    });
+
+    if (!merge) {
+      throw new AppError('Merge not found', 404);
+    }
+    if (merge.undoneAt) {
+      throw new AppError('The merge was already undone', 409);
+    }
+    if (merge.mergedSnapshot.redacted) {
+      throw new AppError('The merged record was erased and cannot be restored', 409);
+    }
+
+    const survivor = await prisma.homeless.findUnique({ where: { id: merge.survivorId } });
+    if (!survivor) {
+      throw new AppError('The surviving record no longer exists, undo its own merge first', 409);
+    }
+
+    const snapshot = { ...merge.mergedSnapshot };
+    if (snapshot.zoneId && !(await prisma.zone.findUnique({ where: { id: snapshot.zoneId } }))) {
+      snapshot.zoneId = null;
+    }
+
+    // Encrypted fields are compared in plaintext: a key rotation or an edit with
+    // the same value re-encrypts them with a new IV
+    const encryptedFields = fieldEncryptionService.getEncryptedFields('homeless');
+    const applied = Object.fromEntries(Object.entries(merge.changes).map(([field, change]) => [field, change.to]));
+    const [current, merged] = await Promise.all([
+      fieldEncryptionService.decryptFields(survivor, encryptedFields),
+      fieldEncryptionService.decryptFields({ ...applied, organizationId: survivor.organizationId }, encryptedFields),
+    ]);
+
+    const restore = {};
+    const keptFields = [];
+    Object.entries(merge.changes).forEach(([field, change]) => {
+      if (normalize(current[field]) === normalize(merged[field])) {
+        restore[field] = change.from;
+      } else {
+        keptFields.push(field);
+      }
+    });
+
+    const {
+      homelessConsentIds = [],
+      homelessVisitIds = [],
+      homelessAssessmentIds = [],
+      caseIds = [],
+      dataSubjectRequests = [],
+    } = merge.movedRelations;
+    const requests = await prisma.dataSubjectRequest.findMany({
+      where: { id: { in: dataSubjectRequests.map((request) => request.id) } },
+      select: { id: true, homelessIds: true },
+    });
+
+    const results = await prisma.$transaction([
+      prisma.homeless.create({ data: snapshot }),
+      prisma.homelessConsent.updateMany({
+        where: { id: { in: homelessConsentIds }, homelessId: merge.survivorId },
+        data: { homelessId: merge.mergedId },
+      }),
+      prisma.homelessVisit.updateMany({
+        where: { id: { in: homelessVisitIds }, homelessId: merge.survivorId },
+        data: { homelessId: merge.mergedId },
+      }),
+      prisma.homelessAssessment.updateMany({
+        where: { id: { in: homelessAssessmentIds }, homelessId: merge.survivorId },
+        data: { homelessId: merge.mergedId },
+      }),
+      prisma.case.updateMany({
+        where: { id: { in: caseIds }, homelessId: merge.survivorId },
+        data: { homelessId: merge.mergedId },
+      }),
+      ...requests.map((request) => {
+        const { hadSurvivor } = dataSubjectRequests.find((moved) => moved.id === request.id);
+        const homelessIds = hadSurvivor
+          ? [...request.homelessIds, merge.mergedId]
+          : request.homelessIds.map((id) => (id === merge.survivorId ? merge.mergedId : id));
+        return prisma.dataSubjectRequest.update({
+          where: { id: request.id },
+          data: { homelessIds: [...new Set(homelessIds)] },
+        });
+      }),
+      prisma.homeless.update({ where: { id: merge.survivorId }, data: restore }),
+      prisma.homelessMerge.update({
+        where: { id: merge.id },
+        data: { undoneAt: new Date(), undoneById: userId },
+        include: mergeInclude,
+      }),
+    ]);
+
+    await logAudit(userId, 'undo_homeless_merge', 'homeless', merge.mergedId, {
+      mergeId: merge.id,
+      survivorId: merge.survivorId,
+      keptFields,
+    });
+    logger.info(`Merge ${merge.id} undone by user ${userId}: ${merge.mergedId} restored`);
+
+    return { merge: summarize(results[results.length - 1]), restoredFields: Object.keys(restore), keptFields };
+  }
+
+  /**
+   * List the merges of an organization, newest first
+   * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @param {Object} [filters] - homelessId (as survivor or duplicate)
+   * @returns {Promise<Array>} Merge summaries
+   */
+  async listMerges(organizationId, filters = {}) {
+    const where = {};
+    if (organizationId) where.organizationId = organizationId;
+    if (filters.homelessId) {
+      where.OR = [{ survivorId: filters.homelessId }, { mergedId: filters.homelessId }];
+    }
+
+    const merges = await prisma.homelessMerge.findMany({
+      where,
+      include: mergeInclude,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return merges.map(summarize);
+  }
+}
+
+module.exports = new HomelessMergeService();
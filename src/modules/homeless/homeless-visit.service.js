@@ -0,0 +1,175 @@
+/**
+ * Homeless Visit Service
+ * Log of the sightings of each registered person. The location and `ultimaVezVisto`
+ * of the person follow the latest visit.
+ */
+
+const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
+const { logAudit } = require('../audit/audit.service');
+const homelessService = require('./homeless.service');
+const homelessConsentService = require('./homeless-consent.service');
+const permissionService = require('../../services/permission.service');
+const fieldEncryptionService = require('../../services/field-encryption.service');
+const logger = require('../../config/logger');
+
+// The observed condition is health data
+const VISIT_HEALTH_FIELDS = fieldEncryptionService.getEncryptedFields('homelessVisit');
+
+// Clock difference tolerated between the device and the server
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const visitInclude = {
+  visitedBy: { select: { id: true, name: true, email: true } },
+};
+
+class HomelessVisitService {
+  /**
+   * Log a visit to a person. When it is the latest one, the person's location,
+   * zone and `ultimaVezVisto` move to it.
+   * @param {Object} homeless - Stored homeless record
+   * @param {Object} data - lat, lng, visitedAt, services, condition, notes
+   * @param {string} userId - Member visiting
+   * @param {string} userRole - Role the visit is returned to
+   * @returns {Promise<Object>} Visit
+   */
+  async recordVisit(homeless, data, userId, userRole) {
+    const visitedAt = data.visitedAt ? new Date(data.visitedAt) : new Date();
+    if (visitedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      throw new AppError('Visit date cannot be in the future', 400);
+    }
+
+    if (data.condition) {
+      const scopes = await homelessConsentService.getActiveScopes(homeless.id);
+      if (!scopes.includes('HEALTH_DATA')) {
+        throw new AppError('Consent required to store: condition (HEALTH_DATA)', 400);
+      }
+    }
+
+    const lat = data.lat ?? homeless.lat;
+    const lng = data.lng ?? homeless.lng;
+    const storedData = await fieldEncryptionService.encryptFields(
+      {
+        homelessId: homeless.id,
+        organizationId: homeless.organizationId,
+        lat,
+        lng,
+        visitedAt,
+        visitedById: userId,
+        services: [...new Set(data.services || [])],
+        condition: data.condition || null,
+        notes: data.notes,
+      },
+      VISIT_HEALTH_FIELDS,
+      homeless.organizationId
+    );
+
+    // A visit logged late does not move the person back to an older location
+    const isLatest = !homeless.ultimaVezVisto || visitedAt > homeless.ultimaVezVisto;
+    const homelessUpdate = isLatest ? { lat, lng, ultimaVezVisto: visitedAt } : null;
+    if (isLatest && (lat !== homeless.lat || lng !== homeless.lng)) {
+      homelessUpdate.zoneId = await homelessService.resolveZoneId(lat, lng, homeless.organizationId);
+    }
+
+    const [visit] = await prisma.$transaction([
+      prisma.homelessVisit.create({ data: storedData, include: visitInclude }),
+      // Conditional, so a later visit recorded meanwhile keeps the location
+      ...(homelessUpdate
+        ? [
+            prisma.homeless.updateMany({
+              where: { id: homeless.id, ultimaVezVisto: { lt: visitedAt } },
+              data: homelessUpdate,
+            }),
+          ]
+        : []),
+    ]);
+
+    await logAudit(userId, 'record_homeless_visit', 'homeless', homeless.id, {
+      visitId: visit.id,
+      services: visit.services,
+    });
+    logger.info(`Visit ${visit.id} to homeless ${homeless.id} recorded by user ${userId}`);
+
+    return this.presentVisit(visit, userRole);
+  }
+
+  /**
+   * Timeline of the visits to a person, newest first
+   * @param {string} homelessId - Homeless ID
+   * @param {string} userRole - Role the visits are shown to
+   * @returns {Promise<Array>} Visits
+   */
+  async listVisits(homelessId, userRole) {
+    const visits = await prisma.homelessVisit.findMany({
+      where: { homelessId },
+      include: visitInclude,
+      orderBy: { visitedAt: 'desc' },
+    });
+
+    return Promise.all(visits.map((visit) => this.presentVisit(visit, userRole)));
+  }
+
+  /**
+   * Persons not seen in the last `days` days, those unseen the longest first
+   * @param {number} days - Days without a visit
+   * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @param {Object} [visibilityScope] - Zones of a field member
+   * @returns {Promise<Array>} Persons with daysSinceSeen and their last visit
+   */
+  async findNotSeenSince(days, organizationId, visibilityScope = null) {
+    const now = Date.now();
+    const where = { ultimaVezVisto: { lt: new Date(now - days * DAY_MS) } };
+    if (organizationId) {
+      where.organizationId = organizationId;
+    }
+    if (visibilityScope) {
+      where.AND = [permissionService.homelessVisibilityFilter(visibilityScope)];
+    }
+
+    // Health data is left out: the list is meant for planning rounds
+    const homeless = await prisma.homeless.findMany({
+      where,
+      select: {
+        id: true,
+        nombre: true,
+        apellido: true,
+        apodo: true,
+        fotoUrl: true,
+        lat: true,
+        lng: true,
+        zoneId: true,
+        atencionMedicaUrgente: true,
+        ultimaVezVisto: true,
+        visits: {
+          select: { id: true, visitedAt: true, services: true, ...visitInclude },
+          orderBy: { visitedAt: 'desc' },
+          take: 1,
+        },
+      },
+      orderBy: { ultimaVezVisto: 'asc' },
+    });
+
+    return homeless.map(({ visits, ...record }) => ({
+      ...record,
+      daysSinceSeen: Math.floor((now - record.ultimaVezVisto.getTime()) / DAY_MS),
+      lastVisit: visits[0] || null,
+    }));
+  }
+
+  /**
+   * Prepare a stored visit for a role: the condition is decrypted or masked
+   * like the health data of the person.
+   * @param {Object} visit - Stored visit
+   * @param {string} userRole - User role
+   * @returns {Promise<Object>} Visit
+   */
+  async presentVisit(visit, userRole) {
+    if (!homelessService.canReadHealthData(userRole)) {
+      return homelessService.maskHealthData(visit, VISIT_HEALTH_FIELDS);
+    }
+    return fieldEncryptionService.decryptFields(visit, VISIT_HEALTH_FIELDS);
+  }
+}
+
+module.exports = new HomelessVisitService();
@@ -4,9 +4,24 @@
  */
 
 const homelessService = require('./homeless.service');
+const homelessConsentService = require('./homeless-consent.service');
+const homelessMergeService = require('./homeless-merge.service');
+const homelessVisitService = require('./homeless-visit.service');
+const homelessAssessmentService = require('./homeless-assessment.service');
+const casesService = require('../cases/cases.service');
+const permissionService = require('../../services/permission.service');
 
 const { uploadImage, deleteImage, getThumbnailUrl } = require('../../config/cloudinary');
 
+/**
+ * Zones a field member is limited to (SuperAdmin and other roles see everything)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Visibility scope
+ */
+const getVisibilityScope = (req) => {
+  return req.user.isSuperAdmin ? null : permissionService.getVisibilityScope(req.user.id);
+};
+
 /**
  * Helper to convert buffer to base64
  * @param {Buffer} buffer - File buffer
@@ -17,6 +32,24 @@ const bufferToBase64 = (buffer, mimetype) => {
   return `data:${mimetype};base64,${buffer.toString('base64')}`;
 };
 
+/**
+ * Delete a stored photo from Cloudinary. Failures are logged, not thrown.
+ * @param {string} fotoUrl - Cloudinary URL
+ */
+const deleteStoredPhoto = async (fotoUrl) => {
+  try {
+    // Extract publicId from URL (simple extraction)
+    const parts = fotoUrl.split('/');
+    const filename = parts[parts.length - 1].split('.')[0];
+    const folder = parts.slice(parts.indexOf('upload') + 2, -1).join('/');
+    const publicId = `${folder}/${filename}`;
+    
+    await deleteImage(publicId);
+  } catch (err) {
+    console.error('Error deleting old image:', err);
+  }
+};
+
 class HomelessController {
   /**
    * Create a new homeless record.
@@ -37,6 +70,12 @@ class HomelessController {
 
       // Handle image upload
       if (req.file) {
+        // Don't upload photos the person did not consent to
+        homelessConsentService.assertConsentedFields(
+          { fotoUrl: req.file.originalname },
+          homelessConsentService.getRequestedScopes(req.body)
+        );
+
         const base64Image = bufferToBase64(req.file.buffer, req.file.mimetype);
         const uploadResult = await uploadImage(base64Image, {
           folder: 'abrazar/homeless',
@@ -74,8 +113,8 @@ class HomelessController {
   }
 
   /**
-   * Get all homeless records.
-   * Supports filtering via query parameters.
+   * Get a page of homeless records.
+   * Supports filtering, search, sorting and projection via query parameters.
    * 
    * @param {Object} req - Express request object
    * @param {Object} req.query - Filter parameters
@@ -92,15 +131,19 @@ class HomelessController {
       const homeless = await homelessService.getAllHomeless(
         req.query,
         orgIdToUse,
-        role
+        role,
+        await getVisibilityScope(req)
       );
 
+      // A full page may be followed by another one
+      const nextCursor = homeless.length === req.query.limit ? homeless[homeless.length - 1].id : null;
+
       res.status(200).json({
         status: 'success',
-        data: { homeless, count: homeless.length },
+        data: { homeless, count: homeless.length, nextCursor },
       });
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         status: 'error',
         message: error.message,
       });
@@ -122,7 +165,7 @@ class HomelessController {
       
       const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
 
-      const homeless = await homelessService.getHomelessById(id, orgIdToUse);
+      const homeless = await homelessService.getHomelessById(id, orgIdToUse, await getVisibilityScope(req), role);
 
       res.status(200).json({
         status: 'success',
@@ -153,27 +196,24 @@ class HomelessController {
       const { id } = req.params;
       
       const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+      const visibilityScope = await getVisibilityScope(req);
 
       let updateData = { ...req.body };
 
       // Handle image upload
       if (req.file) {
         // Get existing record to delete old image
-        const existingHomeless = await homelessService.getHomelessById(id, orgIdToUse);
+        const existingHomeless = await homelessService.getHomelessById(id, orgIdToUse, visibilityScope);
+
+        // Don't upload photos the person did not consent to
+        homelessConsentService.assertConsentedFields(
+          { fotoUrl: req.file.originalname },
+          await homelessConsentService.getActiveScopes(id)
+        );
         
         if (existingHomeless.fotoUrl) {
-          try {
-            // Extract publicId from URL (simple extraction)
-            const parts = existingHomeless.fotoUrl.split('/');
-            const filename = parts[parts.length - 1].split('.')[0];
-            const folder = parts.slice(parts.indexOf('upload') + 2, -1).join('/');
-            const publicId = `${folder}/${filename}`;
-            
-            await deleteImage(publicId);
-          } catch (err) {
-            console.error('Error deleting old image:', err);
-            // Continue even if delete fails
-          }
+          // Continue even if delete fails
+          await deleteStoredPhoto(existingHomeless.fotoUrl);
         }
 
         const base64Image = bufferToBase64(req.file.buffer, req.file.mimetype);
@@ -192,7 +232,8 @@ class HomelessController {
         updateData,
         userId,
         orgIdToUse,
-        role
+        role,
+        visibilityScope
       );
 
       res.status(200).json({
@@ -222,7 +263,7 @@ class HomelessController {
       
       const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
 
-      await homelessService.deleteHomeless(id, orgIdToUse);
+      await homelessService.deleteHomeless(id, orgIdToUse, await getVisibilityScope(req));
 
       res.status(200).json({
         status: 'success',
@@ -256,7 +297,8 @@ class HomelessController {
       const servicePoints = await homelessService.getNearbyServicePoints(
         id,
         orgIdToUse,
-        radius ? parseFloat(radius) : 5
+        radius ? parseFloat(radius) : 5,
+        await getVisibilityScope(req)
       );
 
       res.status(200).json({
@@ -270,6 +312,469 @@ class HomelessController {
       });
     }
   }
+
+  /**
+   * List the consents of a homeless person, withdrawn ones included.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async getConsents(req, res) {
+    try {
+      const { organizationId } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, await getVisibilityScope(req));
+      const consents = await homelessConsentService.listConsents(homeless.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { consents, count: consents.length },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 404).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Record a consent given by a homeless person, witnessed by the current user.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {Object} req.body - scope, method, witnessName, notes
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async recordConsent(req, res) {
+    try {
+      const { organizationId, id: userId } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, await getVisibilityScope(req));
+      const consent = await homelessConsentService.recordConsent(homeless, req.body, userId);
+
+      res.status(201).json({
+        status: 'success',
+        data: { consent },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Withdraw a consent. The fields it covered are redacted and a consented
+   * photo is deleted from storage.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {string} req.params.consentId - Consent ID
+   * @param {Object} req.body - reason
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async withdrawConsent(req, res) {
+    try {
+      const { organizationId, id: userId } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, await getVisibilityScope(req));
+      const { consent, redactedFields, removedPhotoUrl } = await homelessConsentService.withdrawConsent(
+        homeless,
+        req.params.consentId,
+        req.body.reason,
+        userId
+      );
+
+      if (removedPhotoUrl) {
+        await deleteStoredPhoto(removedPhotoUrl);
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: { consent, redactedFields },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Everything known about a person: the record, the cases about them with their
+   * emergencies, and the visits. Field members only get the cases they can see.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async getProfile(req, res) {
+    try {
+      const { organizationId, role } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+      const visibilityScope = await getVisibilityScope(req);
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, visibilityScope, role);
+      const [cases, visits] = await Promise.all([
+        casesService.getCasesOfHomeless(homeless.id, visibilityScope),
+        homelessVisitService.listVisits(homeless.id, role),
+      ]);
+      const emergencies = cases
+        .flatMap((caseData) => caseData.emergencies)
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      res.status(200).json({
+        status: 'success',
+        data: { homeless, cases, emergencies, visits },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 404).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * List the visits to a homeless person, newest first.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async getVisits(req, res) {
+    try {
+      const { organizationId, role } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, await getVisibilityScope(req));
+      const visits = await homelessVisitService.listVisits(homeless.id, role);
+
+      res.status(200).json({
+        status: 'success',
+        data: { visits, count: visits.length },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 404).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Log a visit to a homeless person by the current user.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {Object} req.body - lat, lng, visitedAt, services, condition, notes
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async recordVisit(req, res) {
+    try {
+      const { organizationId, id: userId, role } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, await getVisibilityScope(req));
+      const visit = await homelessVisitService.recordVisit(homeless, req.body, userId, role);
+
+      res.status(201).json({
+        status: 'success',
+        data: { visit },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * List the persons not seen in the last `days` days.
+   * 
+   * @param {Object} req - Express request object
+   * @param {number} req.query.days - Days without a visit
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async getNotSeen(req, res) {
+    try {
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : req.user.organizationId;
+
+      const homeless = await homelessVisitService.findNotSeenSince(
+        req.query.days,
+        orgIdToUse,
+        await getVisibilityScope(req)
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { homeless, count: homeless.length },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * List the needs assessment templates of the organization.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - key, allVersions
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async listAssessmentTemplates(req, res) {
+    try {
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : req.user.organizationId;
+
+      const templates = await homelessAssessmentService.listTemplates(orgIdToUse, req.query);
+
+      res.status(200).json({
+        status: 'success',
+        data: { templates, count: templates.length },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Publish a needs assessment template for the organization of the current user.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - key, name, description, questions
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async createAssessmentTemplate(req, res) {
+    try {
+      const { organizationId, id: userId } = req.user;
+
+      const template = await homelessAssessmentService.createTemplate(req.body, organizationId, userId);
+
+      res.status(201).json({
+        status: 'success',
+        data: { template },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get a version of a needs assessment template.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.templateId - Template ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async getAssessmentTemplate(req, res) {
+    try {
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : req.user.organizationId;
+
+      const template = await homelessAssessmentService.getTemplate(req.params.templateId, orgIdToUse);
+
+      res.status(200).json({
+        status: 'success',
+        data: { template },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * List the needs assessments of a homeless person, newest first.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async getAssessments(req, res) {
+    try {
+      const { organizationId, role } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, await getVisibilityScope(req));
+      const assessments = await homelessAssessmentService.listAssessments(homeless.id, role);
+
+      res.status(200).json({
+        status: 'success',
+        data: { assessments, count: assessments.length },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 404).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Record a needs assessment of a homeless person by the current user.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.id - Homeless ID
+   * @param {Object} req.body - templateId, answers, assessedAt
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async submitAssessment(req, res) {
+    try {
+      const { organizationId, id: userId, role } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const homeless = await homelessService.getHomelessById(req.params.id, orgIdToUse, await getVisibilityScope(req));
+      const assessment = await homelessAssessmentService.submitAssessment(homeless, req.body, userId, role);
+
+      res.status(201).json({
+        status: 'success',
+        data: { assessment },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * List probable duplicate records of the organization, best matches first.
+   * SuperAdmin picks the organization with `organizationId`.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - organizationId, homelessId, radiusKm, ageTolerance, minScore, limit
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async findDuplicates(req, res) {
+    try {
+      const { organizationId: requestedOrgId, ...options } = req.query;
+      const organizationId = req.user.isSuperAdmin ? requestedOrgId : req.user.organizationId;
+
+      const duplicates = await homelessMergeService.findDuplicates(organizationId, options);
+
+      res.status(200).json({
+        status: 'success',
+        data: { duplicates, count: duplicates.length },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Merge a duplicate record into the surviving one.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - survivorId, mergedId, fields
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async mergeHomeless(req, res) {
+    try {
+      const { organizationId, id: userId, role } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const { merge, homeless } = await homelessMergeService.mergeHomeless(req.body, orgIdToUse, userId, role);
+
+      res.status(200).json({
+        status: 'success',
+        data: { merge, homeless },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * List the merges of the organization.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - homelessId
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async listMerges(req, res) {
+    try {
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : req.user.organizationId;
+
+      const merges = await homelessMergeService.listMerges(orgIdToUse, req.query);
+
+      res.status(200).json({
+        status: 'success',
+        data: { merges, count: merges.length },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Undo a merge, restoring the duplicate record.
+   * 
+   * @param {Object} req - Express request object
+   * @param {string} req.params.mergeId - Merge ID
+   * @param {Object} req.user - Authenticated user
+   * @param {Object} res - Express response object
+   */
+  async undoMerge(req, res) {
+    try {
+      const { organizationId, id: userId } = req.user;
+      const orgIdToUse = req.user.isSuperAdmin ? undefined : organizationId;
+
+      const result = await homelessMergeService.undoMerge(req.params.mergeId, orgIdToUse, userId);
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+  }
 }
 
 module.exports = new HomelessController();
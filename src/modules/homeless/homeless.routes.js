@@ -6,8 +6,9 @@
 const express = require('express');
 const router = express.Router();
 const homelessController = require('./homeless.controller');
-const { protect: authenticate } = require('../../middlewares/auth.middleware');
-const { requireRole } = require('../../middlewares/permission.middleware');
+const { protect } = require('../../middlewares/auth.middleware');
+const { requirePermission } = require('../../middlewares/permission.middleware');
+const { requireConsent } = require('../../middlewares/consent.middleware');
 const {
   validate,
   createHomelessSchema,
@@ -15,19 +16,34 @@ const {
   getHomelessByIdSchema,
   getNearbyServicesSchema,
   listHomelessSchema,
+  recordConsentSchema,
+  withdrawConsentSchema,
+  recordVisitSchema,
+  notSeenSchema,
+  createAssessmentTemplateSchema,
+  listAssessmentTemplatesSchema,
+  getAssessmentTemplateSchema,
+  submitAssessmentSchema,
+  findDuplicatesSchema,
+  mergeHomelessSchema,
+  listMergesSchema,
+  undoMergeSchema,
 } = require('./homeless.validator');
 
 const upload = require('../../middlewares/upload.middleware');
 
+// Homeless records hold personal data: only users who accepted the current consents
+const authenticate = [protect, requireConsent()];
+
 /**
  * @route   POST /api/homeless
  * @desc    Create a new homeless record
- * @access  ADMIN, COORDINATOR, VOLUNTEER
+ * @access  homeless:create
  */
 router.post(
   '/',
   authenticate,
-  requireRole('ADMIN', 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER', 'ORGANIZATION_ADMIN'),
+  requirePermission('homeless:create'),
   upload.single('foto'),
   validate(createHomelessSchema),
   homelessController.createHomeless
@@ -36,25 +52,129 @@ router.post(
 /**
  * @route   GET /api/homeless
  * @desc    Get all homeless records (filtered by organization)
- * @access  ADMIN, COORDINATOR, VOLUNTEER
+ * @access  homeless:read
  */
 router.get(
   '/',
   authenticate,
-  requireRole('ADMIN', 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER', 'ORGANIZATION_ADMIN', 'DATA_ANALYST'),
+  requirePermission('homeless:read'),
   validate(listHomelessSchema),
   homelessController.getAllHomeless
 );
 
+/**
+ * @route   GET /api/homeless/not-seen
+ * @desc    List persons not seen in the last N days
+ * @access  homeless:read
+ */
+router.get(
+  '/not-seen',
+  authenticate,
+  requirePermission('homeless:read'),
+  validate(notSeenSchema),
+  homelessController.getNotSeen
+);
+
+/**
+ * @route   GET /api/homeless/assessment-templates
+ * @desc    List needs assessment templates (current versions unless allVersions=true)
+ * @access  homeless:read
+ */
+router.get(
+  '/assessment-templates',
+  authenticate,
+  requirePermission('homeless:read'),
+  validate(listAssessmentTemplatesSchema),
+  homelessController.listAssessmentTemplates
+);
+
+/**
+ * @route   POST /api/homeless/assessment-templates
+ * @desc    Publish a needs assessment template, or a new version of an existing key
+ * @access  assessments:manage
+ */
+router.post(
+  '/assessment-templates',
+  authenticate,
+  requirePermission('assessments:manage'),
+  validate(createAssessmentTemplateSchema),
+  homelessController.createAssessmentTemplate
+);
+
+/**
+ * @route   GET /api/homeless/assessment-templates/:templateId
+ * @desc    Get a version of a needs assessment template
+ * @access  homeless:read
+ */
+router.get(
+  '/assessment-templates/:templateId',
+  authenticate,
+  requirePermission('homeless:read'),
+  validate(getAssessmentTemplateSchema),
+  homelessController.getAssessmentTemplate
+);
+
+/**
+ * @route   GET /api/homeless/duplicates
+ * @desc    List probable duplicate records (name, age and location)
+ * @access  homeless:merge
+ */
+router.get(
+  '/duplicates',
+  authenticate,
+  requirePermission('homeless:merge'),
+  validate(findDuplicatesSchema),
+  homelessController.findDuplicates
+);
+
+/**
+ * @route   POST /api/homeless/merge
+ * @desc    Merge a duplicate record into another
+ * @access  homeless:merge
+ */
+router.post(
+  '/merge',
+  authenticate,
+  requirePermission('homeless:merge'),
+  validate(mergeHomelessSchema),
+  homelessController.mergeHomeless
+);
+
+/**
+ * @route   GET /api/homeless/merges
+ * @desc    List merges
+ * @access  homeless:merge
+ */
+router.get(
+  '/merges',
+  authenticate,
+  requirePermission('homeless:merge'),
+  validate(listMergesSchema),
+  homelessController.listMerges
+);
+
+/**
+ * @route   POST /api/homeless/merges/:mergeId/undo
+ * @desc    Undo a merge, restoring the duplicate
+ * @access  homeless:merge
+ */
+router.post(
+  '/merges/:mergeId/undo',
+  authenticate,
+  requirePermission('homeless:merge'),
+  validate(undoMergeSchema),
+  homelessController.undoMerge
+);
+
 /**
  * @route   GET /api/homeless/:id
  * @desc    Get homeless by ID
- * @access  ADMIN, COORDINATOR, VOLUNTEER
+ * @access  homeless:read
  */
 router.get(
   '/:id',
   authenticate,
-  requireRole('ADMIN', 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER', 'ORGANIZATION_ADMIN', 'DATA_ANALYST'),
+  requirePermission('homeless:read'),
   validate(getHomelessByIdSchema),
   homelessController.getHomelessById
 );
@@ -62,12 +182,12 @@ router.get(
 /**
  * @route   PATCH /api/homeless/:id
  * @desc    Update homeless record
- * @access  ADMIN, COORDINATOR, SOCIAL_WORKER, ORGANIZATION_ADMIN
+ * @access  homeless:update
  */
 router.patch(
   '/:id',
   authenticate,
-  requireRole('ADMIN', 'COORDINATOR', 'SOCIAL_WORKER', 'ORGANIZATION_ADMIN'),
+  requirePermission('homeless:update'),
   upload.single('foto'),
   validate(updateHomelessSchema),
   homelessController.updateHomeless
@@ -76,12 +196,12 @@ router.patch(
 /**
  * @route   DELETE /api/homeless/:id
  * @desc    Delete homeless record
- * @access  COORDINATOR, ORGANIZATION_ADMIN (or SuperAdmin)
+ * @access  homeless:delete (or SuperAdmin)
  */
 router.delete(
   '/:id',
   authenticate,
-  requireRole('COORDINATOR', 'ORGANIZATION_ADMIN'),
+  requirePermission('homeless:delete'),
   validate(getHomelessByIdSchema),
   homelessController.deleteHomeless
 );
@@ -89,14 +209,118 @@ router.delete(
 /**
  * @route   GET /api/homeless/:id/nearby-services
  * @desc    Get nearby service points
- * @access  ADMIN, COORDINATOR, VOLUNTEER
+ * @access  homeless:services
  */
 router.get(
   '/:id/nearby-services',
   authenticate,
-  requireRole('ADMIN', 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER', 'ORGANIZATION_ADMIN'),
+  requirePermission('homeless:services'),
   validate(getNearbyServicesSchema),
   homelessController.getNearbyServicePoints
 );
 
+/**
+ * @route   GET /api/homeless/:id/consents
+ * @desc    List the consents given by the person
+ * @access  homeless:read
+ */
+router.get(
+  '/:id/consents',
+  authenticate,
+  requirePermission('homeless:read'),
+  validate(getHomelessByIdSchema),
+  homelessController.getConsents
+);
+
+/**
+ * @route   POST /api/homeless/:id/consents
+ * @desc    Record a consent witnessed by the current user
+ * @access  homeless:update
+ */
+router.post(
+  '/:id/consents',
+  authenticate,
+  requirePermission('homeless:update'),
+  validate(recordConsentSchema),
+  homelessController.recordConsent
+);
+
+/**
+ * @route   POST /api/homeless/:id/consents/:consentId/withdraw
+ * @desc    Withdraw a consent and redact the data it covered
+ * @access  homeless:update
+ */
+router.post(
+  '/:id/consents/:consentId/withdraw',
+  authenticate,
+  requirePermission('homeless:update'),
+  validate(withdrawConsentSchema),
+  homelessController.withdrawConsent
+);
+
+/**
+ * @route   GET /api/homeless/:id/profile
+ * @desc    The person with their cases, emergencies and visits
+ * @access  homeless:read
+ */
+router.get(
+  '/:id/profile',
+  authenticate,
+  requirePermission('homeless:read'),
+  validate(getHomelessByIdSchema),
+  homelessController.getProfile
+);
+
+/**
+ * @route   GET /api/homeless/:id/visits
+ * @desc    Timeline of the visits to the person
+ * @access  homeless:read
+ */
+router.get(
+  '/:id/visits',
+  authenticate,
+  requirePermission('homeless:read'),
+  validate(getHomelessByIdSchema),
+  homelessController.getVisits
+);
+
+/**
+ * @route   POST /api/homeless/:id/visits
+ * @desc    Log a visit by the current user
+ * @access  homeless:visit
+ */
+router.post(
+  '/:id/visits',
+  authenticate,
+  requirePermission('homeless:visit'),
+  validate(recordVisitSchema),
+  homelessController.recordVisit
+);
+
+/**
+ * @route   GET /api/homeless/:id/assessments
+ * @desc    Needs assessments of the person, newest first
+ * @access  homeless:read
+ */
+router.get(
+  '/:id/assessments',
+  authenticate,
+  requirePermission('homeless:read'),
+  validate(getHomelessByIdSchema),
+  homelessController.getAssessments
+);
+
+/**
+ * @route   POST /api/homeless/:id/assessments
+ * @desc    Record a needs assessment of the person
+ * @access  homeless:assess
+ */
+router.post(
+  '/:id/assessments',
+  authenticate,
+  requirePermission('homeless:assess'),
+  validate(submitAssessmentSchema),
+  homelessController.submitAssessment
+);
+
 module.exports = router;
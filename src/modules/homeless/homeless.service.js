@@ -4,14 +4,53 @@
  */
 
 const prisma = require('../../prismaClient');
-const { calculateDistance } = require('../../utils/geolocation');
+const AppError = require('../../utils/errors');
+const { calculateDistance, toRad } = require('../../utils/geolocation');
 const { logAudit } = require('../audit/audit.service');
+const zoneService = require('../zones/zone.service');
+const homelessConsentService = require('./homeless-consent.service');
+const permissionService = require('../../services/permission.service');
+const fieldEncryptionService = require('../../services/field-encryption.service');
 const logger = require('../../config/logger');
 
+// Health data is stored encrypted and only shown in plaintext to these roles
+const HEALTH_FIELDS = fieldEncryptionService.getEncryptedFields('homeless');
+const HEALTH_DATA_ROLES = ['ADMIN', 'ORGANIZATION_ADMIN', 'COORDINATOR', 'SOCIAL_WORKER'];
+const MASKED_VALUE = '[masked]';
+
+const KM_PER_DEGREE_LAT = 111.32;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 100;
+const SEARCH_FIELDS = ['nombre', 'apellido', 'apodo'];
+
+const listInclude = {
+  registrador: {
+    select: { id: true, email: true, name: true },
+  },
+  organization: {
+    select: { id: true, name: true, type: true },
+  },
+};
+
+// Score of the latest needs assessment, shown with the record
+const latestAssessment = {
+  select: {
+    id: true,
+    score: true,
+    needs: true,
+    assessedAt: true,
+    template: { select: { id: true, key: true, name: true, version: true, maxScore: true } },
+  },
+  orderBy: { assessedAt: 'desc' },
+  take: 1,
+};
+
 class HomelessService {
   /**
    * Create a new homeless record.
-   * Filters allowed fields based on user role and consent.
+   * Filters allowed fields based on user role and consent, and records the
+   * consents given (`consentScopes`) witnessed by the registering user.
+   * Registering counts as the first visit of the person.
    * 
    * @param {Object} data - Homeless data
    * @param {string} userId - User ID creating the record
@@ -20,14 +59,17 @@ class HomelessService {
    * @returns {Promise<Object>} Created homeless record
    */
   async createHomeless(data, userId, organizationId, userRole) {
+    const consentScopes = homelessConsentService.getRequestedScopes(data);
+
     // Role-based field filtering
-    const allowedFields = this.getAllowedFields(userRole, data.consentimientoVerbal);
+    const allowedFields = this.getAllowedFields(userRole, consentScopes.includes('PERSONAL_DATA'));
     
     const homelessData = {
       lat: data.lat,
       lng: data.lng,
       registradoPor: userId,
       organizationId,
+      zoneId: await this.resolveZoneId(data.lat, data.lng, organizationId),
     };
 
     // Add allowed fields
@@ -41,10 +83,29 @@ class HomelessService {
     if (allowedFields.includes('atencionMedicaUrgente')) homelessData.atencionMedicaUrgente = data.atencionMedicaUrgente || false;
     if (allowedFields.includes('fotoUrl')) homelessData.fotoUrl = data.fotoUrl;
     if (allowedFields.includes('ultimaVezVisto')) homelessData.ultimaVezVisto = data.ultimaVezVisto || new Date();
-    if (allowedFields.includes('consentimientoVerbal')) homelessData.consentimientoVerbal = data.consentimientoVerbal || false;
+    homelessData.consentimientoVerbal = consentScopes.includes('PERSONAL_DATA');
+
+    // Photo and health data need the person's consent
+    homelessConsentService.assertConsentedFields(homelessData, consentScopes);
+
+    const storedData = await fieldEncryptionService.encryptFields(homelessData, HEALTH_FIELDS, organizationId);
 
     const homeless = await prisma.homeless.create({
-      data: homelessData,
+      data: {
+        ...storedData,
+        consents: {
+          create: consentScopes.map((scope) => ({ scope, method: data.consentMethod, witnessedById: userId })),
+        },
+        visits: {
+          create: {
+            organizationId,
+            lat: homelessData.lat,
+            lng: homelessData.lng,
+            visitedAt: homelessData.ultimaVezVisto,
+            visitedById: userId,
+          },
+        },
+      },
       include: {
         registrador: {
           select: { id: true, email: true, name: true },
@@ -59,25 +120,35 @@ class HomelessService {
     await logAudit(userId, 'create_homeless', 'homeless', homeless.id);
     logger.info(`Homeless record created: ${homeless.id} by user ${userId}`);
 
-    return homeless;
+    return this.presentHomeless(homeless, userRole);
   }
 
   /**
-   * Get all homeless records with multi-tenant filtering.
+   * Get a page of homeless records with multi-tenant filtering.
+   * Records are ordered urgent first, then by last sighting, unless `sort` is given.
+   * Pass the ID of the last record of a page as `cursor` to get the next one.
    * 
-   * @param {Object} filters - Query filters (consent, urgency, date range)
+   * @param {Object} filters - Query filters (consent, urgency, dates, `notSeenDays`, `q`,
+   *   area, `sort`, `order`, `cursor`, `limit`, `fields`)
    * @param {string} [organizationId] - Organization ID (optional for ADMIN)
    * @param {string} userRole - User role
-   * @returns {Promise<Array>} List of homeless records
+   * @param {Object} [visibilityScope] - Zones of a field member
+   * @returns {Promise<Array>} List of homeless records (with `distanceKm` when searching a radius)
    */
-  async getAllHomeless(filters, organizationId, userRole) {
+  async getAllHomeless(filters, organizationId, userRole, visibilityScope = null) {
     const where = {};
+    const conditions = [];
     
     // Only filter by organization if ID is provided
     if (organizationId) {
       where.organizationId = organizationId;
     }
 
+    // Field members only see their zones
+    if (visibilityScope) {
+      conditions.push(permissionService.homelessVisibilityFilter(visibilityScope));
+    }
+
     // Filter by consent if needed
     if (filters.consentimientoVerbal !== undefined) {
       where.consentimientoVerbal = filters.consentimientoVerbal === 'true';
@@ -100,39 +171,223 @@ class HomelessService {
       if (filters.hasta) where.ultimaVezVisto.lte = new Date(filters.hasta);
     }
 
-    const homeless = await prisma.homeless.findMany({
-      where,
-      include: {
-        registrador: {
-          select: { id: true, email: true, name: true },
-        },
-        organization: {
-          select: { id: true, name: true, type: true },
-        },
+    // Not seen in the last N days
+    if (filters.notSeenDays) {
+      where.ultimaVezVisto = { ...where.ultimaVezVisto, lt: new Date(Date.now() - filters.notSeenDays * DAY_MS) };
+    }
+
+    // Every word must appear in the name, surname or nickname
+    if (filters.q) {
+      filters.q.split(/\s+/).forEach((term) => {
+        conditions.push({ OR: SEARCH_FIELDS.map((field) => ({ [field]: { contains: term, mode: 'insensitive' } })) });
+      });
+    }
+
+    // Area filters narrow the query to a box; the exact shape is checked on each record
+    const area = await this.getAreaFilter(filters, organizationId);
+    if (area) {
+      where.lat = { gte: area.box.minLat, lte: area.box.maxLat };
+      where.lng = { gte: area.box.minLng, lte: area.box.maxLng };
+    }
+
+    if (conditions.length > 0) {
+      where.AND = conditions;
+    }
+
+    const query = filters.fields
+      ? { where, select: this.getListSelect(filters.fields) }
+      : { where, include: listInclude };
+    const limit = filters.limit || DEFAULT_PAGE_SIZE;
+    const homeless = filters.sort === 'distance'
+      ? await this.findPageByDistance(query, area, filters.cursor, limit)
+      : await this.findPage(query, area, filters, limit);
+
+    return Promise.all(
+      homeless.map(async (record) => {
+        const presented = await this.presentHomeless(record, userRole);
+        if (area?.center) {
+          presented.distanceKm = Math.round(area.distanceTo(record) * 1000) / 1000;
+        }
+        return filters.fields ? this.project(presented, filters.fields) : presented;
+      })
+    );
+  }
+
+  /**
+   * Page of records in query order, from the record after `cursor`. Records outside
+   * the area are skipped, reading further batches until the page is full.
+   * 
+   * @param {Object} query - Prisma query (where and select or include)
+   * @param {Object|null} area - Area filter (see getAreaFilter)
+   * @param {Object} options - sort, order, cursor
+   * @param {number} limit - Page size
+   * @returns {Promise<Array>} Stored records
+   */
+  async findPage(query, area, { sort, order = 'desc', cursor }, limit) {
+    const orderBy = sort
+      ? [{ [sort]: order }, { id: order }]
+      : [{ atencionMedicaUrgente: 'desc' }, { ultimaVezVisto: 'desc' }, { id: 'desc' }];
+
+    const page = [];
+    let after = cursor;
+    for (;;) {
+      const batch = await prisma.homeless.findMany({
+        ...query,
+        orderBy,
+        take: limit,
+        ...(after && { cursor: { id: after }, skip: 1 }),
+      });
+      page.push(...(area ? batch.filter(area.contains) : batch));
+
+      if (batch.length < limit || page.length >= limit) break;
+      after = batch[batch.length - 1].id;
+    }
+
+    return page.slice(0, limit);
+  }
+
+  /**
+   * Page of the records in a radius, nearest first. Every record in the radius is
+   * read to sort them, which the radius limit of distance sorting (10 km) keeps bounded.
+   * 
+   * @param {Object} query - Prisma query (where and select or include)
+   * @param {Object} area - Area filter with a center (see getAreaFilter)
+   * @param {string} [cursor] - ID of the last record of the previous page
+   * @param {number} limit - Page size
+   * @returns {Promise<Array>} Stored records
+   */
+  async findPageByDistance(query, area, cursor, limit) {
+    const records = (await prisma.homeless.findMany(query))
+      .filter(area.contains)
+      .map((record) => ({ record, distance: area.distanceTo(record) }))
+      .sort((a, b) => a.distance - b.distance || a.record.id.localeCompare(b.record.id))
+      .map(({ record }) => record);
+
+    const start = cursor ? records.findIndex((record) => record.id === cursor) + 1 : 0;
+    if (start === 0 && cursor) {
+      throw new AppError('Cursor is not in the results', 400);
+    }
+
+    return records.slice(start, start + limit);
+  }
+
+  /**
+   * Area to list: a radius around `lat`/`lng`, a bounding box and/or the polygon
+   * of a zone. When several are given a record must be inside all of them.
+   * 
+   * @param {Object} filters - lat, lng, radiusKm, bbox, zoneId
+   * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @returns {Promise<Object|null>} { box, center, contains(record), distanceTo(record) }
+   * @throws {AppError} 404 if the zone is not found
+   */
+  async getAreaFilter({ lat, lng, radiusKm, bbox, zoneId }, organizationId) {
+    const boxes = [];
+    const checks = [];
+    const center = radiusKm ? { lat, lng } : null;
+    const distanceTo = (record) => calculateDistance(lat, lng, record.lat, record.lng);
+
+    if (center) {
+      const latWindow = radiusKm / KM_PER_DEGREE_LAT;
+      const lngWindow = latWindow / Math.max(Math.cos(toRad(lat)), 0.01);
+      boxes.push({
+        minLat: lat - latWindow,
+        maxLat: lat + latWindow,
+        minLng: lng - lngWindow,
+        maxLng: lng + lngWindow,
+      });
+      checks.push((record) => distanceTo(record) <= radiusKm);
+    }
+
+    if (bbox) {
+      boxes.push(bbox);
+    }
+
+    if (zoneId) {
+      const zone = await prisma.zone.findFirst({
+        where: { id: zoneId, ...(organizationId && { organizationId }) },
+        select: { polygon: true },
+      });
+      if (!zone) {
+        throw new AppError('Zone not found', 404);
+      }
+
+      // Polygon coordinates are [lng, lat]
+      const ring = zone.polygon.coordinates[0];
+      const lngs = ring.map((point) => point[0]);
+      const lats = ring.map((point) => point[1]);
+      boxes.push({
+        minLat: Math.min(...lats),
+        maxLat: Math.max(...lats),
+        minLng: Math.min(...lngs),
+        maxLng: Math.max(...lngs),
+      });
+      checks.push((record) => zoneService.isPointInPolygon(record.lat, record.lng, zone.polygon));
+    }
+
+    if (boxes.length === 0) return null;
+
+    return {
+      box: {
+        minLat: Math.max(...boxes.map((box) => box.minLat)),
+        maxLat: Math.min(...boxes.map((box) => box.maxLat)),
+        minLng: Math.max(...boxes.map((box) => box.minLng)),
+        maxLng: Math.min(...boxes.map((box) => box.maxLng)),
       },
-      orderBy: [
-        { atencionMedicaUrgente: 'desc' },
-        { ultimaVezVisto: 'desc' },
-      ],
+      center,
+      contains: (record) => checks.every((check) => check(record)),
+      distanceTo,
+    };
+  }
+
+  /**
+   * Prisma select for a projected list. The organization (to decrypt health data)
+   * and the location (to check the area) are read even when not listed.
+   * 
+   * @param {Array<string>} fields - Fields to list
+   * @returns {Object} Prisma select
+   */
+  getListSelect(fields) {
+    const select = { id: true, organizationId: true, lat: true, lng: true };
+    fields.forEach((field) => {
+      select[field] = listInclude[field] || true;
     });
+    return select;
+  }
 
-    return homeless;
+  /**
+   * Keep only the ID, the listed fields and `distanceKm` of a record
+   * 
+   * @param {Object} record - Presented record
+   * @param {Array<string>} fields - Fields to list
+   * @returns {Object} Projected record
+   */
+  project(record, fields) {
+    return Object.fromEntries(
+      Object.entries(record).filter(([field]) => field === 'id' || field === 'distanceKm' || fields.includes(field))
+    );
   }
 
   /**
    * Get homeless by ID.
    * Ensures the record belongs to the user's organization (unless admin).
+   * Without a role the stored record is returned (health data encrypted);
+   * with one, the record comes with its `latestAssessment`.
    * 
    * @param {string} id - Homeless ID
    * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @param {Object} [visibilityScope] - Zones of a field member
+   * @param {string} [userRole] - Role the record is shown to (health data decrypted or masked)
    * @returns {Promise<Object>} Homeless record
    * @throws {Error} If record not found
    */
-  async getHomelessById(id, organizationId) {
+  async getHomelessById(id, organizationId, visibilityScope = null, userRole = null) {
     const where = { id };
     if (organizationId) {
       where.organizationId = organizationId;
     }
+    if (visibilityScope) {
+      where.AND = [permissionService.homelessVisibilityFilter(visibilityScope)];
+    }
 
     const homeless = await prisma.homeless.findFirst({
       where,
@@ -143,6 +398,7 @@ class HomelessService {
         organization: {
           select: { id: true, name: true, type: true },
         },
+        ...(userRole && { assessments: latestAssessment }),
       },
     });
 
@@ -150,26 +406,46 @@ class HomelessService {
       throw new Error('Homeless record not found');
     }
 
-    return homeless;
+    if (!userRole) return homeless;
+
+    const { assessments, ...record } = homeless;
+    const [assessment = null] = assessments;
+    return {
+      ...(await this.presentHomeless(record, userRole)),
+      latestAssessment: assessment && !this.canReadHealthData(userRole)
+        ? this.maskHealthData(assessment, ['needs'])
+        : assessment,
+    };
   }
 
   /**
    * Update homeless record.
-   * Filters allowed fields based on user role.
+   * Filters allowed fields based on user role. The location and last sighting
+   * are not updated here: they follow the latest visit (homeless-visit.service).
    * 
    * @param {string} id - Homeless ID
    * @param {Object} data - Update data
    * @param {string} userId - User ID updating
    * @param {string} [organizationId] - Organization ID (optional for ADMIN)
    * @param {string} userRole - User role
+   * @param {Object} [visibilityScope] - Zones of a field member
    * @returns {Promise<Object>} Updated record
    */
-  async updateHomeless(id, data, userId, organizationId, userRole) {
+  async updateHomeless(id, data, userId, organizationId, userRole, visibilityScope = null) {
     // Verify ownership
-    const existing = await this.getHomelessById(id, organizationId);
+    const existing = await this.getHomelessById(id, organizationId, visibilityScope);
+
+    const activeScopes = await homelessConsentService.getActiveScopes(id);
+    if (data.consentimientoVerbal === false && activeScopes.includes('PERSONAL_DATA')) {
+      throw new AppError('Withdraw the PERSONAL_DATA consent to remove personal data', 400);
+    }
+
+    // Setting the legacy flag records the personal data consent
+    const recordsPersonalData = data.consentimientoVerbal === true && !activeScopes.includes('PERSONAL_DATA');
+    const consentScopes = recordsPersonalData ? [...activeScopes, 'PERSONAL_DATA'] : activeScopes;
 
     // Role-based field filtering
-    const allowedFields = this.getAllowedFields(userRole, data.consentimientoVerbal || existing.consentimientoVerbal);
+    const allowedFields = this.getAllowedFields(userRole, consentScopes.includes('PERSONAL_DATA'));
     
     const updateData = {};
 
@@ -182,15 +458,19 @@ class HomelessService {
     if (data.adicciones !== undefined && allowedFields.includes('adicciones')) updateData.adicciones = data.adicciones;
     if (data.estadoMental !== undefined && allowedFields.includes('estadoMental')) updateData.estadoMental = data.estadoMental;
     if (data.atencionMedicaUrgente !== undefined && allowedFields.includes('atencionMedicaUrgente')) updateData.atencionMedicaUrgente = data.atencionMedicaUrgente;
-    if (data.lat !== undefined && allowedFields.includes('lat')) updateData.lat = data.lat;
-    if (data.lng !== undefined && allowedFields.includes('lng')) updateData.lng = data.lng;
     if (data.fotoUrl !== undefined && allowedFields.includes('fotoUrl')) updateData.fotoUrl = data.fotoUrl;
-    if (data.ultimaVezVisto !== undefined && allowedFields.includes('ultimaVezVisto')) updateData.ultimaVezVisto = new Date(data.ultimaVezVisto);
     if (data.consentimientoVerbal !== undefined && allowedFields.includes('consentimientoVerbal')) updateData.consentimientoVerbal = data.consentimientoVerbal;
 
+    // Photo and health data need the person's consent
+    homelessConsentService.assertConsentedFields(updateData, consentScopes);
+
+    const storedData = await fieldEncryptionService.encryptFields(updateData, HEALTH_FIELDS, existing.organizationId);
+
     const updated = await prisma.homeless.update({
       where: { id },
-      data: updateData,
+      data: recordsPersonalData
+        ? { ...storedData, consents: { create: { scope: 'PERSONAL_DATA', witnessedById: userId } } }
+        : storedData,
       include: {
         registrador: {
           select: { id: true, email: true, name: true },
@@ -199,10 +479,11 @@ class HomelessService {
     });
 
     // Log audit
-    await logAudit(userId, 'update_homeless', 'homeless', id, updateData);
+    // Health data stays out of the audit log
+    await logAudit(userId, 'update_homeless', 'homeless', id, this.maskHealthData(updateData));
     logger.info(`Homeless record updated: ${id} by user ${userId}`);
 
-    return updated;
+    return this.presentHomeless(updated, userRole);
   }
 
   /**
@@ -210,11 +491,12 @@ class HomelessService {
    * 
    * @param {string} id - Homeless ID
    * @param {string} [organizationId] - Organization ID (optional for ADMIN)
+   * @param {Object} [visibilityScope] - Zones of a field member
    * @returns {Promise<void>}
    */
-  async deleteHomeless(id, organizationId) {
+  async deleteHomeless(id, organizationId, visibilityScope = null) {
     // Verify ownership
-    await this.getHomelessById(id, organizationId);
+    await this.getHomelessById(id, organizationId, visibilityScope);
 
     await prisma.homeless.delete({
       where: { id },
@@ -229,10 +511,11 @@ class HomelessService {
    * @param {string} homelessId - Homeless ID
    * @param {string} [organizationId] - Organization ID (optional for ADMIN)
    * @param {number} radiusKm - Search radius in kilometers (default 5)
+   * @param {Object} [visibilityScope] - Zones of a field member
    * @returns {Promise<Array>} List of nearby service points with distance
    */
-  async getNearbyServicePoints(homelessId, organizationId, radiusKm = 5) {
-    const homeless = await this.getHomelessById(homelessId, organizationId);
+  async getNearbyServicePoints(homelessId, organizationId, radiusKm = 5, visibilityScope = null) {
+    const homeless = await this.getHomelessById(homelessId, organizationId, visibilityScope);
 
     // Get all service points (filter by org only if provided)
     const spWhere = {};
@@ -268,6 +551,61 @@ class HomelessService {
     return nearby;
   }
 
+  /**
+   * Find the organization zone containing a location.
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<string|null>} Zone ID
+   */
+  async resolveZoneId(lat, lng, organizationId) {
+    if (!organizationId) return null;
+
+    const zone = await zoneService.findZoneByCoordinates(lat, lng, organizationId);
+    return zone ? zone.id : null;
+  }
+
+  /**
+   * Whether a role may see health data in plaintext
+   * 
+   * @param {string} userRole - User role
+   * @returns {boolean}
+   */
+  canReadHealthData(userRole) {
+    return HEALTH_DATA_ROLES.includes(userRole);
+  }
+
+  /**
+   * Replace the health data of a record with a mask. Empty fields are kept empty.
+   * 
+   * @param {Object} data - Record or update data
+   * @param {Array<string>} [fields] - Health fields of the record (default: homeless ones)
+   * @returns {Object} Copy of the data
+   */
+  maskHealthData(data, fields = HEALTH_FIELDS) {
+    const masked = { ...data };
+    fields.forEach((field) => {
+      if (masked[field] !== undefined && masked[field] !== null) masked[field] = MASKED_VALUE;
+    });
+    return masked;
+  }
+
+  /**
+   * Prepare a stored record for a role: health data is decrypted for the
+   * roles allowed to see it and masked for the rest (e.g. DATA_ANALYST).
+   * 
+   * @param {Object} homeless - Stored homeless record
+   * @param {string} userRole - User role
+   * @returns {Promise<Object>} Homeless record
+   */
+  async presentHomeless(homeless, userRole) {
+    if (!this.canReadHealthData(userRole)) {
+      return this.maskHealthData(homeless);
+    }
+    return fieldEncryptionService.decryptFields(homeless, HEALTH_FIELDS);
+  }
+
   /**
    * Get allowed fields based on role and consent.
    * 
@@ -5,6 +5,116 @@
 
 const { z } = require('zod');
 
+// Sorting by distance reads every record in the radius, so it takes a smaller one
+const MAX_DISTANCE_SORT_RADIUS_KM = 10;
+
+const consentScope = z.enum(['PERSONAL_DATA', 'PHOTO', 'HEALTH_DATA', 'DATA_SHARING']);
+const consentMethod = z.enum(['VERBAL', 'WRITTEN']);
+const visitService = z.enum([
+  'FOOD',
+  'WATER',
+  'BLANKET',
+  'CLOTHING',
+  'HYGIENE_KIT',
+  'MEDICAL_REFERRAL',
+  'SHELTER_REFERRAL',
+  'OTHER',
+]);
+const mergeableField = z.enum([
+  'nombre',
+  'apellido',
+  'apodo',
+  'edad',
+  'estadoFisico',
+  'adicciones',
+  'estadoMental',
+  'fotoUrl',
+]);
+
+// Assessment questions: answering yes, or choosing an option, adds its points and need
+const assessmentNeed = z.string().regex(/^[A-Z][A-Z0-9_]*$/, 'Needs are UPPER_SNAKE_CASE tags').max(50);
+const assessmentPoints = z.number().int().min(0).max(100);
+const assessmentQuestionBase = {
+  id: z.string().regex(/^[a-z][a-z0-9_]*$/, 'Question IDs are snake_case').max(50),
+  label: z.string().min(1).max(500),
+  required: z.boolean().optional(),
+};
+const assessmentQuestion = z.discriminatedUnion('type', [
+  z.object({
+    ...assessmentQuestionBase,
+    type: z.literal('boolean'),
+    points: assessmentPoints.optional(),
+    need: assessmentNeed.optional(),
+  }),
+  z.object({
+    ...assessmentQuestionBase,
+    type: z.literal('choice'),
+    options: z.array(z.object({
+      value: z.string().min(1).max(100),
+      label: z.string().min(1).max(200),
+      points: assessmentPoints.optional(),
+      need: assessmentNeed.optional(),
+    })).min(2).max(20)
+      .refine((options) => new Set(options.map((option) => option.value)).size === options.length, {
+        message: 'Option values must be unique',
+      }),
+  }),
+  z.object({
+    ...assessmentQuestionBase,
+    type: z.literal('number'),
+    min: z.number().optional(),
+    max: z.number().optional(),
+  }),
+  z.object({
+    ...assessmentQuestionBase,
+    type: z.literal('text'),
+  }),
+]);
+
+// `bbox=minLng,minLat,maxLng,maxLat` (GeoJSON order)
+const boundingBox = z.string()
+  .transform((val) => val.split(',').map(Number))
+  .refine(
+    ([minLng, minLat, maxLng, maxLat, ...rest]) =>
+      rest.length === 0 &&
+      minLat >= -90 && maxLat <= 90 && minLat <= maxLat &&
+      minLng >= -180 && maxLng <= 180 && minLng <= maxLng,
+    { message: 'bbox must be minLng,minLat,maxLng,maxLat' }
+  )
+  .transform(([minLng, minLat, maxLng, maxLat]) => ({ minLat, maxLat, minLng, maxLng }));
+
+// `fields=apodo,lat,lng` limits the listed fields (the ID is always returned)
+const listFields = z.string()
+  .transform((val) => val.split(',').map((field) => field.trim()).filter(Boolean))
+  .pipe(z.array(z.enum([
+    'nombre',
+    'apellido',
+    'apodo',
+    'edad',
+    'estadoFisico',
+    'adicciones',
+    'estadoMental',
+    'atencionMedicaUrgente',
+    'lat',
+    'lng',
+    'ultimaVezVisto',
+    'fotoUrl',
+    'consentimientoVerbal',
+    'registradoPor',
+    'organizationId',
+    'zoneId',
+    'createdAt',
+    'updatedAt',
+    'registrador',
+    'organization',
+  ])).min(1));
+
+// Multipart forms send the scopes as a comma-separated string
+const consentScopes = z.preprocess(
+  (val) => (typeof val === 'string' ? val.split(',').map((scope) => scope.trim()).filter(Boolean) : val),
+  z.array(consentScope)
+);
+
 // Create homeless schema
 const createHomelessSchema = z.object({
   body: z.object({
@@ -26,20 +136,29 @@ const createHomelessSchema = z.object({
     estadoMental: z.string().optional(),
     atencionMedicaUrgente: z.string().transform(val => val === 'true').or(z.boolean()).optional(),
     consentimientoVerbal: z.string().transform(val => val === 'true').or(z.boolean()).optional(),
+    
+    // Consents given by the person, witnessed by the registering user
+    consentScopes: consentScopes.optional(),
+    consentMethod: consentMethod.optional(),
   }),
 });
 
+// The location and last sighting follow the latest visit
+const setByVisit = z.undefined({
+  invalid_type_error: 'Log a visit (POST /api/homeless/:id/visits) to update the location or last sighting',
+}).optional();
+
 // Update homeless schema
 const updateHomelessSchema = z.object({
   params: z.object({
     id: z.string().uuid(),
   }),
   body: z.object({
-    lat: z.coerce.number().min(-90).max(90).optional(),
-    lng: z.coerce.number().min(-180).max(180).optional(),
+    lat: setByVisit,
+    lng: setByVisit,
+    ultimaVezVisto: setByVisit,
     apodo: z.string().optional(),
     fotoUrl: z.string().url().optional(),
-    ultimaVezVisto: z.string().datetime().optional(),
     nombre: z.string().optional(),
     apellido: z.string().optional(),
     edad: z.coerce.number().int().min(0).max(150).optional(),
@@ -58,6 +177,94 @@ const getHomelessByIdSchema = z.object({
   }),
 });
 
+// Record consent schema
+const recordConsentSchema = z.object({
+  params: z.object({
+    id: z.string().uuid(),
+  }),
+  body: z.object({
+    scope: consentScope,
+    method: consentMethod.optional(),
+    witnessName: z.string().max(200).optional(),
+    notes: z.string().max(1000).optional(),
+  }),
+});
+
+// Withdraw consent schema
+const withdrawConsentSchema = z.object({
+  params: z.object({
+    id: z.string().uuid(),
+    consentId: z.string().uuid(),
+  }),
+  body: z.object({
+    reason: z.string().max(1000).optional(),
+  }),
+});
+
+// Record visit schema
+const recordVisitSchema = z.object({
+  params: z.object({
+    id: z.string().uuid(),
+  }),
+  body: z.object({
+    lat: z.coerce.number().min(-90).max(90).optional(),
+    lng: z.coerce.number().min(-180).max(180).optional(),
+    visitedAt: z.string().datetime().optional(),
+    services: z.array(visitService).optional(),
+    condition: z.string().max(2000).optional(),
+    notes: z.string().max(2000).optional(),
+  }).refine((body) => (body.lat === undefined) === (body.lng === undefined), {
+    message: 'lat and lng must be sent together',
+  }),
+});
+
+// Create assessment template schema (a new version when the key exists)
+const createAssessmentTemplateSchema = z.object({
+  body: z.object({
+    key: z.string().regex(/^[a-z][a-z0-9-]*$/, 'Keys are lowercase-with-dashes').max(50),
+    name: z.string().min(1).max(200),
+    description: z.string().max(2000).optional(),
+    questions: z.array(assessmentQuestion).min(1).max(100)
+      .refine((questions) => new Set(questions.map((question) => question.id)).size === questions.length, {
+        message: 'Question IDs must be unique',
+      }),
+  }),
+});
+
+// List assessment templates schema
+const listAssessmentTemplatesSchema = z.object({
+  query: z.object({
+    key: z.string().max(50).optional(),
+    allVersions: z.enum(['true', 'false']).optional().transform((val) => val === 'true'),
+  }),
+});
+
+// Get assessment template schema
+const getAssessmentTemplateSchema = z.object({
+  params: z.object({
+    templateId: z.string().uuid(),
+  }),
+});
+
+// Submit assessment schema (answers are checked against the template)
+const submitAssessmentSchema = z.object({
+  params: z.object({
+    id: z.string().uuid(),
+  }),
+  body: z.object({
+    templateId: z.string().uuid(),
+    answers: z.record(z.union([z.boolean(), z.number(), z.string().max(2000)])),
+    assessedAt: z.string().datetime().optional(),
+  }),
+});
+
+// Not seen since schema
+const notSeenSchema = z.object({
+  query: z.object({
+    days: z.coerce.number().int().min(1).max(365),
+  }),
+});
+
 // Get nearby services schema
 const getNearbyServicesSchema = z.object({
   params: z.object({
@@ -76,6 +283,64 @@ const listHomelessSchema = z.object({
     registradoPor: z.string().uuid().optional(),
     desde: z.string().datetime().optional(),
     hasta: z.string().datetime().optional(),
+    notSeenDays: z.coerce.number().int().min(1).max(365).optional(),
+    q: z.string().trim().min(2).max(100).optional(),
+    // Area: a radius around a point, a bounding box and/or a zone polygon
+    lat: z.coerce.number().min(-90).max(90).optional(),
+    lng: z.coerce.number().min(-180).max(180).optional(),
+    radiusKm: z.coerce.number().positive().max(50).optional(),
+    bbox: boundingBox.optional(),
+    zoneId: z.string().uuid().optional(),
+    sort: z.enum(['ultimaVezVisto', 'createdAt', 'distance']).optional(),
+    order: z.enum(['asc', 'desc']).optional(),
+    cursor: z.string().uuid().optional(),
+    limit: z.coerce.number().int().min(1).max(500).default(100),
+    fields: listFields.optional(),
+  })
+    .refine((query) => new Set([query.lat, query.lng, query.radiusKm].map((val) => val === undefined)).size === 1, {
+      message: 'lat, lng and radiusKm must be sent together',
+    })
+    .refine((query) => query.sort !== 'distance' || query.radiusKm !== undefined, {
+      message: 'Sorting by distance needs lat, lng and radiusKm',
+    })
+    .refine((query) => query.sort !== 'distance' || query.radiusKm <= MAX_DISTANCE_SORT_RADIUS_KM, {
+      message: `Sorting by distance allows a radiusKm of up to ${MAX_DISTANCE_SORT_RADIUS_KM}`,
+    }),
+});
+
+// Find duplicates schema
+const findDuplicatesSchema = z.object({
+  query: z.object({
+    organizationId: z.string().uuid().optional(), // SuperAdmin only
+    homelessId: z.string().uuid().optional(),
+    radiusKm: z.coerce.number().positive().max(50).optional(),
+    ageTolerance: z.coerce.number().int().min(0).max(30).optional(),
+    minScore: z.coerce.number().min(0).max(1).optional(),
+    limit: z.coerce.number().int().min(1).max(200).optional(),
+  }),
+});
+
+// Merge homeless schema
+const mergeHomelessSchema = z.object({
+  body: z.object({
+    survivorId: z.string().uuid(),
+    mergedId: z.string().uuid(),
+    // Fields to take from the duplicate even if the survivor has a value
+    fields: z.array(mergeableField).optional(),
+  }),
+});
+
+// List merges schema
+const listMergesSchema = z.object({
+  query: z.object({
+    homelessId: z.string().uuid().optional(),
+  }),
+});
+
+// Undo merge schema
+const undoMergeSchema = z.object({
+  params: z.object({
+    mergeId: z.string().uuid(),
   }),
 });
 
@@ -113,5 +378,17 @@ module.exports = {
   getHomelessByIdSchema,
   getNearbyServicesSchema,
   listHomelessSchema,
+  recordConsentSchema,
+  withdrawConsentSchema,
+  recordVisitSchema,
+  notSeenSchema,
+  createAssessmentTemplateSchema,
+  listAssessmentTemplatesSchema,
+  getAssessmentTemplateSchema,
+  submitAssessmentSchema,
+  findDuplicatesSchema,
+  mergeHomelessSchema,
+  listMergesSchema,
+  undoMergeSchema,
   validate,
 };
@@ -0,0 +1,357 @@
+/**
+ * Invitation Service
+ * Organization invitations: invite by email with a pre-assigned role and optional team
+ */
+
+const prisma = require('../../prismaClient');
+const bcrypt = require('bcrypt');
+const AppError = require('../../utils/errors');
+const env = require('../../config/env');
+const { generateOpaqueToken, hashToken } = require('../../utils/token.utils');
+const { addEmailJob } = require('../../queues');
+
+// Invitation links are valid for 7 days
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  status: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  organizationId: true,
+  team: { select: { id: true, name: true } },
+  invitedBy: { select: { id: true, email: true, name: true } },
+};
+
+/**
+ * Find a user by email ignoring case: invitation emails are stored lowercase,
+ * accounts keep the case they registered with
+ * @param {string} email - Email address
+ * @param {Object} [where] - Additional conditions
+ * @param {Object} [select] - Fields to return
+ * @returns {Promise<Object|null>} User
+ */
+const findUserByEmail = (email, where = {}, select) =>
+  prisma.user.findFirst({
+    where: { ...where, email: { equals: email, mode: 'insensitive' } },
+    select,
+  });
+
+class InvitationService {
+  /**
+   * Create a pending invitation and email the link
+   * @param {string} orgId - Organization ID
+   * @param {Object} data - Invitation data (email, role, teamId)
+   * @param {string} invitedById - User ID creating the invitation
+   * @returns {Promise<Object>} Created invitation
+   */
+  async createInvitation(orgId, data, invitedById) {
+    const email = data.email.toLowerCase();
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: orgId },
+      select: { id: true, name: true },
+    });
+
+    if (!organization) {
+      throw new AppError('Organization not found', 404);
+    }
+
+    if (data.teamId) {
+      const team = await prisma.team.findFirst({
+        where: { id: data.teamId, organizationId: orgId },
+      });
+      if (!team) {
+        throw new AppError('Team not found in this organization', 404);
+      }
+    }
+
+    const existingMember = await findUserByEmail(email, { organizationId: orgId });
+    if (existingMember) {
+      throw new AppError('User is already a member of this organization', 409);
+    }
+
+    const pending = await prisma.invitation.findFirst({
+      where: { organizationId: orgId, email, status: 'PENDING', expiresAt: { gt: new Date() } },
+    });
+    if (pending) {
+      throw new AppError('A pending invitation already exists for this email', 409);
+    }
+
+    const token = generateOpaqueToken();
+
+    const invitation = await prisma.invitation.create({
+      data: {
+        email,
+        role: data.role || 'VOLUNTEER',
+        teamId: data.teamId,
+        organizationId: orgId,
+        invitedById,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+      },
+      select: invitationSelect,
+    });
+
+    await this.sendInvitationEmail(invitation, organization, token);
+
+    return invitation;
+  }
+
+  /**
+   * List invitations of an organization
+   * @param {string} orgId - Organization ID
+   * @param {Object} filters - Filter options (status)
+   * @returns {Promise<Array>} Invitations
+   */
+  async listInvitations(orgId, filters = {}) {
+    const where = { organizationId: orgId };
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    return prisma.invitation.findMany({
+      where,
+      select: invitationSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Resend a pending invitation with a new link and expiry
+   * The previous link stops working.
+   * @param {string} orgId - Organization ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} Updated invitation
+   */
+  async resendInvitation(orgId, invitationId) {
+    const existing = await this.getPendingInvitation(orgId, invitationId, { allowExpired: true });
+    const token = generateOpaqueToken();
+
+    const invitation = await prisma.invitation.update({
+      where: { id: existing.id },
+      data: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+      },
+      select: invitationSelect,
+    });
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: orgId },
+      select: { name: true },
+    });
+
+    await this.sendInvitationEmail(invitation, organization, token);
+
+    return invitation;
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} orgId - Organization ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} Revoked invitation
+   */
+  async revokeInvitation(orgId, invitationId) {
+    const existing = await this.getPendingInvitation(orgId, invitationId, { allowExpired: true });
+
+    return prisma.invitation.update({
+      where: { id: existing.id },
+      data: { status: 'REVOKED', revokedAt: new Date() },
+      select: invitationSelect,
+    });
+  }
+
+  /**
+   * Get public details of an invitation by token (for the accept screen)
+   * @param {string} token - Plain invitation token
+   * @returns {Promise<Object>} Invitation summary
+   */
+  async getInvitationByToken(token) {
+    const invitation = await this.findUsableInvitation(token);
+    const accountExists = !!(await findUserByEmail(invitation.email, {}, { id: true }));
+
+    return {
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+      organization: invitation.organization,
+      team: invitation.team,
+      accountExists,
+    };
+  }
+
+  /**
+   * Accept an invitation
+   * Existing accounts must be logged in as the invited email; otherwise a new
+   * account is created with the given name and password.
+   * @param {string} token - Plain invitation token
+   * @param {Object} data - Account data for new users (name, password, acceptedTerms)
+   * @param {Object} [currentUser] - Authenticated user, if any
+   * @returns {Promise<Object>} Linked user and accepted invitation
+   */
+  async acceptInvitation(token, data = {}, currentUser = null) {
+    const invitation = await this.findUsableInvitation(token);
+
+    let user = await findUserByEmail(invitation.email);
+
+    if (user) {
+      if (!currentUser || currentUser.id !== user.id) {
+        throw new AppError('Log in with the invited email address to accept this invitation', 401);
+      }
+      if (user.organizationId && user.organizationId !== invitation.organizationId) {
+        throw new AppError('User already belongs to another organization', 409);
+      }
+    } else {
+      if (!data.password) {
+        throw new AppError('A password is required to create the account', 400);
+      }
+      if (data.acceptedTerms !== true) {
+        throw new AppError('You must accept the terms and conditions', 400);
+      }
+    }
+
+    const userSelect = {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      organizationId: true,
+      emailVerified: true,
+    };
+
+    user = await prisma.$transaction(async (tx) => {
+      const linkedUser = user
+        ? await tx.user.update({
+            where: { id: user.id },
+            data: {
+              organizationId: invitation.organizationId,
+              role: invitation.role,
+              emailVerified: true,
+              emailVerifiedAt: user.emailVerifiedAt || new Date(),
+            },
+            select: userSelect,
+          })
+        : await tx.user.create({
+            data: {
+              email: invitation.email,
+              password: await bcrypt.hash(data.password, 12),
+              name: data.name,
+              role: invitation.role,
+              organizationId: invitation.organizationId,
+              acceptedTerms: true,
+              // The invitation link proves ownership of the email
+              emailVerified: true,
+              emailVerifiedAt: new Date(),
+            },
+            select: userSelect,
+          });
+
+      if (invitation.teamId) {
+        await tx.teamMember.upsert({
+          where: { teamId_userId: { teamId: invitation.teamId, userId: linkedUser.id } },
+          create: { teamId: invitation.teamId, userId: linkedUser.id },
+          update: {},
+        });
+      }
+
+      // Only one acceptance wins: a concurrent one rolls back its account changes
+      const accepted = await tx.invitation.updateMany({
+        where: { id: invitation.id, status: 'PENDING' },
+        data: { status: 'ACCEPTED', acceptedAt: new Date(), acceptedById: linkedUser.id },
+      });
+
+      if (accepted.count !== 1) {
+        throw new AppError('Invitation is invalid or no longer available', 400);
+      }
+
+      return linkedUser;
+    });
+
+    return { user, invitation };
+  }
+
+  /**
+   * Find a pending invitation of an organization
+   * @param {string} orgId - Organization ID
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} [options] - { allowExpired }
+   * @returns {Promise<Object>} Invitation
+   */
+  async getPendingInvitation(orgId, invitationId, options = {}) {
+    const invitation = await prisma.invitation.findFirst({
+      where: { id: invitationId, organizationId: orgId },
+    });
+
+    if (!invitation) {
+      throw new AppError('Invitation not found', 404);
+    }
+
+    const isPending = invitation.status === 'PENDING' || (options.allowExpired && invitation.status === 'EXPIRED');
+    if (!isPending) {
+      throw new AppError(`Invitation is already ${invitation.status.toLowerCase()}`, 409);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Resolve a token into a pending, non-expired invitation
+   * Expired invitations are marked as EXPIRED.
+   * @param {string} token - Plain invitation token
+   * @returns {Promise<Object>} Invitation with organization and team
+   */
+  async findUsableInvitation(token) {
+    const invitation = await prisma.invitation.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: {
+        organization: { select: { id: true, name: true, type: true } },
+        team: { select: { id: true, name: true } },
+      },
+    });
+
+    if (!invitation || invitation.status !== 'PENDING') {
+      throw new AppError('Invitation is invalid or no longer available', 400);
+    }
+
+    if (invitation.expiresAt < new Date()) {
+      await prisma.invitation.update({
+        where: { id: invitation.id },
+        data: { status: 'EXPIRED' },
+      });
+      throw new AppError('Invitation has expired', 400);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Queue the invitation email
+   * @param {Object} invitation - Invitation
+   * @param {Object} organization - Organization (name)
+   * @param {string} token - Plain invitation token
+   * @returns {Promise<void>}
+   */
+  async sendInvitationEmail(invitation, organization, token) {
+    await addEmailJob({
+      to: invitation.email,
+      subject: `Invitación a ${organization?.name || 'Abrazar'}`,
+      template: 'organization-invitation',
+      templateData: {
+        organizationName: organization?.name,
+        role: invitation.role,
+        teamName: invitation.team?.name,
+        invitedByName: invitation.invitedBy?.name || invitation.invitedBy?.email,
+        acceptLink: `${env.FRONTEND_URL}/invitations/accept?token=${token}`,
+      },
+    });
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,176 @@
+/**
+ * Invitations Controller
+ * Handles HTTP requests for organization invitations
+ */
+
+const invitationService = require('./invitation.service');
+const { logAudit } = require('../audit/audit.service');
+
+class InvitationsController {
+  /**
+   * Create invitation
+   * POST /organizations/:id/invitations
+   */
+  async createInvitation(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { email, role, teamId } = req.body;
+
+      const invitation = await invitationService.createInvitation(
+        id,
+        { email, role, teamId },
+        req.user.id
+      );
+
+      await logAudit(
+        req.user.id,
+        'create_invitation',
+        'organization',
+        id,
+        { invitationId: invitation.id, email: invitation.email, role: invitation.role, teamId },
+        req.ip
+      );
+
+      res.status(201).json({
+        status: 'success',
+        data: { invitation },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List invitations
+   * GET /organizations/:id/invitations
+   */
+  async listInvitations(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status } = req.query;
+
+      const invitations = await invitationService.listInvitations(id, { status });
+
+      res.status(200).json({
+        status: 'success',
+        results: invitations.length,
+        data: { invitations },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resend invitation
+   * POST /organizations/:id/invitations/:invitationId/resend
+   */
+  async resendInvitation(req, res, next) {
+    try {
+      const { id, invitationId } = req.params;
+
+      const invitation = await invitationService.resendInvitation(id, invitationId);
+
+      await logAudit(
+        req.user.id,
+        'resend_invitation',
+        'organization',
+        id,
+        { invitationId, email: invitation.email },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { invitation },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke invitation
+   * DELETE /organizations/:id/invitations/:invitationId
+   */
+  async revokeInvitation(req, res, next) {
+    try {
+      const { id, invitationId } = req.params;
+
+      const invitation = await invitationService.revokeInvitation(id, invitationId);
+
+      await logAudit(
+        req.user.id,
+        'revoke_invitation',
+        'organization',
+        id,
+        { invitationId, email: invitation.email },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { invitation },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get invitation details by token
+   * GET /invitations/:token
+   */
+  async getInvitation(req, res, next) {
+    try {
+      const invitation = await invitationService.getInvitationByToken(req.params.token);
+
+      res.status(200).json({
+        status: 'success',
+        data: { invitation },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Accept invitation
+   * POST /invitations/:token/accept
+   */
+  async acceptInvitation(req, res, next) {
+    try {
+      const { name, password, acceptedTerms } = req.body;
+
+      const { user, invitation } = await invitationService.acceptInvitation(
+        req.params.token,
+        { name, password, acceptedTerms },
+        req.user
+      );
+
+      await logAudit(
+        user.id,
+        'accept_invitation',
+        'organization',
+        invitation.organizationId,
+        {
+          invitationId: invitation.id,
+          role: invitation.role,
+          teamId: invitation.teamId,
+          invitedById: invitation.invitedById,
+          newAccount: !req.user,
+        },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new InvitationsController();
@@ -0,0 +1,26 @@
+/**
+ * Invitations Routes
+ * Public endpoints used from the invitation link
+ */
+
+const express = require('express');
+const router = express.Router();
+const invitationsController = require('./invitations.controller');
+const { optionalProtect } = require('../../middlewares/auth.middleware');
+const { authLimiter } = require('../../middlewares/rate-limit.middleware');
+const validateRequest = require('../../middlewares/validateRequest');
+const { acceptInvitationSchema } = require('./invitations.validators');
+
+// Get invitation details (organization, role) for the accept screen
+router.get('/:token', authLimiter, invitationsController.getInvitation);
+
+// Accept invitation (existing accounts must be logged in as the invited email)
+router.post(
+  '/:token/accept',
+  authLimiter,
+  optionalProtect,
+  validateRequest(acceptInvitationSchema),
+  invitationsController.acceptInvitation
+);
+
+module.exports = router;
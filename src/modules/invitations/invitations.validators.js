@@ -0,0 +1,30 @@
+const { z } = require('zod');
+const { ORGANIZATION_ROLES } = require('../organizations/organizations.validators');
+
+const createInvitationSchema = z.object({
+  body: z.object({
+    email: z.string().email('Invalid email address'),
+    role: z.enum(ORGANIZATION_ROLES).optional(),
+    teamId: z.string().uuid('Invalid team ID').optional(),
+  }),
+});
+
+const listInvitationsSchema = z.object({
+  query: z.object({
+    status: z.enum(['PENDING', 'ACCEPTED', 'REVOKED', 'EXPIRED']).optional(),
+  }),
+});
+
+const acceptInvitationSchema = z.object({
+  body: z.object({
+    name: z.string().optional(),
+    password: z.string().min(6, 'Password must be at least 6 characters').optional(),
+    acceptedTerms: z.boolean().optional(),
+  }),
+});
+
+module.exports = {
+  createInvitationSchema,
+  listInvitationsSchema,
+  acceptInvitationSchema,
+};
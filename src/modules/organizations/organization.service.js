@@ -7,6 +7,14 @@ const prisma = require('../../prismaClient');
 const { logAudit } = require('../audit/audit.service');
 const bcrypt = require('bcrypt');
 const AppError = require('../../utils/errors');
+const { generateOpaqueToken } = require('../../utils/token.utils');
+const emailVerificationService = require('../auth/email-verification.service');
+const { encryptClientSecret } = require('../auth/oidc.service');
+const accountLockout = require('../auth/account-lockout.service');
+const sessionService = require('../sessions/session.service');
+const permissionService = require('../../services/permission.service');
+
+const FORCED_LOGOUT_REASON = 'Revoked by organization admin';
 
 class OrganizationService {
   /**
@@ -98,6 +106,90 @@ class OrganizationService {
     return organization;
   }
 
+  /**
+   * Update organization security policy
+   * @param {string} id - Organization ID
+   * @param {Object} policy - Policy settings (twoFactorRequiredRoles, session limits)
+   * @returns {Promise<Object>} Updated policy
+   */
+  async updateSecurityPolicy(id, policy) {
+    const organization = await prisma.organization.update({
+      where: { id },
+      data: {
+        twoFactorRequiredRoles: policy.twoFactorRequiredRoles,
+        sessionIdleTimeoutMinutes: policy.sessionIdleTimeoutMinutes,
+        sessionMaxLifetimeHours: policy.sessionMaxLifetimeHours,
+        maxConcurrentSessions: policy.maxConcurrentSessions,
+      },
+      select: {
+        id: true,
+        twoFactorRequiredRoles: true,
+        sessionIdleTimeoutMinutes: true,
+        sessionMaxLifetimeHours: true,
+        maxConcurrentSessions: true,
+      },
+    });
+
+    return organization;
+  }
+
+  /**
+   * Get the SSO (OIDC) configuration of an organization.
+   * The client secret is never returned.
+   * @param {string} id - Organization ID
+   * @returns {Promise<Object|null>} SSO configuration
+   */
+  async getSsoConfig(id) {
+    const sso = await prisma.organizationSso.findUnique({
+      where: { organizationId: id },
+    });
+
+    if (!sso) {
+      return null;
+    }
+
+    const { clientSecret, ...config } = sso;
+    return { ...config, hasClientSecret: Boolean(clientSecret) };
+  }
+
+  /**
+   * Create or update the SSO (OIDC) configuration of an organization
+   * @param {string} id - Organization ID
+   * @param {Object} data - Issuer, client credentials and role mapping
+   * @returns {Promise<Object>} SSO configuration without the client secret
+   */
+  async updateSsoConfig(id, data) {
+    const organization = await prisma.organization.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+
+    if (!organization) {
+      throw new AppError('Organization not found', 404);
+    }
+
+    const config = {
+      enabled: data.enabled,
+      // Kept verbatim: it must match the iss claim exactly
+      issuer: data.issuer,
+      clientId: data.clientId,
+      // Stored encrypted; undefined keeps the current secret and null removes it
+      clientSecret: encryptClientSecret(id, data.clientSecret),
+      scopes: data.scopes,
+      roleClaim: data.roleClaim,
+      roleMapping: data.roleMapping,
+      defaultRole: data.defaultRole,
+    };
+
+    await prisma.organizationSso.upsert({
+      where: { organizationId: id },
+      create: { ...config, organizationId: id },
+      update: config,
+    });
+
+    return this.getSsoConfig(id);
+  }
+
   /**
    * List all organizations (admin only)
    * @param {Object} filters - Filter options
@@ -156,7 +248,8 @@ class OrganizationService {
    */
   async getOrganizationMembers(orgId) {
     const members = await prisma.user.findMany({
-      where: { organizationId: orgId },
+      // API key service accounts are listed under /api-keys
+      where: { organizationId: orgId, isServiceAccount: false },
       select: {
         id: true,
         email: true,
@@ -201,12 +294,14 @@ class OrganizationService {
 
   /**
    * Create a new user for the organization
+   * With `invite: true` no password is needed: the user receives an activation
+   * email and chooses the password when verifying the account.
    * @param {string} orgId - Organization ID
-   * @param {Object} userData - User data (email, password, name, role)
+   * @param {Object} userData - User data (email, password, name, role, invite)
    * @returns {Promise<Object>} Created user
    */
   async createUserForOrganization(orgId, userData) {
-    const { email, password, name, role } = userData;
+    const { email, password, name, role, invite = false } = userData;
 
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({ where: { email } });
@@ -214,8 +309,12 @@ class OrganizationService {
       throw new AppError('Email already in use', 409);
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
+    if (!invite && !password) {
+      throw new AppError('Password is required unless the user is invited', 400);
+    }
+
+    // Invited users get an unusable random password until they activate the account
+    const hashedPassword = await bcrypt.hash(invite ? generateOpaqueToken() : password, 12);
 
     // Create user
     const user = await prisma.user.create({
@@ -226,17 +325,26 @@ class OrganizationService {
         role: role || 'VOLUNTEER',
         organizationId: orgId,
         acceptedTerms: true, // Created by admin, assume terms accepted or handled otherwise
+        emailVerified: !invite,
       },
       select: {
         id: true,
         email: true,
         name: true,
         role: true,
+        emailVerified: true,
         createdAt: true,
         organizationId: true,
+        organization: { select: { name: true } },
       },
     });
 
+    if (invite) {
+      await emailVerificationService.issueVerificationToken(user, 'INVITE', {
+        organizationName: user.organization?.name,
+      });
+    }
+
     return user;
   }
 
@@ -260,12 +368,16 @@ class OrganizationService {
       throw new AppError('User not found in this organization', 404);
     }
 
+    // A custom role is built on its base role, so changing the role drops it
+    const roleChanged = updateData.role && updateData.role !== user.role;
+
     // Update user
     const updatedUser = await prisma.user.update({
       where: { id: userId },
       data: {
         role: updateData.role,
         name: updateData.name,
+        ...(roleChanged && { customRoleId: null }),
       },
       select: {
         id: true,
@@ -279,6 +391,83 @@ class OrganizationService {
     return updatedUser;
   }
 
+  /**
+   * Unlock a member account locked by failed login attempts
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Unlock result
+   */
+  async unlockMember(orgId, userId) {
+    const user = await this.findMember(orgId, userId);
+    const wasLocked = await accountLockout.unlockAccount(user.email);
+
+    return { userId: user.id, wasLocked };
+  }
+
+  /**
+   * Ensure a user belongs to the organization
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User (id, email)
+   */
+  async findMember(orgId, userId) {
+    const user = await prisma.user.findFirst({
+      where: {
+        id: userId,
+        organizationId: orgId,
+      },
+      select: { id: true, email: true },
+    });
+
+    if (!user) {
+      throw new AppError('User not found in this organization', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * List active sessions of an organization member
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Sessions with device and IP details
+   */
+  async getMemberSessions(orgId, userId) {
+    await this.findMember(orgId, userId);
+
+    const sessions = await sessionService.getActiveSessions(userId);
+    return sessions.map((session) => sessionService.describeSession(session));
+  }
+
+  /**
+   * Force logout of one session of an organization member
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Revoked session
+   */
+  async revokeMemberSession(orgId, userId, sessionId) {
+    await this.findMember(orgId, userId);
+
+    const session = await sessionService.revokeUserSession(sessionId, userId, FORCED_LOGOUT_REASON);
+    return sessionService.describeSession(session);
+  }
+
+  /**
+   * Force logout of every session of an organization member
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { userId, revokedSessions }
+   */
+  async revokeMemberSessions(orgId, userId) {
+    await this.findMember(orgId, userId);
+
+    const sessions = await sessionService.getActiveSessions(userId);
+    await sessionService.revokeAllUserSessions(userId, FORCED_LOGOUT_REASON);
+
+    return { userId, revokedSessions: sessions.length };
+  }
+
   /**
    * Remove member from organization
    * @param {string} orgId - Organization ID
@@ -304,6 +493,7 @@ class OrganizationService {
       data: {
         organizationId: null,
         role: 'PUBLIC', // Revert to public user
+        customRoleId: null,
       },
     });
 
@@ -313,9 +503,14 @@ class OrganizationService {
   /**
    * Get organization statistics
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Object>} Organization statistics
    */
-  async getOrganizationStatistics(orgId) {
+  async getOrganizationStatistics(orgId, visibilityScope = null) {
+    const scoped = (where, filter) => (visibilityScope ? { ...where, AND: [filter(visibilityScope)] } : where);
+    const cases = (where) => scoped(where, permissionService.caseVisibilityFilter);
+    const inScope = (ids) => (visibilityScope ? { id: { in: ids } } : {});
+
     const [
       totalUsers,
       totalTeams,
@@ -325,21 +520,21 @@ class OrganizationService {
       resolvedCases,
       emergencyCases,
     ] = await Promise.all([
-      prisma.user.count({ where: { organizationId: orgId } }),
-      prisma.team.count({ where: { organizationId: orgId } }),
-      prisma.zone.count({ where: { organizationId: orgId } }),
-      prisma.case.count({ where: { organizationId: orgId } }),
+      prisma.user.count({ where: scoped({ organizationId: orgId }, permissionService.memberVisibilityFilter) }),
+      prisma.team.count({ where: { organizationId: orgId, ...inScope(visibilityScope?.teamIds) } }),
+      prisma.zone.count({ where: { organizationId: orgId, ...inScope(visibilityScope?.zoneIds) } }),
+      prisma.case.count({ where: cases({ organizationId: orgId }) }),
       prisma.case.count({
-        where: {
+        where: cases({
           organizationId: orgId,
           status: { in: ['REPORTED', 'VERIFIED', 'ASSISTING', 'FOLLOW_UP'] },
-        },
+        }),
       }),
       prisma.case.count({
-        where: { organizationId: orgId, status: 'RESOLVED' },
+        where: cases({ organizationId: orgId, status: 'RESOLVED' }),
       }),
       prisma.case.count({
-        where: { organizationId: orgId, isEmergency: true },
+        where: cases({ organizationId: orgId, isEmergency: true }),
       }),
     ]);
 
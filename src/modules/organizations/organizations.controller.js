@@ -5,6 +5,7 @@
 
 const organizationService = require('./organization.service');
 const { logAudit } = require('../audit/audit.service');
+const permissionService = require('../../services/permission.service');
 
 class OrganizationsController {
   /**
@@ -131,6 +132,80 @@ class OrganizationsController {
     }
   }
 
+  /**
+   * Update organization security policy
+   * PUT /organizations/:id/security
+   */
+  async updateSecurityPolicy(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const policy = await organizationService.updateSecurityPolicy(id, req.body);
+
+      await logAudit(
+        req.user.id,
+        'update_security_policy',
+        'organization',
+        id,
+        req.body,
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { policy },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get organization SSO configuration
+   * GET /organizations/:id/sso
+   */
+  async getSsoConfig(req, res, next) {
+    try {
+      const sso = await organizationService.getSsoConfig(req.params.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: { sso },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create or update organization SSO configuration
+   * PUT /organizations/:id/sso
+   */
+  async updateSsoConfig(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const sso = await organizationService.updateSsoConfig(id, req.body);
+
+      const { clientSecret, ...changes } = req.body;
+      await logAudit(
+        req.user.id,
+        'update_sso_config',
+        'organization',
+        id,
+        { ...changes, clientSecretChanged: clientSecret !== undefined },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { sso },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Delete organization
    * DELETE /organizations/:id
@@ -212,17 +287,19 @@ class OrganizationsController {
   /**
    * Create new user for organization
    * POST /organizations/:id/users
+   * Body `invite: true` sends an activation email instead of setting a password
    */
   async createUser(req, res, next) {
     try {
       const { id } = req.params;
-      const { email, password, name, role } = req.body;
+      const { email, password, name, role, invite } = req.body;
 
       const user = await organizationService.createUserForOrganization(id, {
         email,
         password,
         name,
         role,
+        invite: invite === true || invite === 'true',
       });
 
       await logAudit(
@@ -230,7 +307,7 @@ class OrganizationsController {
         'create_organization_user',
         'organization',
         id,
-        { email, role },
+        { email, role, invite: !user.emailVerified },
         req.ip
       );
 
@@ -275,6 +352,115 @@ class OrganizationsController {
     }
   }
 
+  /**
+   * Unlock member account
+   * POST /organizations/:id/users/:userId/unlock
+   */
+  async unlockMember(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+
+      const result = await organizationService.unlockMember(id, userId);
+
+      await logAudit(
+        req.user.id,
+        'unlock_account',
+        'user',
+        userId,
+        { organizationId: id, wasLocked: result.wasLocked },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List active sessions of a member
+   * GET /organizations/:id/members/:userId/sessions
+   */
+  async getMemberSessions(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+
+      const sessions = await organizationService.getMemberSessions(id, userId);
+
+      res.status(200).json({
+        status: 'success',
+        results: sessions.length,
+        data: { sessions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Force logout of one session of a member
+   * DELETE /organizations/:id/members/:userId/sessions/:sessionId
+   */
+  async revokeMemberSession(req, res, next) {
+    try {
+      const { id, userId, sessionId } = req.params;
+
+      const session = await organizationService.revokeMemberSession(id, userId, sessionId);
+
+      await logAudit(
+        req.user.id,
+        'force_logout',
+        'user',
+        userId,
+        {
+          organizationId: id,
+          sessionId,
+          device: session.device,
+          ipAddress: session.ipAddress,
+        },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Session revoked',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Force logout of every session of a member
+   * DELETE /organizations/:id/members/:userId/sessions
+   */
+  async revokeMemberSessions(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+
+      const result = await organizationService.revokeMemberSessions(id, userId);
+
+      await logAudit(
+        req.user.id,
+        'force_logout_all',
+        'user',
+        userId,
+        { organizationId: id, revokedSessions: result.revokedSessions },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Remove member from organization
    * DELETE /organizations/:id/members/:userId
@@ -308,7 +494,9 @@ class OrganizationsController {
     try {
       const { id } = req.params;
 
-      const statistics = await organizationService.getOrganizationStatistics(id);
+      // Field members only count their zones and teams
+      const visibilityScope = await permissionService.getVisibilityScope(req.user.id);
+      const statistics = await organizationService.getOrganizationStatistics(id, visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -327,7 +515,8 @@ class OrganizationsController {
     try {
       const { id } = req.params;
 
-      const statistics = await organizationService.getOrganizationStatistics(id);
+      const visibilityScope = await permissionService.getVisibilityScope(req.user.id);
+      const statistics = await organizationService.getOrganizationStatistics(id, visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -5,22 +5,31 @@
 const express = require('express');
 const router = express.Router();
 const organizationsController = require('./organizations.controller');
+const invitationsController = require('../invitations/invitations.controller');
+const apiKeysController = require('../api-keys/api-keys.controller');
+const validateRequest = require('../../middlewares/validateRequest');
+const {
+  createInvitationSchema,
+  listInvitationsSchema,
+} = require('../invitations/invitations.validators');
+const { createApiKeySchema } = require('../api-keys/api-keys.validators');
+const { securityPolicySchema, ssoConfigSchema } = require('./organizations.validators');
 const { protect } = require('../../middlewares/auth.middleware');
-const { requireRole } = require('../../middlewares/permission.middleware');
+const { requirePermission } = require('../../middlewares/permission.middleware');
 const {
   verifyOrganizationAccess,
   requireOrganization,
 } = require('../../middlewares/multi-tenant.middleware');
-const { canCreateSubUsers, canViewStatistics } = require('../../middlewares/permission.middleware');
+const { canViewStatistics } = require('../../middlewares/permission.middleware');
 
 // All routes require authentication
 router.use(protect);
 
 // Create organization (admin only)
-router.post('/', requireRole('ADMIN'), organizationsController.createOrganization);
+router.post('/', requirePermission('organizations:create'), organizationsController.createOrganization);
 
 // List organizations (admin only)
-router.get('/', requireRole('ADMIN'), organizationsController.listOrganizations);
+router.get('/', requirePermission('organizations:read'), organizationsController.listOrganizations);
 
 // Get organization by ID
 router.get('/:id', verifyOrganizationAccess('id'), organizationsController.getOrganization);
@@ -29,21 +38,51 @@ router.get('/:id', verifyOrganizationAccess('id'), organizationsController.getOr
 router.patch(
   '/:id',
   verifyOrganizationAccess('id'),
-  requireRole('ADMIN', 'ORGANIZATION_ADMIN'),
+  requirePermission('organizations:update'),
   organizationsController.updateOrganization
 );
 
+// Update security policy (e.g. roles that must use 2FA)
+router.put(
+  '/:id/security',
+  verifyOrganizationAccess('id'),
+  requirePermission('organizations:security'),
+  validateRequest(securityPolicySchema),
+  organizationsController.updateSecurityPolicy
+);
+
+// Single sign-on (OIDC) configuration
+router.get(
+  '/:id/sso',
+  verifyOrganizationAccess('id'),
+  requirePermission('organizations:sso'),
+  organizationsController.getSsoConfig
+);
+
+router.put(
+  '/:id/sso',
+  verifyOrganizationAccess('id'),
+  requirePermission('organizations:sso'),
+  validateRequest(ssoConfigSchema),
+  organizationsController.updateSsoConfig
+);
+
 // Delete organization (admin only)
-router.delete('/:id', requireRole('ADMIN'), organizationsController.deleteOrganization);
+router.delete('/:id', requirePermission('organizations:delete'), organizationsController.deleteOrganization);
 
 // Get organization members
-router.get('/:id/members', verifyOrganizationAccess('id'), organizationsController.getMembers);
+router.get(
+  '/:id/members',
+  verifyOrganizationAccess('id'),
+  requirePermission('users:read'),
+  organizationsController.getMembers
+);
 
 // Add member to organization (existing user)
 router.post(
   '/:id/members',
   verifyOrganizationAccess('id'),
-  canCreateSubUsers,
+  requirePermission('users:create'),
   organizationsController.addMember
 );
 
@@ -51,23 +90,122 @@ router.post(
 router.post(
   '/:id/users',
   verifyOrganizationAccess('id'),
-  canCreateSubUsers,
+  requirePermission('users:create'),
   organizationsController.createUser
 );
 
+// Invite a user to the organization with a pre-assigned role
+router.post(
+  '/:id/invitations',
+  verifyOrganizationAccess('id'),
+  requirePermission('users:create'),
+  validateRequest(createInvitationSchema),
+  invitationsController.createInvitation
+);
+
+// List organization invitations
+router.get(
+  '/:id/invitations',
+  verifyOrganizationAccess('id'),
+  requirePermission('users:create'),
+  validateRequest(listInvitationsSchema),
+  invitationsController.listInvitations
+);
+
+// Resend invitation with a new link
+router.post(
+  '/:id/invitations/:invitationId/resend',
+  verifyOrganizationAccess('id'),
+  requirePermission('users:create'),
+  invitationsController.resendInvitation
+);
+
+// Revoke pending invitation
+router.delete(
+  '/:id/invitations/:invitationId',
+  verifyOrganizationAccess('id'),
+  requirePermission('users:create'),
+  invitationsController.revokeInvitation
+);
+
+// Create API key for integrations (the key is only shown once)
+router.post(
+  '/:id/api-keys',
+  verifyOrganizationAccess('id'),
+  requirePermission('api-keys:manage'),
+  validateRequest(createApiKeySchema),
+  apiKeysController.createApiKey
+);
+
+// List API keys
+router.get(
+  '/:id/api-keys',
+  verifyOrganizationAccess('id'),
+  requirePermission('api-keys:manage'),
+  apiKeysController.listApiKeys
+);
+
+// Rotate API key (the previous key stops working)
+router.post(
+  '/:id/api-keys/:keyId/rotate',
+  verifyOrganizationAccess('id'),
+  requirePermission('api-keys:manage'),
+  apiKeysController.rotateApiKey
+);
+
+// Revoke API key
+router.delete(
+  '/:id/api-keys/:keyId',
+  verifyOrganizationAccess('id'),
+  requirePermission('api-keys:manage'),
+  apiKeysController.revokeApiKey
+);
+
 // Update organization member
 router.patch(
   '/:id/users/:userId',
   verifyOrganizationAccess('id'),
-  requireRole('ADMIN', 'ORGANIZATION_ADMIN'),
+  requirePermission('users:update'),
   organizationsController.updateMember
 );
 
+// Unlock member account locked by failed login attempts
+router.post(
+  '/:id/users/:userId/unlock',
+  verifyOrganizationAccess('id'),
+  requirePermission('members:unlock'),
+  organizationsController.unlockMember
+);
+
+// List active sessions of a member
+router.get(
+  '/:id/members/:userId/sessions',
+  verifyOrganizationAccess('id'),
+  requirePermission('members:sessions'),
+  organizationsController.getMemberSessions
+);
+
+// Force logout of every session of a member (e.g. lost device)
+router.delete(
+  '/:id/members/:userId/sessions',
+  verifyOrganizationAccess('id'),
+  requirePermission('members:sessions'),
+  organizationsController.revokeMemberSessions
+);
+
+// Force logout of one session of a member
+router.delete(
+  '/:id/members/:userId/sessions/:sessionId',
+  verifyOrganizationAccess('id'),
+  requirePermission('members:sessions'),
+  organizationsController.revokeMemberSession
+);
+
 // Remove member from organization
 router.delete(
   '/:id/members/:userId',
   verifyOrganizationAccess('id'),
-  requireRole('ADMIN', 'ORGANIZATION_ADMIN'),
+  requirePermission('members:remove'),
   organizationsController.removeMember
 );
 
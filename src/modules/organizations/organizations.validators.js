@@ -0,0 +1,35 @@
+const { z } = require('zod');
+
+const ORGANIZATION_ROLES = ['ORGANIZATION_ADMIN', 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER', 'DATA_ANALYST'];
+
+const securityPolicySchema = z.object({
+  body: z.object({
+    twoFactorRequiredRoles: z.array(z.enum(ORGANIZATION_ROLES)).optional(),
+    // null removes the limit
+    sessionIdleTimeoutMinutes: z.number().int().min(5).max(7 * 24 * 60).nullable().optional(),
+    sessionMaxLifetimeHours: z.number().int().min(1).max(90 * 24).nullable().optional(),
+    maxConcurrentSessions: z.number().int().min(1).max(100).nullable().optional(),
+  }).strict(),
+});
+
+const ssoConfigSchema = z.object({
+  body: z.object({
+    enabled: z.boolean().optional(),
+    issuer: z.string().url('Issuer must be a URL'),
+    clientId: z.string().min(1, 'Client ID is required'),
+    // Omit to keep the stored secret, null for public clients (PKCE only)
+    clientSecret: z.string().min(1).nullable().optional(),
+    scopes: z.string().regex(/(^|\s)openid(\s|$)/, 'Scopes must include openid').optional(),
+    // Claim holding the user's groups or roles; dot paths such as "realm_access.roles" are allowed
+    roleClaim: z.string().min(1).nullable().optional(),
+    // Claim value -> organization role
+    roleMapping: z.record(z.enum(ORGANIZATION_ROLES)).optional(),
+    defaultRole: z.enum(ORGANIZATION_ROLES).optional(),
+  }).strict(),
+});
+
+module.exports = {
+  ORGANIZATION_ROLES,
+  securityPolicySchema,
+  ssoConfigSchema,
+};
@@ -0,0 +1,183 @@
+/**
+ * Organization Role Controller
+ * Handles HTTP requests for organization custom roles
+ */
+
+const organizationRoleService = require('./organization-role.service');
+const { logAudit } = require('../audit/audit.service');
+
+class OrganizationRoleController {
+  /**
+   * List custom roles
+   * GET /permissions/organizations/:organizationId/roles
+   */
+  async listRoles(req, res, next) {
+    try {
+      const roles = await organizationRoleService.listRoles(req.params.organizationId);
+
+      res.status(200).json({
+        status: 'success',
+        results: roles.length,
+        data: { roles },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get custom role
+   * GET /permissions/organizations/:organizationId/roles/:roleId
+   */
+  async getRole(req, res, next) {
+    try {
+      const { organizationId, roleId } = req.params;
+      const role = await organizationRoleService.getRole(organizationId, roleId);
+
+      res.status(200).json({
+        status: 'success',
+        data: { role },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create custom role
+   * POST /permissions/organizations/:organizationId/roles
+   */
+  async createRole(req, res, next) {
+    try {
+      const { organizationId } = req.params;
+      const role = await organizationRoleService.createRole(organizationId, req.body);
+
+      await logAudit(
+        req.user.id,
+        'create_role',
+        'organization_role',
+        role.id,
+        { organizationId, name: role.name, baseRole: role.baseRole, permissions: role.permissions },
+        req.ip
+      );
+
+      res.status(201).json({
+        status: 'success',
+        data: { role },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update custom role
+   * PATCH /permissions/organizations/:organizationId/roles/:roleId
+   */
+  async updateRole(req, res, next) {
+    try {
+      const { organizationId, roleId } = req.params;
+      const role = await organizationRoleService.updateRole(organizationId, roleId, req.body);
+
+      await logAudit(
+        req.user.id,
+        'update_role',
+        'organization_role',
+        roleId,
+        { organizationId, changes: req.body },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { role },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete custom role
+   * DELETE /permissions/organizations/:organizationId/roles/:roleId
+   */
+  async deleteRole(req, res, next) {
+    try {
+      const { organizationId, roleId } = req.params;
+      const role = await organizationRoleService.deleteRole(organizationId, roleId);
+
+      await logAudit(
+        req.user.id,
+        'delete_role',
+        'organization_role',
+        roleId,
+        { organizationId, name: role.name },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Role deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Assign custom role to a member
+   * POST /permissions/organizations/:organizationId/roles/:roleId/members
+   */
+  async assignRole(req, res, next) {
+    try {
+      const { organizationId, roleId } = req.params;
+      const { userId } = req.body;
+      const user = await organizationRoleService.assignRole(organizationId, roleId, userId);
+
+      await logAudit(
+        req.user.id,
+        'assign_role',
+        'user',
+        userId,
+        { organizationId, roleId, role: user.role },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove custom role from a member
+   * DELETE /permissions/organizations/:organizationId/roles/:roleId/members/:userId
+   */
+  async unassignRole(req, res, next) {
+    try {
+      const { organizationId, roleId, userId } = req.params;
+      const user = await organizationRoleService.unassignRole(organizationId, roleId, userId);
+
+      await logAudit(
+        req.user.id,
+        'unassign_role',
+        'user',
+        userId,
+        { organizationId, roleId },
+        req.ip
+      );
+
+      res.status(200).json({
+        status: 'success',
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new OrganizationRoleController();
@@ -0,0 +1,256 @@
+/**
+ * Organization Role Service
+ * Custom roles owned by one organization, with their own permission sets.
+ * Built-in roles are templates: a new custom role starts with the permissions
+ * its base role has globally, and members keep the base role as their enum role.
+ */
+
+const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
+const { isOrganizationPermission } = require('./permission.catalogue');
+
+const roleInclude = {
+  permissions: {
+    select: { permission: { select: { name: true } } },
+  },
+  _count: { select: { members: true } },
+};
+
+/**
+ * Shape a role for API responses
+ * @param {Object} role - Role with permissions and member count
+ * @returns {Object} Role with permission names
+ */
+const toRoleResponse = ({ permissions, _count, ...role }) => ({
+  ...role,
+  permissions: permissions.map(({ permission }) => permission.name).sort(),
+  memberCount: _count.members,
+});
+
+class OrganizationRoleService {
+  /**
+   * List custom roles of an organization
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array>} Roles
+   */
+  async listRoles(orgId) {
+    const roles = await prisma.organizationRole.findMany({
+      where: { organizationId: orgId },
+      include: roleInclude,
+      orderBy: { name: 'asc' },
+    });
+
+    return roles.map(toRoleResponse);
+  }
+
+  /**
+   * Get a custom role of an organization
+   * @param {string} orgId - Organization ID
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object>} Role
+   */
+  async getRole(orgId, roleId) {
+    const role = await prisma.organizationRole.findFirst({
+      where: { id: roleId, organizationId: orgId },
+      include: roleInclude,
+    });
+
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+
+    return toRoleResponse(role);
+  }
+
+  /**
+   * Create a custom role
+   * @param {string} orgId - Organization ID
+   * @param {Object} data - name, description, baseRole, permissions (defaults to the base role's)
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole(orgId, data) {
+    await this.assertNameAvailable(orgId, data.name);
+
+    const permissionIds = data.permissions
+      ? await this.resolvePermissionIds(data.permissions)
+      : await this.getTemplatePermissionIds(data.baseRole);
+
+    const role = await prisma.organizationRole.create({
+      data: {
+        organizationId: orgId,
+        name: data.name,
+        description: data.description,
+        baseRole: data.baseRole,
+        permissions: {
+          create: permissionIds.map((permissionId) => ({ permissionId })),
+        },
+      },
+      include: roleInclude,
+    });
+
+    return toRoleResponse(role);
+  }
+
+  /**
+   * Update a custom role. `permissions` replaces the whole set.
+   * @param {string} orgId - Organization ID
+   * @param {string} roleId - Role ID
+   * @param {Object} data - name, description, permissions
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(orgId, roleId, data) {
+    const current = await this.getRole(orgId, roleId);
+
+    if (data.name && data.name !== current.name) {
+      await this.assertNameAvailable(orgId, data.name);
+    }
+
+    const permissionIds = data.permissions ? await this.resolvePermissionIds(data.permissions) : null;
+
+    const role = await prisma.$transaction(async (tx) => {
+      if (permissionIds) {
+        await tx.organizationRolePermission.deleteMany({ where: { organizationRoleId: roleId } });
+        await tx.organizationRolePermission.createMany({
+          data: permissionIds.map((permissionId) => ({ organizationRoleId: roleId, permissionId })),
+        });
+      }
+
+      return tx.organizationRole.update({
+        where: { id: roleId },
+        data: { name: data.name, description: data.description },
+        include: roleInclude,
+      });
+    });
+
+    return toRoleResponse(role);
+  }
+
+  /**
+   * Delete a custom role. Roles still assigned to members cannot be deleted.
+   * @param {string} orgId - Organization ID
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object>} Deleted role
+   */
+  async deleteRole(orgId, roleId) {
+    const role = await this.getRole(orgId, roleId);
+
+    if (role.memberCount > 0) {
+      throw new AppError('Role is assigned to members. Reassign them before deleting it.', 409);
+    }
+
+    await prisma.organizationRole.delete({ where: { id: roleId } });
+
+    return role;
+  }
+
+  /**
+   * Assign a custom role to a member. The member's enum role becomes the base role.
+   * @param {string} orgId - Organization ID
+   * @param {string} roleId - Role ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<Object>} Updated member (id, role, customRoleId)
+   */
+  async assignRole(orgId, roleId, userId) {
+    const role = await this.getRole(orgId, roleId);
+    await this.findMember(orgId, userId);
+
+    return await prisma.user.update({
+      where: { id: userId },
+      data: { customRoleId: role.id, role: role.baseRole },
+      select: { id: true, role: true, customRoleId: true },
+    });
+  }
+
+  /**
+   * Remove the custom role of a member. The member keeps the base role.
+   * @param {string} orgId - Organization ID
+   * @param {string} roleId - Role ID
+   * @param {string} userId - Member ID
+   * @returns {Promise<Object>} Updated member (id, role, customRoleId)
+   */
+  async unassignRole(orgId, roleId, userId) {
+    const member = await this.findMember(orgId, userId);
+
+    if (member.customRoleId !== roleId) {
+      throw new AppError('User does not have this role', 404);
+    }
+
+    return await prisma.user.update({
+      where: { id: userId },
+      data: { customRoleId: null },
+      select: { id: true, role: true, customRoleId: true },
+    });
+  }
+
+  /**
+   * Ensure a user belongs to the organization
+   * @param {string} orgId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User (id, customRoleId)
+   */
+  async findMember(orgId, userId) {
+    const user = await prisma.user.findFirst({
+      where: { id: userId, organizationId: orgId, isServiceAccount: false },
+      select: { id: true, customRoleId: true },
+    });
+
+    if (!user) {
+      throw new AppError('User not found in this organization', 404);
+    }
+
+    return user;
+  }
+
+  /**
+   * Role names are unique per organization
+   * @param {string} orgId - Organization ID
+   * @param {string} name - Role name
+   */
+  async assertNameAvailable(orgId, name) {
+    const existing = await prisma.organizationRole.findFirst({
+      where: { organizationId: orgId, name },
+      select: { id: true },
+    });
+
+    if (existing) {
+      throw new AppError(`A role named "${name}" already exists`, 409);
+    }
+  }
+
+  /**
+   * Resolve permission names to IDs. Global permissions cannot be granted.
+   * @param {string[]} names - Permission names
+   * @returns {Promise<string[]>} Permission IDs
+   */
+  async resolvePermissionIds(names) {
+    const invalid = names.filter((name) => !isOrganizationPermission(name));
+    if (invalid.length > 0) {
+      throw new AppError(`Permissions not available to organization roles: ${invalid.join(', ')}`, 400);
+    }
+
+    const permissions = await prisma.permission.findMany({
+      where: { name: { in: names } },
+      select: { id: true },
+    });
+
+    return permissions.map((permission) => permission.id);
+  }
+
+  /**
+   * Permissions the base role has globally, as the starting set of a custom role
+   * @param {string} baseRole - Built-in role
+   * @returns {Promise<string[]>} Permission IDs
+   */
+  async getTemplatePermissionIds(baseRole) {
+    const rolePermissions = await prisma.rolePermission.findMany({
+      where: { role: baseRole },
+      select: { permission: { select: { id: true, name: true } } },
+    });
+
+    return rolePermissions
+      .filter(({ permission }) => isOrganizationPermission(permission.name))
+      .map(({ permission }) => permission.id);
+  }
+}
+
+module.exports = new OrganizationRoleService();
@@ -0,0 +1,50 @@
+const { z } = require('zod');
+const { ORGANIZATION_ROLES } = require('../organizations/organizations.validators');
+
+const roleParams = z.object({
+  organizationId: z.string().uuid(),
+  roleId: z.string().uuid(),
+});
+
+const permissionNames = z.array(z.string().min(1)).max(200);
+
+const createOrganizationRoleSchema = z.object({
+  body: z.object({
+    name: z.string().trim().min(1, 'Name is required').max(100),
+    description: z.string().max(500).optional(),
+    baseRole: z.enum(ORGANIZATION_ROLES),
+    // Defaults to the permissions of the base role
+    permissions: permissionNames.optional(),
+  }),
+});
+
+const updateOrganizationRoleSchema = z.object({
+  params: roleParams,
+  body: z
+    .object({
+      name: z.string().trim().min(1).max(100).optional(),
+      description: z.string().max(500).nullable().optional(),
+      permissions: permissionNames.optional(),
+    })
+    .strict(),
+});
+
+const roleMemberSchema = z.object({
+  params: roleParams,
+  body: z.object({
+    userId: z.string().uuid(),
+  }),
+});
+
+const removeRoleMemberSchema = z.object({
+  params: roleParams.extend({
+    userId: z.string().uuid(),
+  }),
+});
+
+module.exports = {
+  createOrganizationRoleSchema,
+  updateOrganizationRoleSchema,
+  roleMemberSchema,
+  removeRoleMemberSchema,
+};
@@ -0,0 +1,219 @@
+/**
+ * Permission Explain Service
+ * Replays an access decision for a user and returns every check on the way:
+ * role grants, user overrides, tenant isolation, zone/team visibility and the
+ * resource checks the routes requiring the action run (canViewCase, canManageTeam...),
+ * read from the route declarations.
+ */
+
+const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
+const permissionService = require('./permission.service');
+const accessService = require('../../services/permission.service');
+const { listResourceChecks } = require('./permission.catalogue');
+
+const resourceLoaders = {
+  case: (id) =>
+    prisma.case.findUnique({
+      where: { id },
+      select: {
+        organizationId: true,
+        zoneId: true,
+        assignedToTeamId: true,
+        createdBy: true,
+        assignedToUserId: true,
+      },
+    }),
+  homeless: (id) =>
+    prisma.homeless.findUnique({
+      where: { id },
+      select: { organizationId: true, zoneId: true, registradoPor: true },
+    }),
+  zone: (id) => prisma.zone.findUnique({ where: { id }, select: { organizationId: true } }),
+  team: (id) => prisma.team.findUnique({ where: { id }, select: { organizationId: true } }),
+};
+
+/**
+ * Zone/team a request on the resource acts on, as scoped grants see it
+ * @param {string} type - Resource type
+ * @param {string} id - Resource ID
+ * @param {Object} resource - Loaded resource
+ * @returns {Object} { zoneId, teamId }
+ */
+const getPermissionScope = (type, id, resource) => {
+  switch (type) {
+    case 'case':
+      return { zoneId: resource.zoneId, teamId: resource.assignedToTeamId };
+    case 'zone':
+      return { zoneId: id };
+    case 'team':
+      return { teamId: id };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Whether a field member's zones and teams include the resource
+ * @param {Object} scope - Visibility scope
+ * @param {string} type - Resource type
+ * @param {string} id - Resource ID
+ * @param {Object} resource - Loaded resource
+ * @returns {boolean}
+ */
+const isResourceVisible = (scope, type, id, resource) => {
+  switch (type) {
+    case 'case':
+      return accessService.isCaseInScope(scope, resource);
+    case 'homeless':
+      return scope.zoneIds.includes(resource.zoneId) || resource.registradoPor === scope.userId;
+    case 'zone':
+      return scope.zoneIds.includes(id);
+    case 'team':
+      return scope.teamIds.includes(id);
+    default:
+      return true;
+  }
+};
+
+class PermissionExplainService {
+  /**
+   * Explain whether a user may perform an action, optionally on a resource
+   * @param {Object} query - userId, action (permission name), resourceType, resourceId
+   * @param {Object} app - Express app, whose routes tell which resource checks the action runs
+   * @returns {Promise<Object>} { allowed, user, action, resource, checks, notes }
+   */
+  async explain({ userId, action, resourceType, resourceId }, app) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, role: true, organizationId: true, customRoleId: true },
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const resource = resourceType ? await this.loadResource(resourceType, resourceId) : null;
+    const scope = resource ? getPermissionScope(resourceType, resourceId, resource) : {};
+    const checks = [];
+    const notes = [];
+
+    const permission = await permissionService.explainPermission(userId, action, scope);
+    checks.push({
+      check: 'permission',
+      passed: permission.allowed,
+      detail: {
+        permission: action,
+        scope,
+        decidedBy: permission.decidedBy,
+        role: permission.role,
+        overrides: permission.overrides,
+      },
+    });
+
+    if (resource) {
+      checks.push(this.checkTenant(user, resource));
+
+      const visibilityScope = await accessService.getVisibilityScope(userId, user);
+      if (visibilityScope) {
+        checks.push({
+          check: 'visibility',
+          passed: isResourceVisible(visibilityScope, resourceType, resourceId, resource),
+          detail: { zoneIds: visibilityScope.zoneIds, teamIds: visibilityScope.teamIds },
+        });
+      }
+
+      for (const resourceCheck of listResourceChecks(app, resourceType, action)) {
+        checks.push({
+          check: resourceCheck,
+          passed: await accessService[resourceCheck](userId, resourceId),
+          detail: await this.describeMembership(userId, resourceType, resourceId, resource),
+        });
+      }
+    }
+
+    if (user.role === 'ADMIN') {
+      notes.push('Global admins bypass permission checks on requests sent with the SuperAdmin headers');
+    }
+    if (user.customRoleId) {
+      notes.push('The custom role replaces the permissions of the base role');
+    }
+
+    return {
+      allowed: checks.every((check) => check.passed),
+      user: { id: user.id, email: user.email, role: user.role, organizationId: user.organizationId },
+      action,
+      resource: resource ? { type: resourceType, id: resourceId, ...resource } : null,
+      checks,
+      notes,
+    };
+  }
+
+  /**
+   * Load the resource of the request
+   * @param {string} type - case, homeless, zone or team
+   * @param {string} id - Resource ID
+   * @returns {Promise<Object>} Resource fields the checks need
+   */
+  async loadResource(type, id) {
+    const resource = await resourceLoaders[type](id);
+
+    if (!resource) {
+      throw new AppError(`${type.charAt(0).toUpperCase()}${type.slice(1)} not found`, 404);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Multi-tenant isolation: members only act on their organization's records
+   * @param {Object} user - User (role, organizationId)
+   * @param {Object} resource - Resource (organizationId)
+   * @returns {Object} Check
+   */
+  checkTenant(user, resource) {
+    const detail = { userOrganizationId: user.organizationId, resourceOrganizationId: resource.organizationId };
+
+    if (user.role === 'ADMIN') {
+      return { check: 'tenant', passed: true, detail: { ...detail, reason: 'global admin' } };
+    }
+
+    if (!user.organizationId) {
+      return { check: 'tenant', passed: false, detail: { ...detail, reason: 'user has no organization' } };
+    }
+
+    const passed = user.organizationId === resource.organizationId;
+    return {
+      check: 'tenant',
+      passed,
+      detail: { ...detail, reason: passed ? 'same organization' : 'organization mismatch' },
+    };
+  }
+
+  /**
+   * Relationship of the user with a case or team, which the resource checks rely on
+   * @param {string} userId - User ID
+   * @param {string} type - Resource type
+   * @param {string} id - Resource ID
+   * @param {Object} resource - Loaded resource
+   * @returns {Promise<Object>} Membership details
+   */
+  async describeMembership(userId, type, id, resource) {
+    if (type === 'case') {
+      return {
+        createdByUser: resource.createdBy === userId,
+        assignedToUser: resource.assignedToUserId === userId,
+        assignedToTeamId: resource.assignedToTeamId,
+      };
+    }
+
+    const membership = await prisma.teamMember.findFirst({
+      where: { teamId: id, userId },
+      select: { roleInTeam: true },
+    });
+
+    return { teamMember: !!membership, roleInTeam: membership?.roleInTeam || null };
+  }
+}
+
+module.exports = new PermissionExplainService();
@@ -0,0 +1,264 @@
+/**
+ * Permission Catalogue
+ * Every permission a route can require, with the roles that get it by default.
+ *
+ * Default roles are only applied when a permission is first created; after
+ * that, access is managed through /api/permissions without code changes.
+ *
+ * Global permissions act across organizations and cannot be part of an
+ * organization's custom roles.
+ */
+
+const ALL_ROLES = [
+  'ADMIN',
+  'ORGANIZATION_ADMIN',
+  'COORDINATOR',
+  'SOCIAL_WORKER',
+  'VOLUNTEER',
+  'DATA_ANALYST',
+  'OPERATOR',
+  'PUBLIC',
+];
+
+const ORG_ADMINS = ['ADMIN', 'ORGANIZATION_ADMIN'];
+
+// Every role that belongs to an organization
+const MEMBER_ROLES = ALL_ROLES.filter((role) => role !== 'PUBLIC');
+
+const PERMISSIONS = [
+  // Cases
+  // Citizens (PUBLIC) report cases and follow up on the ones they created
+  { name: 'cases:create', description: 'Create new cases', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER', 'OPERATOR', 'PUBLIC'] },
+  { name: 'cases:read', description: 'View cases', roles: ALL_ROLES },
+  { name: 'cases:update', description: 'Update cases', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER', 'OPERATOR', 'PUBLIC'] },
+  { name: 'cases:delete', description: 'Delete cases', roles: ORG_ADMINS },
+  { name: 'cases:assign', description: 'Assign cases to users/teams', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+
+  // Emergencies
+  { name: 'emergencies:create', description: 'Mark cases as emergencies', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER'] },
+  { name: 'emergencies:escalate', description: 'Escalate emergencies', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+  { name: 'emergencies:resolve', description: 'Resolve emergencies', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER'] },
+
+  // Homeless persons
+  { name: 'homeless:create', description: 'Register homeless persons', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER'] },
+  { name: 'homeless:read', description: 'View homeless persons', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER', 'DATA_ANALYST'] },
+  // Analysts read records but never had the outreach lookup of nearby services
+  { name: 'homeless:services', description: 'Find service points near homeless persons', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER'] },
+  { name: 'homeless:update', description: 'Update homeless persons', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER'] },
+  // Global admins delete through the SuperAdmin bypass
+  { name: 'homeless:delete', description: 'Delete homeless persons', roles: ['ORGANIZATION_ADMIN', 'COORDINATOR'] },
+  { name: 'homeless:merge', description: 'Find and merge duplicate homeless records', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+  { name: 'homeless:visit', description: 'Log visits to homeless persons', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER', 'VOLUNTEER'] },
+  { name: 'homeless:assess', description: 'Fill in needs assessments of homeless persons', roles: [...ORG_ADMINS, 'COORDINATOR', 'SOCIAL_WORKER'] },
+  { name: 'assessments:manage', description: 'Publish needs assessment templates', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+
+  // Visibility: without it, members only see the cases, persons and statistics of their zones and teams
+  { name: 'visibility:organization', description: 'See the work of every zone and team of the organization', roles: [...ORG_ADMINS, 'COORDINATOR', 'DATA_ANALYST', 'OPERATOR'] },
+
+  // Users
+  { name: 'users:create', description: 'Create new users', roles: ORG_ADMINS },
+  { name: 'users:read', description: 'View users', roles: MEMBER_ROLES },
+  { name: 'users:update', description: 'Update users', roles: ORG_ADMINS },
+  { name: 'users:delete', description: 'Delete users', roles: ['ADMIN'], global: true },
+  { name: 'users:manage', description: 'List every account and change their global role', roles: ['ADMIN'], global: true },
+
+  // Organization members
+  { name: 'members:unlock', description: 'Unlock member accounts', roles: ORG_ADMINS },
+  { name: 'members:sessions', description: 'View and revoke member sessions', roles: ORG_ADMINS },
+  { name: 'members:remove', description: 'Remove members from the organization', roles: ORG_ADMINS },
+
+  // Teams
+  { name: 'teams:create', description: 'Create teams', roles: ORG_ADMINS },
+  { name: 'teams:read', description: 'View teams', roles: MEMBER_ROLES },
+  { name: 'teams:update', description: 'Update teams', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+  { name: 'teams:delete', description: 'Delete teams', roles: ORG_ADMINS },
+  { name: 'teams:manage', description: 'Manage team members', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+
+  // Zones
+  { name: 'zones:create', description: 'Create zones', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+  { name: 'zones:update', description: 'Update zones', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+  { name: 'zones:delete', description: 'Delete zones', roles: ORG_ADMINS },
+  { name: 'zones:assign', description: 'Assign members to zones', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+
+  // Organizations
+  { name: 'organizations:create', description: 'Create organizations', roles: ['ADMIN'], global: true },
+  { name: 'organizations:read', description: 'List all organizations', roles: ['ADMIN'], global: true },
+  { name: 'organizations:update', description: 'Update organizations', roles: ORG_ADMINS },
+  { name: 'organizations:delete', description: 'Delete organizations', roles: ['ADMIN'], global: true },
+  { name: 'organizations:security', description: 'Manage organization security policies', roles: ORG_ADMINS },
+  { name: 'organizations:sso', description: 'Manage organization single sign-on', roles: ORG_ADMINS },
+  { name: 'api-keys:manage', description: 'Manage organization API keys', roles: ORG_ADMINS },
+
+  // Service Points
+  { name: 'service-points:create', description: 'Create service points', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+  { name: 'service-points:read', description: 'View service points', roles: ALL_ROLES },
+  { name: 'service-points:update', description: 'Update service points', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+  { name: 'service-points:delete', description: 'Delete service points', roles: ORG_ADMINS },
+  { name: 'service-points:sync', description: 'Import service points from Google Places', roles: [...ORG_ADMINS, 'COORDINATOR'] },
+
+  // Analytics
+  { name: 'analytics:view', description: 'View analytics and statistics', roles: [...ORG_ADMINS, 'COORDINATOR', 'DATA_ANALYST'] },
+
+  // Audit Logs
+  { name: 'audit:read', description: 'View audit logs', roles: [...ORG_ADMINS, 'DATA_ANALYST'] },
+  { name: 'audit:users', description: 'View the audit trail of a user', roles: ORG_ADMINS },
+  { name: 'audit:all', description: 'View the audit logs of every organization', roles: ['ADMIN'], global: true },
+
+  // Persons (legacy reports, not tied to an organization)
+  { name: 'persons:create', description: 'Report persons', roles: ['ADMIN', 'OPERATOR', 'VOLUNTEER'] },
+  { name: 'persons:update', description: 'Update reported persons', roles: ['ADMIN', 'OPERATOR'] },
+  { name: 'persons:delete', description: 'Delete reported persons', roles: ['ADMIN'] },
+
+  // Legal consents
+  { name: 'consents:manage', description: 'Publish consent types and versions', roles: ['ADMIN'], global: true },
+  { name: 'data-requests:manage', description: 'Handle data subject access and erasure requests', roles: ORG_ADMINS },
+
+  // Access control
+  { name: 'permissions:manage', description: 'Manage role and user permissions', roles: ['ADMIN'], global: true },
+  { name: 'roles:manage', description: 'Manage organization custom roles', roles: ORG_ADMINS },
+].map(({ global = false, ...permission }) => {
+  const [resource, action] = permission.name.split(':');
+  return { ...permission, resource, action, global };
+});
+
+const permissionsByName = new Map(PERMISSIONS.map((permission) => [permission.name, permission]));
+
+/**
+ * Check whether a permission can be granted by an organization's custom roles
+ * @param {string} name - Permission name
+ * @returns {boolean} True for known, non-global permissions
+ */
+const isOrganizationPermission = (name) => {
+  const permission = permissionsByName.get(name);
+  return Boolean(permission) && !permission.global;
+};
+
+/**
+ * Fail fast on permission names that are not in the catalogue (typos in routes)
+ * @param {string[]} names - Permission names
+ */
+const assertKnownPermissions = (names) => {
+  for (const name of names) {
+    if (!permissionsByName.has(name)) {
+      throw new Error(`Unknown permission "${name}". Add it to permission.catalogue.js`);
+    }
+  }
+};
+
+/**
+ * Turns the regexp Express builds for a router mount point back into a path
+ * @param {Object} layer - Router layer
+ * @returns {string} Mount path (e.g. "/api/cases" or "/:id/comments")
+ */
+const getMountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\(\[\^\\\/\]\+\?\)\)/g, () => `:${layer.keys[keyIndex++]?.name}`)
+    .replace(/\\\//g, '/');
+};
+
+/**
+ * Lists the routes of an Express app that require permissions.
+ * Permissions are read from the `requirePermission` family of middlewares,
+ * resource checks from the middlewares tagged with `resourceCheck`.
+ *
+ * @param {Object} app - Express app
+ * @returns {Array} [{ method, path, permissions, match, resourceChecks }]
+ */
+const listProtectedRoutes = (app) => {
+  const routes = [];
+
+  const walk = (stack, prefix, inherited, inheritedChecks) => {
+    let routerGuards = inherited;
+    let routerChecks = inheritedChecks;
+
+    for (const layer of stack) {
+      if (layer.route) {
+        const handles = layer.route.stack.map((routeLayer) => routeLayer.handle);
+        const guards = [...routerGuards, ...handles.filter((handle) => handle.permissions)];
+        const resourceChecks = [
+          ...routerChecks,
+          ...handles.filter((handle) => handle.resourceCheck).map((handle) => handle.resourceCheck),
+        ];
+
+        const path = layer.route.path === '/' && prefix ? prefix : `${prefix}${layer.route.path}`;
+
+        if (guards.length > 0) {
+          for (const method of Object.keys(layer.route.methods)) {
+            for (const guard of guards) {
+              routes.push({
+                method: method.toUpperCase(),
+                path,
+                permissions: guard.permissions,
+                match: guard.permissionMatch,
+                resourceChecks,
+              });
+            }
+          }
+        }
+      } else if (layer.name === 'router') {
+        walk(layer.handle.stack, `${prefix}${getMountPath(layer)}`, routerGuards, routerChecks);
+      } else if (layer.handle.permissions) {
+        // router.use(requirePermission(...)) guards every route declared after it
+        routerGuards = [...routerGuards, layer.handle];
+      } else if (layer.handle.resourceCheck) {
+        routerChecks = [...routerChecks, layer.handle.resourceCheck];
+      }
+    }
+  };
+
+  walk(app._router ? app._router.stack : [], '', [], []);
+  return routes;
+};
+
+/**
+ * Resource checks the routes requiring a permission run on a resource type
+ * @param {Object} app - Express app
+ * @param {string} resourceType - 'case', 'team', ...
+ * @param {string} permissionName - Permission name
+ * @returns {string[]} Check names, e.g. ['canViewCase']
+ */
+const listResourceChecks = (app, resourceType, permissionName) => {
+  const names = listProtectedRoutes(app)
+    .filter((route) => route.permissions.includes(permissionName))
+    .flatMap((route) => route.resourceChecks)
+    .filter((check) => check.resourceType === resourceType)
+    .map((check) => check.name);
+
+  return [...new Set(names)];
+};
+
+/**
+ * Builds the catalogue: every permission with the routes that require it
+ * @param {Object} app - Express app
+ * @returns {Array} Permissions with their routes
+ */
+const buildCatalogue = (app) => {
+  const routes = listProtectedRoutes(app);
+
+  return PERMISSIONS.map(({ name, description, resource, action, roles }) => ({
+    name,
+    description,
+    resource,
+    action,
+    defaultRoles: roles,
+    routes: routes
+      .filter((route) => route.permissions.includes(name))
+      .map(({ method, path, match }) => ({ method, path, match })),
+  }));
+};
+
+module.exports = {
+  PERMISSIONS,
+  isOrganizationPermission,
+  assertKnownPermissions,
+  listProtectedRoutes,
+  listResourceChecks,
+  buildCatalogue,
+};
@@ -1,4 +1,7 @@
 const permissionService = require('./permission.service');
+const permissionExplainService = require('./permission-explain.service');
+const { buildCatalogue } = require('./permission.catalogue');
+const { logAudit } = require('../audit/audit.service');
 const AppError = require('../../utils/errors');
 
 class PermissionController {
@@ -19,6 +22,40 @@ class PermissionController {
     }
   }
 
+  /**
+   * Get the permission catalogue: each permission, its default roles and the
+   * routes that require it
+   */
+  async getCatalogue(req, res, next) {
+    try {
+      const permissions = buildCatalogue(req.app);
+
+      res.status(200).json({
+        status: 'success',
+        results: permissions.length,
+        data: { permissions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Explain why a user is allowed or denied an action, check by check
+   */
+  async explainPermission(req, res, next) {
+    try {
+      const explanation = await permissionExplainService.explain(req.query, req.app);
+
+      res.status(200).json({
+        status: 'success',
+        data: explanation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get permissions for a specific role
    */
@@ -81,11 +118,12 @@ class PermissionController {
     try {
       const { userId } = req.params;
       const permissions = await permissionService.getUserPermissions(userId);
+      const grants = await permissionService.getUserGrants(userId);
       
       res.status(200).json({
         status: 'success',
         results: permissions.length,
-        data: { userId, permissions },
+        data: { userId, permissions, grants },
       });
     } catch (error) {
       next(error);
@@ -93,14 +131,30 @@ class PermissionController {
   }
 
   /**
-   * Grant permission to a user
+   * Grant permission to a user, optionally for a time window and a zone or team
    */
   async assignUserPermission(req, res, next) {
     try {
       const { userId } = req.params;
-      const { permissionName } = req.body;
+      const { permissionName, validFrom, validUntil, zoneId, teamId, reason } = req.body;
       
-      const userPermission = await permissionService.assignPermission(userId, permissionName);
+      const userPermission = await permissionService.assignPermission(userId, permissionName, {
+        validFrom,
+        validUntil,
+        zoneId,
+        teamId,
+        reason,
+        grantedById: req.user.id,
+      });
+
+      await logAudit(
+        req.user.id,
+        'grant_permission',
+        'user',
+        userId,
+        { permission: permissionName, validFrom, validUntil, zoneId, teamId, reason },
+        req.ip
+      );
       
       res.status(201).json({
         status: 'success',
@@ -117,8 +171,11 @@ class PermissionController {
   async revokeUserPermission(req, res, next) {
     try {
       const { userId, permission } = req.params;
+      const reason = req.body?.reason;
       
-      await permissionService.revokePermission(userId, permission);
+      await permissionService.revokePermission(userId, permission, { reason, grantedById: req.user.id });
+
+      await logAudit(req.user.id, 'revoke_permission', 'user', userId, { permission, reason }, req.ip);
       
       res.status(204).json({
         status: 'success',
@@ -129,6 +186,43 @@ class PermissionController {
     }
   }
 
+  /**
+   * Remove one grant or denial of a user
+   */
+  async removeUserGrant(req, res, next) {
+    try {
+      const { userId, grantId } = req.params;
+      const reason = req.body?.reason;
+
+      const grant = await permissionService.removeGrant(userId, grantId);
+
+      await logAudit(
+        req.user.id,
+        'revoke_permission',
+        'user',
+        userId,
+        {
+          permission: grant.permission.name,
+          grantId,
+          granted: grant.granted,
+          validFrom: grant.validFrom,
+          validUntil: grant.validUntil,
+          zoneId: grant.zoneId,
+          teamId: grant.teamId,
+          reason,
+        },
+        req.ip
+      );
+
+      res.status(204).json({
+        status: 'success',
+        data: null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Create a new permission
    */
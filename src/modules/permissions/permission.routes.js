@@ -1,16 +1,65 @@
 const express = require('express');
 const permissionController = require('./permission.controller');
+const organizationRoleController = require('./organization-role.controller');
+const validateRequest = require('../../middlewares/validateRequest');
+const {
+  createOrganizationRoleSchema,
+  updateOrganizationRoleSchema,
+  roleMemberSchema,
+  removeRoleMemberSchema,
+} = require('./organization-role.validators');
+const {
+  grantUserPermissionSchema,
+  revokeUserPermissionSchema,
+  removeUserGrantSchema,
+  explainPermissionSchema,
+} = require('./permission.validators');
 const { protect } = require('../../middlewares/auth.middleware');
-const { requireRole } = require('../../middlewares/permission.middleware');
+const { requirePermission } = require('../../middlewares/permission.middleware');
+const { verifyOrganizationAccess } = require('../../middlewares/multi-tenant.middleware');
 
 const router = express.Router();
 
-// All permission routes require authentication and ADMIN role
 router.use(protect);
-router.use(requireRole('ADMIN'));
+
+// Organization custom roles (organization admins, roles:manage)
+const orgRoles = [verifyOrganizationAccess('organizationId'), requirePermission('roles:manage')];
+
+router.get('/organizations/:organizationId/roles', ...orgRoles, organizationRoleController.listRoles);
+router.post(
+  '/organizations/:organizationId/roles',
+  ...orgRoles,
+  validateRequest(createOrganizationRoleSchema),
+  organizationRoleController.createRole
+);
+router.get('/organizations/:organizationId/roles/:roleId', ...orgRoles, organizationRoleController.getRole);
+router.patch(
+  '/organizations/:organizationId/roles/:roleId',
+  ...orgRoles,
+  validateRequest(updateOrganizationRoleSchema),
+  organizationRoleController.updateRole
+);
+router.delete('/organizations/:organizationId/roles/:roleId', ...orgRoles, organizationRoleController.deleteRole);
+router.post(
+  '/organizations/:organizationId/roles/:roleId/members',
+  ...orgRoles,
+  validateRequest(roleMemberSchema),
+  organizationRoleController.assignRole
+);
+router.delete(
+  '/organizations/:organizationId/roles/:roleId/members/:userId',
+  ...orgRoles,
+  validateRequest(removeRoleMemberSchema),
+  organizationRoleController.unassignRole
+);
+
+// Everything below requires permissions:manage
+router.use(requirePermission('permissions:manage'));
 
 // Permission management
 router.get('/', permissionController.getAllPermissions);
+router.get('/catalogue', permissionController.getCatalogue);
+router.get('/explain', validateRequest(explainPermissionSchema), permissionController.explainPermission);
 router.post('/', permissionController.createPermission);
 
 // Role permissions
@@ -20,7 +69,16 @@ router.delete('/roles/:role/:permission', permissionController.revokeRolePermiss
 
 // User permissions
 router.get('/users/:userId', permissionController.getUserPermissions);
-router.post('/users/:userId', permissionController.assignUserPermission);
-router.delete('/users/:userId/:permission', permissionController.revokeUserPermission);
+router.post('/users/:userId', validateRequest(grantUserPermissionSchema), permissionController.assignUserPermission);
+router.delete(
+  '/users/:userId/grants/:grantId',
+  validateRequest(removeUserGrantSchema),
+  permissionController.removeUserGrant
+);
+router.delete(
+  '/users/:userId/:permission',
+  validateRequest(revokeUserPermissionSchema),
+  permissionController.revokeUserPermission
+);
 
 module.exports = router;
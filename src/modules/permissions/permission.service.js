@@ -1,32 +1,86 @@
 const { PrismaClient} = require('@prisma/client');
+const { PERMISSIONS } = require('./permission.catalogue');
+const AppError = require('../../utils/errors');
+const { logAudit } = require('../audit/audit.service');
 
 const prisma = new PrismaClient();
 
+/**
+ * Why a user grant does not apply right now to a request on the given scope.
+ * Grants outside their window, or scoped to another zone/team, are ignored.
+ * @param {Object} grant - UserPermission
+ * @param {Object} scope - { zoneId, teamId } of the request
+ * @param {Date} now - Current date
+ * @returns {string|null} Reason, or null when the grant applies
+ */
+const getGrantSkipReason = (grant, scope = {}, now = new Date()) => {
+  if (grant.validFrom && grant.validFrom > now) return 'not yet valid';
+  if (grant.validUntil && grant.validUntil <= now) return 'expired';
+  if (grant.zoneId && grant.zoneId !== scope.zoneId) return 'scoped to another zone';
+  if (grant.teamId && grant.teamId !== scope.teamId) return 'scoped to another team';
+  return null;
+};
+
+/**
+ * Whether a user grant applies right now to a request on the given scope
+ * @param {Object} grant - UserPermission
+ * @param {Object} scope - { zoneId, teamId } of the request
+ * @param {Date} now - Current date
+ * @returns {boolean}
+ */
+const isGrantApplicable = (grant, scope = {}, now = new Date()) => !getGrantSkipReason(grant, scope, now);
+
+/**
+ * Decide from the user's grants of one permission. Each window/scope is its
+ * own row: a denial that applies wins, then a grant that applies.
+ * @param {Array} grants - UserPermission rows of the permission
+ * @param {Object} scope - { zoneId, teamId } of the request
+ * @returns {boolean|undefined} undefined when no grant applies (the role decides)
+ */
+const resolveUserGrants = (grants, scope = {}) => {
+  const applicable = grants.filter((grant) => isGrantApplicable(grant, scope));
+
+  if (applicable.length === 0) return undefined;
+
+  return applicable.every((grant) => grant.granted);
+};
+
 class PermissionService {
   /**
    * Check if a user has a specific permission
-   * Checks both role-based and user-specific permissions
+   * Checks role-based (or custom role) and user-specific permissions.
+   * `scope` ({ zoneId, teamId }) is what the request acts on; grants scoped
+   * to a zone or team only apply when it matches.
    */
-  async hasPermission(userId, permissionName) {
+  async hasPermission(userId, permissionName, scope = {}) {
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { role: true },
+      select: { role: true, customRoleId: true },
     });
 
     if (!user) return false;
 
-    // Check role-based permissions
-    const rolePermission = await prisma.rolePermission.findFirst({
-      where: {
-        role: user.role,
-        permission: {
-          name: permissionName,
-        },
-      },
-    });
+    // Check role-based permissions (an organization custom role replaces its base role)
+    const rolePermission = user.customRoleId
+      ? await prisma.organizationRolePermission.findFirst({
+          where: {
+            organizationRoleId: user.customRoleId,
+            permission: {
+              name: permissionName,
+            },
+          },
+        })
+      : await prisma.rolePermission.findFirst({
+          where: {
+            role: user.role,
+            permission: {
+              name: permissionName,
+            },
+          },
+        });
 
     // Check user-specific permission overrides
-    const userPermission = await prisma.userPermission.findFirst({
+    const userPermissions = await prisma.userPermission.findMany({
       where: {
         userId,
         permission: {
@@ -35,30 +89,93 @@ class PermissionService {
       },
     });
 
-    // User-specific permission overrides role permission
-    if (userPermission) {
-      return userPermission.granted;
-    }
+    // User-specific permissions override the role permission (while they apply)
+    const override = resolveUserGrants(userPermissions, scope);
 
-    return !!rolePermission;
+    return override === undefined ? !!rolePermission : override;
   }
 
   /**
-   * Get all permissions for a user (role + direct)
+   * Trace how hasPermission decides for a user: the role (or custom role)
+   * grant, then each user override and whether it applies to the scope.
+   * @param {string} userId - User ID
+   * @param {string} permissionName - Permission name
+   * @param {Object} scope - { zoneId, teamId } of the request
+   * @returns {Promise<Object|null>} { allowed, decidedBy, role, overrides } or null for unknown users
+   */
+  async explainPermission(userId, permissionName, scope = {}) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true, customRoleId: true, customRole: { select: { id: true, name: true } } },
+    });
+
+    if (!user) return null;
+
+    const rolePermission = user.customRoleId
+      ? await prisma.organizationRolePermission.findFirst({
+          where: { organizationRoleId: user.customRoleId, permission: { name: permissionName } },
+        })
+      : await prisma.rolePermission.findFirst({
+          where: { role: user.role, permission: { name: permissionName } },
+        });
+
+    const userPermissions = await prisma.userPermission.findMany({
+      where: { userId, permission: { name: permissionName } },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const role = {
+      source: user.customRoleId ? 'customRole' : 'role',
+      role: user.role,
+      customRole: user.customRole || null,
+      granted: !!rolePermission,
+    };
+
+    const overrides = userPermissions.map((userPermission) => {
+      const skippedBecause = getGrantSkipReason(userPermission, scope);
+
+      return {
+        id: userPermission.id,
+        granted: userPermission.granted,
+        validFrom: userPermission.validFrom,
+        validUntil: userPermission.validUntil,
+        zoneId: userPermission.zoneId,
+        teamId: userPermission.teamId,
+        reason: userPermission.reason,
+        applies: !skippedBecause,
+        skippedBecause,
+      };
+    });
+
+    const override = resolveUserGrants(userPermissions, scope);
+
+    return override === undefined
+      ? { allowed: role.granted, decidedBy: role.source, role, overrides }
+      : { allowed: override, decidedBy: 'userOverride', role, overrides };
+  }
+
+  /**
+   * Get all permissions for a user (role or custom role + direct)
+   * Only unscoped grants in their validity window are applied.
    */
   async getUserPermissions(userId) {
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { role: true },
+      select: { role: true, customRoleId: true },
     });
 
     if (!user) return [];
 
-    // Get role permissions
-    const rolePermissions = await prisma.rolePermission.findMany({
-      where: { role: user.role },
-      include: { permission: true },
-    });
+    // Get role permissions (an organization custom role replaces its base role)
+    const rolePermissions = user.customRoleId
+      ? await prisma.organizationRolePermission.findMany({
+          where: { organizationRoleId: user.customRoleId },
+          include: { permission: true },
+        })
+      : await prisma.rolePermission.findMany({
+          where: { role: user.role },
+          include: { permission: true },
+        });
 
     // Get user-specific permissions
     const userPermissions = await prisma.userPermission.findMany({
@@ -74,23 +191,43 @@ class PermissionService {
       permissionMap.set(rp.permission.name, rp.permission);
     });
 
-    // Override with user permissions
-    userPermissions.forEach((up) => {
-      if (up.granted) {
-        permissionMap.set(up.permission.name, up.permission);
-      } else {
-        // Revoked permission
-        permissionMap.delete(up.permission.name);
-      }
+    // Override with user permissions: grants first, then denials (a denial wins)
+    const applicable = userPermissions.filter((up) => isGrantApplicable(up));
+
+    applicable.filter((up) => up.granted).forEach((up) => {
+      permissionMap.set(up.permission.name, up.permission);
+    });
+
+    applicable.filter((up) => !up.granted).forEach((up) => {
+      permissionMap.delete(up.permission.name);
     });
 
     return Array.from(permissionMap.values());
   }
 
   /**
-   * Assign a permission directly to a user
+   * List the direct grants and denials of a user, with their window and scope
    */
-  async assignPermission(userId, permissionName) {
+  async getUserGrants(userId) {
+    return await prisma.userPermission.findMany({
+      where: { userId },
+      include: {
+        permission: { select: { name: true } },
+        zone: { select: { id: true, name: true } },
+        team: { select: { id: true, name: true } },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Assign a permission directly to a user. Each grant is its own row, so a
+   * user can hold several windows or scopes of the same permission.
+   * @param {string} userId - User ID
+   * @param {string} permissionName - Permission name
+   * @param {Object} options - validFrom, validUntil, zoneId, teamId, reason, grantedById
+   */
+  async assignPermission(userId, permissionName, options = {}) {
     const permission = await prisma.permission.findUnique({
       where: { name: permissionName },
     });
@@ -99,28 +236,45 @@ class PermissionService {
       throw new Error(`Permission "${permissionName}" not found`);
     }
 
-    return await prisma.userPermission.upsert({
-      where: {
-        userId_permissionId: {
-          userId,
-          permissionId: permission.id,
-        },
-      },
-      create: {
+    const { validFrom, validUntil, zoneId, teamId, reason, grantedById } = options;
+
+    if (zoneId || teamId) {
+      await this.assertScopeInUserOrganization(userId, { zoneId, teamId });
+    }
+
+    // A denial wins over every grant, so a new grant would never apply
+    const denial = await prisma.userPermission.findFirst({
+      where: { userId, permissionId: permission.id, granted: false },
+      select: { id: true },
+    });
+
+    if (denial) {
+      throw new AppError('The user is denied this permission. Remove the denial before granting it', 409);
+    }
+
+    return await prisma.userPermission.create({
+      data: {
         userId,
         permissionId: permission.id,
         granted: true,
-      },
-      update: {
-        granted: true,
+        validFrom: validFrom ? new Date(validFrom) : null,
+        validUntil: validUntil ? new Date(validUntil) : null,
+        zoneId: zoneId || null,
+        teamId: teamId || null,
+        reason: reason || null,
+        grantedById: grantedById || null,
       },
     });
   }
 
   /**
-   * Revoke a permission from a user
+   * Deny a permission to a user (permanent, unscoped denial). The denial wins
+   * over the user's grants, which are kept and apply again once it is removed.
+   * @param {string} userId - User ID
+   * @param {string} permissionName - Permission name
+   * @param {Object} options - reason, grantedById
    */
-  async revokePermission(userId, permissionName) {
+  async revokePermission(userId, permissionName, options = {}) {
     const permission = await prisma.permission.findUnique({
       where: { name: permissionName },
     });
@@ -129,24 +283,113 @@ class PermissionService {
       throw new Error(`Permission "${permissionName}" not found`);
     }
 
-    return await prisma.userPermission.upsert({
-      where: {
-        userId_permissionId: {
-          userId,
-          permissionId: permission.id,
-        },
-      },
-      create: {
+    const existing = await prisma.userPermission.findFirst({
+      where: { userId, permissionId: permission.id, granted: false },
+    });
+
+    if (existing) return existing;
+
+    return await prisma.userPermission.create({
+      data: {
         userId,
         permissionId: permission.id,
         granted: false,
-      },
-      update: {
-        granted: false,
+        reason: options.reason || null,
+        grantedById: options.grantedById || null,
       },
     });
   }
 
+  /**
+   * Remove one grant or denial of a user, leaving their other grants alone
+   * @param {string} userId - User ID
+   * @param {string} grantId - UserPermission ID
+   * @returns {Promise<Object>} The removed grant, with its permission name
+   */
+  async removeGrant(userId, grantId) {
+    const grant = await prisma.userPermission.findFirst({
+      where: { id: grantId, userId },
+      include: { permission: { select: { name: true } } },
+    });
+
+    if (!grant) {
+      throw new AppError('Grant not found', 404);
+    }
+
+    // deleteMany: the cleanup job may have purged an expired grant meanwhile
+    await prisma.userPermission.deleteMany({ where: { id: grant.id } });
+
+    return grant;
+  }
+
+  /**
+   * Scoped grants must point to a zone/team of the user's organization
+   * @param {string} userId - User ID
+   * @param {Object} scope - { zoneId, teamId }
+   */
+  async assertScopeInUserOrganization(userId, { zoneId, teamId }) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { organizationId: true },
+    });
+
+    if (!user || !user.organizationId) {
+      throw new AppError('Scoped grants require a user in an organization', 400);
+    }
+
+    if (zoneId) {
+      const zone = await prisma.zone.findFirst({
+        where: { id: zoneId, organizationId: user.organizationId },
+        select: { id: true },
+      });
+      if (!zone) {
+        throw new AppError('Zone not found in the user\'s organization', 404);
+      }
+    }
+
+    if (teamId) {
+      const team = await prisma.team.findFirst({
+        where: { id: teamId, organizationId: user.organizationId },
+        select: { id: true },
+      });
+      if (!team) {
+        throw new AppError('Team not found in the user\'s organization', 404);
+      }
+    }
+  }
+
+  /**
+   * Delete expired temporary grants and record each expiry in the audit log
+   * @returns {Promise<number>} Number of grants purged
+   */
+  async purgeExpiredGrants() {
+    const expired = await prisma.userPermission.findMany({
+      where: { validUntil: { lte: new Date() } },
+      include: { permission: { select: { name: true } } },
+    });
+
+    if (expired.length === 0) return 0;
+
+    await prisma.userPermission.deleteMany({
+      where: { id: { in: expired.map((grant) => grant.id) } },
+    });
+
+    for (const grant of expired) {
+      await logAudit(grant.userId, 'permission_grant_expired', 'user', grant.userId, {
+        permission: grant.permission.name,
+        granted: grant.granted,
+        validFrom: grant.validFrom,
+        validUntil: grant.validUntil,
+        zoneId: grant.zoneId,
+        teamId: grant.teamId,
+        reason: grant.reason,
+        grantedById: grant.grantedById,
+      });
+    }
+
+    return expired.length;
+  }
+
   /**
    * Get all permissions for a role
    */
@@ -208,6 +451,35 @@ class PermissionService {
     });
   }
 
+  /**
+   * Create the catalogue permissions missing from the database, granting them
+   * to their default roles. Existing permissions and grants are left alone so
+   * admin customizations survive deploys.
+   * @returns {Promise<string[]>} Names of the permissions created
+   */
+  async syncCatalogue() {
+    const existing = await prisma.permission.findMany({ select: { name: true } });
+    const existingNames = new Set(existing.map((permission) => permission.name));
+    const created = [];
+
+    for (const { name, description, resource, action, roles } of PERMISSIONS) {
+      if (existingNames.has(name)) continue;
+
+      const permission = await prisma.permission.create({
+        data: { name, description, resource, action },
+      });
+
+      await prisma.rolePermission.createMany({
+        data: roles.map((role) => ({ role, permissionId: permission.id })),
+        skipDuplicates: true,
+      });
+
+      created.push(name);
+    }
+
+    return created;
+  }
+
   /**
    * Create a new permission
    */
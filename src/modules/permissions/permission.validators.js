@@ -0,0 +1,63 @@
+const { z } = require('zod');
+const { PERMISSIONS } = require('./permission.catalogue');
+
+const grantUserPermissionSchema = z.object({
+  body: z
+    .object({
+      permissionName: z.string().min(1, 'Permission name is required'),
+      validFrom: z.string().datetime().optional(),
+      validUntil: z
+        .string()
+        .datetime()
+        .refine((value) => new Date(value) > new Date(), 'validUntil must be in the future')
+        .optional(),
+      zoneId: z.string().uuid().optional(),
+      teamId: z.string().uuid().optional(),
+      reason: z.string().max(500).optional(),
+    })
+    .refine(
+      ({ validFrom, validUntil }) => !validFrom || !validUntil || new Date(validFrom) < new Date(validUntil),
+      { message: 'validFrom must be before validUntil', path: ['validUntil'] }
+    ),
+});
+
+const revokeUserPermissionSchema = z.object({
+  body: z
+    .object({
+      reason: z.string().max(500).optional(),
+    })
+    .optional(),
+});
+
+const removeUserGrantSchema = z.object({
+  params: z.object({
+    userId: z.string(),
+    grantId: z.string().uuid(),
+  }),
+  body: z
+    .object({
+      reason: z.string().max(500).optional(),
+    })
+    .optional(),
+});
+
+const explainPermissionSchema = z.object({
+  query: z
+    .object({
+      userId: z.string().uuid(),
+      action: z.enum(PERMISSIONS.map((permission) => permission.name)),
+      resourceType: z.enum(['case', 'homeless', 'zone', 'team']).optional(),
+      resourceId: z.string().uuid().optional(),
+    })
+    .refine(({ resourceType, resourceId }) => !resourceType === !resourceId, {
+      message: 'resourceType and resourceId go together',
+      path: ['resourceId'],
+    }),
+});
+
+module.exports = {
+  grantUserPermissionSchema,
+  revokeUserPermissionSchema,
+  removeUserGrantSchema,
+  explainPermissionSchema,
+};
@@ -1,7 +1,8 @@
 const express = require('express');
 const personsController = require('./persons.controller');
 const { protect } = require('../../middlewares/auth.middleware');
-const verifyRole = require('../../middlewares/verifyRole');
+const { requirePermission } = require('../../middlewares/permission.middleware');
+const { requireConsent } = require('../../middlewares/consent.middleware');
 const validateRequest = require('../../middlewares/validateRequest');
 const { createPersonSchema, updatePersonSchema, getPersonSchema } = require('./persons.validators');
 const commentsRouter = require('../comments/comments.routes');
@@ -18,24 +19,25 @@ router.get('/:id', validateRequest(getPersonSchema), personsController.getPerson
 
 // Protected routes
 router.use(protect);
+router.use(requireConsent());
 
 router.post(
   '/',
-  verifyRole('ADMIN', 'OPERATOR', 'VOLUNTEER'),
+  requirePermission('persons:create'),
   validateRequest(createPersonSchema),
   personsController.createPerson
 );
 
 router.patch(
   '/:id',
-  verifyRole('ADMIN', 'OPERATOR'),
+  requirePermission('persons:update'),
   validateRequest(updatePersonSchema),
   personsController.updatePerson
 );
 
 router.delete(
   '/:id',
-  verifyRole('ADMIN'),
+  requirePermission('persons:delete'),
   personsController.deletePerson
 );
 
@@ -1,7 +1,14 @@
 const realtimeService = require('./realtime.service');
+const permissionService = require('../../services/permission.service');
 
-const stream = (req, res) => {
-  realtimeService.addClient(req, res);
+const stream = async (req, res, next) => {
+  try {
+    // Field members only receive events of their zones and teams
+    const visibilityScope = await permissionService.getVisibilityScope(req.user.id);
+    realtimeService.addClient(req, res, visibilityScope);
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
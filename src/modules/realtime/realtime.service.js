@@ -51,7 +51,13 @@ class RealtimeService {
     }
   }
 
-  addClient(req, res) {
+  /**
+   * Register an SSE client
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object|null} visibilityScope - Zones and teams of a field member
+   */
+  addClient(req, res, visibilityScope = null) {
     const headers = {
       'Content-Type': 'text/event-stream',
       'Connection': 'keep-alive',
@@ -65,6 +71,7 @@ class RealtimeService {
       res,
       user: req.user, // Assuming user is attached to req
       query: req.query, // Filters like orgId, zones
+      visibilityScope,
     };
 
     this.clients.add(client);
@@ -117,10 +124,18 @@ class RealtimeService {
       }
     }
     
-    // Example: Zone filter
-    if (event.filters && event.filters.zoneId) {
-       // Check if user is assigned to this zone (logic depends on user model)
-       // For now, pass through
+    // Field members only get events of their zones, teams or themselves.
+    // Events without zoneId/teamId/userId filters are organization-wide.
+    const scope = client.visibilityScope;
+    const filters = event.filters || {};
+    const isScopedEvent = ['zoneId', 'teamId', 'userId'].some((key) => key in filters);
+
+    if (scope && isScopedEvent) {
+      return (
+        scope.zoneIds.includes(filters.zoneId) ||
+        scope.teamIds.includes(filters.teamId) ||
+        filters.userId === scope.userId
+      );
     }
 
     return true;
@@ -4,7 +4,7 @@ const servicePointsController = require('./service-points.controller');
 const validateRequest = require('../../middlewares/validateRequest');
 const { protect, optionalProtect } = require('../../middlewares/auth.middleware');
 const { multiTenantMiddleware, requireOrganization } = require('../../middlewares/multi-tenant.middleware');
-const { requireRole } = require('../../middlewares/permission.middleware');
+const { requirePermission } = require('../../middlewares/permission.middleware');
 const {
   createServicePointSchema,
   updateServicePointSchema,
@@ -40,6 +40,7 @@ router.use(multiTenantMiddleware);
 // Get all service points
 router.get(
   '/',
+  requirePermission('service-points:read'),
   validateRequest(getServicePointsSchema),
   servicePointsController.getAll
 );
@@ -48,7 +49,7 @@ router.get(
 router.post(
   '/',
   requireOrganization,
-  requireRole('ORGANIZATION_ADMIN', 'COORDINATOR'),
+  requirePermission('service-points:create'),
   validateRequest(createServicePointSchema),
   servicePointsController.create
 );
@@ -57,7 +58,7 @@ router.post(
 router.post(
   '/sync-google',
   requireOrganization,
-  requireRole('ORGANIZATION_ADMIN', 'COORDINATOR'),
+  requirePermission('service-points:sync'),
   validateRequest(syncWithGoogleSchema),
   servicePointsController.syncWithGoogle
 );
@@ -66,7 +67,7 @@ router.post(
 router.patch(
   '/:id',
   requireOrganization,
-  requireRole('ORGANIZATION_ADMIN', 'COORDINATOR'),
+  requirePermission('service-points:update'),
   validateRequest(updateServicePointSchema),
   servicePointsController.update
 );
@@ -75,7 +76,7 @@ router.patch(
 router.delete(
   '/:id',
   requireOrganization,
-  requireRole('ORGANIZATION_ADMIN'),
+  requirePermission('service-points:delete'),
   servicePointsController.delete
 );
 
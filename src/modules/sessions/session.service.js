@@ -1,15 +1,31 @@
 const { PrismaClient } = require('@prisma/client');
 const { redisClient } = require('../../config/redis');
 const env = require('../../config/env');
+const AppError = require('../../utils/errors');
+const { signToken, signRefreshToken, verifyRefreshToken } = require('../../utils/jwt');
+const { hashToken } = require('../../utils/token.utils');
+const { parseUserAgent, describeIpAddress } = require('../../utils/device.utils');
+const { logAudit } = require('../audit/audit.service');
 
 const prisma = new PrismaClient();
 
 const SESSION_PREFIX = 'session:';
 const REVOKED_TOKEN_PREFIX = 'revoked:';
 
+// Organization fields holding the session policy
+const SESSION_POLICY_FIELDS = {
+  sessionIdleTimeoutMinutes: true,
+  sessionMaxLifetimeHours: true,
+  maxConcurrentSessions: true,
+};
+
+// lastActiveAt is written at most once per minute per session
+const ACTIVITY_UPDATE_INTERVAL_MS = 60 * 1000;
+
 class SessionService {
   /**
    * Create a new session in Redis and DB
+   * The session lives as long as its refresh token chain.
    */
   async createSession(userId, token, deviceInfo, ipAddress) {
     // 1. Store in DB for audit/history
@@ -19,7 +35,8 @@ class SessionService {
         token,
         deviceInfo,
         ipAddress,
-        expiresAt: new Date(Date.now() + this.parseDuration(env.JWT_EXPIRES_IN)),
+        lastActiveIp: ipAddress,
+        expiresAt: new Date(Date.now() + this.parseDuration(env.JWT_REFRESH_EXPIRES_IN)),
       },
     });
 
@@ -38,16 +55,268 @@ class SessionService {
         createdAt: session.createdAt,
       }),
       'EX',
-      this.parseDurationSeconds(env.JWT_EXPIRES_IN)
+      this.parseDurationSeconds(env.JWT_REFRESH_EXPIRES_IN)
     );
 
+    // 3. Enforce the organization's concurrent session limit
+    const policy = await this.getSessionPolicy(userId);
+    await this.evictExcessSessions(userId, policy?.maxConcurrentSessions);
+
+    return session;
+  }
+
+  /**
+   * Get the session policy of the user's organization (null if none)
+   */
+  async getSessionPolicy(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { organization: { select: SESSION_POLICY_FIELDS } },
+    });
+
+    return user?.organization || null;
+  }
+
+  /**
+   * Check a session against expiry and the organization policy
+   * @returns {string|null} Reason the session is no longer usable, or null
+   */
+  getPolicyViolation(session, policy, now = Date.now()) {
+    if (session.expiresAt && new Date(session.expiresAt).getTime() <= now) {
+      return 'Session expired';
+    }
+
+    if (
+      policy?.sessionIdleTimeoutMinutes &&
+      new Date(session.lastActiveAt).getTime() + policy.sessionIdleTimeoutMinutes * 60 * 1000 <= now
+    ) {
+      return 'Session expired due to inactivity';
+    }
+
+    if (
+      policy?.sessionMaxLifetimeHours &&
+      new Date(session.createdAt).getTime() + policy.sessionMaxLifetimeHours * 60 * 60 * 1000 <= now
+    ) {
+      return 'Session reached its maximum lifetime';
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the session of an access token on each request and record activity
+   * (time, and IP when it changes). Sessions that break the policy are revoked.
+   * Tokens without a session are left to the JWT expiry; access tokens replaced
+   * by a refresh are blacklisted when rotating.
+   */
+  async touchSession(token, policy, ipAddress) {
+    const session = await prisma.userSession.findUnique({ where: { token } });
+
+    if (!session) {
+      return null;
+    }
+
+    if (!session.isValid) {
+      throw new AppError('Session revoked. Please log in again.', 401);
+    }
+
+    const violation = this.getPolicyViolation(session, policy);
+    if (violation) {
+      await this.revokeSession(session.id, session.userId, violation);
+      throw new AppError(`${violation}. Please log in again.`, 401);
+    }
+
+    const ipChanged = Boolean(ipAddress) && ipAddress !== session.lastActiveIp;
+    if (ipChanged || Date.now() - new Date(session.lastActiveAt).getTime() >= ACTIVITY_UPDATE_INTERVAL_MS) {
+      await prisma.userSession.update({
+        where: { id: session.id },
+        data: { lastActiveAt: new Date(), ...(ipAddress && { lastActiveIp: ipAddress }) },
+      });
+    }
+
     return session;
   }
 
+  /**
+   * Revoke the oldest active sessions of a user beyond the allowed count
+   * @returns {number} Number of sessions revoked
+   */
+  async evictExcessSessions(userId, maxConcurrentSessions) {
+    if (!maxConcurrentSessions) {
+      return 0;
+    }
+
+    const excessSessions = await prisma.userSession.findMany({
+      where: { userId, isValid: true },
+      orderBy: { createdAt: 'desc' },
+      skip: maxConcurrentSessions,
+    });
+
+    for (const session of excessSessions) {
+      await this.revokeSession(session.id, userId, 'Concurrent session limit exceeded');
+    }
+
+    return excessSessions.length;
+  }
+
+  /**
+   * Revoke the sessions of an organization that break its policy (cleanup job)
+   * @param {Object} organization - Organization with id and policy fields
+   * @returns {number} Number of sessions revoked
+   */
+  async enforceOrganizationPolicy(organization) {
+    const sessions = await prisma.userSession.findMany({
+      where: { isValid: true, user: { organizationId: organization.id } },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const now = Date.now();
+    const activeCountByUser = {};
+    let revoked = 0;
+
+    for (const session of sessions) {
+      let reason = this.getPolicyViolation(session, organization, now);
+
+      if (!reason && organization.maxConcurrentSessions) {
+        activeCountByUser[session.userId] = (activeCountByUser[session.userId] || 0) + 1;
+        if (activeCountByUser[session.userId] > organization.maxConcurrentSessions) {
+          reason = 'Concurrent session limit exceeded';
+        }
+      }
+
+      if (reason) {
+        await this.revokeSession(session.id, session.userId, reason);
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Issue a refresh token for a session (stored hashed)
+   */
+  async issueRefreshToken(sessionId, userId) {
+    const refreshToken = signRefreshToken(userId, sessionId);
+
+    await prisma.refreshToken.create({
+      data: {
+        sessionId,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + this.parseDuration(env.JWT_REFRESH_EXPIRES_IN)),
+      },
+    });
+
+    return refreshToken;
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair.
+   * Each refresh token works once. Presenting a rotated token again means it was
+   * copied, so the whole session (rotation family) is revoked.
+   * The previous access token of the session is blacklisted.
+   */
+  async rotateRefreshToken(refreshToken, ipAddress) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (err) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { session: true },
+    });
+
+    if (!stored || stored.session.userId !== decoded.id) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const { session } = stored;
+
+    if (stored.usedAt || stored.revokedAt) {
+      await this.handleRefreshTokenReuse(session, ipAddress);
+    }
+
+    if (!session.isValid || stored.expiresAt < new Date()) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    // Refreshing does not extend a session past the organization policy
+    const violation = this.getPolicyViolation(session, await this.getSessionPolicy(session.userId));
+    if (violation) {
+      await this.revokeSession(session.id, session.userId, violation);
+      throw new AppError(`${violation}. Please log in again.`, 401);
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null, revokedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      await this.handleRefreshTokenReuse(session, ipAddress);
+    }
+
+    const token = signToken(session.userId);
+    const newRefreshToken = await this.issueRefreshToken(session.id, session.userId);
+
+    await prisma.userSession.update({
+      where: { id: session.id },
+      data: {
+        token,
+        lastActiveAt: new Date(),
+        ...(ipAddress && { lastActiveIp: ipAddress }),
+        expiresAt: new Date(Date.now() + this.parseDuration(env.JWT_REFRESH_EXPIRES_IN)),
+      },
+    });
+
+    // The replaced access token no longer has a session to check, so it stops working here
+    if (session.token) {
+      await this.revokeToken(session.token, session.userId, 'Access token rotated');
+    }
+
+    return { userId: session.userId, sessionId: session.id, token, refreshToken: newRefreshToken };
+  }
+
+  /**
+   * Revoke the session family of a reused refresh token and reject the request
+   */
+  async handleRefreshTokenReuse(session, ipAddress) {
+    if (session.isValid) {
+      await this.revokeSession(session.id, session.userId, 'Refresh token reuse detected');
+    } else {
+      await this.revokeRefreshTokens(session.id);
+    }
+
+    await logAudit(
+      session.userId,
+      'refresh_token_reuse',
+      'session',
+      session.id,
+      { deviceInfo: session.deviceInfo },
+      ipAddress
+    );
+
+    throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+  }
+
+  /**
+   * Revoke every refresh token issued for a session
+   */
+  async revokeRefreshTokens(sessionId) {
+    await prisma.refreshToken.updateMany({
+      where: { sessionId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+  }
+
   /**
    * Revoke a specific session
    */
-  async revokeSession(sessionId, userId) {
+  async revokeSession(sessionId, userId, reason = 'Session revoked by user') {
     // 1. Remove from Redis
     await redisClient.del(`${SESSION_PREFIX}${sessionId}`);
     await redisClient.srem(`user_sessions:${userId}`, sessionId);
@@ -58,21 +327,57 @@ class SessionService {
       data: { isValid: false },
     });
 
-    // 3. If we want to blacklist the token associated with this session
+    // 3. Refresh tokens of the session stop working
+    await this.revokeRefreshTokens(sessionId);
+
+    // 4. If we want to blacklist the token associated with this session
     const session = await prisma.userSession.findUnique({ where: { id: sessionId } });
     if (session) {
-      await this.revokeToken(session.token, userId, 'Session revoked by user');
+      await this.revokeToken(session.token, userId, reason);
+    }
+  }
+
+  /**
+   * Revoke an active session of a given user
+   * Throws 404 if the session does not belong to the user.
+   */
+  async revokeUserSession(sessionId, userId, reason = 'Session revoked by user') {
+    const session = await prisma.userSession.findFirst({
+      where: { id: sessionId, userId, isValid: true },
+    });
+
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    await this.revokeSession(session.id, userId, reason);
+    return session;
+  }
+
+  /**
+   * Revoke the session an access token belongs to (logout)
+   * Falls back to blacklisting the token alone if it has no session.
+   */
+  async revokeSessionByToken(token, userId, reason = 'User logout') {
+    const session = await prisma.userSession.findFirst({
+      where: { token, userId, isValid: true },
+    });
+
+    if (session) {
+      await this.revokeSession(session.id, userId, reason);
+    } else {
+      await this.revokeToken(token, userId, reason);
     }
   }
 
   /**
    * Revoke all sessions for a user
    */
-  async revokeAllUserSessions(userId) {
+  async revokeAllUserSessions(userId, reason = 'Session revoked by user') {
     const sessionIds = await redisClient.smembers(`user_sessions:${userId}`);
     
     for (const sessionId of sessionIds) {
-      await this.revokeSession(sessionId, userId);
+      await this.revokeSession(sessionId, userId, reason);
     }
     
     // Also mark all DB sessions as invalid
@@ -80,6 +385,11 @@ class SessionService {
       where: { userId, isValid: true },
       data: { isValid: false },
     });
+
+    await prisma.refreshToken.updateMany({
+      where: { session: { userId }, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
   }
 
   /**
@@ -128,6 +438,25 @@ class SessionService {
     });
   }
 
+  /**
+   * Session details without tokens, with parsed device and IP information
+   * (`ipAddress` is the login IP, `lastActiveIp` the IP of the latest activity)
+   */
+  describeSession(session) {
+    return {
+      id: session.id,
+      deviceInfo: session.deviceInfo,
+      device: parseUserAgent(session.deviceInfo),
+      ipAddress: session.ipAddress,
+      ip: describeIpAddress(session.ipAddress),
+      lastActiveIp: session.lastActiveIp,
+      lastActiveIpDetails: describeIpAddress(session.lastActiveIp),
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      expiresAt: session.expiresAt,
+    };
+  }
+
   // Helper to parse "7d", "1h" etc to ms
   parseDuration(duration) {
     if (!duration) return 7 * 24 * 60 * 60 * 1000; // Default 7d
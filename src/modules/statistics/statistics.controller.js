@@ -8,7 +8,7 @@ class StatisticsController {
   async getOverview(req, res, next) {
     try {
       const orgId = req.organizationId;
-      const stats = await statisticsService.getOverviewStats(orgId);
+      const stats = await statisticsService.getOverviewStats(orgId, req.visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -24,10 +24,14 @@ class StatisticsController {
       const orgId = req.organizationId;
       const { startDate, endDate } = req.query;
 
-      const stats = await statisticsService.getCasesByStatus(orgId, {
-        startDate,
-        endDate,
-      });
+      const stats = await statisticsService.getCasesByStatus(
+        orgId,
+        {
+          startDate,
+          endDate,
+        },
+        req.visibilityScope
+      );
 
       res.status(200).json({
         status: 'success',
@@ -41,7 +45,21 @@ class StatisticsController {
   async getCasesByZone(req, res, next) {
     try {
       const orgId = req.organizationId;
-      const stats = await statisticsService.getCasesByZone(orgId);
+      const stats = await statisticsService.getCasesByZone(orgId, req.visibilityScope);
+
+      res.status(200).json({
+        status: 'success',
+        data: { statistics: stats },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getNeedsByZone(req, res, next) {
+    try {
+      const orgId = req.organizationId;
+      const stats = await statisticsService.getNeedsByZone(orgId, req.visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -55,7 +73,7 @@ class StatisticsController {
   async getCasesByTeam(req, res, next) {
     try {
       const orgId = req.organizationId;
-      const stats = await statisticsService.getCasesByTeam(orgId);
+      const stats = await statisticsService.getCasesByTeam(orgId, req.visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -69,7 +87,7 @@ class StatisticsController {
   async getEmergencies(req, res, next) {
     try {
       const orgId = req.organizationId;
-      const stats = await statisticsService.getEmergencyStats(orgId);
+      const stats = await statisticsService.getEmergencyStats(orgId, req.visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -83,7 +101,7 @@ class StatisticsController {
   async getUserActivity(req, res, next) {
     try {
       const orgId = req.organizationId;
-      const stats = await statisticsService.getUserActivityStats(orgId);
+      const stats = await statisticsService.getUserActivityStats(orgId, req.visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -97,7 +115,7 @@ class StatisticsController {
   async getUserCount(req, res, next) {
     try {
       const orgId = req.organizationId;
-      const stats = await statisticsService.getUserCountStats(orgId);
+      const stats = await statisticsService.getUserCountStats(orgId, req.visibilityScope);
 
       res.status(200).json({
         status: 'success',
@@ -113,7 +131,7 @@ class StatisticsController {
       const orgId = req.organizationId;
       const { format = 'json' } = req.query;
 
-      const data = await statisticsService.exportStatistics(orgId, format);
+      const data = await statisticsService.exportStatistics(orgId, format, req.visibilityScope);
 
       if (format === 'csv') {
         res.setHeader('Content-Type', 'text/csv');
@@ -19,6 +19,7 @@ router.use(statisticsLimiter);
 router.get('/overview', statisticsController.getOverview);
 router.get('/cases-by-status', statisticsController.getCasesByStatus);
 router.get('/zones', statisticsController.getCasesByZone);
+router.get('/needs', statisticsController.getNeedsByZone);
 router.get('/teams', statisticsController.getCasesByTeam);
 router.get('/emergencies', statisticsController.getEmergencies);
 router.get('/user-activity', statisticsController.getUserActivity);
@@ -5,11 +5,48 @@
 
 const prisma = require('../../prismaClient');
 const cacheService = require('../../services/cache.service');
+const permissionService = require('../../services/permission.service');
 const { addStatsJob } = require('../../queues');
 const logger = require('../../config/logger');
 
 const CACHE_TTL = 1800; // 30 minutes (matches cron job frequency)
 
+/**
+ * Cache key of an organization-wide statistic. Statistics limited to the
+ * visibility scope of a field member differ per member and are not cached.
+ * @param {string} orgId - Organization ID
+ * @param {string} name - Statistic name
+ * @param {Object|null} scope - Visibility scope
+ * @returns {string|null} Cache key, null when not cached
+ */
+const statsCacheKey = (orgId, name, scope) => (scope ? null : cacheService.generateKey('stats', orgId, name));
+
+/**
+ * Limit a case query to the cases visible within a scope
+ * @param {Object} where - Prisma where clause
+ * @param {Object|null} scope - Visibility scope (null = whole organization)
+ * @returns {Object} Prisma where clause
+ */
+const scopeCases = (where, scope) =>
+  scope ? { ...where, AND: [permissionService.caseVisibilityFilter(scope)] } : where;
+
+/**
+ * Limit a member query to the member and the colleagues in their zones and teams
+ * @param {Object} where - Prisma where clause
+ * @param {Object|null} scope - Visibility scope (null = whole organization)
+ * @returns {Object} Prisma where clause
+ */
+const scopeUsers = (where, scope) =>
+  scope ? { ...where, AND: [permissionService.memberVisibilityFilter(scope)] } : where;
+
+/**
+ * Limit a zone or team query to the ones of the scope
+ * @param {Object} where - Prisma where clause
+ * @param {string[]|undefined} ids - Zone or team IDs of the scope
+ * @returns {Object} Prisma where clause
+ */
+const scopeIds = (where, ids) => (ids ? { ...where, id: { in: ids } } : where);
+
 class StatisticsService {
   /**
    * Invalidate all statistics cache for an organization
@@ -26,6 +63,7 @@ class StatisticsService {
         cacheService.generateKey('stats', orgId, 'response-time'),
         cacheService.generateKey('stats', orgId, 'user-activity'),
         cacheService.generateKey('stats', orgId, 'user-count'),
+        cacheService.generateKey('stats', orgId, 'needs'),
       ];
 
       await Promise.all(keys.map(key => cacheService.del(key)));
@@ -44,11 +82,12 @@ class StatisticsService {
   /**
    * Get overview statistics for organization
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Object>} Overview statistics
    */
-  async getOverviewStats(orgId) {
-    const cacheKey = cacheService.generateKey('stats', orgId, 'overview');
-    const cached = await cacheService.get(cacheKey);
+  async getOverviewStats(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'overview', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
     
     if (cached) return cached;
 
@@ -64,25 +103,28 @@ class StatisticsService {
       totalZones,
       casesByStatus,
     ] = await Promise.all([
-      prisma.case.count({ where: { organizationId: orgId } }),
+      prisma.case.count({ where: scopeCases({ organizationId: orgId }, visibilityScope) }),
       prisma.case.count({
-        where: {
-          organizationId: orgId,
-          status: { in: ['REPORTED', 'VERIFIED', 'ASSISTING', 'FOLLOW_UP'] },
-        },
+        where: scopeCases(
+          {
+            organizationId: orgId,
+            status: { in: ['REPORTED', 'VERIFIED', 'ASSISTING', 'FOLLOW_UP'] },
+          },
+          visibilityScope
+        ),
       }),
       prisma.case.count({
-        where: { organizationId: orgId, status: 'RESOLVED' },
+        where: scopeCases({ organizationId: orgId, status: 'RESOLVED' }, visibilityScope),
       }),
       prisma.case.count({
-        where: { organizationId: orgId, isEmergency: true },
+        where: scopeCases({ organizationId: orgId, isEmergency: true }, visibilityScope),
       }),
-      prisma.user.count({ where: { organizationId: orgId } }),
-      prisma.team.count({ where: { organizationId: orgId } }),
-      prisma.zone.count({ where: { organizationId: orgId } }),
+      prisma.user.count({ where: scopeUsers({ organizationId: orgId }, visibilityScope) }),
+      prisma.team.count({ where: scopeIds({ organizationId: orgId }, visibilityScope?.teamIds) }),
+      prisma.zone.count({ where: scopeIds({ organizationId: orgId }, visibilityScope?.zoneIds) }),
       prisma.case.groupBy({
         by: ['status'],
-        where: { organizationId: orgId },
+        where: scopeCases({ organizationId: orgId }, visibilityScope),
         _count: true,
       }),
     ]);
@@ -101,7 +143,7 @@ class StatisticsService {
       })),
     };
 
-    await cacheService.set(cacheKey, result, CACHE_TTL);
+    if (cacheKey) await cacheService.set(cacheKey, result, CACHE_TTL);
     return result;
   }
 
@@ -109,14 +151,15 @@ class StatisticsService {
    * Get cases by status with date range
    * @param {string} orgId - Organization ID
    * @param {Object} dateRange - {startDate, endDate}
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Object>} Cases by status
    */
-  async getCasesByStatus(orgId, dateRange = {}) {
+  async getCasesByStatus(orgId, dateRange = {}, visibilityScope = null) {
     // Only cache if no date range is provided (standard view)
     const canCache = !dateRange.startDate && !dateRange.endDate;
-    const cacheKey = canCache ? cacheService.generateKey('stats', orgId, 'status') : null;
+    const cacheKey = canCache ? statsCacheKey(orgId, 'status', visibilityScope) : null;
 
-    if (canCache) {
+    if (cacheKey) {
       const cached = await cacheService.get(cacheKey);
       if (cached) return cached;
     }
@@ -131,7 +174,7 @@ class StatisticsService {
 
     const casesByStatus = await prisma.case.groupBy({
       by: ['status'],
-      where,
+      where: scopeCases(where, visibilityScope),
       _count: true,
     });
 
@@ -146,7 +189,7 @@ class StatisticsService {
       })),
     };
 
-    if (canCache) {
+    if (cacheKey) {
       await cacheService.set(cacheKey, result, CACHE_TTL);
     }
 
@@ -156,15 +199,17 @@ class StatisticsService {
   /**
    * Get cases by zone
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Array>} Cases by zone
    */
-  async getCasesByZone(orgId) {
-    const cacheKey = cacheService.generateKey('stats', orgId, 'zones');
-    const cached = await cacheService.get(cacheKey);
+  async getCasesByZone(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'zones', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
     if (cached) return cached;
 
+    // The cases of a zone in the scope are all visible to the member
     const zones = await prisma.zone.findMany({
-      where: { organizationId: orgId },
+      where: scopeIds({ organizationId: orgId }, visibilityScope?.zoneIds),
       select: {
         id: true,
         name: true,
@@ -206,10 +251,13 @@ class StatisticsService {
 
     // Also get unassigned cases
     const unassignedCases = await prisma.case.count({
-      where: {
-        organizationId: orgId,
-        zoneId: null,
-      },
+      where: scopeCases(
+        {
+          organizationId: orgId,
+          zoneId: null,
+        },
+        visibilityScope
+      ),
     });
 
     const result = {
@@ -217,22 +265,90 @@ class StatisticsService {
       unassignedCases,
     };
 
-    await cacheService.set(cacheKey, result, CACHE_TTL);
+    if (cacheKey) await cacheService.set(cacheKey, result, CACHE_TTL);
+    return result;
+  }
+
+  /**
+   * Get needs of the homeless persons by zone, from the latest assessment of
+   * each person (assessments redacted after a consent withdrawal are skipped)
+   * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
+   * @returns {Promise<Object>} Assessed persons and count of each need by zone
+   */
+  async getNeedsByZone(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'needs', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
+    if (cached) return cached;
+
+    const scored = { score: { not: null } };
+    const [zones, homeless] = await Promise.all([
+      prisma.zone.findMany({
+        where: scopeIds({ organizationId: orgId }, visibilityScope?.zoneIds),
+        select: { id: true, name: true },
+      }),
+      prisma.homeless.findMany({
+        where: {
+          organizationId: orgId,
+          assessments: { some: scored },
+          ...(visibilityScope && { AND: [permissionService.homelessVisibilityFilter(visibilityScope)] }),
+        },
+        select: {
+          zoneId: true,
+          assessments: {
+            where: scored,
+            select: { needs: true },
+            orderBy: { assessedAt: 'desc' },
+            take: 1,
+          },
+        },
+      }),
+    ]);
+
+    const emptyGroup = () => ({ assessedPersons: 0, needs: {} });
+    const groups = new Map(zones.map((zone) => [zone.id, emptyGroup()]));
+    const unassigned = emptyGroup();
+    const totals = emptyGroup();
+
+    homeless.forEach((record) => {
+      const [{ needs }] = record.assessments;
+      const group = groups.get(record.zoneId) || unassigned;
+      [group, totals].forEach((target) => {
+        target.assessedPersons += 1;
+        needs.forEach((need) => {
+          target.needs[need] = (target.needs[need] || 0) + 1;
+        });
+      });
+    });
+
+    const result = {
+      zones: zones.map((zone) => ({
+        zoneId: zone.id,
+        zoneName: zone.name,
+        ...groups.get(zone.id),
+      })),
+      unassigned,
+      totals,
+    };
+
+    if (cacheKey) await cacheService.set(cacheKey, result, CACHE_TTL);
     return result;
   }
 
   /**
    * Get cases by team
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Array>} Cases by team
    */
-  async getCasesByTeam(orgId) {
-    const cacheKey = cacheService.generateKey('stats', orgId, 'teams');
-    const cached = await cacheService.get(cacheKey);
+  async getCasesByTeam(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'teams', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
     if (cached) return cached;
 
+    // The cases assigned to a team in the scope are all visible to the member
     const teams = await prisma.team.findMany({
-      where: { organizationId: orgId },
+      where: scopeIds({ organizationId: orgId }, visibilityScope?.teamIds),
       select: {
         id: true,
         name: true,
@@ -276,10 +392,13 @@ class StatisticsService {
 
     // Also get unassigned cases
     const unassignedCases = await prisma.case.count({
-      where: {
-        organizationId: orgId,
-        assignedToTeamId: null,
-      },
+      where: scopeCases(
+        {
+          organizationId: orgId,
+          assignedToTeamId: null,
+        },
+        visibilityScope
+      ),
     });
 
     const result = {
@@ -287,18 +406,19 @@ class StatisticsService {
       unassignedCases,
     };
 
-    await cacheService.set(cacheKey, result, CACHE_TTL);
+    if (cacheKey) await cacheService.set(cacheKey, result, CACHE_TTL);
     return result;
   }
 
   /**
    * Get emergency statistics
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Object>} Emergency statistics
    */
-  async getEmergencyStats(orgId) {
-    const cacheKey = cacheService.generateKey('stats', orgId, 'emergencies');
-    const cached = await cacheService.get(cacheKey);
+  async getEmergencyStats(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'emergencies', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
     if (cached) return cached;
 
     const [
@@ -308,24 +428,24 @@ class StatisticsService {
       emergenciesByLevel,
     ] = await Promise.all([
       prisma.case.count({
-        where: { organizationId: orgId, isEmergency: true },
+        where: scopeCases({ organizationId: orgId, isEmergency: true }, visibilityScope),
       }),
       prisma.emergency.count({
         where: {
-          case: { organizationId: orgId },
+          case: scopeCases({ organizationId: orgId }, visibilityScope),
           resolved: false,
         },
       }),
       prisma.emergency.count({
         where: {
-          case: { organizationId: orgId },
+          case: scopeCases({ organizationId: orgId }, visibilityScope),
           resolved: true,
         },
       }),
       prisma.emergency.groupBy({
         by: ['level'],
         where: {
-          case: { organizationId: orgId },
+          case: scopeCases({ organizationId: orgId }, visibilityScope),
           resolved: false,
         },
         _count: true,
@@ -342,26 +462,30 @@ class StatisticsService {
       })),
     };
 
-    await cacheService.set(cacheKey, result, 60); // 1 minute TTL for emergencies
+    if (cacheKey) await cacheService.set(cacheKey, result, 60); // 1 minute TTL for emergencies
     return result;
   }
 
   /**
    * Get response time statistics
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Object>} Response time statistics
    */
-  async getResponseTimeStats(orgId) {
-    const cacheKey = cacheService.generateKey('stats', orgId, 'response-time');
-    const cached = await cacheService.get(cacheKey);
+  async getResponseTimeStats(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'response-time', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
     if (cached) return cached;
 
     // Get cases with status changes
     const cases = await prisma.case.findMany({
-      where: {
-        organizationId: orgId,
-        status: { not: 'REPORTED' },
-      },
+      where: scopeCases(
+        {
+          organizationId: orgId,
+          status: { not: 'REPORTED' },
+        },
+        visibilityScope
+      ),
       select: {
         id: true,
         createdAt: true,
@@ -402,22 +526,27 @@ class StatisticsService {
       totalCasesWithResponse: responseTimes.length,
     };
 
-    await cacheService.set(cacheKey, result, CACHE_TTL);
+    if (cacheKey) await cacheService.set(cacheKey, result, CACHE_TTL);
     return result;
   }
 
   /**
    * Get user activity statistics
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Object>} User activity statistics
    */
-  async getUserActivityStats(orgId) {
-    const cacheKey = cacheService.generateKey('stats', orgId, 'user-activity');
-    const cached = await cacheService.get(cacheKey);
+  async getUserActivityStats(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'user-activity', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
     if (cached) return cached;
 
+    // Field members only count the activity on the cases they can see
+    const visibleCases = visibilityScope && permissionService.caseVisibilityFilter(visibilityScope);
+    const countOf = (where) => (visibleCases ? { where } : true);
+
     const users = await prisma.user.findMany({
-      where: { organizationId: orgId },
+      where: scopeUsers({ organizationId: orgId }, visibilityScope),
       select: {
         id: true,
         email: true,
@@ -425,10 +554,10 @@ class StatisticsService {
         role: true,
         _count: {
           select: {
-            createdCases: true,
-            assignedCases: true,
-            caseHistory: true,
-            comments: true,
+            createdCases: countOf(visibleCases),
+            assignedCases: countOf(visibleCases),
+            caseHistory: countOf({ case: visibleCases }),
+            comments: countOf({ case: visibleCases }),
           },
         },
       },
@@ -452,28 +581,29 @@ class StatisticsService {
       ),
     };
 
-    await cacheService.set(cacheKey, result, CACHE_TTL);
+    if (cacheKey) await cacheService.set(cacheKey, result, CACHE_TTL);
     return result;
   }
 
   /**
    * Get user count statistics
    * @param {string} orgId - Organization ID
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<Object>} User count by role
    */
-  async getUserCountStats(orgId) {
-    const cacheKey = cacheService.generateKey('stats', orgId, 'user-count');
-    const cached = await cacheService.get(cacheKey);
+  async getUserCountStats(orgId, visibilityScope = null) {
+    const cacheKey = statsCacheKey(orgId, 'user-count', visibilityScope);
+    const cached = cacheKey && (await cacheService.get(cacheKey));
     if (cached) return cached;
 
     const usersByRole = await prisma.user.groupBy({
       by: ['role'],
-      where: { organizationId: orgId },
+      where: scopeUsers({ organizationId: orgId }, visibilityScope),
       _count: true,
     });
 
     const totalUsers = await prisma.user.count({
-      where: { organizationId: orgId },
+      where: scopeUsers({ organizationId: orgId }, visibilityScope),
     });
 
     const result = {
@@ -484,7 +614,7 @@ class StatisticsService {
       })),
     };
 
-    await cacheService.set(cacheKey, result, CACHE_TTL);
+    if (cacheKey) await cacheService.set(cacheKey, result, CACHE_TTL);
     return result;
   }
 
@@ -492,16 +622,17 @@ class StatisticsService {
    * Export statistics to CSV format
    * @param {string} orgId - Organization ID
    * @param {string} format - Export format (csv or json)
+   * @param {Object|null} [visibilityScope] - Zones and teams of a field member (null = whole organization)
    * @returns {Promise<string|Object>} Exported data
    */
-  async exportStatistics(orgId, format = 'json') {
+  async exportStatistics(orgId, format = 'json', visibilityScope = null) {
     // Export is on-demand, no caching of the final file, but it uses cached sub-methods
-    const overview = await this.getOverviewStats(orgId);
-    const casesByStatus = await this.getCasesByStatus(orgId);
-    const casesByZone = await this.getCasesByZone(orgId);
-    const casesByTeam = await this.getCasesByTeam(orgId);
-    const emergencyStats = await this.getEmergencyStats(orgId);
-    const userActivity = await this.getUserActivityStats(orgId);
+    const overview = await this.getOverviewStats(orgId, visibilityScope);
+    const casesByStatus = await this.getCasesByStatus(orgId, {}, visibilityScope);
+    const casesByZone = await this.getCasesByZone(orgId, visibilityScope);
+    const casesByTeam = await this.getCasesByTeam(orgId, visibilityScope);
+    const emergencyStats = await this.getEmergencyStats(orgId, visibilityScope);
+    const userActivity = await this.getUserActivityStats(orgId, visibilityScope);
 
     const data = {
       overview,
@@ -4,6 +4,7 @@
 
 const teamService = require('./team.service');
 const { logTeamAction } = require('../audit/audit.service');
+const AppError = require('../../utils/errors');
 
 class TeamsController {
   async createTeam(req, res, next) {
@@ -156,6 +157,12 @@ class TeamsController {
   async getStatistics(req, res, next) {
     try {
       const { id } = req.params;
+
+      // Field members only see statistics of their teams
+      if (req.visibilityScope && !req.visibilityScope.teamIds.includes(id)) {
+        throw new AppError('You do not have access to this team', 403);
+      }
+
       const statistics = await teamService.getTeamStatistics(id);
 
       res.status(200).json({
@@ -6,22 +6,32 @@ const express = require('express');
 const router = express.Router();
 const teamsController = require('./teams.controller');
 const { protect } = require('../../middlewares/auth.middleware');
-const { requireRole, canManageTeam } = require('../../middlewares/permission.middleware');
+const {
+  requirePermission,
+  scopeToTeam,
+  canViewTeam,
+  canManageTeam,
+} = require('../../middlewares/permission.middleware');
 const { multiTenantMiddleware, requireOrganization } = require('../../middlewares/multi-tenant.middleware');
 
 router.use(protect);
 router.use(multiTenantMiddleware); // Added multiTenantMiddleware
 router.use(requireOrganization);
 
-router.post('/', requireRole('ADMIN', 'ORGANIZATION_ADMIN'), teamsController.createTeam);
-router.get('/', teamsController.listTeams);
-router.get('/:id', teamsController.getTeam);
-router.patch('/:id', canManageTeam, teamsController.updateTeam);
-router.delete('/:id', requireRole('ADMIN', 'ORGANIZATION_ADMIN'), teamsController.deleteTeam);
-router.post('/:id/members', canManageTeam, teamsController.addMember);
-router.delete('/:id/members/:userId', canManageTeam, teamsController.removeMember);
-router.patch('/:id/members/:userId', canManageTeam, teamsController.updateMemberRole);
-router.get('/:id/members', teamsController.getMembers);
-router.get('/:id/statistics', teamsController.getStatistics);
+// Team routes check the catalogue permission (scoped to the team) and that the
+// team belongs to the user's organization
+const teamPermission = (permissionName) => [scopeToTeam, requirePermission(permissionName), canViewTeam];
+const manageMembers = [scopeToTeam, requirePermission('teams:manage'), canManageTeam];
+
+router.post('/', requirePermission('teams:create'), teamsController.createTeam);
+router.get('/', requirePermission('teams:read'), teamsController.listTeams);
+router.get('/:id', teamPermission('teams:read'), teamsController.getTeam);
+router.patch('/:id', teamPermission('teams:update'), teamsController.updateTeam);
+router.delete('/:id', teamPermission('teams:delete'), teamsController.deleteTeam);
+router.post('/:id/members', manageMembers, teamsController.addMember);
+router.delete('/:id/members/:userId', manageMembers, teamsController.removeMember);
+router.patch('/:id/members/:userId', manageMembers, teamsController.updateMemberRole);
+router.get('/:id/members', teamPermission('teams:read'), teamsController.getMembers);
+router.get('/:id/statistics', teamPermission('teams:read'), teamsController.getStatistics);
 
 module.exports = router;
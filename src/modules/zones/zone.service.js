@@ -4,6 +4,7 @@
  */
 
 const prisma = require('../../prismaClient');
+const AppError = require('../../utils/errors');
 
 class ZoneService {
   /**
@@ -177,6 +178,89 @@ class ZoneService {
     return null;
   }
 
+  /**
+   * List the members assigned to a zone
+   * @param {string} zoneId - Zone ID
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Array>} Assignments with user
+   */
+  async getZoneAssignments(zoneId, orgId) {
+    await this.findOrganizationZone(zoneId, orgId);
+
+    return await prisma.zoneAssignment.findMany({
+      where: { zoneId },
+      include: {
+        user: {
+          select: { id: true, email: true, name: true, role: true },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Assign a member to a zone
+   * @param {string} zoneId - Zone ID
+   * @param {string} userId - User ID
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object>} Assignment
+   */
+  async assignUserToZone(zoneId, userId, orgId) {
+    await this.findOrganizationZone(zoneId, orgId);
+
+    const user = await prisma.user.findFirst({
+      where: { id: userId, organizationId: orgId },
+      select: { id: true },
+    });
+
+    if (!user) {
+      throw new AppError('User not found in this organization', 404);
+    }
+
+    return await prisma.zoneAssignment.upsert({
+      where: { userId_zoneId: { userId, zoneId } },
+      create: { userId, zoneId },
+      update: {},
+    });
+  }
+
+  /**
+   * Remove a member from a zone
+   * @param {string} zoneId - Zone ID
+   * @param {string} userId - User ID
+   * @param {string} orgId - Organization ID
+   */
+  async unassignUserFromZone(zoneId, userId, orgId) {
+    await this.findOrganizationZone(zoneId, orgId);
+
+    const { count } = await prisma.zoneAssignment.deleteMany({
+      where: { zoneId, userId },
+    });
+
+    if (count === 0) {
+      throw new AppError('User is not assigned to this zone', 404);
+    }
+  }
+
+  /**
+   * Get a zone of the organization or fail with 404
+   * @param {string} zoneId - Zone ID
+   * @param {string} orgId - Organization ID
+   * @returns {Promise<Object>} Zone
+   */
+  async findOrganizationZone(zoneId, orgId) {
+    const zone = await prisma.zone.findFirst({
+      where: { id: zoneId, organizationId: orgId },
+      select: { id: true },
+    });
+
+    if (!zone) {
+      throw new AppError('Zone not found', 404);
+    }
+
+    return zone;
+  }
+
   /**
    * Get zone statistics
    * @param {string} zoneId - Zone ID
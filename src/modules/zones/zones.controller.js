@@ -4,6 +4,7 @@
 
 const zoneService = require('./zone.service');
 const { logZoneAction } = require('../audit/audit.service');
+const AppError = require('../../utils/errors');
 
 class ZonesController {
   async createZone(req, res, next) {
@@ -105,9 +106,59 @@ class ZonesController {
     }
   }
 
+  async getAssignments(req, res, next) {
+    try {
+      const assignments = await zoneService.getZoneAssignments(req.params.id, req.organizationId);
+
+      res.status(200).json({
+        status: 'success',
+        results: assignments.length,
+        data: { assignments },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async assignUser(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { userId } = req.body;
+      const assignment = await zoneService.assignUserToZone(id, userId, req.organizationId);
+
+      await logZoneAction(req.user.id, 'assign_zone', id, { userId }, req.ip);
+
+      res.status(201).json({
+        status: 'success',
+        data: { assignment },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async unassignUser(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      await zoneService.unassignUserFromZone(id, userId, req.organizationId);
+
+      await logZoneAction(req.user.id, 'unassign_zone', id, { userId }, req.ip);
+
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getZoneStatistics(req, res, next) {
     try {
       const { id } = req.params;
+
+      // Field members only see statistics of their zones
+      if (req.visibilityScope && !req.visibilityScope.zoneIds.includes(id)) {
+        throw new AppError('You do not have access to this zone', 403);
+      }
+
       const statistics = await zoneService.getZoneStatistics(id);
 
       res.status(200).json({
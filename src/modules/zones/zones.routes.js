@@ -5,20 +5,38 @@
 const express = require('express');
 const router = express.Router();
 const zonesController = require('./zones.controller');
+const validateRequest = require('../../middlewares/validateRequest');
+const { zoneAssignmentSchema } = require('./zones.validators');
 const { protect } = require('../../middlewares/auth.middleware');
-const { requireRole } = require('../../middlewares/permission.middleware');
+const { requirePermission, scopeToZone } = require('../../middlewares/permission.middleware');
 const { multiTenantMiddleware, requireOrganization } = require('../../middlewares/multi-tenant.middleware');
 
 router.use(protect);
 router.use(multiTenantMiddleware); // Added multiTenantMiddleware
 router.use(requireOrganization);
 
-router.post('/', requireRole('ADMIN', 'ORGANIZATION_ADMIN', 'COORDINATOR'), zonesController.createZone);
+router.post('/', requirePermission('zones:create'), zonesController.createZone);
 router.get('/', zonesController.listZones);
 router.get('/:id', zonesController.getZone);
-router.patch('/:id', requireRole('ADMIN', 'ORGANIZATION_ADMIN', 'COORDINATOR'), zonesController.updateZone);
-router.delete('/:id', requireRole('ADMIN', 'ORGANIZATION_ADMIN'), zonesController.deleteZone);
+router.patch('/:id', scopeToZone, requirePermission('zones:update'), zonesController.updateZone);
+router.delete('/:id', scopeToZone, requirePermission('zones:delete'), zonesController.deleteZone);
 router.post('/find', zonesController.findZoneByCoordinates);
 router.get('/:id/statistics', zonesController.getZoneStatistics);
 
+// Zone assignments (field members only see cases and persons in their zones)
+router.get('/:id/assignments', scopeToZone, requirePermission('zones:assign'), zonesController.getAssignments);
+router.post(
+  '/:id/assignments',
+  scopeToZone,
+  requirePermission('zones:assign'),
+  validateRequest(zoneAssignmentSchema),
+  zonesController.assignUser
+);
+router.delete(
+  '/:id/assignments/:userId',
+  scopeToZone,
+  requirePermission('zones:assign'),
+  zonesController.unassignUser
+);
+
 module.exports = router;
@@ -0,0 +1,14 @@
+const { z } = require('zod');
+
+const zoneAssignmentSchema = z.object({
+  params: z.object({
+    id: z.string().uuid(),
+  }),
+  body: z.object({
+    userId: z.string().uuid(),
+  }),
+});
+
+module.exports = {
+  zoneAssignmentSchema,
+};
@@ -88,11 +88,18 @@ const uploadsQueue = isRedisAvailable
   ? new Queue('uploads', defaultQueueConfig)
   : new MockQueue('uploads');
 
+/**
+ * exportsQueue - Cola para generar exportaciones de datos de cuentas
+ */
+const exportsQueue = isRedisAvailable
+  ? new Queue('exports', defaultQueueConfig)
+  : new MockQueue('exports');
+
 // ============================================================================
 // QUEUE EVENTS & MONITORING
 // ============================================================================
 
-const queues = [statsQueue, emailQueue, cleanupQueue, uploadsQueue];
+const queues = [statsQueue, emailQueue, cleanupQueue, uploadsQueue, exportsQueue];
 
 // Only set up event listeners for real queues
 if (isRedisAvailable) {
@@ -181,6 +188,20 @@ async function addUploadJob(data) {
   }
 }
 
+/**
+ * Agrega un job a la cola de exportaciones
+ */
+async function addAccountExportJob(data) {
+  try {
+    return await exportsQueue.add('account-export', data, {
+      priority: 3,
+    });
+  } catch (error) {
+    logger.error('Failed to add account export job:', error.message);
+    return null;
+  }
+}
+
 /**
  * Obtiene estadísticas de todas las colas
  */
@@ -191,6 +212,7 @@ async function getQueuesStats() {
       email: { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, total: 0 },
       cleanup: { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, total: 0 },
       uploads: { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, total: 0 },
+      exports: { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0, total: 0 },
     };
   }
 
@@ -271,12 +293,14 @@ module.exports = {
   emailQueue,
   cleanupQueue,
   uploadsQueue,
+  exportsQueue,
   
   // Helper functions
   addStatsJob,
   addEmailJob,
   addCleanupJob,
   addUploadJob,
+  addAccountExportJob,
   getQueuesStats,
   cleanAllQueues,
   closeAllQueues,
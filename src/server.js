@@ -38,6 +38,9 @@ const prisma = require('./prismaClient');
 
 const schedulers = require('./cron');
 
+// Catálogo de permisos (crea los permisos nuevos declarados en las rutas)
+const permissionService = require('./modules/permissions/permission.service');
+
 // Puerto del servidor (desde .env o 3001 por defecto)
 const PORT = process.env.PORT || 3001;
 
@@ -46,9 +49,10 @@ const PORT = process.env.PORT || 3001;
  * 
  * PASOS:
  * 1. Conecta a PostgreSQL con Prisma
- * 2. Inicia los schedulers (cron jobs)
- * 3. Si la conexión es exitosa, inicia el servidor HTTP
- * 4. Si hay error, muestra el error y termina el proceso
+ * 2. Sincroniza el catálogo de permisos
+ * 3. Inicia los schedulers (cron jobs)
+ * 4. Si la conexión es exitosa, inicia el servidor HTTP
+ * 5. Si hay error, muestra el error y termina el proceso
  */
 async function startServer() {
   try {
@@ -56,6 +60,13 @@ async function startServer() {
     await prisma.$connect();
     console.log('✅ Database connected');
     
+    // Crear permisos nuevos del catálogo con sus roles por defecto
+    // (los permisos existentes y sus asignaciones no se modifican)
+    const createdPermissions = await permissionService.syncCatalogue();
+    if (createdPermissions.length > 0) {
+      console.log(`🔐 Permissions created: ${createdPermissions.join(', ')}`);
+    }
+    
     // Iniciar Schedulers (Cron Jobs)
     schedulers.startSchedulers();
     console.log('⏰ Schedulers started');
@@ -0,0 +1,393 @@
+/**
+ * Field Encryption Service
+ * Envelope encryption of sensitive fields with a data key per organization.
+ *
+ * Each organization has data keys (OrganizationDataKey) wrapped with the master key
+ * (DATA_ENCRYPTION_KEY). Values are stored as `enc:v1:<keyVersion>:<iv>:<tag>:<ciphertext>`
+ * and bound to their organization and field, so a value copied to another row or
+ * column does not decrypt. Values without the prefix are legacy plaintext.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../prismaClient');
+const env = require('../config/env');
+const logger = require('../config/logger');
+const { generateKey, encrypt, decrypt, parseKey } = require('../utils/encryption.utils');
+
+const PREFIX = 'enc:v1:';
+
+// Encrypted columns of each model (keys are Prisma model names)
+const ENCRYPTED_FIELDS = {
+  homeless: ['estadoFisico', 'adicciones', 'estadoMental'],
+  homelessVisit: ['condition'],
+  homelessAssessment: ['answers'],
+};
+
+// Times a re-encryption re-reads a row updated concurrently before leaving it for the next run
+const REENCRYPT_RETRIES = 3;
+
+class FieldEncryptionService {
+  constructor() {
+    this.masterKey = null;
+    // Unwrapped data keys by `${organizationId}:${version}`
+    this.keys = new Map();
+  }
+
+  /**
+   * Master key wrapping the organization data keys. Outside production a key
+   * derived from JWT_SECRET is used when DATA_ENCRYPTION_KEY is not set.
+   * @returns {Buffer} Master key
+   */
+  getMasterKey() {
+    if (!this.masterKey) {
+      if (env.DATA_ENCRYPTION_KEY) {
+        this.masterKey = parseKey(env.DATA_ENCRYPTION_KEY);
+      } else if (env.NODE_ENV === 'production') {
+        throw new Error('DATA_ENCRYPTION_KEY is not configured');
+      } else {
+        logger.warn('DATA_ENCRYPTION_KEY is not set, using a key derived from JWT_SECRET');
+        this.masterKey = crypto.createHash('sha256').update(`data-encryption:${env.JWT_SECRET}`).digest();
+      }
+    }
+    return this.masterKey;
+  }
+
+  /**
+   * Encrypted columns of a model
+   * @param {string} model - Prisma model name (e.g. 'homeless')
+   * @returns {Array<string>} Field names
+   */
+  getEncryptedFields(model) {
+    return ENCRYPTED_FIELDS[model] || [];
+  }
+
+  /**
+   * Whether a stored value is encrypted
+   * @param {*} value - Stored value
+   * @returns {boolean}
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  /**
+   * Key version a stored value was encrypted with
+   * @param {*} value - Stored value
+   * @returns {number|null} Key version (null for plaintext)
+   */
+  getVersionOf(value) {
+    return this.isEncrypted(value) ? parseInt(value.slice(PREFIX.length).split(':')[0], 10) : null;
+  }
+
+  /**
+   * Encrypt one field value, bound to its organization and field
+   * @param {Buffer} key - Data key
+   * @param {number} version - Data key version
+   * @param {*} value - Plaintext value
+   * @param {string} organizationId - Organization ID
+   * @param {string} field - Field name
+   * @returns {string} Stored value
+   */
+  encryptValue(key, version, value, organizationId, field) {
+    return `${PREFIX}${version}:${encrypt(key, String(value), `${organizationId}:${field}`)}`;
+  }
+
+  /**
+   * Unwrap a stored data key, caching it
+   * @param {Object} dataKey - OrganizationDataKey
+   * @returns {Buffer} Data key
+   */
+  unwrapKey(dataKey) {
+    const cacheKey = `${dataKey.organizationId}:${dataKey.version}`;
+    if (!this.keys.has(cacheKey)) {
+      this.keys.set(cacheKey, decrypt(this.getMasterKey(), dataKey.encryptedKey, cacheKey));
+    }
+    return this.keys.get(cacheKey);
+  }
+
+  /**
+   * Create a new data key version and make it the active one
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { version, key }
+   */
+  async createKey(organizationId) {
+    const latest = await prisma.organizationDataKey.findFirst({
+      where: { organizationId },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+    const version = (latest?.version || 0) + 1;
+    const key = generateKey();
+
+    await prisma.$transaction([
+      prisma.organizationDataKey.updateMany({
+        where: { organizationId, active: true },
+        data: { active: false, retiredAt: new Date() },
+      }),
+      prisma.organizationDataKey.create({
+        data: {
+          organizationId,
+          version,
+          encryptedKey: encrypt(this.getMasterKey(), key, `${organizationId}:${version}`),
+        },
+      }),
+    ]);
+
+    this.keys.set(`${organizationId}:${version}`, key);
+    logger.info(`Data key v${version} created for organization ${organizationId}`);
+
+    return { version, key };
+  }
+
+  /**
+   * Active data key of an organization, created on first use
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { version, key }
+   */
+  async getActiveKey(organizationId) {
+    const dataKey = await prisma.organizationDataKey.findFirst({ where: { organizationId, active: true } });
+    if (dataKey) {
+      return { version: dataKey.version, key: this.unwrapKey(dataKey) };
+    }
+
+    try {
+      return await this.createKey(organizationId);
+    } catch (error) {
+      // Another request created the first key meanwhile
+      if (error.code !== 'P2002') throw error;
+      return this.getActiveKey(organizationId);
+    }
+  }
+
+  /**
+   * Data key of an organization by version (active or retired)
+   * @param {string} organizationId - Organization ID
+   * @param {number} version - Key version
+   * @returns {Promise<Buffer>} Data key
+   */
+  async getKey(organizationId, version) {
+    const cached = this.keys.get(`${organizationId}:${version}`);
+    if (cached) return cached;
+
+    const dataKey = await prisma.organizationDataKey.findUnique({
+      where: { organizationId_version: { organizationId, version } },
+    });
+    if (!dataKey) {
+      throw new Error(`Data key v${version} of organization ${organizationId} not found`);
+    }
+    return this.unwrapKey(dataKey);
+  }
+
+  /**
+   * Encrypt the given fields of a record. Null and missing values are kept as they are.
+   * @param {Object} data - Record data
+   * @param {Array<string>} fields - Fields to encrypt
+   * @param {string} organizationId - Organization owning the record
+   * @returns {Promise<Object>} Copy of the data with the fields encrypted
+   */
+  async encryptFields(data, fields, organizationId) {
+    const present = fields.filter((field) => data[field] !== undefined && data[field] !== null);
+    if (present.length === 0) return data;
+
+    const { version, key } = await this.getActiveKey(organizationId);
+    const encrypted = { ...data };
+    present.forEach((field) => {
+      encrypted[field] = this.encryptValue(key, version, data[field], organizationId, field);
+    });
+    return encrypted;
+  }
+
+  /**
+   * Decrypt the given fields of a stored record. Legacy plaintext is returned as is.
+   * @param {Object} record - Stored record (with organizationId)
+   * @param {Array<string>} fields - Fields to decrypt
+   * @returns {Promise<Object>} Copy of the record with the fields in plaintext
+   */
+  async decryptFields(record, fields) {
+    const decrypted = { ...record };
+    for (const field of fields) {
+      const value = record[field];
+      if (!this.isEncrypted(value)) continue;
+
+      const key = await this.getKey(record.organizationId, this.getVersionOf(value));
+      const payload = value.slice(PREFIX.length).split(':').slice(1).join(':');
+      decrypted[field] = decrypt(key, payload, `${record.organizationId}:${field}`).toString('utf8');
+    }
+    return decrypted;
+  }
+
+  /**
+   * Encrypt a credential (a user's TOTP secret, an organization's SSO client secret)
+   * with the master key, bound to its context. Users may have no organization or
+   * change it, and credentials are not health data to rotate with the data keys.
+   * Stored as `enc:v1:0:<iv>:<tag>:<ciphertext>`: version 0 is the master key.
+   * @param {string} value - Plaintext secret
+   * @param {string} context - Owner and field (e.g. `user:<id>:twoFactorSecret`)
+   * @returns {string} Stored value
+   */
+  encryptSecret(value, context) {
+    return `${PREFIX}0:${encrypt(this.getMasterKey(), String(value), context)}`;
+  }
+
+  /**
+   * Decrypt a secret stored by `encryptSecret`. Legacy plaintext is returned as is.
+   * @param {string|null} value - Stored value
+   * @param {string} context - Context used to encrypt
+   * @returns {string|null} Plaintext secret
+   */
+  decryptSecret(value, context) {
+    if (!this.isEncrypted(value)) return value;
+
+    const payload = value.slice(PREFIX.length).split(':').slice(1).join(':');
+    return decrypt(this.getMasterKey(), payload, context).toString('utf8');
+  }
+
+  /**
+   * Re-encrypt the encrypted fields of an organization with its active key, in
+   * batches. Rows already on the active key are skipped, so an interrupted run
+   * can be resumed. Legacy plaintext rows are encrypted too.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=100] - Rows read and updated per batch
+   * @returns {Promise<Object>} { version, scanned, reencrypted }
+   */
+  async reencryptOrganization(organizationId, { batchSize = 100 } = {}) {
+    const { version, key } = await this.getActiveKey(organizationId);
+
+    let scanned = 0;
+    let reencrypted = 0;
+
+    for (const [model, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+      const result = await this.reencryptModel(model, fields, organizationId, { version, key }, batchSize);
+      scanned += result.scanned;
+      reencrypted += result.reencrypted;
+    }
+
+    return { version, scanned, reencrypted };
+  }
+
+  /**
+   * Re-encrypt the rows of one model of an organization (see reencryptOrganization).
+   * Each write only applies while the row still holds the ciphertext that was read,
+   * so a concurrent update is never overwritten; such rows are read again and retried.
+   * @param {string} model - Prisma model name
+   * @param {Array<string>} fields - Encrypted fields of the model
+   * @param {string} organizationId - Organization ID
+   * @param {Object} activeKey - { version, key }
+   * @param {number} batchSize - Rows read and updated per batch
+   * @returns {Promise<Object>} { scanned, reencrypted }
+   */
+  async reencryptModel(model, fields, organizationId, activeKey, batchSize) {
+    const { version } = activeKey;
+    const select = { id: true, organizationId: true };
+    fields.forEach((field) => { select[field] = true; });
+
+    let scanned = 0;
+    let reencrypted = 0;
+    let cursor = null;
+
+    for (;;) {
+      const rows = await prisma[model].findMany({
+        where: { organizationId, OR: fields.map((field) => ({ [field]: { not: null } })) },
+        select,
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+      if (rows.length === 0) break;
+
+      const updates = [];
+      for (const row of rows) {
+        const update = await this.buildReencryption(row, fields, organizationId, activeKey);
+        if (update) updates.push({ id: row.id, update });
+      }
+
+      if (updates.length > 0) {
+        const results = await prisma.$transaction(updates.map(({ update }) => prisma[model].updateMany(update)));
+
+        for (const [index, { id }] of updates.entries()) {
+          const done =
+            results[index].count > 0 ||
+            (await this.retryReencryption(model, id, fields, organizationId, activeKey, select));
+          if (done) reencrypted += 1;
+        }
+      }
+
+      scanned += rows.length;
+      cursor = rows[rows.length - 1].id;
+      logger.info(
+        `Organization ${organizationId}: ${reencrypted}/${scanned} ${model} rows re-encrypted with key v${version}`
+      );
+
+      if (rows.length < batchSize) break;
+    }
+
+    return { scanned, reencrypted };
+  }
+
+  /**
+   * Conditional update moving the stale fields of a row to the active key
+   * @param {Object} row - Row as read (id and encrypted fields)
+   * @param {Array<string>} fields - Encrypted fields of the model
+   * @param {string} organizationId - Organization ID
+   * @param {Object} activeKey - { version, key }
+   * @returns {Promise<Object|null>} updateMany arguments, or null when the row is up to date
+   */
+  async buildReencryption(row, fields, organizationId, { version, key }) {
+    const stale = fields.filter((field) => row[field] !== null && this.getVersionOf(row[field]) !== version);
+    if (stale.length === 0) return null;
+
+    const plain = await this.decryptFields(row, stale);
+    const where = { id: row.id };
+    const data = {};
+    stale.forEach((field) => {
+      where[field] = { equals: row[field] };
+      data[field] = this.encryptValue(key, version, plain[field], organizationId, field);
+    });
+
+    return { where, data };
+  }
+
+  /**
+   * Re-encrypt a row whose ciphertext changed since it was read
+   * @param {string} model - Prisma model name
+   * @param {string} id - Row ID
+   * @param {Array<string>} fields - Encrypted fields of the model
+   * @param {string} organizationId - Organization ID
+   * @param {Object} activeKey - { version, key }
+   * @param {Object} select - Fields to read
+   * @returns {Promise<boolean>} Whether this run re-encrypted the row
+   */
+  async retryReencryption(model, id, fields, organizationId, activeKey, select) {
+    for (let attempt = 0; attempt < REENCRYPT_RETRIES; attempt += 1) {
+      const row = await prisma[model].findFirst({ where: { id, organizationId }, select });
+      // Deleted or moved to another organization
+      if (!row) return false;
+
+      // Already written with the active key
+      const update = await this.buildReencryption(row, fields, organizationId, activeKey);
+      if (!update) return false;
+
+      const { count } = await prisma[model].updateMany(update);
+      if (count > 0) return true;
+    }
+
+    logger.warn(`${model} ${id} kept changing during re-encryption: left for the next run`);
+    return false;
+  }
+
+  /**
+   * Rotate the data key of an organization: a new version becomes active and the
+   * existing rows are re-encrypted with it. Retired versions are kept.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} [options] - See reencryptOrganization
+   * @returns {Promise<Object>} { organizationId, version, scanned, reencrypted }
+   */
+  async rotateKey(organizationId, options = {}) {
+    await this.createKey(organizationId);
+    const result = await this.reencryptOrganization(organizationId, options);
+    return { organizationId, ...result };
+  }
+}
+
+module.exports = new FieldEncryptionService();
@@ -4,8 +4,126 @@
  */
 
 const prisma = require('../prismaClient');
+const rbacService = require('../modules/permissions/permission.service');
+
+// Case fields the resource checks need
+const CASE_ACCESS_FIELDS = {
+  organizationId: true,
+  createdBy: true,
+  assignedToUserId: true,
+  assignedToTeamId: true,
+  zoneId: true,
+};
+
+/**
+ * Zone/team a request on a case acts on, so grants scoped to them apply
+ * @param {Object} caseData - Case (zoneId, assignedToTeamId)
+ * @returns {Object} { zoneId, teamId }
+ */
+const caseGrantScope = (caseData) => ({ zoneId: caseData.zoneId, teamId: caseData.assignedToTeamId });
 
 class PermissionService {
+  /**
+   * Get the zones and teams a member is limited to. Members whose role (or
+   * custom role) has `visibility:organization` see their whole organization
+   * (null scope); field members without it only their zones and teams.
+   * @param {string} userId - User ID
+   * @param {Object} [user] - Already loaded user ({ organizationId })
+   * @returns {Promise<Object|null>} { userId, zoneIds, teamIds } or null
+   */
+  async getVisibilityScope(userId, user = null) {
+    const member =
+      user ||
+      (await prisma.user.findUnique({
+        where: { id: userId },
+        select: { organizationId: true },
+      }));
+
+    if (!member || !member.organizationId) {
+      return null;
+    }
+
+    if (await rbacService.hasPermission(userId, 'visibility:organization')) {
+      return null;
+    }
+
+    const [zoneAssignments, teamMemberships] = await Promise.all([
+      prisma.zoneAssignment.findMany({ where: { userId }, select: { zoneId: true } }),
+      prisma.teamMember.findMany({ where: { userId }, select: { teamId: true } }),
+    ]);
+
+    return {
+      userId,
+      zoneIds: zoneAssignments.map((assignment) => assignment.zoneId),
+      teamIds: teamMemberships.map((membership) => membership.teamId),
+    };
+  }
+
+  /**
+   * Prisma filter for the cases visible within a scope: cases in the member's
+   * zones, assigned to their teams, or created by / assigned to them
+   * @param {Object} scope - Visibility scope
+   * @returns {Object} Prisma where clause
+   */
+  caseVisibilityFilter(scope) {
+    return {
+      OR: [
+        { zoneId: { in: scope.zoneIds } },
+        { assignedToTeamId: { in: scope.teamIds } },
+        { createdBy: scope.userId },
+        { assignedToUserId: scope.userId },
+      ],
+    };
+  }
+
+  /**
+   * Prisma filter for the homeless records visible within a scope: records in
+   * the member's zones or registered by them
+   * @param {Object} scope - Visibility scope
+   * @returns {Object} Prisma where clause
+   */
+  homelessVisibilityFilter(scope) {
+    return {
+      OR: [
+        { zoneId: { in: scope.zoneIds } },
+        { registradoPor: scope.userId },
+      ],
+    };
+  }
+
+  /**
+   * Prisma filter for the members visible within a scope: the member and the
+   * colleagues sharing one of their zones or teams
+   * @param {Object} scope - Visibility scope
+   * @returns {Object} Prisma where clause
+   */
+  memberVisibilityFilter(scope) {
+    return {
+      OR: [
+        { id: scope.userId },
+        { zoneAssignments: { some: { zoneId: { in: scope.zoneIds } } } },
+        { teamMemberships: { some: { teamId: { in: scope.teamIds } } } },
+      ],
+    };
+  }
+
+  /**
+   * Check a loaded case against a visibility scope
+   * @param {Object|null} scope - Visibility scope
+   * @param {Object} caseData - { zoneId, assignedToTeamId, createdBy, assignedToUserId }
+   * @returns {boolean} Case visible
+   */
+  isCaseInScope(scope, caseData) {
+    if (!scope) return true;
+
+    return (
+      scope.zoneIds.includes(caseData.zoneId) ||
+      scope.teamIds.includes(caseData.assignedToTeamId) ||
+      caseData.createdBy === scope.userId ||
+      caseData.assignedToUserId === scope.userId
+    );
+  }
+
   /**
    * Check if user can view a case
    * @param {string} userId - User ID
@@ -25,22 +143,30 @@ class PermissionService {
 
     const caseData = await prisma.case.findUnique({
       where: { id: caseId },
-      select: { organizationId: true, createdBy: true },
+      select: CASE_ACCESS_FIELDS,
     });
 
     if (!caseData) return false;
 
+    if (!(await rbacService.hasPermission(userId, 'cases:read', caseGrantScope(caseData)))) {
+      return false;
+    }
+
     // Public users can only view cases they created or public cases
     if (!user.organizationId) {
       return caseData.createdBy === userId || !caseData.organizationId;
     }
 
     // Organization members can view cases in their organization
-    return caseData.organizationId === user.organizationId;
+    if (caseData.organizationId !== user.organizationId) return false;
+
+    // Field members only within their zones and teams
+    return this.isCaseInScope(await this.getVisibilityScope(userId, user), caseData);
   }
 
   /**
-   * Check if user can edit a case
+   * Check if user can edit a case: `cases:update` on a case of their
+   * organization (field members only within their zones and teams)
    * @param {string} userId - User ID
    * @param {string} caseId - Case ID
    * @returns {Promise<boolean>} Permission granted
@@ -58,34 +184,29 @@ class PermissionService {
 
     const caseData = await prisma.case.findUnique({
       where: { id: caseId },
-      select: { organizationId: true, createdBy: true, assignedToUserId: true },
+      select: CASE_ACCESS_FIELDS,
     });
 
     if (!caseData) return false;
 
+    if (!(await rbacService.hasPermission(userId, 'cases:update', caseGrantScope(caseData)))) {
+      return false;
+    }
+
     // Public users can only edit cases they created
     if (!user.organizationId) {
       return caseData.createdBy === userId;
     }
 
-    // Organization admins and coordinators can edit cases in their organization
-    if (
-      ['ORGANIZATION_ADMIN', 'COORDINATOR', 'SOCIAL_WORKER'].includes(user.role) &&
-      caseData.organizationId === user.organizationId
-    ) {
-      return true;
-    }
-
-    // Assigned users can edit their cases
-    if (caseData.assignedToUserId === userId) {
-      return true;
-    }
-
-    return false;
+    return (
+      caseData.organizationId === user.organizationId &&
+      this.isCaseInScope(await this.getVisibilityScope(userId, user), caseData)
+    );
   }
 
   /**
-   * Check if user can assign a case
+   * Check if user can assign a case: `cases:assign` on a case of their
+   * organization (field members only within their zones and teams)
    * @param {string} userId - User ID
    * @param {string} caseId - Case ID
    * @returns {Promise<boolean>} Permission granted
@@ -101,69 +222,40 @@ class PermissionService {
     // Global admin can assign all
     if (user.role === 'ADMIN') return true;
 
-    // Only organization admins and coordinators can assign cases
-    if (!['ORGANIZATION_ADMIN', 'COORDINATOR'].includes(user.role)) {
-      return false;
-    }
-
     const caseData = await prisma.case.findUnique({
       where: { id: caseId },
-      select: { organizationId: true },
+      select: CASE_ACCESS_FIELDS,
     });
 
-    if (!caseData) return false;
-
     // Must be in same organization
-    return caseData.organizationId === user.organizationId;
+    if (!caseData || !user.organizationId || caseData.organizationId !== user.organizationId) {
+      return false;
+    }
+
+    if (!(await rbacService.hasPermission(userId, 'cases:assign', caseGrantScope(caseData)))) {
+      return false;
+    }
+
+    return this.isCaseInScope(await this.getVisibilityScope(userId, user), caseData);
   }
 
   /**
-   * Check if user can close a case
+   * Check if user can close a case (closing is an update of the case)
    * @param {string} userId - User ID
    * @param {string} caseId - Case ID
    * @returns {Promise<boolean>} Permission granted
    */
   async canCloseCase(userId, caseId) {
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { role: true, organizationId: true },
-    });
-
-    if (!user) return false;
-
-    // Global admin can close all
-    if (user.role === 'ADMIN') return true;
-
-    const caseData = await prisma.case.findUnique({
-      where: { id: caseId },
-      select: { organizationId: true, createdBy: true },
-    });
-
-    if (!caseData) return false;
-
-    // Public users can close cases they created
-    if (!user.organizationId) {
-      return caseData.createdBy === userId;
-    }
-
-    // Organization admins, coordinators, and social workers can close cases
-    if (
-      ['ORGANIZATION_ADMIN', 'COORDINATOR', 'SOCIAL_WORKER'].includes(user.role) &&
-      caseData.organizationId === user.organizationId
-    ) {
-      return true;
-    }
-
-    return false;
+    return this.canEditCase(userId, caseId);
   }
 
   /**
-   * Check if user can manage a team
+   * Check if user can view a team (teams of their organization)
    * @param {string} userId - User ID
    * @param {string} teamId - Team ID
    * @returns {Promise<boolean>} Permission granted
    */
-  async canManageTeam(userId, teamId) {
+  async canViewTeam(userId, teamId) {
     const user = await prisma.user.findUnique({
       where: { id: userId },
       select: { role: true, organizationId: true },
@@ -171,7 +263,7 @@ class PermissionService {
 
     if (!user) return false;
 
-    // Global admin can manage all teams
+    // Global admin can view all teams
     if (user.role === 'ADMIN') return true;
 
     const team = await prisma.team.findUnique({
@@ -179,30 +271,24 @@ class PermissionService {
       select: { organizationId: true },
     });
 
-    if (!team) return false;
-
-    // Organization admins can manage teams in their organization
-    if (
-      user.role === 'ORGANIZATION_ADMIN' &&
-      team.organizationId === user.organizationId
-    ) {
-      return true;
-    }
+    return !!team && !!user.organizationId && team.organizationId === user.organizationId;
+  }
 
-    // Team leaders can manage their team
-    const membership = await prisma.teamMember.findFirst({
-      where: {
-        teamId,
-        userId,
-        roleInTeam: 'LEADER',
-      },
-    });
+  /**
+   * Check if user can manage the members of a team: `teams:manage` on a team
+   * of their organization (a grant scoped to the team is enough)
+   * @param {string} userId - User ID
+   * @param {string} teamId - Team ID
+   * @returns {Promise<boolean>} Permission granted
+   */
+  async canManageTeam(userId, teamId) {
+    if (!(await this.canViewTeam(userId, teamId))) return false;
 
-    return !!membership;
+    return rbacService.hasPermission(userId, 'teams:manage', { teamId });
   }
 
   /**
-   * Check if user can view statistics
+   * Check if user can view statistics (`analytics:view` in their organization)
    * @param {string} userId - User ID
    * @param {string} orgId - Organization ID
    * @returns {Promise<boolean>} Permission granted
@@ -218,15 +304,7 @@ class PermissionService {
     // Global admin can view all statistics
     if (user.role === 'ADMIN') return true;
 
-    // Organization admins, coordinators, and data analysts can view their org stats
-    if (
-      ['ORGANIZATION_ADMIN', 'COORDINATOR', 'DATA_ANALYST'].includes(user.role) &&
-      user.organizationId === orgId
-    ) {
-      return true;
-    }
-
-    return false;
+    return user.organizationId === orgId && rbacService.hasPermission(userId, 'analytics:view');
   }
 
   /**
@@ -297,10 +375,7 @@ class PermissionService {
     // Global admin can create users anywhere
     if (user.role === 'ADMIN') return true;
 
-    // Only organization admins can create sub-users
-    return (
-      user.role === 'ORGANIZATION_ADMIN' && user.organizationId === orgId
-    );
+    return user.organizationId === orgId && rbacService.hasPermission(userId, 'users:create');
   }
 
   /**
@@ -341,12 +416,7 @@ class PermissionService {
     // Global admin can manage everything
     if (user.role === 'ADMIN') return true;
 
-    // Organization admin and coordinator can manage their org's points
-    if (['ORGANIZATION_ADMIN', 'COORDINATOR'].includes(user.role)) {
-      return user.organizationId === organizationId;
-    }
-
-    return false;
+    return user.organizationId === organizationId && rbacService.hasPermission(userId, 'service-points:update');
   }
 }
 
@@ -0,0 +1,102 @@
+/**
+ * Device Utilities
+ * Readable device and network details for sessions (no external lookups)
+ */
+
+const net = require('net');
+
+// Order matters: Edge and Opera user agents also contain "Chrome", Chrome contains "Safari"
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { name: 'Chrome OS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ },
+];
+
+/**
+ * Returns the major version of a matched version string
+ * @param {RegExpMatchArray} match - Pattern match
+ * @returns {string|null}
+ */
+function majorVersion(match) {
+  return match && match[1] ? match[1].split(/[._]/)[0] : null;
+}
+
+/**
+ * Parse a User-Agent header into browser, OS and device type
+ * @param {string} userAgent - Raw User-Agent (as stored in deviceInfo)
+ * @returns {Object} { browser, os, deviceType } (null fields when unknown)
+ */
+function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: null, os: null, deviceType: null };
+  }
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    deviceType = 'mobile';
+  }
+
+  const describe = (entry) => {
+    if (!entry) return null;
+    const version = majorVersion(userAgent.match(entry.pattern));
+    return version ? `${entry.name} ${version}` : entry.name;
+  };
+
+  return {
+    browser: describe(browser),
+    os: describe(os),
+    deviceType,
+  };
+}
+
+/**
+ * Describe an IP address without geolocation
+ * @param {string} ipAddress - IP as seen by Express (may be IPv4-mapped IPv6)
+ * @returns {Object|null} { address, version, isPrivate }
+ */
+function describeIpAddress(ipAddress) {
+  if (!ipAddress) {
+    return null;
+  }
+
+  const address = ipAddress.startsWith('::ffff:') ? ipAddress.slice(7) : ipAddress;
+  const version = net.isIP(address) || null;
+
+  let isPrivate = false;
+  if (version === 4) {
+    const [a, b] = address.split('.').map(Number);
+    isPrivate =
+      a === 10 ||
+      a === 127 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254);
+  } else if (version === 6) {
+    const lower = address.toLowerCase();
+    isPrivate = lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+
+  return { address, version, isPrivate };
+}
+
+module.exports = {
+  parseUserAgent,
+  describeIpAddress,
+};
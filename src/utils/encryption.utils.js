@@ -0,0 +1,71 @@
+/**
+ * Encryption Utilities
+ * AES-256-GCM primitives for envelope encryption of sensitive fields
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Generate a random 256-bit key
+ * @returns {Buffer} Key
+ */
+const generateKey = () => crypto.randomBytes(KEY_BYTES);
+
+/**
+ * Encrypt a value. The additional data is authenticated but not stored: the
+ * same value must be given to decrypt.
+ * @param {Buffer} key - 256-bit key
+ * @param {string|Buffer} plaintext - Value to encrypt
+ * @param {string} aad - Additional authenticated data (binds the ciphertext to its context)
+ * @returns {string} `iv:tag:ciphertext`, base64 parts
+ */
+const encrypt = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by `encrypt`
+ * @param {Buffer} key - 256-bit key
+ * @param {string} payload - `iv:tag:ciphertext`
+ * @param {string} aad - Additional authenticated data used to encrypt
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the payload was tampered with or the key/aad do not match
+ */
+const decrypt = (key, payload, aad) => {
+  const [iv, tag, ciphertext] = payload.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Parse a base64 256-bit key
+ * @param {string} value - Base64 key
+ * @returns {Buffer} Key
+ * @throws {Error} If the value is not 32 bytes long
+ */
+const parseKey = (value) => {
+  const key = Buffer.from(value, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Encryption keys must be ${KEY_BYTES} bytes, base64 encoded`);
+  }
+  return key;
+};
+
+module.exports = {
+  generateKey,
+  encrypt,
+  decrypt,
+  parseKey,
+};
@@ -1,15 +1,27 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const env = require('../config/env');
 
+// Challenge tokens use their own key so they can never be accepted as access tokens
+const TWO_FACTOR_CHALLENGE_SECRET = crypto
+  .createHmac('sha256', env.JWT_SECRET)
+  .update('two-factor-challenge')
+  .digest('hex');
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// A unique id keeps tokens issued in the same second distinct (sessions and revocation key on them)
 const signToken = (id) => {
   return jwt.sign({ id }, env.JWT_SECRET, {
     expiresIn: env.JWT_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
   });
 };
 
-const signRefreshToken = (id) => {
-  return jwt.sign({ id }, env.JWT_REFRESH_SECRET, {
+// Refresh tokens also carry their session (rotation family)
+const signRefreshToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, env.JWT_REFRESH_SECRET, {
     expiresIn: env.JWT_REFRESH_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -17,8 +29,20 @@ const verifyRefreshToken = (token) => {
   return jwt.verify(token, env.JWT_REFRESH_SECRET);
 };
 
+const signTwoFactorChallenge = (id) => {
+  return jwt.sign({ id }, TWO_FACTOR_CHALLENGE_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  });
+};
+
+const verifyTwoFactorChallenge = (token) => {
+  return jwt.verify(token, TWO_FACTOR_CHALLENGE_SECRET);
+};
+
 module.exports = {
   signToken,
   signRefreshToken,
   verifyRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
 };
@@ -0,0 +1,76 @@
+/**
+ * Text Similarity Utilities
+ * Fuzzy matching of names as typed by different people
+ */
+
+// Similarity given to a name that starts another one
+const PREFIX_SIMILARITY = 0.8;
+
+/**
+ * Normalize a name for comparison: lowercase, no accents, single spaces
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeName(value) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two names between 0 (unrelated) and 1 (same after normalization)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number|null} null when either name is empty
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+
+  if (!left || !right) return null;
+
+  const similarity = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+
+  // Nicknames often shorten the name ("Juan" / "Juancho")
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  if (shorter.length >= 3 && longer.startsWith(shorter)) {
+    return Math.max(similarity, PREFIX_SIMILARITY);
+  }
+
+  return similarity;
+}
+
+module.exports = {
+  normalizeName,
+  levenshtein,
+  nameSimilarity,
+};
@@ -0,0 +1,29 @@
+/**
+ * Token Utilities
+ * Opaque random tokens (email links, invitations) that are stored hashed
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random opaque token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+const generateOpaqueToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token so only its digest is persisted
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken,
+};
@@ -3,6 +3,9 @@ const { redisClient } = require('../config/redis');
 const logger = require('../config/logger');
 const prisma = require('../prismaClient');
 const cacheService = require('../services/cache.service');
+const sessionService = require('../modules/sessions/session.service');
+const permissionService = require('../modules/permissions/permission.service');
+const accountDataService = require('../modules/auth/account-data.service');
 
 /**
  * Cleanup Worker - Procesa jobs de limpieza de datos obsoletos
@@ -11,13 +14,15 @@ const cacheService = require('../services/cache.service');
  * - Sesiones expiradas
  * - Tokens revocados antiguos
  * - Cache obsoleto en Redis
+ * - Permisos temporales vencidos
+ * - Exportaciones de cuenta vencidas
  */
 
 /**
  * Procesa un job de limpieza
  * @param {Object} job - Job de BullMQ
  * @param {Object} job.data - Datos del job
- * @param {string} job.data.type - Tipo de limpieza ('sessions', 'tokens', 'cache')
+ * @param {string} job.data.type - Tipo de limpieza ('sessions', 'tokens', 'cache', 'permissions', 'exports')
  */
 async function processCleanupJob(job) {
   const { type } = job.data;
@@ -40,14 +45,24 @@ async function processCleanupJob(job) {
         result = await cleanupObsoleteCache();
         break;
       
+      case 'permissions':
+        result = await cleanupExpiredPermissions();
+        break;
+      
+      case 'exports':
+        result = await cleanupExpiredExports();
+        break;
+      
       case 'all':
         // Ejecutar todas las limpiezas
-        const [sessions, tokens, cache] = await Promise.all([
+        const [sessions, tokens, cache, permissions, exports] = await Promise.all([
           cleanupExpiredSessions(),
           cleanupRevokedTokens(),
           cleanupObsoleteCache(),
+          cleanupExpiredPermissions(),
+          cleanupExpiredExports(),
         ]);
-        result = { sessions, tokens, cache };
+        result = { sessions, tokens, cache, permissions, exports };
         break;
       
       default:
@@ -68,6 +83,35 @@ async function processCleanupJob(job) {
   }
 }
 
+/**
+ * Revoca las sesiones que no cumplen la política de su organización
+ * (inactividad, duración máxima o sesiones simultáneas)
+ */
+async function enforceSessionPolicies() {
+  const organizations = await prisma.organization.findMany({
+    where: {
+      OR: [
+        { sessionIdleTimeoutMinutes: { not: null } },
+        { sessionMaxLifetimeHours: { not: null } },
+        { maxConcurrentSessions: { not: null } },
+      ],
+    },
+    select: {
+      id: true,
+      sessionIdleTimeoutMinutes: true,
+      sessionMaxLifetimeHours: true,
+      maxConcurrentSessions: true,
+    },
+  });
+  
+  let revokedSessions = 0;
+  for (const organization of organizations) {
+    revokedSessions += await sessionService.enforceOrganizationPolicy(organization);
+  }
+  
+  return revokedSessions;
+}
+
 /**
  * Limpia sesiones expiradas de la base de datos y Redis
  */
@@ -77,6 +121,9 @@ async function cleanupExpiredSessions() {
   logger.info('Cleaning up expired sessions...');
   
   try {
+    // 0. Revocar sesiones fuera de la política de su organización (se eliminan en el paso 1)
+    const revokedByPolicy = await enforceSessionPolicies();
+    
     // 1. Eliminar sesiones expiradas de PostgreSQL
     const deletedSessions = await prisma.userSession.deleteMany({
       where: {
@@ -111,6 +158,7 @@ async function cleanupExpiredSessions() {
     logger.info(`Cleaned up ${deletedSessions.count} sessions from DB and ${deletedRedisKeys} from Redis`);
     
     return {
+      revokedByPolicy,
       deletedFromDB: deletedSessions.count,
       deletedFromRedis: deletedRedisKeys,
       total: deletedSessions.count + deletedRedisKeys,
@@ -225,6 +273,48 @@ async function cleanupObsoleteCache() {
   }
 }
 
+/**
+ * Elimina permisos de usuario temporales cuya vigencia terminó
+ * (cada vencimiento queda registrado en auditoría)
+ */
+async function cleanupExpiredPermissions() {
+  logger.info('Cleaning up expired permission grants...');
+  
+  try {
+    const purgedGrants = await permissionService.purgeExpiredGrants();
+    
+    logger.info(`Cleaned up ${purgedGrants} expired permission grants`);
+    
+    return {
+      purgedGrants,
+    };
+  } catch (error) {
+    logger.error('Error cleaning up permission grants:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina las exportaciones de cuenta vencidas
+ * (contienen IPs, user agents y comentarios del usuario)
+ */
+async function cleanupExpiredExports() {
+  logger.info('Cleaning up expired account exports...');
+  
+  try {
+    const deletedExports = await accountDataService.purgeExpiredExports();
+    
+    logger.info(`Cleaned up ${deletedExports} expired account exports`);
+    
+    return {
+      deletedExports,
+    };
+  } catch (error) {
+    logger.error('Error cleaning up account exports:', error);
+    throw error;
+  }
+}
+
 /**
  * Limpia logs antiguos (más de 90 días)
  * Esta función se puede llamar periódicamente para mantener la DB limpia
@@ -91,6 +91,38 @@ function renderEmailTemplate(template, data = {}) {
       <a href="${data.resetLink}">Restablecer contraseña</a>
       <p>Este enlace expira en 1 hora.</p>
     `,
+    
+    'verify-email': (data) => `
+      <h1>Verificá tu email</h1>
+      <p>Hola ${data.name},</p>
+      <p>Para activar todas las funciones de tu cuenta, confirmá tu dirección de email:</p>
+      <a href="${data.verifyLink}">Verificar email</a>
+      <p>Este enlace expira en 24 horas.</p>
+    `,
+    
+    'account-invite': (data) => `
+      <h1>Te invitaron a Abrazar</h1>
+      <p>Hola ${data.name},</p>
+      <p>Se creó una cuenta para vos en ${data.organizationName || 'Abrazar'}.</p>
+      <p>Hacé clic en el siguiente enlace para elegir tu contraseña y activar la cuenta:</p>
+      <a href="${data.verifyLink}">Activar cuenta</a>
+      <p>Este enlace expira en 7 días.</p>
+    `,
+    'account-locked': (data) => `
+      <h1>Tu cuenta fue bloqueada temporalmente</h1>
+      <p>Hola ${data.name},</p>
+      <p>Detectamos varios intentos fallidos de inicio de sesión${data.ipAddress ? ` desde la IP ${data.ipAddress}` : ''}.</p>
+      <p>Por seguridad, tu cuenta quedará bloqueada durante ${data.lockedMinutes} minutos.</p>
+      <p>Si no fuiste vos, te recomendamos cambiar tu contraseña:</p>
+      <a href="${data.resetLink}">Cambiar contraseña</a>
+    `,
+    'organization-invitation': (data) => `
+      <h1>Te invitaron a ${data.organizationName || 'Abrazar'}</h1>
+      <p>${data.invitedByName || 'Un administrador'} te invitó a sumarte como ${data.role}${data.teamName ? ` en el equipo ${data.teamName}` : ''}.</p>
+      <p>Hacé clic en el siguiente enlace para aceptar la invitación:</p>
+      <a href="${data.acceptLink}">Aceptar invitación</a>
+      <p>Este enlace expira en 7 días.</p>
+    `,
   };
   
   const templateFn = templates[template];
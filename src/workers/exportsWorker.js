@@ -0,0 +1,74 @@
+const { Worker, QueueEvents } = require('bullmq');
+const { redisClient } = require('../config/redis');
+const logger = require('../config/logger');
+const accountDataService = require('../modules/auth/account-data.service');
+
+/**
+ * Exports Worker - Genera exportaciones de datos de cuentas
+ * 
+ * Este worker consume jobs de la cola 'exports' y arma el paquete JSON
+ * con los datos de un usuario (perfil, sesiones, consentimientos,
+ * comentarios e historial de casos). El resultado queda en AccountExport.
+ */
+
+/**
+ * Procesa un job de exportación de cuenta
+ * @param {Object} job - Job de BullMQ
+ * @param {Object} job.data - Datos del job
+ * @param {string} job.data.exportId - ID del AccountExport pendiente
+ */
+async function processExportJob(job) {
+  const { exportId } = job.data;
+  
+  logger.info(`Processing account export ${exportId}`);
+  
+  try {
+    const accountExport = await accountDataService.buildAccountExport(exportId);
+    
+    return {
+      success: true,
+      exportId,
+      userId: accountExport.userId,
+      completedAt: accountExport.completedAt.toISOString(),
+    };
+  } catch (error) {
+    logger.error(`Error processing account export ${exportId}:`, error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// WORKER INITIALIZATION
+// ============================================================================
+
+const exportsWorker = new Worker('exports', processExportJob, {
+  connection: redisClient,
+  concurrency: 2, // Las exportaciones leen bastantes tablas: pocas a la vez
+});
+
+// Event listeners
+exportsWorker.on('completed', (job) => {
+  logger.info(`Exports worker completed job ${job.id}`);
+});
+
+exportsWorker.on('failed', (job, error) => {
+  logger.error(`Exports worker failed job ${job?.id}:`, error);
+});
+
+exportsWorker.on('error', (error) => {
+  logger.error('Exports worker error:', error);
+});
+
+logger.info('Exports worker initialized and ready');
+
+// QueueEvents para escuchar eventos de la cola
+const queueEvents = new QueueEvents('exports', { connection: redisClient });
+
+module.exports = {
+  exportsWorker,
+  queueEvents,
+  close: async () => {
+    await exportsWorker.close();
+    await queueEvents.close();
+  },
+};
@@ -12,10 +12,19 @@ async function cleanDatabase() {
   await prisma.emergency.deleteMany();
   await prisma.caseHistory.deleteMany();
   await prisma.caseStatusHistory.deleteMany();
+  await prisma.dataSubjectRequest.deleteMany();
   
   // Consent tables - use try/catch as these may not exist in all envs
   try { await prisma.consent.deleteMany(); } catch (e) { /* ignore */ }
   try { await prisma.consentHistory.deleteMany(); } catch (e) { /* ignore */ }
+  try {
+    // Published versions are immutable outside the tests (see the ConsentVersion_immutable trigger)
+    await prisma.$transaction([
+      prisma.$executeRaw`ALTER TABLE "ConsentVersion" DISABLE TRIGGER "ConsentVersion_immutable"`,
+      prisma.consentVersion.deleteMany(),
+      prisma.$executeRaw`ALTER TABLE "ConsentVersion" ENABLE TRIGGER "ConsentVersion_immutable"`,
+    ]);
+  } catch (e) { /* ignore */ }
   try { await prisma.consentType.deleteMany(); } catch (e) { /* ignore */ }
   
   // Level 4: Entities with multiple dependencies
@@ -25,7 +34,8 @@ async function cleanDatabase() {
   // Level 3: Middle-tier entities
   await prisma.servicePoint.deleteMany();
   await prisma.teamMember.deleteMany();
-  await prisma.permission.deleteMany();
+  await prisma.zoneAssignment.deleteMany();
+  // The permission catalogue and role grants are kept: routes depend on them
   
   // Level 2: Organizational structures
   await prisma.team.deleteMany();
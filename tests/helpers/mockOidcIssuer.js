@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local OpenID Provider for SSO tests.
+ * Serves discovery, JWKS, an authorize endpoint that signs the user in
+ * immediately, and a token endpoint that checks the PKCE verifier.
+ *
+ * @param {Object} options
+ * @param {string} options.clientId - Registered client ID
+ * @param {string} [options.clientSecret] - Client secret (omit for public clients)
+ * @returns {Promise<Object>} { issuer, setClaims, close }
+ */
+async function startMockOidcIssuer({ clientId, clientSecret }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const codes = new Map();
+  let claims = {};
+  let issuer;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (client_id !== clientId || code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, claims });
+
+    res.redirect(`${redirect_uri}?${new URLSearchParams({ code, state })}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, code_verifier, redirect_uri } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    const [authClientId, authSecret] = Buffer.from(
+      (req.headers.authorization || '').replace(/^Basic /, ''),
+      'base64'
+    ).toString().split(':').map(decodeURIComponent);
+
+    const validClient = clientSecret
+      ? authClientId === clientId && authSecret === clientSecret
+      : req.body.client_id === clientId;
+    const challenge = code_verifier && crypto.createHash('sha256').update(code_verifier).digest('base64url');
+
+    if (!grant || !validClient || grant.redirectUri !== redirect_uri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m',
+    });
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    // Claims of the next login (sub, email, groups...)
+    setClaims: (nextClaims) => {
+      claims = nextClaims;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startMockOidcIssuer };
@@ -7,6 +7,7 @@ describe('Homeless Module - Integration Tests', () => {
   let orgId;
   let coordinatorToken;
   let volunteerToken;
+  let analystToken;
   let coordinatorId;
   let volunteerId;
   let homelessId;
@@ -47,6 +48,17 @@ describe('Homeless Module - Integration Tests', () => {
     });
     volunteerId = volunteer.id;
 
+    // Create data analyst user
+    const analyst = await prisma.user.create({
+      data: {
+        email: `homeless-analyst-${Date.now()}@example.com`,
+        password: hashedPassword,
+        name: 'Homeless Analyst',
+        role: 'DATA_ANALYST',
+        organizationId: orgId,
+      },
+    });
+
     // Login coordinator
     const coordRes = await request(app)
       .post('/api/auth/login')
@@ -59,6 +71,12 @@ describe('Homeless Module - Integration Tests', () => {
       .send({ email: volunteer.email, password: 'password123' });
     volunteerToken = volRes.body.token;
 
+    // Login data analyst
+    const analystRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: analyst.email, password: 'password123' });
+    analystToken = analystRes.body.token;
+
     // Create a service point for geolocation tests
     const servicePoint = await prisma.servicePoint.create({
       data: {
@@ -100,6 +118,7 @@ describe('Homeless Module - Integration Tests', () => {
           estadoMental: 'Estable',
           atencionMedicaUrgente: false,
           consentimientoVerbal: true,
+          consentScopes: ['HEALTH_DATA'],
         });
 
       expect(res.status).toBe(201);
@@ -111,6 +130,35 @@ describe('Homeless Module - Integration Tests', () => {
       homelessId = res.body.data.homeless.id;
     });
 
+    test('should store health data encrypted and return it in plaintext', async () => {
+      const stored = await prisma.homeless.findUnique({ where: { id: homelessId } });
+      expect(stored.estadoFisico).toMatch(/^enc:v1:1:/);
+      expect(stored.adicciones).toMatch(/^enc:v1:1:/);
+      expect(stored.estadoMental).not.toContain('Estable');
+
+      const res = await request(app)
+        .get(`/api/homeless/${homelessId}`)
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.homeless).toMatchObject({
+        estadoFisico: 'Regular',
+        adicciones: 'Alcohol',
+        estadoMental: 'Estable',
+      });
+    });
+
+    test('DATA_ANALYST gets health data masked', async () => {
+      const res = await request(app)
+        .get(`/api/homeless/${homelessId}`)
+        .set('Authorization', `Bearer ${analystToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.homeless.nombre).toBe('Juan');
+      expect(res.body.data.homeless.estadoFisico).toBe('[masked]');
+      expect(res.body.data.homeless.adicciones).toBe('[masked]');
+    });
+
     test('VOLUNTEER can only create with basic fields', async () => {
       const res = await request(app)
         .post('/api/homeless')
@@ -120,6 +168,7 @@ describe('Homeless Module - Integration Tests', () => {
           lng: -64.1888,
           apodo: 'El Flaco',
           fotoUrl: 'https://example.com/photo.jpg',
+          consentScopes: ['PHOTO'],
         });
 
       expect(res.status).toBe(201);
@@ -128,6 +177,21 @@ describe('Homeless Module - Integration Tests', () => {
       expect(res.body.data.homeless.apellido).toBeNull();
     });
 
+    test('should refuse a photo without PHOTO consent', async () => {
+      const res = await request(app)
+        .post('/api/homeless')
+        .set('Authorization', `Bearer ${volunteerToken}`)
+        .send({
+          lat: -31.4201,
+          lng: -64.1888,
+          apodo: 'Sin foto',
+          fotoUrl: 'https://example.com/photo.jpg',
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('fotoUrl (PHOTO)');
+    });
+
     test('should reject invalid coordinates', async () => {
       const res = await request(app)
         .post('/api/homeless')
@@ -160,6 +224,41 @@ describe('Homeless Module - Integration Tests', () => {
 
       expect(res.status).toBe(200);
     });
+
+    test('should search near a point and return only the requested fields', async () => {
+      const res = await request(app)
+        .get('/api/homeless?lat=-31.4201&lng=-64.1888&radiusKm=1&sort=distance&fields=apodo,lat,lng')
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.homeless.length).toBeGreaterThan(0);
+      expect(Object.keys(res.body.data.homeless[0]).sort()).toEqual(['apodo', 'distanceKm', 'id', 'lat', 'lng']);
+      expect(res.body.data.nextCursor).toBeNull();
+    });
+
+    test('should page with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/homeless?limit=1')
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(first.status).toBe(200);
+      expect(first.body.data.nextCursor).toBe(first.body.data.homeless[0].id);
+
+      const second = await request(app)
+        .get(`/api/homeless?limit=1&cursor=${first.body.data.nextCursor}`)
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(second.status).toBe(200);
+      expect(second.body.data.homeless.map((record) => record.id)).not.toContain(first.body.data.nextCursor);
+    });
+
+    test('should reject a distance sort without a radius', async () => {
+      const res = await request(app)
+        .get('/api/homeless?sort=distance')
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.status).toBe(400);
+    });
   });
 
   describe('GET /api/homeless/:id', () => {
@@ -196,6 +295,15 @@ describe('Homeless Module - Integration Tests', () => {
       expect(res.body.data.homeless.estadoFisico).toBe('Bueno');
     });
 
+    test('should refuse to move the person without a visit', async () => {
+      const res = await request(app)
+        .patch(`/api/homeless/${homelessId}`)
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .send({ lat: -31.5, lng: -64.2 });
+
+      expect(res.status).toBe(400);
+    });
+
     test('VOLUNTEER cannot update homeless', async () => {
       const res = await request(app)
         .patch(`/api/homeless/${homelessId}`)
@@ -208,6 +316,148 @@ describe('Homeless Module - Integration Tests', () => {
     });
   });
 
+  describe('Visits', () => {
+    test('VOLUNTEER can log a visit that moves the person', async () => {
+      const res = await request(app)
+        .post(`/api/homeless/${homelessId}/visits`)
+        .set('Authorization', `Bearer ${volunteerToken}`)
+        .send({ lat: -31.4215, lng: -64.1901, services: ['FOOD', 'BLANKET'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.visit.services).toEqual(['FOOD', 'BLANKET']);
+      expect(res.body.data.visit.visitedBy.id).toBe(volunteerId);
+
+      const homeless = await prisma.homeless.findUnique({ where: { id: homelessId } });
+      expect(homeless.lat).toBe(-31.4215);
+      expect(homeless.ultimaVezVisto.toISOString()).toBe(res.body.data.visit.visitedAt);
+    });
+
+    test('should list the timeline newest first, registration included', async () => {
+      const res = await request(app)
+        .get(`/api/homeless/${homelessId}/visits`)
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.count).toBe(2);
+      expect(res.body.data.visits[0].services).toEqual(['FOOD', 'BLANKET']);
+      expect(res.body.data.visits[1].visitedBy.id).toBe(coordinatorId);
+    });
+
+    test('should not list a person just seen as not seen', async () => {
+      const res = await request(app)
+        .get('/api/homeless/not-seen?days=1')
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.homeless.map((record) => record.id)).not.toContain(homelessId);
+    });
+  });
+
+  describe('Needs Assessments', () => {
+    let templateId;
+
+    test('COORDINATOR can publish a template, VOLUNTEER cannot', async () => {
+      const template = {
+        key: 'vulnerability-index',
+        name: 'Vulnerability index',
+        questions: [
+          { id: 'sleeps_outside', label: 'Slept outside last night?', type: 'boolean', required: true, points: 2 },
+          {
+            id: 'substance_use',
+            label: 'Uses substances daily?',
+            type: 'boolean',
+            points: 3,
+            need: 'ADDICTION_TREATMENT',
+          },
+        ],
+      };
+
+      const denied = await request(app)
+        .post('/api/homeless/assessment-templates')
+        .set('Authorization', `Bearer ${volunteerToken}`)
+        .send(template);
+      expect(denied.status).toBe(403);
+
+      const res = await request(app)
+        .post('/api/homeless/assessment-templates')
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .send(template);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.template).toMatchObject({ version: 1, maxScore: 5 });
+      templateId = res.body.data.template.id;
+    });
+
+    test('should score an assessment and show it on the record', async () => {
+      const res = await request(app)
+        .post(`/api/homeless/${homelessId}/assessments`)
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .send({ templateId, answers: { sleeps_outside: true, substance_use: true } });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.assessment).toMatchObject({ score: 5, needs: ['ADDICTION_TREATMENT'] });
+
+      const stored = await prisma.homelessAssessment.findUnique({ where: { id: res.body.data.assessment.id } });
+      expect(stored.answers).toMatch(/^enc:v1:/);
+
+      const record = await request(app)
+        .get(`/api/homeless/${homelessId}`)
+        .set('Authorization', `Bearer ${analystToken}`);
+      expect(record.body.data.homeless.latestAssessment).toMatchObject({ score: 5, needs: '[masked]' });
+    });
+
+    test('should reject answers that do not fit the template', async () => {
+      const res = await request(app)
+        .post(`/api/homeless/${homelessId}/assessments`)
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .send({ templateId, answers: { substance_use: 'often' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid answers: sleeps_outside (required), substance_use (expected yes or no)');
+    });
+  });
+
+  describe('Consents', () => {
+    test('should list the consents recorded on registration', async () => {
+      const res = await request(app)
+        .get(`/api/homeless/${homelessId}/consents`)
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.consents.map((consent) => consent.scope).sort()).toEqual(['HEALTH_DATA', 'PERSONAL_DATA']);
+    });
+
+    test('withdrawing HEALTH_DATA should redact health fields', async () => {
+      const list = await request(app)
+        .get(`/api/homeless/${homelessId}/consents`)
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+      const health = list.body.data.consents.find((consent) => consent.scope === 'HEALTH_DATA');
+
+      const res = await request(app)
+        .post(`/api/homeless/${homelessId}/consents/${health.id}/withdraw`)
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .send({ reason: 'Asked to remove health data' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.consent.withdrawnAt).toBeTruthy();
+      expect(res.body.data.redactedFields).toEqual(['estadoFisico', 'adicciones', 'estadoMental']);
+
+      const homeless = await prisma.homeless.findUnique({ where: { id: homelessId } });
+      expect(homeless.estadoFisico).toBeNull();
+      expect(homeless.adicciones).toBeNull();
+      expect(homeless.nombre).toBe('Juan');
+    });
+
+    test('should refuse health data once the consent is withdrawn', async () => {
+      const res = await request(app)
+        .patch(`/api/homeless/${homelessId}`)
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .send({ estadoFisico: 'Regular' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
   describe('GET /api/homeless/:id/nearby-services', () => {
     test('should find nearby service points', async () => {
       const res = await request(app)
@@ -232,6 +482,14 @@ describe('Homeless Module - Integration Tests', () => {
       expect(res.status).toBe(200);
       // Should find 0 or very few within 100m
     });
+
+    test('DATA_ANALYST cannot look up nearby services', async () => {
+      const res = await request(app)
+        .get(`/api/homeless/${homelessId}/nearby-services?radius=10`)
+        .set('Authorization', `Bearer ${analystToken}`);
+
+      expect(res.status).toBe(403);
+    });
   });
 
   describe('Multi-Tenancy', () => {
@@ -35,6 +35,7 @@ jest.mock('../../src/middlewares/auth.middleware', () => ({
 
 // Mock Permission Service
 jest.mock('../../src/modules/permissions/permission.service', () => ({
+  hasPermission: jest.fn().mockResolvedValue(true),
   getAllPermissions: jest.fn().mockResolvedValue([
     { id: 'perm-1', name: 'cases:create', description: 'Create cases' },
     { id: 'perm-2', name: 'cases:read', description: 'Read cases' },
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const bcrypt = require('bcrypt');
+
+// In-memory Redis
+jest.mock('../../src/config/redis', () => {
+  const store = new Map();
+  const sets = new Map();
+  const mRedis = {
+    set: jest.fn(async (key, value) => store.set(key, value)),
+    get: jest.fn(async (key) => store.get(key) || null),
+    del: jest.fn(async (...keys) => keys.forEach((key) => store.delete(key))),
+    sadd: jest.fn(async (key, value) => sets.set(key, new Set([...(sets.get(key) || []), value]))),
+    srem: jest.fn(async (key, value) => sets.get(key)?.delete(value)),
+    smembers: jest.fn(async (key) => [...(sets.get(key) || [])]),
+    on: jest.fn(),
+    disconnect: jest.fn(),
+  };
+  return {
+    redisClient: mRedis,
+    redisSubscriber: mRedis,
+  };
+});
+
+// In-memory Prisma with the models used by login, refresh and session revocation
+jest.mock('@prisma/client', () => {
+  const { randomUUID } = require('crypto');
+  const tables = { user: [], userSession: [], refreshToken: [], revokedToken: [], auditLog: [] };
+
+  const matches = (record, where = {}) =>
+    Object.entries(where).every(([field, value]) => {
+      if (field === 'session') {
+        const session = tables.userSession.find((s) => s.id === record.sessionId);
+        return session && matches(session, value);
+      }
+      return record[field] === value || (value === null && record[field] == null);
+    });
+
+  const withIncludes = (table, record, include) => {
+    if (!record || !include?.session) return record;
+    return { ...record, session: tables.userSession.find((s) => s.id === record.sessionId) };
+  };
+
+  const model = (table) => ({
+    create: jest.fn(async ({ data }) => {
+      const record = { id: randomUUID(), createdAt: new Date(), isValid: true, usedAt: null, revokedAt: null, ...data };
+      tables[table].push(record);
+      return record;
+    }),
+    findUnique: jest.fn(async ({ where, include }) =>
+      withIncludes(table, tables[table].find((r) => matches(r, where)) || null, include)
+    ),
+    findFirst: jest.fn(async ({ where }) => tables[table].find((r) => matches(r, where)) || null),
+    findMany: jest.fn(async ({ where } = {}) => tables[table].filter((r) => matches(r, where))),
+    update: jest.fn(async ({ where, data }) => {
+      const record = tables[table].find((r) => matches(r, where));
+      Object.assign(record, data);
+      return record;
+    }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const records = tables[table].filter((r) => matches(r, where));
+      records.forEach((record) => Object.assign(record, data));
+      return { count: records.length };
+    }),
+  });
+
+  const mPrisma = new Proxy(
+    { __tables: tables },
+    {
+      get: (target, prop) => {
+        if (prop in target) return target[prop];
+        if (typeof prop === 'string' && !prop.startsWith('$')) {
+          if (!tables[prop]) tables[prop] = [];
+          target[prop] = model(prop);
+          return target[prop];
+        }
+        return jest.fn();
+      },
+    }
+  );
+
+  return {
+    PrismaClient: jest.fn(() => mPrisma),
+    Prisma: {
+      PrismaClientKnownRequestError: class PrismaClientKnownRequestError extends Error {},
+      PrismaClientValidationError: class PrismaClientValidationError extends Error {},
+    },
+  };
+});
+
+// Every test logs in several times; the per-IP auth limiter is not under test here
+jest.mock('../../src/middlewares/rate-limit.middleware', () => ({
+  ...jest.requireActual('../../src/middlewares/rate-limit.middleware'),
+  authLimiter: (req, res, next) => next(),
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const app = require('../../src/app');
+
+const prisma = new PrismaClient();
+const tables = prisma.__tables;
+
+const login = () =>
+  request(app)
+    .post('/api/auth/login')
+    .send({ email: 'user@example.com', password: 'password123' })
+    .expect(200);
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+describe('Refresh Token Rotation Integration', () => {
+  beforeAll(async () => {
+    tables.user.push({
+      id: 'user-1',
+      email: 'user@example.com',
+      password: await bcrypt.hash('password123', 4),
+      role: 'VOLUNTEER',
+      emailVerified: true,
+      twoFactorEnabled: false,
+      organizationId: null,
+    });
+  });
+
+  it('should issue a new refresh token on every use', async () => {
+    const { body: session } = await login();
+
+    const first = await refresh(session.refreshToken).expect(200);
+    const second = await refresh(first.body.refreshToken).expect(200);
+
+    expect(first.body.refreshToken).not.toBe(session.refreshToken);
+    expect(second.body.refreshToken).not.toBe(first.body.refreshToken);
+  });
+
+  it('should revoke the whole session when a stolen refresh token is replayed', async () => {
+    const { body: victim } = await login();
+    const stolenRefreshToken = victim.refreshToken;
+
+    // The legitimate client rotates the token
+    const rotated = await refresh(victim.refreshToken).expect(200);
+
+    // The attacker replays the stolen (already rotated) token
+    const replay = await refresh(stolenRefreshToken).expect(401);
+    expect(replay.body.message).toMatch(/reuse detected/i);
+
+    // The legitimate client's current tokens no longer work either
+    await refresh(rotated.body.refreshToken).expect(401);
+    await request(app)
+      .get('/api/sessions/my')
+      .set('Authorization', `Bearer ${rotated.body.token}`)
+      .expect(401);
+
+    expect(tables.auditLog).toEqual(
+      expect.arrayContaining([expect.objectContaining({ action: 'refresh_token_reuse', userId: 'user-1' })])
+    );
+  });
+
+  it('should not affect other sessions of the same user', async () => {
+    const { body: laptop } = await login();
+    const { body: phone } = await login();
+
+    await refresh(phone.refreshToken).expect(200);
+    await refresh(phone.refreshToken).expect(401);
+
+    await refresh(laptop.refreshToken).expect(200);
+  });
+
+  it('should reject refresh tokens of a logged out session', async () => {
+    const { body: session } = await login();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(200);
+
+    await refresh(session.refreshToken).expect(401);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Statistics Visibility Integration Tests
+ * Ensures field members given analytics:view only see the statistics of their zones and teams
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const prisma = require('../../src/prismaClient');
+const { signToken } = require('../../src/utils/jwt');
+const { cleanDatabase } = require('../helpers/cleanDatabase');
+
+describe('Statistics Visibility Scope', () => {
+  let org;
+  let coordinator, volunteer;
+  let coordinatorToken, volunteerToken;
+  let centro, alberdi;
+
+  const square = (lng, lat) => ({
+    type: 'Polygon',
+    coordinates: [
+      [
+        [lng, lat],
+        [lng - 0.1, lat],
+        [lng - 0.1, lat - 0.1],
+        [lng, lat - 0.1],
+        [lng, lat],
+      ],
+    ],
+  });
+
+  beforeAll(async () => {
+    await cleanDatabase();
+
+    org = await prisma.organization.create({
+      data: {
+        type: 'MUNICIPALITY',
+        name: 'Municipality of Córdoba',
+        city: 'Córdoba',
+        province: 'Córdoba',
+      },
+    });
+
+    coordinator = await prisma.user.create({
+      data: {
+        email: 'coordinator@cordoba.gov.ar',
+        password: 'password123',
+        name: 'Córdoba Coordinator',
+        role: 'COORDINATOR',
+        organizationId: org.id,
+        acceptedTerms: true,
+      },
+    });
+
+    volunteer = await prisma.user.create({
+      data: {
+        email: 'volunteer@cordoba.gov.ar',
+        password: 'password123',
+        name: 'Córdoba Volunteer',
+        role: 'VOLUNTEER',
+        organizationId: org.id,
+        acceptedTerms: true,
+      },
+    });
+
+    coordinatorToken = signToken(coordinator.id);
+    volunteerToken = signToken(volunteer.id);
+
+    centro = await prisma.zone.create({
+      data: { name: 'Centro', polygon: square(-64.1, -31.4), organizationId: org.id },
+    });
+
+    alberdi = await prisma.zone.create({
+      data: { name: 'Alberdi', polygon: square(-64.2, -31.4), organizationId: org.id },
+    });
+
+    await prisma.zoneAssignment.create({
+      data: { userId: volunteer.id, zoneId: centro.id },
+    });
+
+    await prisma.case.createMany({
+      data: [
+        { fullName: 'Juan Pérez', lat: -31.42, lng: -64.15, zoneId: centro.id },
+        { fullName: 'María García', lat: -31.42, lng: -64.25, zoneId: alberdi.id },
+        { fullName: 'Pedro Gómez', lat: -31.42, lng: -64.25, zoneId: alberdi.id, isEmergency: true },
+      ].map((data) => ({
+        ...data,
+        createdBy: coordinator.id,
+        organizationId: org.id,
+        reportedByConsent: true,
+      })),
+    });
+
+    // Grant analytics:view to the volunteer only
+    const analytics = await prisma.permission.upsert({
+      where: { name: 'analytics:view' },
+      update: {},
+      create: {
+        name: 'analytics:view',
+        description: 'View analytics and statistics',
+        resource: 'analytics',
+        action: 'view',
+      },
+    });
+
+    await prisma.userPermission.create({
+      data: { userId: volunteer.id, permissionId: analytics.id, granted: true },
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/statistics/overview', () => {
+    it('coordinator should see the statistics of the whole organization', async () => {
+      const res = await request(app)
+        .get('/api/statistics/overview')
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.statistics).toMatchObject({
+        totalCases: 3,
+        emergencyCases: 1,
+        totalZones: 2,
+        totalUsers: 2,
+      });
+    });
+
+    it('volunteer should only see the statistics of their zones', async () => {
+      const res = await request(app)
+        .get('/api/statistics/overview')
+        .set('Authorization', `Bearer ${volunteerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.statistics).toMatchObject({
+        totalCases: 1,
+        emergencyCases: 0,
+        totalZones: 1,
+        totalTeams: 0,
+        totalUsers: 1,
+      });
+    });
+  });
+
+  describe('GET /api/statistics/zones', () => {
+    it('volunteer should only see their zones', async () => {
+      const res = await request(app)
+        .get('/api/statistics/zones')
+        .set('Authorization', `Bearer ${volunteerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.statistics.zones).toHaveLength(1);
+      expect(res.body.data.statistics.zones[0]).toMatchObject({ zoneId: centro.id, totalCases: 1 });
+    });
+  });
+
+  describe('GET /api/organizations/:id/statistics', () => {
+    it('volunteer should only count the cases of their zones', async () => {
+      const res = await request(app)
+        .get(`/api/organizations/${org.id}/statistics`)
+        .set('Authorization', `Bearer ${volunteerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.statistics).toMatchObject({ totalCases: 1, totalZones: 1 });
+    });
+  });
+});
@@ -30,6 +30,7 @@ jest.mock('../../src/middlewares/permission.middleware', () => ({
   canAssignCase: (req, res, next) => next(),
   canCloseCase: (req, res, next) => next(),
   canManageTeam: (req, res, next) => next(),
+  canViewTeam: (req, res, next) => next(),
   canCreateSubUsers: (req, res, next) => next(),
   canManageServicePoint: (req, res, next) => next(),
   requirePermission: jest.fn(() => (req, res, next) => next()),
@@ -97,6 +97,7 @@ describe('Upload Integration Tests', () => {
         .field('apellido', 'Perez')
         .field('lat', -31.4201)
         .field('lng', -64.1888)
+        .field('consentScopes', 'PHOTO')
         .attach('foto', buffer, 'test-image.jpg');
 
       expect(res.status).toBe(201);
@@ -114,6 +115,9 @@ describe('Upload Integration Tests', () => {
           lng: -64.1888,
           organizationId: organization.id,
           registradoPor: adminUser.id,
+          consents: {
+            create: { scope: 'PHOTO', witnessedById: adminUser.id },
+          },
         },
       });
 
@@ -0,0 +1,180 @@
+/**
+ * List Visibility Integration Tests
+ * Ensures case and homeless lists stay inside the organization, and inside
+ * their zones for field members
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const prisma = require('../../src/prismaClient');
+const { signToken } = require('../../src/utils/jwt');
+const { cleanDatabase } = require('../helpers/cleanDatabase');
+
+describe('List Visibility Scope', () => {
+  let org1, org2;
+  let coordinator, volunteer, otherCoordinator;
+  let coordinatorToken, volunteerToken, otherCoordinatorToken;
+  let centro, alberdi;
+  let centroCase, alberdiCase, otherOrgCase;
+  let centroHomeless, alberdiHomeless, otherOrgHomeless;
+
+  const square = (lng, lat) => ({
+    type: 'Polygon',
+    coordinates: [
+      [
+        [lng, lat],
+        [lng - 0.1, lat],
+        [lng - 0.1, lat - 0.1],
+        [lng, lat - 0.1],
+        [lng, lat],
+      ],
+    ],
+  });
+
+  const createMember = (email, role, organizationId) =>
+    prisma.user.create({
+      data: { email, password: 'password123', name: email, role, organizationId, acceptedTerms: true },
+    });
+
+  const createCase = (fullName, organizationId, createdBy, zoneId = null) =>
+    prisma.case.create({
+      data: { fullName, lat: -31.42, lng: -64.15, zoneId, organizationId, createdBy, reportedByConsent: true },
+    });
+
+  const createHomeless = (apodo, organizationId, registradoPor, zoneId = null) =>
+    prisma.homeless.create({
+      data: { apodo, lat: -31.42, lng: -64.15, zoneId, organizationId, registradoPor },
+    });
+
+  const ids = (records) => records.map((record) => record.id).sort();
+
+  beforeAll(async () => {
+    await cleanDatabase();
+
+    org1 = await prisma.organization.create({
+      data: { type: 'MUNICIPALITY', name: 'Municipality of Córdoba', city: 'Córdoba', province: 'Córdoba' },
+    });
+
+    org2 = await prisma.organization.create({
+      data: { type: 'MUNICIPALITY', name: 'Municipality of Rosario', city: 'Rosario', province: 'Santa Fe' },
+    });
+
+    coordinator = await createMember('coordinator@cordoba.gov.ar', 'COORDINATOR', org1.id);
+    volunteer = await createMember('volunteer@cordoba.gov.ar', 'VOLUNTEER', org1.id);
+    otherCoordinator = await createMember('coordinator@rosario.gov.ar', 'COORDINATOR', org2.id);
+
+    coordinatorToken = signToken(coordinator.id);
+    volunteerToken = signToken(volunteer.id);
+    otherCoordinatorToken = signToken(otherCoordinator.id);
+
+    centro = await prisma.zone.create({
+      data: { name: 'Centro', polygon: square(-64.1, -31.4), organizationId: org1.id },
+    });
+
+    alberdi = await prisma.zone.create({
+      data: { name: 'Alberdi', polygon: square(-64.2, -31.4), organizationId: org1.id },
+    });
+
+    await prisma.zoneAssignment.create({
+      data: { userId: volunteer.id, zoneId: centro.id },
+    });
+
+    centroCase = await createCase('Juan Pérez', org1.id, coordinator.id, centro.id);
+    alberdiCase = await createCase('María García', org1.id, coordinator.id, alberdi.id);
+    otherOrgCase = await createCase('Pedro Gómez', org2.id, otherCoordinator.id);
+
+    centroHomeless = await createHomeless('El Flaco', org1.id, coordinator.id, centro.id);
+    alberdiHomeless = await createHomeless('El Rulo', org1.id, coordinator.id, alberdi.id);
+    otherOrgHomeless = await createHomeless('El Tano', org2.id, otherCoordinator.id);
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/cases', () => {
+    it('coordinator should see every case of their organization only', async () => {
+      const res = await request(app)
+        .get('/api/cases')
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(ids(res.body.data.cases)).toEqual([centroCase.id, alberdiCase.id].sort());
+    });
+
+    it('coordinator of another organization should only see their cases', async () => {
+      const res = await request(app)
+        .get('/api/cases')
+        .set('Authorization', `Bearer ${otherCoordinatorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(ids(res.body.data.cases)).toEqual([otherOrgCase.id]);
+    });
+
+    it('volunteer should only see the cases of their zones', async () => {
+      const res = await request(app)
+        .get('/api/cases')
+        .set('Authorization', `Bearer ${volunteerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(ids(res.body.data.cases)).toEqual([centroCase.id]);
+    });
+  });
+
+  describe('GET /api/cases/:id/comments', () => {
+    it('volunteer should read the comments of a case in their zones', async () => {
+      const res = await request(app)
+        .get(`/api/cases/${centroCase.id}/comments`)
+        .set('Authorization', `Bearer ${volunteerToken}`);
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('volunteer should not read the comments of a case outside their zones', async () => {
+      const res = await request(app)
+        .get(`/api/cases/${alberdiCase.id}/comments`)
+        .set('Authorization', `Bearer ${volunteerToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('coordinator should not comment on a case of another organization', async () => {
+      const res = await request(app)
+        .post(`/api/cases/${otherOrgCase.id}/comments`)
+        .set('Authorization', `Bearer ${coordinatorToken}`)
+        .send({ content: 'Seen at the bus terminal' });
+
+      expect(res.statusCode).toBe(403);
+      expect(await prisma.comment.count({ where: { caseId: otherOrgCase.id } })).toBe(0);
+    });
+  });
+
+  describe('GET /api/homeless', () => {
+    it('coordinator should see every homeless record of their organization only', async () => {
+      const res = await request(app)
+        .get('/api/homeless')
+        .set('Authorization', `Bearer ${coordinatorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(ids(res.body.data.homeless)).toEqual([centroHomeless.id, alberdiHomeless.id].sort());
+    });
+
+    it('coordinator of another organization should only see their records', async () => {
+      const res = await request(app)
+        .get('/api/homeless')
+        .set('Authorization', `Bearer ${otherCoordinatorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(ids(res.body.data.homeless)).toEqual([otherOrgHomeless.id]);
+    });
+
+    it('volunteer should only see the records of their zones', async () => {
+      const res = await request(app)
+        .get('/api/homeless')
+        .set('Authorization', `Bearer ${volunteerToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(ids(res.body.data.homeless)).toEqual([centroHomeless.id]);
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const bcrypt = require('bcrypt');
+const prisma = require('../../src/prismaClient');
+const accountDataService = require('../../src/modules/auth/account-data.service');
+const sessionService = require('../../src/modules/sessions/session.service');
+const { addAccountExportJob } = require('../../src/queues');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn(),
+  },
+  accountExport: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  userSession: { findMany: jest.fn(), findFirst: jest.fn(), deleteMany: jest.fn() },
+  consent: { findMany: jest.fn(), updateMany: jest.fn() },
+  consentHistory: { findMany: jest.fn(), updateMany: jest.fn() },
+  comment: { findMany: jest.fn() },
+  caseHistory: { findMany: jest.fn() },
+  twoFactorRecoveryCode: { deleteMany: jest.fn() },
+  passwordResetToken: { deleteMany: jest.fn() },
+  emailVerificationToken: { deleteMany: jest.fn() },
+  userIdentity: { count: jest.fn(), deleteMany: jest.fn() },
+  teamMember: { deleteMany: jest.fn() },
+  zoneAssignment: { deleteMany: jest.fn() },
+  userPermission: { deleteMany: jest.fn() },
+  case: { updateMany: jest.fn() },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/sessions/session.service', () => ({
+  revokeAllUserSessions: jest.fn(),
+  revokeToken: jest.fn(),
+}));
+
+jest.mock('../../src/queues', () => ({
+  addAccountExportJob: jest.fn(),
+  isRedisAvailable: true,
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/modules/statistics/statistics.service', () => ({
+  invalidateStatsCache: jest.fn(),
+}));
+
+jest.mock('../../src/config/cloudinary', () => ({
+  deleteImage: jest.fn(),
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Account Data - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAccountExport', () => {
+    test('should queue a new export when there is none', async () => {
+      prisma.accountExport.findFirst.mockResolvedValue(null);
+      prisma.accountExport.create.mockResolvedValue({ id: 'export-1', userId: 'user-1', status: 'PENDING' });
+
+      const accountExport = await accountDataService.getAccountExport('user-1');
+
+      expect(accountExport.status).toBe('PENDING');
+      expect(addAccountExportJob).toHaveBeenCalledWith({ exportId: 'export-1' });
+      expect(logAudit).toHaveBeenCalledWith('user-1', 'request_account_export', 'user', 'user-1', {
+        exportId: 'export-1',
+      });
+    });
+
+    test('should serve a ready export until it expires', async () => {
+      const ready = { id: 'export-1', status: 'READY', expiresAt: new Date(Date.now() + HOUR), data: {} };
+      prisma.accountExport.findFirst.mockResolvedValue(ready);
+
+      await expect(accountDataService.getAccountExport('user-1')).resolves.toBe(ready);
+
+      prisma.accountExport.findFirst.mockResolvedValue({ ...ready, expiresAt: new Date(Date.now() - HOUR) });
+      prisma.accountExport.create.mockResolvedValue({ id: 'export-2', status: 'PENDING' });
+      await accountDataService.getAccountExport('user-1');
+
+      expect(prisma.accountExport.create).toHaveBeenCalledTimes(1);
+      expect(addAccountExportJob).toHaveBeenCalledWith({ exportId: 'export-2' });
+    });
+  });
+
+  describe('buildAccountExport', () => {
+    test('should bundle the account data without credentials', async () => {
+      prisma.accountExport.findUnique.mockResolvedValue({ id: 'export-1', userId: 'user-1' });
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'ana@example.org' });
+      prisma.userSession.findMany.mockResolvedValue([{ ipAddress: '10.0.0.1' }]);
+      prisma.consent.findMany.mockResolvedValue([]);
+      prisma.consentHistory.findMany.mockResolvedValue([{ action: 'GRANTED' }]);
+      prisma.comment.findMany.mockResolvedValue([{ content: 'Visited today' }]);
+      prisma.caseHistory.findMany.mockResolvedValue([]);
+      prisma.accountExport.update.mockImplementation(({ data }) => Promise.resolve({ id: 'export-1', ...data }));
+
+      const accountExport = await accountDataService.buildAccountExport('export-1');
+
+      expect(accountExport.status).toBe('READY');
+      expect(accountExport.data).toMatchObject({
+        profile: { email: 'ana@example.org' },
+        sessions: [{ ipAddress: '10.0.0.1' }],
+        consentHistory: [{ action: 'GRANTED' }],
+        comments: [{ content: 'Visited today' }],
+      });
+      const profileSelect = prisma.user.findUnique.mock.calls[0][0].select;
+      expect(profileSelect.password).toBeUndefined();
+      expect(profileSelect.twoFactorSecret).toBeUndefined();
+      expect(prisma.caseHistory.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { performedByUserId: 'user-1' } })
+      );
+    });
+
+    test('should mark the export as failed and rethrow for a retry', async () => {
+      prisma.accountExport.findUnique.mockResolvedValue({ id: 'export-1', userId: 'user-1' });
+      prisma.user.findUnique.mockRejectedValue(new Error('connection lost'));
+
+      await expect(accountDataService.buildAccountExport('export-1')).rejects.toThrow('connection lost');
+      expect(prisma.accountExport.update).toHaveBeenCalledWith({
+        where: { id: 'export-1' },
+        data: { status: 'FAILED', error: 'connection lost' },
+      });
+    });
+  });
+
+  describe('purgeExpiredExports', () => {
+    test('should delete ready exports past their expiry', async () => {
+      prisma.accountExport.deleteMany.mockResolvedValue({ count: 3 });
+
+      await expect(accountDataService.purgeExpiredExports()).resolves.toBe(3);
+      expect(prisma.accountExport.deleteMany).toHaveBeenCalledWith({
+        where: { status: 'READY', expiresAt: { lt: expect.any(Date) } },
+      });
+    });
+  });
+
+  describe('deleteAccount', () => {
+    const password = 'Secret123!';
+    let user;
+
+    beforeAll(async () => {
+      user = {
+        id: 'user-1',
+        email: 'ana@example.org',
+        password: await bcrypt.hash(password, 4),
+        role: 'SOCIAL_WORKER',
+        organizationId: 'org-1',
+        twoFactorEnabled: false,
+        isServiceAccount: false,
+      };
+    });
+
+    test('should anonymize the user and keep the row for authored records', async () => {
+      await accountDataService.deleteAccount(user, { password }, 'access-token');
+
+      expect(sessionService.revokeAllUserSessions).toHaveBeenCalledWith('user-1', 'Account deleted');
+      expect(sessionService.revokeToken).toHaveBeenCalledWith('access-token', 'user-1', 'Account deleted');
+
+      const { where, data } = prisma.user.update.mock.calls[0][0];
+      expect(where).toEqual({ id: 'user-1' });
+      expect(data).toMatchObject({
+        email: 'deleted-user-1@deleted.invalid',
+        name: null,
+        photoUrl: null,
+        twoFactorSecret: null,
+        organizationId: null,
+        role: 'PUBLIC',
+        deletedAt: expect.any(Date),
+      });
+      expect(await bcrypt.compare(password, data.password)).toBe(false);
+
+      // The user is anonymized, never deleted: cases and case history keep their author
+      expect(prisma.userIdentity.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+      expect(prisma.teamMember.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+      // Open cases go back to the queue of the organization
+      expect(prisma.case.updateMany).toHaveBeenCalledWith({
+        where: { assignedToUserId: 'user-1', status: { not: 'RESOLVED' } },
+        data: { assignedToUserId: null },
+      });
+      expect(logAudit).toHaveBeenCalledWith('user-1', 'delete_account', 'user', 'user-1', expect.any(Object));
+    });
+
+    test('should require the password', async () => {
+      await expect(accountDataService.deleteAccount(user, { password: 'wrong' })).rejects.toMatchObject({
+        statusCode: 401,
+      });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should accept a recent login instead of the password for provider accounts', async () => {
+      const firebaseUser = { ...user, password: 'SOCIAL_LOGIN_PASSWORD_PLACEHOLDER' };
+      prisma.userSession.findFirst.mockResolvedValue({ createdAt: new Date(Date.now() - 2 * 60 * 1000) });
+
+      await accountDataService.deleteAccount(firebaseUser, {}, 'access-token');
+
+      expect(prisma.userSession.findFirst).toHaveBeenCalledWith({
+        where: { token: 'access-token', userId: 'user-1', isValid: true },
+      });
+      expect(prisma.user.update).toHaveBeenCalled();
+    });
+
+    test('should ask provider accounts to log in again after a while', async () => {
+      prisma.userIdentity.count.mockResolvedValue(1);
+      prisma.userSession.findFirst.mockResolvedValue({ createdAt: new Date(Date.now() - HOUR) });
+
+      await expect(accountDataService.deleteAccount(user, {}, 'access-token')).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Log in again to confirm the deletion of your account',
+      });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should require the password of password accounts', async () => {
+      prisma.userIdentity.count.mockResolvedValue(0);
+
+      await expect(accountDataService.deleteAccount(user, {}, 'access-token')).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(prisma.userSession.findFirst).not.toHaveBeenCalled();
+    });
+
+    test('should not leave an organization without admins', async () => {
+      prisma.user.count.mockResolvedValueOnce(0).mockResolvedValueOnce(4);
+
+      await expect(
+        accountDataService.deleteAccount({ ...user, role: 'ORGANIZATION_ADMIN' }, { password })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(sessionService.revokeAllUserSessions).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const bcrypt = require('bcrypt');
+const prisma = require('../../src/prismaClient');
+const { addEmailJob } = require('../../src/queues');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+const accountLockout = require('../../src/modules/auth/account-lockout.service');
+const authService = require('../../src/modules/auth/auth.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  organization: {
+    findUnique: jest.fn(),
+  },
+}));
+
+// Redis not connected: the in-memory store is used
+jest.mock('../../src/config/redis', () => ({
+  redisClient: { status: 'end' },
+}));
+
+jest.mock('../../src/modules/sessions/session.service', () => ({
+  createSession: jest.fn().mockResolvedValue({ id: 'session-1' }),
+  issueRefreshToken: jest.fn().mockResolvedValue('refresh-token'),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/queues', () => ({
+  addEmailJob: jest.fn(),
+}));
+
+const EMAIL = 'user@example.com';
+
+const failLogins = async (times, email = EMAIL) => {
+  for (let i = 0; i < times; i++) {
+    await expect(authService.login(email, 'wrong-password', '10.0.0.1')).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  }
+};
+
+describe('Account Lockout - Unit Tests', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = { id: 'user-1', email: EMAIL, name: 'User', password: await bcrypt.hash('password123', 4) };
+    prisma.user.findUnique.mockResolvedValue(user);
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+    await accountLockout.unlockAccount(EMAIL);
+    await accountLockout.unlockAccount('unknown@example.com');
+  });
+
+  it('should lock the account after too many failed attempts', async () => {
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS);
+
+    await expect(authService.login(EMAIL, 'password123')).rejects.toMatchObject({ statusCode: 423 });
+  });
+
+  it('should audit the lockout and email the account owner', async () => {
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS);
+
+    expect(logAudit).toHaveBeenCalledTimes(1);
+    expect(logAudit).toHaveBeenCalledWith(
+      'user-1',
+      'account_locked',
+      'user',
+      'user-1',
+      expect.objectContaining({ lockLevel: 1, lockedForSeconds: 15 * 60 }),
+      '10.0.0.1'
+    );
+    expect(addEmailJob).toHaveBeenCalledWith(
+      expect.objectContaining({ to: EMAIL, template: 'account-locked' })
+    );
+  });
+
+  it('should lock for longer on repeated lockouts', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T10:00:00Z') });
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS);
+
+    jest.setSystemTime(new Date('2026-01-01T10:16:00Z'));
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS);
+
+    expect(logAudit.mock.calls[1][4]).toMatchObject({ lockLevel: 2, lockedForSeconds: 60 * 60 });
+    jest.setSystemTime(new Date('2026-01-01T10:40:00Z'));
+    await expect(authService.login(EMAIL, 'password123')).rejects.toMatchObject({ statusCode: 423 });
+  });
+
+  it('should reset the counter after a successful login', async () => {
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS - 1);
+    await authService.login(EMAIL, 'password123');
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS - 1);
+
+    await expect(authService.login(EMAIL, 'password123')).resolves.toHaveProperty('token');
+  });
+
+  it('should lock unknown emails without auditing or sending email', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS, 'unknown@example.com');
+
+    await expect(authService.login('unknown@example.com', 'x')).rejects.toMatchObject({ statusCode: 423 });
+    expect(logAudit).not.toHaveBeenCalled();
+    expect(addEmailJob).not.toHaveBeenCalled();
+  });
+
+  it('should allow login again after an admin unlock', async () => {
+    await failLogins(accountLockout.MAX_FAILED_ATTEMPTS);
+
+    expect(await accountLockout.unlockAccount(EMAIL)).toBe(true);
+    await expect(authService.login(EMAIL, 'password123')).resolves.toHaveProperty('token');
+  });
+});
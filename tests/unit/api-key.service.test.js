@@ -0,0 +1,182 @@
+const prisma = require('../../src/prismaClient');
+const { hashToken } = require('../../src/utils/token.utils');
+const apiKeyService = require('../../src/modules/api-keys/api-key.service');
+const { protect } = require('../../src/middlewares/auth.middleware');
+const { requirePermission } = require('../../src/middlewares/permission.middleware');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  organization: {
+    findUnique: jest.fn(),
+  },
+  apiKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {},
+}));
+
+jest.mock('../../src/modules/sessions/session.service', () => ({}));
+
+jest.mock('../../src/modules/permissions/permission.service', () => ({
+  hasPermission: jest.fn(),
+}));
+
+const serviceAccount = { id: 'svc-1', role: 'OPERATOR', organizationId: 'org-1', isServiceAccount: true };
+
+const storedKey = (overrides = {}) => ({
+  id: 'key-1',
+  prefix: 'abz_1a2b3c4d',
+  scopes: ['cases:create'],
+  organizationId: 'org-1',
+  lastUsedAt: null,
+  lastUsedIp: null,
+  expiresAt: null,
+  revokedAt: null,
+  serviceAccount,
+  ...overrides,
+});
+
+describe('API Keys - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createApiKey', () => {
+    it('should store only the hash and create a service account', async () => {
+      prisma.organization.findUnique.mockResolvedValue({ id: 'org-1' });
+      prisma.apiKey.create.mockImplementation(async ({ data }) => ({ id: 'key-1', prefix: data.prefix }));
+
+      const { apiKey, key } = await apiKeyService.createApiKey(
+        'org-1',
+        { name: '147 hotline', scopes: ['cases:create'] },
+        'admin-1'
+      );
+
+      const { data } = prisma.apiKey.create.mock.calls[0][0];
+      expect(key).toMatch(/^abz_[0-9a-f]{8}_/);
+      expect(key.startsWith(`${apiKey.prefix}_`)).toBe(true);
+      expect(data.keyHash).toBe(hashToken(key));
+      expect(JSON.stringify(data)).not.toContain(key);
+      expect(data.scopes).toEqual(['cases:create']);
+      expect(data.serviceAccount.create).toMatchObject({
+        isServiceAccount: true,
+        organization: { connect: { id: 'org-1' } },
+      });
+    });
+
+    it('should fail for an unknown organization', async () => {
+      prisma.organization.findUnique.mockResolvedValue(null);
+
+      await expect(
+        apiKeyService.createApiKey('org-x', { name: 'x', scopes: ['cases:read'] }, 'admin-1')
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('rotateApiKey / revokeApiKey', () => {
+    it('should replace the secret and prefix', async () => {
+      prisma.apiKey.findFirst.mockResolvedValue(storedKey());
+      prisma.apiKey.update.mockImplementation(async ({ data }) => ({ id: 'key-1', prefix: data.prefix }));
+
+      const { key, previousPrefix } = await apiKeyService.rotateApiKey('org-1', 'key-1');
+
+      const { data } = prisma.apiKey.update.mock.calls[0][0];
+      expect(previousPrefix).toBe('abz_1a2b3c4d');
+      expect(data.prefix).not.toBe('abz_1a2b3c4d');
+      expect(data.keyHash).toBe(hashToken(key));
+      expect(data.rotatedAt).toBeInstanceOf(Date);
+    });
+
+    it('should not rotate keys of another organization', async () => {
+      prisma.apiKey.findFirst.mockResolvedValue(null);
+
+      await expect(apiKeyService.rotateApiKey('org-2', 'key-1')).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.apiKey.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 'key-1', organizationId: 'org-2' } })
+      );
+    });
+
+    it('should not rotate revoked keys', async () => {
+      prisma.apiKey.findFirst.mockResolvedValue(storedKey({ revokedAt: new Date() }));
+
+      await expect(apiKeyService.rotateApiKey('org-1', 'key-1')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('protect with X-API-Key', () => {
+    const runProtect = async (method, originalUrl, key = 'abz_1a2b3c4d_secret') => {
+      const req = { method, originalUrl, ip: '203.0.113.7', headers: { 'x-api-key': key } };
+      const next = jest.fn();
+      await protect(req, {}, next);
+      return { req, error: next.mock.calls[0][0] };
+    };
+
+    it('should authenticate as the service account and track last use', async () => {
+      prisma.apiKey.findUnique.mockResolvedValue(storedKey());
+
+      const { req, error } = await runProtect('POST', '/api/cases');
+
+      expect(error).toBeUndefined();
+      expect(prisma.apiKey.findUnique).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { keyHash: hashToken('abz_1a2b3c4d_secret') } })
+      );
+      expect(req.user).toBe(serviceAccount);
+      expect(req.apiKey).toMatchObject({ id: 'key-1', scopes: ['cases:create'] });
+      expect(prisma.apiKey.update).toHaveBeenCalledWith({
+        where: { id: 'key-1' },
+        data: { lastUsedAt: expect.any(Date), lastUsedIp: '203.0.113.7' },
+      });
+    });
+
+    it('should reject endpoints outside the key scopes', async () => {
+      prisma.apiKey.findUnique.mockResolvedValue(storedKey());
+
+      const { error } = await runProtect('GET', '/api/cases?status=OPEN');
+
+      expect(error.statusCode).toBe(403);
+      expect(error.message).toMatch(/cases:read/);
+    });
+
+    it('should reject endpoints not available to API keys', async () => {
+      prisma.apiKey.findUnique.mockResolvedValue(storedKey({ scopes: ['cases:create', 'cases:read'] }));
+
+      const { error } = await runProtect('DELETE', '/api/cases/case-1');
+
+      expect(error.statusCode).toBe(403);
+    });
+
+    it('should reject unknown, revoked and expired keys', async () => {
+      prisma.apiKey.findUnique.mockResolvedValueOnce(null);
+      expect((await runProtect('POST', '/api/cases')).error.statusCode).toBe(401);
+
+      prisma.apiKey.findUnique.mockResolvedValueOnce(storedKey({ revokedAt: new Date() }));
+      expect((await runProtect('POST', '/api/cases')).error.statusCode).toBe(401);
+
+      prisma.apiKey.findUnique.mockResolvedValueOnce(storedKey({ expiresAt: new Date(Date.now() - 1000) }));
+      expect((await runProtect('POST', '/api/cases')).error.statusCode).toBe(401);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should check API key scopes instead of role permissions', async () => {
+      const req = { user: serviceAccount, apiKey: { scopes: ['cases:create'] }, headers: {} };
+      const next = jest.fn();
+
+      await requirePermission('cases:create')(req, {}, next);
+      await requirePermission('cases:delete')(req, {}, next);
+
+      expect(next.mock.calls[0][0]).toBeUndefined();
+      expect(next.mock.calls[1][0].statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const prisma = require('../../src/prismaClient');
+const casesService = require('../../src/modules/cases/cases.service');
+const rbacService = require('../../src/modules/permissions/permission.service');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  case: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  homeless: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+  },
+  caseHistory: {
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/modules/zones/zone.service', () => ({
+  assignCaseToZone: jest.fn(),
+}));
+
+jest.mock('../../src/modules/statistics/statistics.service', () => ({
+  invalidateStatsCache: jest.fn(),
+}));
+
+jest.mock('../../src/modules/permissions/permission.service', () => ({
+  hasPermission: jest.fn(),
+}));
+
+const HOMELESS_ID = '5d0c8f7e-1b2a-4c3d-8e9f-0a1b2c3d4e5f';
+
+describe('Cases and Registered Persons - Unit Tests', () => {
+  const pepe = {
+    id: HOMELESS_ID,
+    nombre: 'José',
+    apellido: 'Pérez',
+    apodo: 'Pepe',
+    edad: 45,
+    lat: -31.4201,
+    lng: -64.1888,
+  };
+
+  beforeEach(() => {
+    prisma.case.create.mockImplementation(({ data }) => Promise.resolve({ id: 'case-1', ...data }));
+    prisma.case.update.mockImplementation(({ data }) => Promise.resolve({ id: 'case-1', ...data }));
+    rbacService.hasPermission.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('suggestHomeless', () => {
+    test('should suggest nearby persons whose name or nickname matches, best first', async () => {
+      prisma.homeless.findMany.mockResolvedValue([
+        { ...pepe, id: 'other-pepe', apodo: null, nombre: 'Pedro', lat: -31.4301 },
+        pepe,
+        { ...pepe, id: 'maria', nombre: 'María', apellido: 'Gómez', apodo: null },
+      ]);
+
+      const suggestions = await casesService.suggestHomeless({
+        fullName: 'Pepe',
+        age: 46,
+        lat: -31.4203,
+        lng: -64.1885,
+        organizationId: 'org-1',
+      });
+
+      const { where } = prisma.homeless.findMany.mock.calls[0][0];
+      expect(where.organizationId).toBe('org-1');
+      expect(where.lat.gte).toBeLessThan(-31.4203);
+      expect(where.lng.lte).toBeGreaterThan(-64.1885);
+      expect(suggestions.map((suggestion) => suggestion.homeless.id)).toEqual([HOMELESS_ID]);
+      expect(suggestions[0]).toMatchObject({ nameSimilarity: 1, ageDifference: 1 });
+    });
+
+    test('should only suggest the records of the zones of a field member', async () => {
+      prisma.homeless.findMany.mockResolvedValue([]);
+      const visibilityScope = { userId: 'user-1', zoneIds: ['zone-1'], teamIds: [] };
+
+      await casesService.suggestHomeless(
+        { fullName: 'Pepe', lat: -31.4203, lng: -64.1885, organizationId: 'org-1' },
+        visibilityScope
+      );
+
+      expect(prisma.homeless.findMany.mock.calls[0][0].where.AND).toEqual([
+        { OR: [{ zoneId: { in: ['zone-1'] } }, { registradoPor: 'user-1' }] },
+      ]);
+    });
+
+    test('should not suggest anything for cases without organization', async () => {
+      await expect(casesService.suggestHomeless({ fullName: 'Pepe', lat: 0, lng: 0 })).resolves.toEqual([]);
+      expect(prisma.homeless.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createCase', () => {
+    const data = { fullName: 'Pepe', lat: -31.4203, lng: -64.1885 };
+
+    test('should return suggestions when no person is given', async () => {
+      prisma.homeless.findMany.mockResolvedValue([pepe]);
+
+      const created = await casesService.createCase(data, 'user-1', 'org-1');
+
+      expect(created.homelessSuggestions).toHaveLength(1);
+      expect(prisma.caseHistory.create).toHaveBeenCalledTimes(1);
+      expect(rbacService.hasPermission).toHaveBeenCalledWith('user-1', 'homeless:read');
+    });
+
+    test('should not suggest persons to users who cannot read them', async () => {
+      rbacService.hasPermission.mockResolvedValue(false);
+
+      const created = await casesService.createCase(data, 'user-1', 'org-1');
+
+      expect(created.id).toBe('case-1');
+      expect(created.homelessSuggestions).toBeUndefined();
+      expect(prisma.homeless.findMany).not.toHaveBeenCalled();
+    });
+
+    test('should link a person of the organization given on creation', async () => {
+      prisma.homeless.findFirst.mockResolvedValue({ id: HOMELESS_ID });
+
+      const created = await casesService.createCase({ ...data, homelessId: HOMELESS_ID }, 'user-1', 'org-1');
+
+      expect(prisma.homeless.findFirst).toHaveBeenCalledWith({
+        where: { id: HOMELESS_ID, organizationId: 'org-1' },
+        select: { id: true },
+      });
+      expect(created.homelessId).toBe(HOMELESS_ID);
+      expect(created.homelessSuggestions).toBeUndefined();
+      expect(prisma.caseHistory.create).toHaveBeenLastCalledWith({
+        data: expect.objectContaining({ action: 'homeless_linked', metadata: { homelessId: HOMELESS_ID } }),
+      });
+    });
+
+    test('should refuse persons of other organizations', async () => {
+      prisma.homeless.findFirst.mockResolvedValue(null);
+
+      await expect(
+        casesService.createCase({ ...data, homelessId: HOMELESS_ID }, 'user-1', 'org-1')
+      ).rejects.toMatchObject({ statusCode: 404 });
+      await expect(
+        casesService.createCase({ ...data, homelessId: HOMELESS_ID }, 'user-1', null)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.case.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkHomeless / unlinkHomeless', () => {
+    test('should link the case and record it', async () => {
+      prisma.case.findUnique.mockResolvedValue({ organizationId: 'org-1', homelessId: null });
+      prisma.homeless.findFirst.mockResolvedValue({ id: HOMELESS_ID });
+
+      const updated = await casesService.linkHomeless('case-1', HOMELESS_ID, 'user-1');
+
+      expect(updated.homelessId).toBe(HOMELESS_ID);
+      expect(prisma.caseHistory.create.mock.calls[0][0].data.action).toBe('homeless_linked');
+      expect(logAudit).toHaveBeenCalledWith('user-1', 'link_case_homeless', 'case', 'case-1', {
+        homelessId: HOMELESS_ID,
+        previousHomelessId: null,
+      });
+    });
+
+    test('should refuse to link twice to the same person', async () => {
+      prisma.case.findUnique.mockResolvedValue({ organizationId: 'org-1', homelessId: HOMELESS_ID });
+
+      await expect(casesService.linkHomeless('case-1', HOMELESS_ID, 'user-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(prisma.case.update).not.toHaveBeenCalled();
+    });
+
+    test('should unlink the case and record it', async () => {
+      prisma.case.findUnique.mockResolvedValue({ homelessId: HOMELESS_ID });
+
+      const updated = await casesService.unlinkHomeless('case-1', 'user-2');
+
+      expect(updated.homelessId).toBeNull();
+      expect(prisma.caseHistory.create.mock.calls[0][0].data).toMatchObject({
+        action: 'homeless_unlinked',
+        metadata: { homelessId: HOMELESS_ID },
+      });
+
+      prisma.case.findUnique.mockResolvedValue({ homelessId: null });
+      await expect(casesService.unlinkHomeless('case-1', 'user-2')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
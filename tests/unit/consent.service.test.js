@@ -1,6 +1,7 @@
 const consentService = require('../../src/modules/consents/consent.service');
 const { PrismaClient } = require('@prisma/client');
 const AppError = require('../../src/utils/errors');
+const { requireConsent } = require('../../src/middlewares/consent.middleware');
 
 // Mock Prisma
 jest.mock('@prisma/client', () => {
@@ -9,8 +10,14 @@ jest.mock('@prisma/client', () => {
       findUnique: jest.fn(),
       findMany: jest.fn(),
       create: jest.fn(),
+      update: jest.fn(),
       upsert: jest.fn(),
     },
+    consentVersion: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+    },
     consent: {
       findUnique: jest.fn(),
       findMany: jest.fn(),
@@ -22,6 +29,7 @@ jest.mock('@prisma/client', () => {
       create: jest.fn(),
       findMany: jest.fn(),
     },
+    $transaction: jest.fn((operations) => Promise.all(operations)),
     $disconnect: jest.fn(),
   };
   return {
@@ -69,6 +77,20 @@ describe('ConsentService', () => {
       }));
     });
 
+    it('should reject accepting an outdated version', async () => {
+      prisma.consentType.findUnique.mockResolvedValue({
+        id: 'type-1',
+        name: 'privacy_policy',
+        displayName: 'Privacy Policy',
+        version: '2.0',
+      });
+
+      await expect(
+        consentService.grantConsent('user-1', 'type-1', 'ip', 'agent', '1.0')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.consent.upsert).not.toHaveBeenCalled();
+    });
+
     it('should throw error if consent type not found', async () => {
       prisma.consentType.findUnique.mockResolvedValue(null);
 
@@ -115,6 +137,15 @@ describe('ConsentService', () => {
       expect(result).toBe(true);
     });
 
+    it('should return false if an older version was accepted', async () => {
+      prisma.consentType.findUnique.mockResolvedValue({ id: 'type-1', version: '2.0' });
+      prisma.consent.findUnique.mockResolvedValue({ granted: true, version: '1.0' });
+
+      const result = await consentService.hasValidConsent('user-1', 'terms');
+
+      expect(result).toBe(false);
+    });
+
     it('should return false if consent is revoked or missing', async () => {
       prisma.consentType.findUnique.mockResolvedValue({ id: 'type-1' });
       prisma.consent.findUnique.mockResolvedValue({ granted: false });
@@ -124,4 +155,124 @@ describe('ConsentService', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('getPendingConsents', () => {
+    it('should list required consents never accepted, revoked or accepted in an older version', async () => {
+      const type = (name, version, consents) => ({
+        id: `type-${name}`,
+        name,
+        displayName: name,
+        version,
+        required: true,
+        consents,
+      });
+      prisma.consentType.findMany.mockResolvedValue([
+        type('data_processing', '1.0', []),
+        type('privacy_policy', '2.0', [{ granted: true, version: '1.0' }]),
+        type('terms_of_service', '1.0', [{ granted: true, version: '1.0' }]),
+        type('tracking', '1.0', [{ granted: false, version: '1.0' }]),
+      ]);
+
+      const pending = await consentService.getPendingConsents('user-1');
+
+      expect(prisma.consentType.findMany.mock.calls[0][0].where).toEqual({ required: true });
+      expect(pending.map(({ name, reason, acceptedVersion }) => [name, reason, acceptedVersion])).toEqual([
+        ['data_processing', 'NOT_ACCEPTED', null],
+        ['privacy_policy', 'NEW_VERSION', '1.0'],
+        ['tracking', 'REVOKED', null],
+      ]);
+    });
+
+    it('should fail on unknown consent type names', async () => {
+      prisma.consentType.findMany.mockResolvedValue([]);
+
+      await expect(consentService.getPendingConsents('user-1', ['term_of_service'])).rejects.toThrow(
+        /Unknown consent types: term_of_service/
+      );
+    });
+  });
+
+  describe('publishVersion', () => {
+    it('should store the new text and make it the current version', async () => {
+      prisma.consentType.findUnique.mockResolvedValue({ id: 'type-1', displayName: 'Privacy Policy', version: '1.0' });
+      prisma.consentVersion.findUnique.mockResolvedValue(null);
+      prisma.consentType.update.mockResolvedValue({ id: 'type-1', version: '2.0' });
+
+      const data = { version: '2.0', content: 'Privacy Policy v2.0', changeSummary: 'Retention periods' };
+      const updated = await consentService.publishVersion('type-1', data, 'admin-1');
+
+      expect(updated.version).toBe('2.0');
+      expect(prisma.consentVersion.create).toHaveBeenCalledWith({
+        data: { consentTypeId: 'type-1', ...data, publishedById: 'admin-1' },
+      });
+      expect(prisma.consentType.update).toHaveBeenCalledWith({
+        where: { id: 'type-1' },
+        data: { version: '2.0', content: 'Privacy Policy v2.0' },
+      });
+    });
+
+    it('should never overwrite a published version', async () => {
+      prisma.consentType.findUnique.mockResolvedValue({ id: 'type-1', displayName: 'Privacy Policy', version: '2.0' });
+      prisma.consentVersion.findUnique.mockResolvedValue({ id: 'version-2' });
+
+      await expect(
+        consentService.publishVersion('type-1', { version: '2.0', content: 'Edited text' }, 'admin-1')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.consentVersion.create).not.toHaveBeenCalled();
+      expect(prisma.consentType.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireConsent', () => {
+    it('should answer 451 with the pending consents', async () => {
+      prisma.consentType.findMany.mockResolvedValue([
+        {
+          id: 'type-1',
+          name: 'privacy_policy',
+          displayName: 'Privacy Policy',
+          version: '2.0',
+          required: true,
+          consents: [{ granted: true, version: '1.0' }],
+        },
+      ]);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+
+      await requireConsent('privacy_policy')({ user: { id: 'user-1' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(451);
+      expect(res.json.mock.calls[0][0].data.pendingConsents).toEqual([
+        expect.objectContaining({
+          name: 'privacy_policy',
+          version: '2.0',
+          acceptedVersion: '1.0',
+          reason: 'NEW_VERSION',
+        }),
+      ]);
+    });
+
+    it('should let users with current consents through', async () => {
+      prisma.consentType.findMany.mockResolvedValue([
+        { id: 'type-1', name: 'terms_of_service', version: '1.0', consents: [{ granted: true, version: '1.0' }] },
+      ]);
+      const next = jest.fn();
+
+      await requireConsent()({ user: { id: 'user-1' } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should check the consents once per request across nested routers', async () => {
+      prisma.consentType.findMany.mockResolvedValue([]);
+      const req = { user: { id: 'user-1' } };
+      const next = jest.fn();
+
+      await requireConsent()(req, {}, next);
+      await requireConsent()(req, {}, next);
+
+      expect(prisma.consentType.findMany).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
 });
@@ -0,0 +1,250 @@
+const prisma = require('../../src/prismaClient');
+const dataRequestService = require('../../src/modules/data-requests/data-request.service');
+const { createDataRequestSchema } = require('../../src/modules/data-requests/data-requests.validators');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+const { deleteImage } = require('../../src/config/cloudinary');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  dataSubjectRequest: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn(),
+  },
+  dataSubjectRequestEvent: {
+    create: jest.fn(),
+  },
+  homeless: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  homelessConsent: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  homelessVisit: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  homelessAssessment: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  case: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  comment: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  caseHistory: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  emergency: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  auditLog: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  homelessMerge: {
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/config/cloudinary', () => ({
+  deleteImage: jest.fn(),
+}));
+
+const HOMELESS_ID = '0b6f3c1e-5a2d-4c8e-9f71-3d2a1b0c9e8f';
+const CASE_ID = '7c1d2e3f-4a5b-4c6d-8e9f-0a1b2c3d4e5f';
+const PHOTO_URL = 'https://res.cloudinary.com/demo/image/upload/v1/abrazar/homeless/juan.jpg';
+
+describe('Data Requests - Unit Tests', () => {
+  const request = {
+    id: 'request-1',
+    organizationId: 'org-1',
+    type: 'ERASURE',
+    status: 'LOCATED',
+    subjectName: 'Juan Pérez',
+    homelessIds: [HOMELESS_ID],
+    caseIds: [CASE_ID],
+    completedAt: null,
+  };
+
+  beforeEach(() => {
+    // Records of the subject and what hangs from them
+    prisma.homeless.findMany.mockResolvedValue([
+      { id: HOMELESS_ID, fotoUrl: PHOTO_URL, lat: -31.4167, lng: -64.1833 },
+    ]);
+    prisma.case.findMany.mockImplementation(({ where }) =>
+      Promise.resolve(
+        where.OR ? [{ id: 'case-namesake' }] : [{ id: CASE_ID, photoUrl: null, lat: -31.4251, lng: -64.1977 }]
+      )
+    );
+    prisma.comment.findMany.mockResolvedValue([{ id: 'comment-1' }, { id: 'comment-2' }]);
+    prisma.caseHistory.findMany.mockResolvedValue([{ id: 'history-1' }]);
+    prisma.emergency.findMany.mockResolvedValue([]);
+    prisma.homelessConsent.findMany.mockResolvedValue([{ id: 'consent-1' }]);
+    prisma.homelessVisit.findMany.mockResolvedValue([{ id: 'visit-1', lat: -31.41672, lng: -64.18329 }]);
+    prisma.homelessAssessment.findMany.mockResolvedValue([{ id: 'assessment-1' }]);
+    prisma.auditLog.findMany.mockResolvedValue([{ id: 'audit-1' }, { id: 'audit-2' }]);
+    prisma.dataSubjectRequest.findFirst.mockResolvedValue({ ...request, status: 'ERASED', events: [] });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('locate', () => {
+    test('should find the records attached to the subject and possible namesakes', async () => {
+      const located = await dataRequestService.locate(request);
+
+      expect(located).toMatchObject({
+        homelessIds: [HOMELESS_ID],
+        caseIds: [CASE_ID],
+        commentIds: ['comment-1', 'comment-2'],
+        caseHistoryIds: ['history-1'],
+        homelessConsentIds: ['consent-1'],
+        homelessVisitIds: ['visit-1'],
+        homelessAssessmentIds: ['assessment-1'],
+        auditLogIds: ['audit-1', 'audit-2'],
+        images: [PHOTO_URL],
+        missing: { homelessIds: [], caseIds: [] },
+      });
+      expect(located.possibleMatches.caseIds).toEqual(['case-namesake']);
+      // Cases linked to the subject's homeless records are offered too
+      expect(prisma.case.findMany).toHaveBeenCalledWith({
+        where: {
+          organizationId: 'org-1',
+          id: { notIn: [CASE_ID] },
+          OR: [{ homelessId: { in: [HOMELESS_ID] } }, { fullName: { contains: 'Juan Pérez', mode: 'insensitive' } }],
+        },
+        select: { id: true },
+      });
+      expect(prisma.auditLog.findMany).toHaveBeenCalledWith({
+        where: {
+          OR: [
+            { targetType: 'homeless', targetId: { in: [HOMELESS_ID] } },
+            { targetType: 'case', targetId: { in: [CASE_ID] } },
+          ],
+        },
+        select: { id: true },
+      });
+    });
+  });
+
+  describe('eraseRequest', () => {
+    test('should anonymize the records in place and delete the images', async () => {
+      await dataRequestService.eraseRequest(request, 'user-1');
+
+      // Rows are kept so statistics keep their counts
+      expect(prisma.homeless.update).toHaveBeenCalledWith({
+        where: { id: HOMELESS_ID },
+        data: expect.objectContaining({ nombre: null, estadoMental: null, fotoUrl: null, lat: -31.42, lng: -64.18 }),
+      });
+      expect(prisma.case.update).toHaveBeenCalledWith({
+        where: { id: CASE_ID },
+        data: expect.objectContaining({ fullName: 'Anonymized', description: null, lat: -31.43, lng: -64.2 }),
+      });
+      expect(prisma.homelessVisit.update).toHaveBeenCalledWith({
+        where: { id: 'visit-1' },
+        data: { condition: null, notes: null, lat: -31.42, lng: -64.18 },
+      });
+      expect(prisma.homelessAssessment.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['assessment-1'] } },
+        data: { answers: null },
+      });
+      expect(prisma.comment.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['comment-1', 'comment-2'] } },
+        data: { content: '[redacted]' },
+      });
+      expect(prisma.auditLog.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['audit-1', 'audit-2'] } },
+        data: { metadata: { redacted: true, dataRequestId: 'request-1' } },
+      });
+      expect(prisma.homelessMerge.updateMany).toHaveBeenCalledWith({
+        where: { OR: [{ survivorId: { in: [HOMELESS_ID] } }, { mergedId: { in: [HOMELESS_ID] } }] },
+        data: { mergedSnapshot: { redacted: true, dataRequestId: 'request-1' }, changes: {} },
+      });
+      expect(prisma.dataSubjectRequest.update).toHaveBeenCalledWith({
+        where: { id: 'request-1' },
+        data: expect.objectContaining({ status: 'ERASED', subjectName: null }),
+      });
+      expect(deleteImage).toHaveBeenCalledWith('abrazar/homeless/juan');
+
+      expect(prisma.dataSubjectRequestEvent.create).toHaveBeenCalledWith({
+        data: {
+          requestId: 'request-1',
+          step: 'erased',
+          performedById: 'user-1',
+          details: expect.objectContaining({ homeless: 1, cases: 1, comments: 2, imagesDeleted: 1, failedImages: [] }),
+        },
+      });
+      expect(logAudit).toHaveBeenCalledWith(
+        'user-1',
+        'erase_data_request',
+        'data_request',
+        'request-1',
+        expect.objectContaining({ type: 'ERASURE', auditLogs: 2 })
+      );
+    });
+
+    test('should record the failure when the erasure does not go through', async () => {
+      prisma.$transaction.mockRejectedValueOnce(new Error('deadlock detected'));
+
+      await expect(dataRequestService.eraseRequest(request, 'user-1')).rejects.toThrow('deadlock detected');
+      expect(prisma.dataSubjectRequestEvent.create.mock.calls[0][0].data).toMatchObject({
+        step: 'failed',
+        details: { step: 'erase', error: 'deadlock detected' },
+      });
+      expect(deleteImage).not.toHaveBeenCalled();
+    });
+
+    test('should only erase located erasure requests', async () => {
+      await expect(dataRequestService.eraseRequest({ ...request, type: 'EXPORT' }, 'user-1')).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      await expect(dataRequestService.eraseRequest({ ...request, status: 'PENDING' }, 'user-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      await expect(dataRequestService.eraseRequest({ ...request, status: 'ERASED' }, 'user-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportRequest', () => {
+    test('should refuse to export erased data', async () => {
+      await expect(dataRequestService.exportRequest({ ...request, status: 'ERASED' }, 'user-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+  });
+
+  describe('createRequest', () => {
+    test('should refuse records of other organizations', async () => {
+      prisma.case.findMany.mockResolvedValue([]);
+
+      await expect(
+        dataRequestService.createRequest({ type: 'EXPORT', caseIds: [CASE_ID] }, 'org-1', 'user-1')
+      ).rejects.toMatchObject({ statusCode: 404, message: `Records not found in the organization: ${CASE_ID}` });
+      expect(prisma.dataSubjectRequest.create).not.toHaveBeenCalled();
+    });
+
+    test('should require a record of the subject', () => {
+      expect(() => createDataRequestSchema.parse({ body: { type: 'ERASURE', subjectName: 'Juan' } })).toThrow(
+        /at least one homeless or case record/
+      );
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const prisma = require('../../src/prismaClient');
+const env = require('../../src/config/env');
+const { addEmailJob } = require('../../src/queues');
+const { hashToken } = require('../../src/utils/token.utils');
+const emailVerificationService = require('../../src/modules/auth/email-verification.service');
+const { protect } = require('../../src/middlewares/auth.middleware');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  emailVerificationToken: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn(),
+}));
+
+jest.mock('../../src/modules/sessions/session.service', () => ({
+  isTokenRevoked: jest.fn().mockResolvedValue(false),
+  touchSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../../src/queues', () => ({
+  addEmailJob: jest.fn(),
+}));
+
+describe('Email Verification - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('issueVerificationToken', () => {
+    it('should store the hashed token and queue a verification email', async () => {
+      await emailVerificationService.issueVerificationToken({ id: 'user-1', email: 'user@example.com' });
+
+      const { data } = prisma.emailVerificationToken.create.mock.calls[0][0];
+      const emailJob = addEmailJob.mock.calls[0][0];
+      const token = new URL(emailJob.templateData.verifyLink).searchParams.get('token');
+
+      expect(data.type).toBe('VERIFY');
+      expect(data.tokenHash).toBe(hashToken(token));
+      expect(emailJob.template).toBe('verify-email');
+    });
+
+    it('should use the invitation template for INVITE tokens', async () => {
+      await emailVerificationService.issueVerificationToken(
+        { id: 'user-1', email: 'user@example.com' },
+        'INVITE',
+        { organizationName: 'ONG Abrazar' }
+      );
+
+      const emailJob = addEmailJob.mock.calls[0][0];
+      expect(emailJob.template).toBe('account-invite');
+      expect(emailJob.templateData.organizationName).toBe('ONG Abrazar');
+    });
+  });
+
+  describe('verifyEmail', () => {
+    beforeEach(() => {
+      prisma.$transaction.mockImplementation((callback) => callback(prisma));
+      prisma.emailVerificationToken.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should mark the user as verified and consume the token', async () => {
+      prisma.emailVerificationToken.findUnique.mockResolvedValue({
+        id: 'token-1',
+        userId: 'user-1',
+        type: 'VERIFY',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+      prisma.user.update.mockResolvedValue({ id: 'user-1', emailVerified: true });
+
+      const user = await emailVerificationService.verifyEmail('plain-token');
+
+      expect(user.emailVerified).toBe(true);
+      expect(prisma.emailVerificationToken.updateMany).toHaveBeenCalledWith({
+        where: { id: 'token-1', usedAt: null, expiresAt: { gt: expect.any(Date) } },
+        data: { usedAt: expect.any(Date) },
+      });
+      expect(prisma.user.update.mock.calls[0][0].data).not.toHaveProperty('password');
+    });
+
+    it('should require a password for invitation tokens', async () => {
+      prisma.emailVerificationToken.findUnique.mockResolvedValue({
+        id: 'token-1',
+        userId: 'user-1',
+        type: 'INVITE',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      await expect(emailVerificationService.verifyEmail('plain-token')).rejects.toThrow(
+        'A password is required to activate this account'
+      );
+    });
+
+    it('should set the chosen password for invitation tokens', async () => {
+      prisma.emailVerificationToken.findUnique.mockResolvedValue({
+        id: 'token-1',
+        userId: 'user-1',
+        type: 'INVITE',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+      prisma.user.update.mockResolvedValue({ id: 'user-1', emailVerified: true });
+
+      await emailVerificationService.verifyEmail('plain-token', 'chosenPassword');
+
+      const { data } = prisma.user.update.mock.calls[0][0];
+      expect(await bcrypt.compare('chosenPassword', data.password)).toBe(true);
+    });
+
+    it('should not activate the account twice when another request claimed the token first', async () => {
+      prisma.emailVerificationToken.findUnique.mockResolvedValue({
+        id: 'token-1',
+        userId: 'user-1',
+        type: 'INVITE',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+      prisma.emailVerificationToken.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(emailVerificationService.verifyEmail('plain-token', 'chosenPassword')).rejects.toThrow(
+        'Verification token is invalid or has expired'
+      );
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired tokens', async () => {
+      prisma.emailVerificationToken.findUnique.mockResolvedValue({
+        id: 'token-1',
+        userId: 'user-1',
+        type: 'VERIFY',
+        usedAt: null,
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      await expect(emailVerificationService.verifyEmail('plain-token')).rejects.toThrow(
+        'Verification token is invalid or has expired'
+      );
+    });
+  });
+
+  describe('protect middleware', () => {
+    const runProtect = async (method, originalUrl) => {
+      const req = {
+        method,
+        originalUrl,
+        headers: { authorization: `Bearer ${jwt.sign({ id: 'user-1' }, env.JWT_SECRET)}` },
+      };
+      const next = jest.fn();
+      await protect(req, {}, next);
+      return next.mock.calls[0][0];
+    };
+
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', emailVerified: false });
+    });
+
+    it('should allow read-only requests for unverified users', async () => {
+      expect(await runProtect('GET', '/api/cases')).toBeUndefined();
+    });
+
+    it('should allow account management for unverified users', async () => {
+      expect(await runProtect('POST', '/api/auth/logout')).toBeUndefined();
+    });
+
+    it('should reject write requests for unverified users', async () => {
+      const error = await runProtect('POST', '/api/cases');
+      expect(error.statusCode).toBe(403);
+    });
+
+    it('should allow write requests for verified users', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', emailVerified: true });
+      expect(await runProtect('POST', '/api/cases')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const prisma = require('../../src/prismaClient');
+const fieldEncryptionService = require('../../src/services/field-encryption.service');
+const homelessService = require('../../src/modules/homeless/homeless.service');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  organizationDataKey: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  homeless: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  homelessConsent: {
+    findMany: jest.fn(),
+  },
+  homelessVisit: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  homelessAssessment: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  zone: {
+    findMany: jest.fn(),
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+const HEALTH_FIELDS = ['estadoFisico', 'adicciones', 'estadoMental'];
+
+describe('Field Encryption - Unit Tests', () => {
+  let dataKeys;
+
+  beforeEach(() => {
+    // In-memory OrganizationDataKey table
+    dataKeys = [];
+    fieldEncryptionService.keys.clear();
+
+    prisma.organizationDataKey.findFirst.mockImplementation(({ where, orderBy }) => {
+      const matches = dataKeys.filter(
+        (dataKey) =>
+          dataKey.organizationId === where.organizationId && (where.active === undefined || dataKey.active)
+      );
+      if (orderBy) matches.sort((a, b) => b.version - a.version);
+      return Promise.resolve(matches[0] || null);
+    });
+    prisma.organizationDataKey.findUnique.mockImplementation(({ where }) => {
+      const { organizationId, version } = where.organizationId_version;
+      return Promise.resolve(
+        dataKeys.find((dataKey) => dataKey.organizationId === organizationId && dataKey.version === version) || null
+      );
+    });
+    prisma.organizationDataKey.updateMany.mockImplementation(({ where, data }) => {
+      dataKeys
+        .filter((dataKey) => dataKey.organizationId === where.organizationId && dataKey.active)
+        .forEach((dataKey) => Object.assign(dataKey, data));
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.organizationDataKey.create.mockImplementation(({ data }) => {
+      const dataKey = { active: true, ...data };
+      dataKeys.push(dataKey);
+      return Promise.resolve(dataKey);
+    });
+
+    prisma.zone.findMany.mockResolvedValue([]);
+    prisma.homelessVisit.findMany.mockResolvedValue([]);
+    prisma.homelessAssessment.findMany.mockResolvedValue([]);
+    prisma.homelessConsent.findMany.mockResolvedValue([{ scope: 'PERSONAL_DATA' }, { scope: 'HEALTH_DATA' }]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('encryptFields / decryptFields', () => {
+    test('should encrypt with the active key of the organization and decrypt back', async () => {
+      const stored = await fieldEncryptionService.encryptFields(
+        { estadoMental: 'Estable', adicciones: null, nombre: 'Juan' },
+        HEALTH_FIELDS,
+        'org-1'
+      );
+
+      expect(stored.estadoMental).toMatch(/^enc:v1:1:/);
+      expect(stored.estadoMental).not.toContain('Estable');
+      expect(stored.adicciones).toBeNull();
+      expect(stored.nombre).toBe('Juan');
+      expect(dataKeys).toHaveLength(1);
+      // The data key is stored wrapped, never in the clear
+      expect(dataKeys[0].encryptedKey).not.toBe(fieldEncryptionService.keys.get('org-1:1').toString('base64'));
+
+      // Keys are read again from the database after a restart
+      fieldEncryptionService.keys.clear();
+      const plain = await fieldEncryptionService.decryptFields({ ...stored, organizationId: 'org-1' }, HEALTH_FIELDS);
+      expect(plain.estadoMental).toBe('Estable');
+    });
+
+    test('should not decrypt a value moved to another field or organization', async () => {
+      const { estadoFisico } = await fieldEncryptionService.encryptFields(
+        { estadoFisico: 'Regular' },
+        HEALTH_FIELDS,
+        'org-1'
+      );
+
+      await expect(
+        fieldEncryptionService.decryptFields({ organizationId: 'org-1', estadoMental: estadoFisico }, HEALTH_FIELDS)
+      ).rejects.toThrow();
+      await expect(
+        fieldEncryptionService.decryptFields({ organizationId: 'org-2', estadoFisico }, HEALTH_FIELDS)
+      ).rejects.toThrow('Data key v1 of organization org-2 not found');
+    });
+
+    test('should return legacy plaintext as is', async () => {
+      const plain = await fieldEncryptionService.decryptFields(
+        { organizationId: 'org-1', estadoFisico: 'Bueno', adicciones: null },
+        HEALTH_FIELDS
+      );
+
+      expect(plain).toMatchObject({ estadoFisico: 'Bueno', adicciones: null });
+    });
+  });
+
+  describe('homeless service', () => {
+    test('should store ciphertext and return plaintext to authorized roles', async () => {
+      prisma.homeless.create.mockImplementation(({ data }) => Promise.resolve({ id: 'homeless-1', ...data }));
+
+      const homeless = await homelessService.createHomeless(
+        {
+          lat: -31.42,
+          lng: -64.19,
+          estadoFisico: 'Regular',
+          adicciones: 'Alcohol',
+          consentimientoVerbal: true,
+          consentScopes: ['HEALTH_DATA'],
+        },
+        'user-1',
+        'org-1',
+        'SOCIAL_WORKER'
+      );
+
+      const { data } = prisma.homeless.create.mock.calls[0][0];
+      expect(data.estadoFisico).toMatch(/^enc:v1:1:/);
+      expect(data.adicciones).toMatch(/^enc:v1:1:/);
+      expect(homeless).toMatchObject({ estadoFisico: 'Regular', adicciones: 'Alcohol' });
+    });
+
+    test('should mask health data for other roles', async () => {
+      const stored = await fieldEncryptionService.encryptFields(
+        { id: 'homeless-1', organizationId: 'org-1', apodo: 'Juancho', estadoMental: 'Estable', adicciones: null },
+        HEALTH_FIELDS,
+        'org-1'
+      );
+      prisma.homeless.findMany.mockResolvedValue([stored]);
+
+      const [forAnalyst] = await homelessService.getAllHomeless({}, 'org-1', 'DATA_ANALYST');
+      const [forCoordinator] = await homelessService.getAllHomeless({}, 'org-1', 'COORDINATOR');
+
+      expect(forAnalyst).toMatchObject({ apodo: 'Juancho', estadoMental: '[masked]', adicciones: null });
+      expect(forCoordinator.estadoMental).toBe('Estable');
+    });
+
+    test('should keep health data out of the audit log on update', async () => {
+      prisma.homeless.findFirst.mockResolvedValue({ id: 'homeless-1', organizationId: 'org-1' });
+      prisma.homeless.update.mockImplementation(({ data }) =>
+        Promise.resolve({ id: 'homeless-1', organizationId: 'org-1', ...data })
+      );
+
+      const updated = await homelessService.updateHomeless(
+        'homeless-1',
+        { adicciones: 'Ninguna', edad: 46 },
+        'user-1',
+        'org-1',
+        'COORDINATOR'
+      );
+
+      expect(prisma.homeless.update.mock.calls[0][0].data.adicciones).toMatch(/^enc:v1:/);
+      expect(updated.adicciones).toBe('Ninguna');
+      expect(logAudit).toHaveBeenCalledWith('user-1', 'update_homeless', 'homeless', 'homeless-1', {
+        adicciones: '[masked]',
+        edad: 46,
+      });
+    });
+  });
+
+  describe('rotateKey', () => {
+    test('should re-encrypt existing and legacy rows with a new key in batches', async () => {
+      const encrypted = await fieldEncryptionService.encryptFields(
+        { estadoFisico: 'Regular', estadoMental: 'Estable' },
+        HEALTH_FIELDS,
+        'org-1'
+      );
+      const rows = [
+        { id: 'a', organizationId: 'org-1', adicciones: null, ...encrypted },
+        { id: 'b', organizationId: 'org-1', estadoFisico: 'Bueno', adicciones: null, estadoMental: null },
+        { id: 'c', organizationId: 'org-1', estadoFisico: null, adicciones: 'Tabaco', estadoMental: null },
+      ];
+      prisma.homeless.findMany.mockImplementation(({ take, cursor }) => {
+        const start = cursor ? rows.findIndex((row) => row.id === cursor.id) + 1 : 0;
+        return Promise.resolve(rows.slice(start, start + take));
+      });
+      prisma.homeless.updateMany.mockImplementation(({ where, data }) => {
+        Object.assign(rows.find((row) => row.id === where.id), data);
+        return Promise.resolve({ count: 1 });
+      });
+
+      const result = await fieldEncryptionService.rotateKey('org-1', { batchSize: 2 });
+
+      expect(result).toEqual({ organizationId: 'org-1', version: 2, scanned: 3, reencrypted: 3 });
+      expect(prisma.homeless.findMany).toHaveBeenCalledTimes(2);
+      expect(prisma.homeless.findMany.mock.calls[1][0]).toMatchObject({ cursor: { id: 'b' }, skip: 1, take: 2 });
+      expect(dataKeys.map(({ version, active }) => ({ version, active }))).toEqual([
+        { version: 1, active: false },
+        { version: 2, active: true },
+      ]);
+
+      rows.forEach((row) => {
+        HEALTH_FIELDS.filter((field) => row[field] !== null).forEach((field) => {
+          expect(row[field]).toMatch(/^enc:v1:2:/);
+        });
+      });
+      const plain = await Promise.all(rows.map((row) => fieldEncryptionService.decryptFields(row, HEALTH_FIELDS)));
+      expect(plain.map((row) => row.estadoFisico)).toEqual(['Regular', 'Bueno', null]);
+      expect(plain[2].adicciones).toBe('Tabaco');
+
+      // A second pass has nothing left to do
+      prisma.homeless.updateMany.mockClear();
+      await expect(fieldEncryptionService.reencryptOrganization('org-1', { batchSize: 2 })).resolves.toMatchObject({
+        reencrypted: 0,
+      });
+      expect(prisma.homeless.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should not overwrite a row updated while it was re-encrypted', async () => {
+      const before = await fieldEncryptionService.encryptFields({ estadoFisico: 'Regular' }, ['estadoFisico'], 'org-1');
+      const row = { id: 'a', organizationId: 'org-1', ...before, adicciones: null, estadoMental: null };
+      prisma.homeless.findMany.mockResolvedValue([{ ...row }]);
+      // Only applies while the row holds the ciphertext the update was built from
+      prisma.homeless.updateMany.mockImplementation(({ where, data }) => {
+        if (row.estadoFisico !== where.estadoFisico.equals) return Promise.resolve({ count: 0 });
+        Object.assign(row, data);
+        return Promise.resolve({ count: 1 });
+      });
+      prisma.homeless.findFirst.mockImplementation(() => Promise.resolve({ ...row }));
+
+      // Written by a request between the read and the write, still with the old key
+      const during = await fieldEncryptionService.encryptFields({ estadoFisico: 'Grave' }, ['estadoFisico'], 'org-1');
+      row.estadoFisico = during.estadoFisico;
+
+      const result = await fieldEncryptionService.rotateKey('org-1');
+
+      expect(result).toMatchObject({ scanned: 1, reencrypted: 1 });
+      expect(prisma.homeless.updateMany).toHaveBeenCalledTimes(2);
+      expect(prisma.homeless.updateMany.mock.calls[0][0].where).toEqual({
+        id: 'a',
+        estadoFisico: { equals: before.estadoFisico },
+      });
+      expect(row.estadoFisico).toMatch(/^enc:v1:2:/);
+      await expect(fieldEncryptionService.decryptFields(row, ['estadoFisico'])).resolves.toMatchObject({
+        estadoFisico: 'Grave',
+      });
+    });
+  });
+});
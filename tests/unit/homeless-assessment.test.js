@@ -0,0 +1,248 @@
+const prisma = require('../../src/prismaClient');
+const homelessAssessmentService = require('../../src/modules/homeless/homeless-assessment.service');
+const homelessService = require('../../src/modules/homeless/homeless.service');
+const statisticsService = require('../../src/modules/statistics/statistics.service');
+const { createAssessmentTemplateSchema } = require('../../src/modules/homeless/homeless.validator');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  assessmentTemplate: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+  },
+  homelessAssessment: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+  },
+  homeless: {
+    findFirst: jest.fn(),
+  },
+  homelessConsent: {
+    findMany: jest.fn(),
+  },
+  organizationDataKey: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/modules/statistics/statistics.service', () => ({
+  invalidateStatsCache: jest.fn(),
+}));
+
+const TEMPLATE_ID = '3f2a1b0c-9e8d-4c7b-a6f5-e4d3c2b1a0f9';
+
+describe('Homeless Assessments - Unit Tests', () => {
+  const questions = [
+    { id: 'sleeps_outside', label: 'Slept outside last night?', type: 'boolean', required: true, points: 2 },
+    { id: 'substance_use', label: 'Uses substances daily?', type: 'boolean', points: 3, need: 'ADDICTION_TREATMENT' },
+    {
+      id: 'chronic_illness',
+      label: 'Chronic illness',
+      type: 'choice',
+      options: [
+        { value: 'none', label: 'None' },
+        { value: 'untreated', label: 'Untreated', points: 4, need: 'MEDICAL_CARE' },
+        { value: 'treated', label: 'Under treatment', points: 1 },
+      ],
+    },
+    { id: 'years_homeless', label: 'Years without a home', type: 'number', min: 0, max: 80 },
+    { id: 'comments', label: 'Comments', type: 'text' },
+  ];
+  const template = {
+    id: TEMPLATE_ID,
+    organizationId: 'org-1',
+    key: 'vulnerability-index',
+    name: 'Vulnerability index',
+    version: 2,
+    questions,
+    maxScore: 9,
+  };
+  const homeless = { id: 'homeless-1', organizationId: 'org-1' };
+
+  beforeEach(() => {
+    prisma.homelessConsent.findMany.mockResolvedValue([{ scope: 'PERSONAL_DATA' }, { scope: 'HEALTH_DATA' }]);
+    prisma.organizationDataKey.create.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.assessmentTemplate.create.mockImplementation(({ data }) => Promise.resolve({ id: TEMPLATE_ID, ...data }));
+    prisma.homelessAssessment.create.mockImplementation(({ data }) =>
+      Promise.resolve({ id: 'assessment-1', ...data, template: { id: TEMPLATE_ID, version: 2 } })
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createTemplate', () => {
+    test('should publish the next version of a key with its maximum score', async () => {
+      prisma.assessmentTemplate.findFirst.mockResolvedValue({ version: 1 });
+
+      const created = await homelessAssessmentService.createTemplate(
+        { key: 'vulnerability-index', name: 'Vulnerability index', questions },
+        'org-1',
+        'user-1'
+      );
+
+      expect(prisma.assessmentTemplate.findFirst).toHaveBeenCalledWith({
+        where: { organizationId: 'org-1', key: 'vulnerability-index' },
+        orderBy: { version: 'desc' },
+        select: { version: true },
+      });
+      expect(created).toMatchObject({ version: 2, maxScore: 9, createdById: 'user-1' });
+      expect(logAudit).toHaveBeenCalledWith(
+        'user-1',
+        'create_assessment_template',
+        'assessment_template',
+        TEMPLATE_ID,
+        { key: 'vulnerability-index', version: 2 }
+      );
+    });
+
+    test('should reject questions with duplicate IDs or choices without options', () => {
+      const parse = (body) => createAssessmentTemplateSchema.safeParse({ body }).success;
+      const base = { key: 'vulnerability-index', name: 'Vulnerability index' };
+
+      expect(parse({ ...base, questions })).toBe(true);
+      expect(parse({ ...base, questions: [questions[0], questions[0]] })).toBe(false);
+      expect(parse({ ...base, questions: [{ id: 'housing', label: 'Housing', type: 'choice', options: [] }] })).toBe(
+        false
+      );
+    });
+  });
+
+  describe('listTemplates', () => {
+    test('should return the current version of each key unless all versions are asked for', async () => {
+      prisma.assessmentTemplate.findMany.mockResolvedValue([template]);
+
+      await homelessAssessmentService.listTemplates('org-1');
+      await homelessAssessmentService.listTemplates('org-1', { allVersions: true });
+
+      expect(prisma.assessmentTemplate.findMany.mock.calls[0][0]).toMatchObject({
+        where: { organizationId: 'org-1' },
+        distinct: ['organizationId', 'key'],
+      });
+      expect(prisma.assessmentTemplate.findMany.mock.calls[1][0].distinct).toBeUndefined();
+    });
+  });
+
+  describe('scoreAnswers', () => {
+    test('should add the points and needs of the answers', () => {
+      expect(
+        homelessAssessmentService.scoreAnswers(questions, {
+          sleeps_outside: true,
+          substance_use: true,
+          chronic_illness: 'untreated',
+          years_homeless: 6,
+          comments: 'Asked for a shelter bed',
+        })
+      ).toEqual({ score: 9, needs: ['ADDICTION_TREATMENT', 'MEDICAL_CARE'] });
+      expect(homelessAssessmentService.scoreAnswers(questions, { sleeps_outside: false })).toEqual({
+        score: 0,
+        needs: [],
+      });
+    });
+
+    test('should list every invalid answer', () => {
+      expect(() =>
+        homelessAssessmentService.scoreAnswers(questions, {
+          substance_use: 'yes',
+          chronic_illness: 'unknown',
+          years_homeless: 120,
+          shoe_size: 42,
+        })
+      ).toThrow(
+        'Invalid answers: shoe_size (unknown question), sleeps_outside (required), ' +
+          'substance_use (expected yes or no), chronic_illness (unknown option), years_homeless (out of range)'
+      );
+    });
+  });
+
+  describe('submitAssessment', () => {
+    test('should store the answers encrypted with the score and needs', async () => {
+      prisma.assessmentTemplate.findFirst.mockResolvedValueOnce(template).mockResolvedValueOnce({ version: 2 });
+      const answers = { sleeps_outside: true, substance_use: true };
+
+      const assessment = await homelessAssessmentService.submitAssessment(
+        homeless,
+        { templateId: TEMPLATE_ID, answers },
+        'user-1',
+        'SOCIAL_WORKER'
+      );
+
+      const { data } = prisma.homelessAssessment.create.mock.calls[0][0];
+      expect(data).toMatchObject({
+        homelessId: 'homeless-1',
+        organizationId: 'org-1',
+        templateId: TEMPLATE_ID,
+        score: 5,
+        needs: ['ADDICTION_TREATMENT'],
+        assessedById: 'user-1',
+      });
+      expect(data.answers).toMatch(/^enc:v1:/);
+      expect(assessment.answers).toEqual(answers);
+      expect(statisticsService.invalidateStatsCache).toHaveBeenCalledWith('org-1');
+      expect(logAudit).toHaveBeenCalledWith('user-1', 'assess_homeless', 'homeless', 'homeless-1', {
+        assessmentId: 'assessment-1',
+        templateId: TEMPLATE_ID,
+        score: 5,
+      });
+    });
+
+    test('should refuse outdated template versions', async () => {
+      prisma.assessmentTemplate.findFirst.mockResolvedValueOnce(template).mockResolvedValueOnce({ version: 3 });
+
+      await expect(
+        homelessAssessmentService.submitAssessment(
+          homeless,
+          { templateId: TEMPLATE_ID, answers: { sleeps_outside: true } },
+          'user-1',
+          'SOCIAL_WORKER'
+        )
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Version 2 of Vulnerability index is outdated. Use version 3.',
+      });
+      expect(prisma.homelessAssessment.create).not.toHaveBeenCalled();
+    });
+
+    test('should require HEALTH_DATA consent', async () => {
+      prisma.assessmentTemplate.findFirst.mockResolvedValueOnce(template).mockResolvedValueOnce({ version: 2 });
+      prisma.homelessConsent.findMany.mockResolvedValue([{ scope: 'PERSONAL_DATA' }]);
+
+      await expect(
+        homelessAssessmentService.submitAssessment(
+          homeless,
+          { templateId: TEMPLATE_ID, answers: { sleeps_outside: true } },
+          'user-1',
+          'SOCIAL_WORKER'
+        )
+      ).rejects.toMatchObject({ statusCode: 400, message: 'Consent required to store: answers (HEALTH_DATA)' });
+    });
+  });
+
+  describe('latest assessment', () => {
+    test('should come with the record, needs masked for volunteers', async () => {
+      const latest = { id: 'assessment-1', score: 5, needs: ['ADDICTION_TREATMENT'], template };
+      prisma.homeless.findFirst.mockResolvedValue({ ...homeless, estadoMental: null, assessments: [latest] });
+
+      const forVolunteer = await homelessService.getHomelessById('homeless-1', 'org-1', null, 'VOLUNTEER');
+      const forCoordinator = await homelessService.getHomelessById('homeless-1', 'org-1', null, 'COORDINATOR');
+
+      expect(prisma.homeless.findFirst.mock.calls[0][0].include.assessments).toMatchObject({
+        orderBy: { assessedAt: 'desc' },
+        take: 1,
+      });
+      expect(forVolunteer.assessments).toBeUndefined();
+      expect(forVolunteer.latestAssessment).toMatchObject({ score: 5, needs: '[masked]' });
+      expect(forCoordinator.latestAssessment.needs).toEqual(['ADDICTION_TREATMENT']);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const prisma = require('../../src/prismaClient');
+const homelessService = require('../../src/modules/homeless/homeless.service');
+const homelessConsentService = require('../../src/modules/homeless/homeless-consent.service');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  homeless: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn(),
+  },
+  homelessConsent: {
+    findMany: jest.fn(),
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  homelessVisit: {
+    updateMany: jest.fn(),
+  },
+  homelessAssessment: {
+    updateMany: jest.fn(),
+  },
+  zone: {
+    findMany: jest.fn(),
+  },
+  organizationDataKey: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+describe('Homeless Consents - Unit Tests', () => {
+  beforeEach(() => {
+    prisma.zone.findMany.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createHomeless', () => {
+    test('should record the consents given, witnessed by the registering user', async () => {
+      prisma.homeless.create.mockResolvedValue({ id: 'homeless-1' });
+
+      await homelessService.createHomeless(
+        {
+          lat: -31.42,
+          lng: -64.19,
+          nombre: 'Juan',
+          estadoFisico: 'Regular',
+          fotoUrl: 'https://res.cloudinary.com/demo/image/upload/v1/abrazar/homeless/juan.jpg',
+          consentimientoVerbal: true,
+          consentScopes: ['PHOTO', 'HEALTH_DATA'],
+          consentMethod: 'WRITTEN',
+        },
+        'user-1',
+        'org-1',
+        'COORDINATOR'
+      );
+
+      const { data } = prisma.homeless.create.mock.calls[0][0];
+      expect(data).toMatchObject({
+        nombre: 'Juan',
+        estadoFisico: expect.stringMatching(/^enc:v1:/),
+        consentimientoVerbal: true,
+      });
+      expect(data.consents.create).toEqual([
+        { scope: 'PHOTO', method: 'WRITTEN', witnessedById: 'user-1' },
+        { scope: 'HEALTH_DATA', method: 'WRITTEN', witnessedById: 'user-1' },
+        { scope: 'PERSONAL_DATA', method: 'WRITTEN', witnessedById: 'user-1' },
+      ]);
+    });
+
+    test('should refuse photos and health data without consent', async () => {
+      await expect(
+        homelessService.createHomeless(
+          {
+            lat: -31.42,
+            lng: -64.19,
+            estadoMental: 'Estable',
+            fotoUrl: 'https://example.com/photo.jpg',
+            consentimientoVerbal: true,
+          },
+          'user-1',
+          'org-1',
+          'COORDINATOR'
+        )
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Consent required to store: fotoUrl (PHOTO), estadoMental (HEALTH_DATA)',
+      });
+      expect(prisma.homeless.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateHomeless', () => {
+    test('should check the active consents of the person', async () => {
+      prisma.homeless.findFirst.mockResolvedValue({ id: 'homeless-1', organizationId: 'org-1' });
+      prisma.homelessConsent.findMany.mockResolvedValue([{ scope: 'PERSONAL_DATA' }]);
+
+      await expect(
+        homelessService.updateHomeless('homeless-1', { adicciones: 'Alcohol' }, 'user-1', 'org-1', 'COORDINATOR')
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      // Clearing data needs no consent
+      prisma.homeless.update.mockResolvedValue({ id: 'homeless-1' });
+      await homelessService.updateHomeless('homeless-1', { fotoUrl: null }, 'user-1', 'org-1', 'COORDINATOR');
+      expect(prisma.homelessConsent.findMany).toHaveBeenCalledWith({
+        where: { homelessId: 'homeless-1', withdrawnAt: null },
+        select: { scope: true },
+      });
+    });
+  });
+
+  describe('withdrawConsent', () => {
+    const homeless = {
+      id: 'homeless-1',
+      fotoUrl: 'https://res.cloudinary.com/demo/image/upload/v1/abrazar/homeless/juan.jpg',
+    };
+
+    test('should redact the fields the consent covered', async () => {
+      prisma.homelessConsent.findFirst.mockResolvedValue({ id: 'consent-1', scope: 'HEALTH_DATA', withdrawnAt: null });
+      prisma.homelessConsent.update.mockResolvedValue({ id: 'consent-1', withdrawnAt: new Date() });
+
+      const result = await homelessConsentService.withdrawConsent(homeless, 'consent-1', 'Changed their mind', 'user-2');
+
+      expect(prisma.homelessConsent.update.mock.calls[0][0].data).toEqual({
+        withdrawnAt: expect.any(Date),
+        withdrawnById: 'user-2',
+        withdrawalReason: 'Changed their mind',
+      });
+      expect(prisma.homeless.update).toHaveBeenCalledWith({
+        where: { id: 'homeless-1' },
+        data: { estadoFisico: null, adicciones: null, estadoMental: null },
+      });
+      expect(prisma.homelessVisit.updateMany).toHaveBeenCalledWith({
+        where: { homelessId: 'homeless-1' },
+        data: { condition: null },
+      });
+      expect(prisma.homelessAssessment.updateMany).toHaveBeenCalledWith({
+        where: { homelessId: 'homeless-1' },
+        data: { answers: null, score: null, needs: [] },
+      });
+      expect(result).toMatchObject({
+        redactedFields: ['estadoFisico', 'adicciones', 'estadoMental'],
+        removedPhotoUrl: null,
+      });
+      expect(logAudit).toHaveBeenCalledWith(
+        'user-2',
+        'withdraw_homeless_consent',
+        'homeless',
+        'homeless-1',
+        expect.objectContaining({ scope: 'HEALTH_DATA' })
+      );
+    });
+
+    test('should return the photo to delete when PHOTO is withdrawn', async () => {
+      prisma.homelessConsent.findFirst.mockResolvedValue({ id: 'consent-2', scope: 'PHOTO', withdrawnAt: null });
+
+      const result = await homelessConsentService.withdrawConsent(homeless, 'consent-2', undefined, 'user-2');
+
+      expect(prisma.homeless.update.mock.calls[0][0].data).toEqual({ fotoUrl: null });
+      expect(result.removedPhotoUrl).toBe(homeless.fotoUrl);
+    });
+
+    test('should not withdraw twice', async () => {
+      prisma.homelessConsent.findFirst.mockResolvedValue({ id: 'consent-1', scope: 'PHOTO', withdrawnAt: new Date() });
+
+      await expect(
+        homelessConsentService.withdrawConsent(homeless, 'consent-1', undefined, 'user-2')
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const prisma = require('../../src/prismaClient');
+const homelessService = require('../../src/modules/homeless/homeless.service');
+const { listHomelessSchema } = require('../../src/modules/homeless/homeless.validator');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  homeless: {
+    findMany: jest.fn(),
+  },
+  zone: {
+    findFirst: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+const ZONE_ID = '7c1e2d3f-4a5b-4c6d-8e7f-9a0b1c2d3e4f';
+
+describe('Homeless List - Unit Tests', () => {
+  // Plaza San Martín, Córdoba
+  const center = { lat: -31.4167, lng: -64.1833 };
+  const near = { id: 'near', organizationId: 'org-1', apodo: 'Pepe', lat: -31.4177, lng: -64.1833 };
+  const far = { id: 'far', organizationId: 'org-1', apodo: 'Tito', lat: -31.4367, lng: -64.1833 };
+  const outside = { id: 'outside', organizationId: 'org-1', apodo: 'Lalo', lat: -31.4317, lng: -64.1683 };
+
+  const parseQuery = (query) => listHomelessSchema.safeParse({ query });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('listHomelessSchema', () => {
+    test('should parse area, projection and paging parameters', () => {
+      const { data } = parseQuery({
+        bbox: '-64.2,-31.5,-64.1,-31.4',
+        fields: 'apodo,lat,lng',
+        notSeenDays: '7',
+      });
+
+      expect(data.query).toMatchObject({
+        bbox: { minLng: -64.2, minLat: -31.5, maxLng: -64.1, maxLat: -31.4 },
+        fields: ['apodo', 'lat', 'lng'],
+        notSeenDays: 7,
+        limit: 100,
+      });
+    });
+
+    test('should refuse incomplete radius searches and unknown fields', () => {
+      expect(parseQuery({ lat: '-31.4', lng: '-64.1' }).success).toBe(false);
+      expect(parseQuery({ sort: 'distance' }).success).toBe(false);
+      expect(parseQuery({ lat: '-31.4', lng: '-64.1', radiusKm: '20', sort: 'distance' }).success).toBe(false);
+      expect(parseQuery({ lat: '-31.4', lng: '-64.1', radiusKm: '10', sort: 'distance' }).success).toBe(true);
+      expect(parseQuery({ fields: 'apodo,passwordHash' }).success).toBe(false);
+      expect(parseQuery({ bbox: '-64.1,-31.5,-64.2,-31.4' }).success).toBe(false);
+    });
+  });
+
+  describe('getAllHomeless', () => {
+    test('should match every search word against name, surname or nickname', async () => {
+      prisma.homeless.findMany.mockResolvedValue([]);
+
+      await homelessService.getAllHomeless({ q: 'pepe perez', notSeenDays: 7 }, 'org-1', 'VOLUNTEER');
+
+      const { where, take } = prisma.homeless.findMany.mock.calls[0][0];
+      expect(where.AND).toEqual([
+        {
+          OR: [
+            { nombre: { contains: 'pepe', mode: 'insensitive' } },
+            { apellido: { contains: 'pepe', mode: 'insensitive' } },
+            { apodo: { contains: 'pepe', mode: 'insensitive' } },
+          ],
+        },
+        expect.objectContaining({
+          OR: expect.arrayContaining([{ apodo: { contains: 'perez', mode: 'insensitive' } }]),
+        }),
+      ]);
+      expect(where.ultimaVezVisto.lt.getTime()).toBeLessThan(Date.now() - 6 * 24 * 60 * 60 * 1000);
+      expect(take).toBe(100);
+    });
+
+    test('should keep the records in the radius and give their distance', async () => {
+      prisma.homeless.findMany.mockResolvedValue([near, far]);
+
+      const homeless = await homelessService.getAllHomeless({ ...center, radiusKm: 1 }, 'org-1', 'VOLUNTEER');
+
+      const { where } = prisma.homeless.findMany.mock.calls[0][0];
+      expect(where.lat.gte).toBeLessThan(center.lat);
+      expect(where.lat.lte).toBeGreaterThan(center.lat);
+      expect(homeless.map((record) => record.id)).toEqual(['near']);
+      expect(homeless[0].distanceKm).toBeCloseTo(0.111, 2);
+    });
+
+    test('should keep the records inside the polygon of the zone', async () => {
+      prisma.zone.findFirst.mockResolvedValue({
+        polygon: {
+          type: 'Polygon',
+          coordinates: [[[-64.19, -31.41], [-64.17, -31.41], [-64.19, -31.44], [-64.19, -31.41]]],
+        },
+      });
+      prisma.homeless.findMany.mockResolvedValue([near, far, outside]);
+
+      const homeless = await homelessService.getAllHomeless({ zoneId: ZONE_ID }, 'org-1', 'VOLUNTEER');
+
+      expect(prisma.zone.findFirst.mock.calls[0][0].where).toEqual({ id: ZONE_ID, organizationId: 'org-1' });
+      expect(prisma.homeless.findMany.mock.calls[0][0].where.lng).toEqual({ gte: -64.19, lte: -64.17 });
+      expect(homeless.map((record) => record.id)).toEqual(['near']);
+
+      prisma.zone.findFirst.mockResolvedValue(null);
+      await expect(
+        homelessService.getAllHomeless({ zoneId: ZONE_ID }, 'org-2', 'VOLUNTEER')
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should read further batches until the page is full and continue after the cursor', async () => {
+      prisma.homeless.findMany
+        .mockResolvedValueOnce([near, far])
+        .mockResolvedValueOnce([{ ...near, id: 'near-2' }]);
+
+      const homeless = await homelessService.getAllHomeless(
+        { ...center, radiusKm: 1, cursor: 'previous', limit: 2, sort: 'createdAt', order: 'asc' },
+        'org-1',
+        'VOLUNTEER'
+      );
+
+      const [first, second] = prisma.homeless.findMany.mock.calls.map(([query]) => query);
+      expect(first).toMatchObject({
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: 2,
+        cursor: { id: 'previous' },
+        skip: 1,
+      });
+      expect(second.cursor).toEqual({ id: 'far' });
+      expect(homeless.map((record) => record.id)).toEqual(['near', 'near-2']);
+    });
+
+    test('should sort by distance and page from the cursor', async () => {
+      const nearest = { ...near, id: 'nearest', lat: -31.4168 };
+      prisma.homeless.findMany.mockResolvedValue([near, far, nearest]);
+      const filters = { ...center, radiusKm: 5, sort: 'distance', limit: 1 };
+
+      const [firstPage] = await homelessService.getAllHomeless(filters, 'org-1', 'VOLUNTEER');
+      const [secondPage] = await homelessService.getAllHomeless(
+        { ...filters, cursor: 'nearest' },
+        'org-1',
+        'VOLUNTEER'
+      );
+
+      expect(firstPage.id).toBe('nearest');
+      expect(secondPage.id).toBe('near');
+      await expect(
+        homelessService.getAllHomeless({ ...filters, cursor: 'unknown' }, 'org-1', 'VOLUNTEER')
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should only return the requested fields', async () => {
+      prisma.homeless.findMany.mockResolvedValue([{ ...near, ultimaVezVisto: null }]);
+
+      const [record] = await homelessService.getAllHomeless(
+        { ...center, radiusKm: 1, fields: ['apodo', 'registrador'] },
+        'org-1',
+        'VOLUNTEER'
+      );
+
+      expect(prisma.homeless.findMany.mock.calls[0][0]).toMatchObject({
+        select: {
+          id: true,
+          organizationId: true,
+          lat: true,
+          lng: true,
+          apodo: true,
+          registrador: { select: { id: true, email: true, name: true } },
+        },
+      });
+      expect(prisma.homeless.findMany.mock.calls[0][0].include).toBeUndefined();
+      expect(Object.keys(record)).toEqual(['id', 'apodo', 'distanceKm']);
+    });
+  });
+});
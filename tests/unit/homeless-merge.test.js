@@ -0,0 +1,351 @@
+const prisma = require('../../src/prismaClient');
+const homelessMergeService = require('../../src/modules/homeless/homeless-merge.service');
+const { nameSimilarity } = require('../../src/utils/similarity');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+const fieldEncryptionService = require('../../src/services/field-encryption.service');
+const { generateKey } = require('../../src/utils/encryption.utils');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  homeless: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  homelessConsent: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  homelessVisit: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  homelessAssessment: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  case: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  dataSubjectRequest: {
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  homelessMerge: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    update: jest.fn(),
+  },
+  zone: {
+    findUnique: jest.fn(),
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+const SURVIVOR_ID = '1a2b3c4d-0000-4000-8000-000000000001';
+const MERGED_ID = '1a2b3c4d-0000-4000-8000-000000000002';
+
+const record = (overrides) => ({
+  organizationId: 'org-1',
+  nombre: null,
+  apellido: null,
+  apodo: null,
+  edad: null,
+  estadoFisico: null,
+  adicciones: null,
+  estadoMental: null,
+  fotoUrl: null,
+  atencionMedicaUrgente: false,
+  consentimientoVerbal: false,
+  lat: -31.4201,
+  lng: -64.1888,
+  zoneId: null,
+  ultimaVezVisto: new Date('2026-10-01T00:00:00.000Z'),
+  createdAt: new Date('2026-09-01T00:00:00.000Z'),
+  ...overrides,
+});
+
+describe('Homeless Merge - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('nameSimilarity', () => {
+    test('should ignore accents and case, and match nicknames that start a name', () => {
+      expect(nameSimilarity('José Pérez', 'jose perez')).toBe(1);
+      expect(nameSimilarity('Juan', 'Juancho')).toBeGreaterThanOrEqual(0.8);
+      expect(nameSimilarity('Juan', 'Pedro')).toBeLessThan(0.5);
+      expect(nameSimilarity('', 'Pedro')).toBeNull();
+    });
+  });
+
+  describe('findDuplicates', () => {
+    test('should pair records with matching names close to each other', async () => {
+      prisma.homeless.findMany.mockResolvedValue([
+        record({ id: 'a', nombre: 'José', apellido: 'Pérez', edad: 45, createdAt: new Date('2026-01-01') }),
+        record({ id: 'b', nombre: 'Jose', apellido: 'Perez', edad: 47, lat: -31.4205 }),
+        // Same name, other side of the city
+        record({ id: 'c', nombre: 'José', apellido: 'Pérez', edad: 45, lat: -31.3 }),
+        // Close by, another person
+        record({ id: 'd', nombre: 'Marta', apellido: 'Gómez', edad: 45, lat: -31.4203 }),
+        // Same name and place, too far apart in age
+        record({ id: 'e', nombre: 'José', apellido: 'Perez', edad: 70, lat: -31.4202 }),
+      ].sort((x, y) => x.lat - y.lat));
+
+      const duplicates = await homelessMergeService.findDuplicates('org-1');
+
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0].records.map((candidate) => candidate.id)).toEqual(['a', 'b']);
+      expect(duplicates[0]).toMatchObject({ nameSimilarity: 1, ageDifference: 2 });
+      expect(duplicates[0].score).toBeGreaterThan(0.8);
+      expect(prisma.homeless.findMany.mock.calls[0][0].select.estadoMental).toBeUndefined();
+    });
+
+    test('should match a nickname against a name', async () => {
+      prisma.homeless.findMany.mockResolvedValue([
+        record({ id: 'a', nombre: 'Juan', lat: -31.4201 }),
+        record({ id: 'b', apodo: 'Juancho', lat: -31.4202 }),
+      ]);
+
+      const duplicates = await homelessMergeService.findDuplicates('org-1', { homelessId: 'b', minScore: 0.5 });
+
+      expect(duplicates).toHaveLength(1);
+      await expect(homelessMergeService.findDuplicates('org-1', { homelessId: 'x' })).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('mergeHomeless', () => {
+    const survivor = record({ id: SURVIVOR_ID, nombre: 'José', apodo: 'Pepe', edad: null });
+    const merged = record({
+      id: MERGED_ID,
+      nombre: 'Jose',
+      apodo: 'Pepito',
+      edad: 46,
+      estadoMental: 'enc:v1:1:iv:tag:ct',
+      atencionMedicaUrgente: true,
+      lat: -31.4205,
+      ultimaVezVisto: new Date('2026-10-15T00:00:00.000Z'),
+    });
+
+    beforeEach(() => {
+      prisma.homeless.findMany.mockResolvedValue([survivor, merged]);
+      prisma.homelessConsent.findMany.mockResolvedValue([{ id: 'consent-1' }, { id: 'consent-2' }]);
+      prisma.homelessVisit.findMany.mockResolvedValue([{ id: 'visit-1' }]);
+      prisma.homelessAssessment.findMany.mockResolvedValue([{ id: 'assessment-1' }]);
+      prisma.case.findMany.mockResolvedValue([{ id: 'case-1' }]);
+      prisma.dataSubjectRequest.findMany.mockResolvedValue([{ id: 'request-1', homelessIds: [MERGED_ID] }]);
+      prisma.homeless.update.mockImplementation(({ data }) => Promise.resolve({ ...survivor, ...data }));
+      prisma.homelessMerge.create.mockImplementation(({ data }) => Promise.resolve({ id: 'merge-1', ...data }));
+    });
+
+    test('should consolidate fields, move relations and keep an undo record', async () => {
+      const { merge, homeless } = await homelessMergeService.mergeHomeless(
+        { survivorId: SURVIVOR_ID, mergedId: MERGED_ID, fields: ['apodo'] },
+        'org-1',
+        'user-1',
+        'DATA_ANALYST'
+      );
+
+      expect(prisma.homelessConsent.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['consent-1', 'consent-2'] } },
+        data: { homelessId: SURVIVOR_ID },
+      });
+      expect(prisma.homelessVisit.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['visit-1'] } },
+        data: { homelessId: SURVIVOR_ID },
+      });
+      expect(prisma.homelessAssessment.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['assessment-1'] } },
+        data: { homelessId: SURVIVOR_ID },
+      });
+      expect(prisma.case.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['case-1'] } },
+        data: { homelessId: SURVIVOR_ID },
+      });
+      expect(prisma.dataSubjectRequest.update).toHaveBeenCalledWith({
+        where: { id: 'request-1' },
+        data: { homelessIds: [SURVIVOR_ID] },
+      });
+
+      // The survivor keeps its name, takes what it lacks and the latest location
+      const { data } = prisma.homeless.update.mock.calls[0][0];
+      expect(data).toEqual({
+        apodo: 'Pepito',
+        edad: 46,
+        estadoMental: 'enc:v1:1:iv:tag:ct',
+        atencionMedicaUrgente: true,
+        lat: -31.4205,
+        ultimaVezVisto: merged.ultimaVezVisto,
+      });
+      expect(prisma.homeless.delete).toHaveBeenCalledWith({ where: { id: MERGED_ID } });
+
+      const created = prisma.homelessMerge.create.mock.calls[0][0].data;
+      expect(created).toMatchObject({
+        survivorId: SURVIVOR_ID,
+        mergedId: MERGED_ID,
+        mergedSnapshot: merged,
+        movedRelations: {
+          homelessConsentIds: ['consent-1', 'consent-2'],
+          homelessVisitIds: ['visit-1'],
+          homelessAssessmentIds: ['assessment-1'],
+          caseIds: ['case-1'],
+          dataSubjectRequests: [{ id: 'request-1', hadSurvivor: false }],
+        },
+        mergedById: 'user-1',
+      });
+      expect(created.changes.apodo).toEqual({ from: 'Pepe', to: 'Pepito' });
+
+      expect(merge.fields).toEqual(['apodo', 'edad', 'estadoMental', 'atencionMedicaUrgente', 'lat', 'ultimaVezVisto']);
+      expect(merge.mergedSnapshot).toBeUndefined();
+      expect(homeless.estadoMental).toBe('[masked]');
+      expect(logAudit).toHaveBeenCalledWith(
+        'user-1',
+        'merge_homeless',
+        'homeless',
+        SURVIVOR_ID,
+        expect.objectContaining({ mergeId: 'merge-1', mergedId: MERGED_ID })
+      );
+    });
+
+    test('should refuse records of other organizations or the same record', async () => {
+      prisma.homeless.findMany.mockResolvedValue([survivor]);
+
+      await expect(
+        homelessMergeService.mergeHomeless({ survivorId: SURVIVOR_ID, mergedId: MERGED_ID }, 'org-1', 'user-1')
+      ).rejects.toMatchObject({ statusCode: 404, message: `Homeless record not found: ${MERGED_ID}` });
+      await expect(
+        homelessMergeService.mergeHomeless({ survivorId: SURVIVOR_ID, mergedId: SURVIVOR_ID }, 'org-1', 'user-1')
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('undoMerge', () => {
+    const merge = {
+      id: 'merge-1',
+      organizationId: 'org-1',
+      survivorId: SURVIVOR_ID,
+      mergedId: MERGED_ID,
+      mergedSnapshot: { id: MERGED_ID, organizationId: 'org-1', nombre: 'Jose', zoneId: 'zone-gone' },
+      changes: {
+        edad: { from: null, to: 46 },
+        apodo: { from: 'Pepe', to: 'Pepito' },
+        ultimaVezVisto: { from: '2026-10-01T00:00:00.000Z', to: '2026-10-15T00:00:00.000Z' },
+      },
+      movedRelations: {
+        homelessConsentIds: ['consent-1'],
+        homelessVisitIds: ['visit-1'],
+        caseIds: ['case-1'],
+        dataSubjectRequests: [{ id: 'request-1', hadSurvivor: false }],
+      },
+      undoneAt: null,
+    };
+
+    beforeEach(() => {
+      prisma.homelessMerge.findFirst.mockResolvedValue(merge);
+      // apodo was edited after the merge
+      prisma.homeless.findUnique.mockResolvedValue(
+        record({
+          id: SURVIVOR_ID,
+          edad: 46,
+          apodo: 'Pepe Grillo',
+          ultimaVezVisto: new Date('2026-10-15T00:00:00.000Z'),
+        })
+      );
+      prisma.zone.findUnique.mockResolvedValue(null);
+      prisma.dataSubjectRequest.findMany.mockResolvedValue([{ id: 'request-1', homelessIds: [SURVIVOR_ID] }]);
+      prisma.homelessMerge.update.mockImplementation(({ data }) => Promise.resolve({ ...merge, ...data }));
+    });
+
+    test('should restore the duplicate and the survivor fields not edited since', async () => {
+      const result = await homelessMergeService.undoMerge('merge-1', 'org-1', 'user-2');
+
+      expect(prisma.homeless.create).toHaveBeenCalledWith({
+        data: { id: MERGED_ID, organizationId: 'org-1', nombre: 'Jose', zoneId: null },
+      });
+      expect(prisma.homelessConsent.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['consent-1'] }, homelessId: SURVIVOR_ID },
+        data: { homelessId: MERGED_ID },
+      });
+      expect(prisma.homelessVisit.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['visit-1'] }, homelessId: SURVIVOR_ID },
+        data: { homelessId: MERGED_ID },
+      });
+      expect(prisma.case.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['case-1'] }, homelessId: SURVIVOR_ID },
+        data: { homelessId: MERGED_ID },
+      });
+      expect(prisma.dataSubjectRequest.update).toHaveBeenCalledWith({
+        where: { id: 'request-1' },
+        data: { homelessIds: [MERGED_ID] },
+      });
+      expect(prisma.homeless.update).toHaveBeenCalledWith({
+        where: { id: SURVIVOR_ID },
+        data: { edad: null, ultimaVezVisto: '2026-10-01T00:00:00.000Z' },
+      });
+      expect(result).toMatchObject({ restoredFields: ['edad', 'ultimaVezVisto'], keptFields: ['apodo'] });
+      expect(result.merge.undoneAt).toEqual(expect.any(Date));
+      expect(logAudit).toHaveBeenCalledWith(
+        'user-2',
+        'undo_homeless_merge',
+        'homeless',
+        MERGED_ID,
+        expect.objectContaining({ mergeId: 'merge-1', keptFields: ['apodo'] })
+      );
+    });
+
+    test('should compare encrypted fields by their plaintext', async () => {
+      const key = generateKey();
+      fieldEncryptionService.keys.set('org-1:1', key);
+      const encryptMental = (value) => fieldEncryptionService.encryptValue(key, 1, value, 'org-1', 'estadoMental');
+      const encryptFisico = (value) => fieldEncryptionService.encryptValue(key, 1, value, 'org-1', 'estadoFisico');
+
+      prisma.homelessMerge.findFirst.mockResolvedValue({
+        ...merge,
+        changes: {
+          estadoMental: { from: null, to: encryptMental('Ansiedad') },
+          estadoFisico: { from: null, to: encryptFisico('Bueno') },
+        },
+      });
+      // Both re-encrypted since the merge (new IV); only estadoFisico was edited
+      prisma.homeless.findUnique.mockResolvedValue(
+        record({ id: SURVIVOR_ID, estadoMental: encryptMental('Ansiedad'), estadoFisico: encryptFisico('Regular') })
+      );
+
+      const result = await homelessMergeService.undoMerge('merge-1', 'org-1', 'user-2');
+
+      expect(result).toMatchObject({ restoredFields: ['estadoMental'], keptFields: ['estadoFisico'] });
+      expect(prisma.homeless.update).toHaveBeenCalledWith({
+        where: { id: SURVIVOR_ID },
+        data: { estadoMental: null },
+      });
+    });
+
+    test('should not undo twice, after an erasure or without the survivor', async () => {
+      prisma.homelessMerge.findFirst.mockResolvedValueOnce({ ...merge, undoneAt: new Date() });
+      await expect(homelessMergeService.undoMerge('merge-1', 'org-1', 'user-2')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+
+      prisma.homelessMerge.findFirst.mockResolvedValueOnce({ ...merge, mergedSnapshot: { redacted: true } });
+      await expect(homelessMergeService.undoMerge('merge-1', 'org-1', 'user-2')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+
+      prisma.homeless.findUnique.mockResolvedValueOnce(null);
+      await expect(homelessMergeService.undoMerge('merge-1', 'org-1', 'user-2')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const prisma = require('../../src/prismaClient');
+const homelessVisitService = require('../../src/modules/homeless/homeless-visit.service');
+const homelessService = require('../../src/modules/homeless/homeless.service');
+const { updateHomelessSchema } = require('../../src/modules/homeless/homeless.validator');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  homeless: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  homelessVisit: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+  },
+  homelessConsent: {
+    findMany: jest.fn(),
+  },
+  zone: {
+    findMany: jest.fn(),
+  },
+  organizationDataKey: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Homeless Visits - Unit Tests', () => {
+  const homeless = {
+    id: 'homeless-1',
+    organizationId: 'org-1',
+    lat: -31.4201,
+    lng: -64.1888,
+    zoneId: 'zone-1',
+    ultimaVezVisto: new Date('2026-10-10T12:00:00.000Z'),
+  };
+
+  beforeEach(() => {
+    prisma.zone.findMany.mockResolvedValue([]);
+    prisma.homelessConsent.findMany.mockResolvedValue([{ scope: 'PERSONAL_DATA' }]);
+    prisma.organizationDataKey.create.mockImplementation(({ data }) => Promise.resolve(data));
+    prisma.homelessVisit.create.mockImplementation(({ data }) =>
+      Promise.resolve({ id: 'visit-1', ...data, visitedBy: { id: data.visitedById } })
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordVisit', () => {
+    test('should log the visit and move the person to it when it is the latest', async () => {
+      const visit = await homelessVisitService.recordVisit(
+        homeless,
+        { lat: -31.4215, lng: -64.1901, services: ['FOOD', 'BLANKET', 'FOOD'] },
+        'user-1',
+        'VOLUNTEER'
+      );
+
+      expect(prisma.homelessVisit.create.mock.calls[0][0].data).toMatchObject({
+        homelessId: 'homeless-1',
+        organizationId: 'org-1',
+        lat: -31.4215,
+        lng: -64.1901,
+        visitedById: 'user-1',
+        services: ['FOOD', 'BLANKET'],
+        condition: null,
+      });
+      const { where, data } = prisma.homeless.updateMany.mock.calls[0][0];
+      // Only while no later visit was recorded in the meantime
+      expect(where).toEqual({ id: 'homeless-1', ultimaVezVisto: { lt: data.ultimaVezVisto } });
+      expect(data).toEqual({ lat: -31.4215, lng: -64.1901, ultimaVezVisto: expect.any(Date), zoneId: null });
+      expect(visit).toMatchObject({ id: 'visit-1', services: ['FOOD', 'BLANKET'] });
+      expect(logAudit).toHaveBeenCalledWith('user-1', 'record_homeless_visit', 'homeless', 'homeless-1', {
+        visitId: 'visit-1',
+        services: ['FOOD', 'BLANKET'],
+      });
+    });
+
+    test('should only add an earlier visit to the timeline', async () => {
+      await homelessVisitService.recordVisit(
+        homeless,
+        { visitedAt: '2026-10-08T09:00:00.000Z', services: ['WATER'] },
+        'user-1',
+        'VOLUNTEER'
+      );
+
+      expect(prisma.homelessVisit.create.mock.calls[0][0].data).toMatchObject({
+        lat: homeless.lat,
+        lng: homeless.lng,
+        visitedAt: new Date('2026-10-08T09:00:00.000Z'),
+      });
+      expect(prisma.homeless.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('should refuse visits in the future', async () => {
+      const visitedAt = new Date(Date.now() + DAY_MS).toISOString();
+
+      await expect(
+        homelessVisitService.recordVisit(homeless, { visitedAt }, 'user-1', 'VOLUNTEER')
+      ).rejects.toMatchObject({ statusCode: 400, message: 'Visit date cannot be in the future' });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    test('should store the condition encrypted, and only with HEALTH_DATA consent', async () => {
+      await expect(
+        homelessVisitService.recordVisit(homeless, { condition: 'Coughing' }, 'user-1', 'SOCIAL_WORKER')
+      ).rejects.toMatchObject({ statusCode: 400, message: 'Consent required to store: condition (HEALTH_DATA)' });
+
+      prisma.homelessConsent.findMany.mockResolvedValue([{ scope: 'HEALTH_DATA' }]);
+      const visit = await homelessVisitService.recordVisit(
+        homeless,
+        { condition: 'Coughing' },
+        'user-1',
+        'SOCIAL_WORKER'
+      );
+
+      expect(prisma.homelessVisit.create.mock.calls[0][0].data.condition).toMatch(/^enc:v1:/);
+      expect(visit.condition).toBe('Coughing');
+    });
+  });
+
+  describe('listVisits', () => {
+    test('should list the timeline newest first with the condition masked for volunteers', async () => {
+      prisma.homelessVisit.findMany.mockResolvedValue([
+        { id: 'visit-2', organizationId: 'org-1', condition: 'enc:v1:1:iv:tag:ct', services: [] },
+        { id: 'visit-1', organizationId: 'org-1', condition: null, services: ['FOOD'] },
+      ]);
+
+      const visits = await homelessVisitService.listVisits('homeless-1', 'VOLUNTEER');
+
+      expect(prisma.homelessVisit.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { homelessId: 'homeless-1' }, orderBy: { visitedAt: 'desc' } })
+      );
+      expect(visits.map((visit) => visit.condition)).toEqual(['[masked]', null]);
+    });
+  });
+
+  describe('updateHomeless', () => {
+    test('should leave the location and last sighting to the visits', async () => {
+      const body = { lat: -31.5, lng: -64.2, ultimaVezVisto: '2026-01-01T00:00:00.000Z', edad: 46 };
+      const parsed = updateHomelessSchema.safeParse({ params: { id: '5d0c8f7e-1b2a-4c3d-8e9f-0a1b2c3d4e5f' }, body });
+
+      expect(parsed.error.issues.map((issue) => issue.path.join('.'))).toEqual([
+        'body.lat',
+        'body.lng',
+        'body.ultimaVezVisto',
+      ]);
+
+      prisma.homeless.findFirst.mockResolvedValue(homeless);
+      prisma.homeless.update.mockImplementation(({ data }) => Promise.resolve({ ...homeless, ...data }));
+
+      await homelessService.updateHomeless('homeless-1', body, 'user-1', 'org-1', 'COORDINATOR');
+
+      expect(prisma.homeless.update.mock.calls[0][0].data).toEqual({ edad: 46 });
+    });
+  });
+
+  describe('findNotSeenSince', () => {
+    test('should list persons not seen in N days within the zones of a field member', async () => {
+      const lastSeen = new Date(Date.now() - 10 * DAY_MS - 1000);
+      prisma.homeless.findMany.mockResolvedValue([
+        { id: 'homeless-1', apodo: 'Pepe', ultimaVezVisto: lastSeen, visits: [{ id: 'visit-1', visitedAt: lastSeen }] },
+        { id: 'homeless-2', apodo: null, ultimaVezVisto: lastSeen, visits: [] },
+      ]);
+
+      const result = await homelessVisitService.findNotSeenSince(7, 'org-1', { userId: 'user-1', zoneIds: ['zone-1'] });
+
+      const { where, orderBy } = prisma.homeless.findMany.mock.calls[0][0];
+      expect(where.organizationId).toBe('org-1');
+      expect(where.ultimaVezVisto.lt.getTime()).toBeCloseTo(Date.now() - 7 * DAY_MS, -4);
+      expect(where.AND).toEqual([{ OR: [{ zoneId: { in: ['zone-1'] } }, { registradoPor: 'user-1' }] }]);
+      expect(orderBy).toEqual({ ultimaVezVisto: 'asc' });
+      expect(result[0]).toMatchObject({ id: 'homeless-1', daysSinceSeen: 10, lastVisit: { id: 'visit-1' } });
+      expect(result[0].visits).toBeUndefined();
+      expect(result[1].lastVisit).toBeNull();
+    });
+  });
+});
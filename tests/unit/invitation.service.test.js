@@ -0,0 +1,197 @@
+const bcrypt = require('bcrypt');
+const prisma = require('../../src/prismaClient');
+const { addEmailJob } = require('../../src/queues');
+const { hashToken } = require('../../src/utils/token.utils');
+const invitationService = require('../../src/modules/invitations/invitation.service');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  organization: {
+    findUnique: jest.fn(),
+  },
+  team: {
+    findFirst: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  teamMember: {
+    upsert: jest.fn(),
+  },
+  invitation: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn(),
+}));
+
+jest.mock('../../src/queues', () => ({
+  addEmailJob: jest.fn(),
+}));
+
+const pendingInvitation = (overrides = {}) => ({
+  id: 'inv-1',
+  email: 'new@example.com',
+  role: 'SOCIAL_WORKER',
+  status: 'PENDING',
+  organizationId: 'org-1',
+  teamId: null,
+  invitedById: 'admin-1',
+  expiresAt: new Date(Date.now() + 60000),
+  organization: { id: 'org-1', name: 'ONG Abrazar', type: 'NGO' },
+  team: null,
+  ...overrides,
+});
+
+describe('InvitationService - Unit Tests', () => {
+  beforeEach(() => {
+    prisma.$transaction.mockImplementation((callback) => callback(prisma));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createInvitation', () => {
+    beforeEach(() => {
+      prisma.organization.findUnique.mockResolvedValue({ id: 'org-1', name: 'ONG Abrazar' });
+      prisma.user.findFirst.mockResolvedValue(null);
+      prisma.invitation.findFirst.mockResolvedValue(null);
+      prisma.invitation.create.mockImplementation(({ data }) => Promise.resolve({ id: 'inv-1', ...data }));
+    });
+
+    it('should store the hashed token and email the invitation link', async () => {
+      await invitationService.createInvitation('org-1', { email: 'New@Example.com', role: 'COORDINATOR' }, 'admin-1');
+
+      const { data } = prisma.invitation.create.mock.calls[0][0];
+      const emailJob = addEmailJob.mock.calls[0][0];
+      const token = new URL(emailJob.templateData.acceptLink).searchParams.get('token');
+
+      expect(data.email).toBe('new@example.com');
+      expect(data.role).toBe('COORDINATOR');
+      expect(data.tokenHash).toBe(hashToken(token));
+      expect(emailJob.template).toBe('organization-invitation');
+      expect(emailJob.templateData.organizationName).toBe('ONG Abrazar');
+    });
+
+    it('should reject emails with a pending invitation', async () => {
+      prisma.invitation.findFirst.mockResolvedValue(pendingInvitation());
+
+      await expect(
+        invitationService.createInvitation('org-1', { email: 'new@example.com' }, 'admin-1')
+      ).rejects.toThrow('A pending invitation already exists for this email');
+      expect(addEmailJob).not.toHaveBeenCalled();
+    });
+
+    it('should reject teams from another organization', async () => {
+      prisma.team.findFirst.mockResolvedValue(null);
+
+      await expect(
+        invitationService.createInvitation('org-1', { email: 'new@example.com', teamId: 'team-2' }, 'admin-1')
+      ).rejects.toThrow('Team not found in this organization');
+    });
+  });
+
+  describe('revokeInvitation', () => {
+    it('should not revoke accepted invitations', async () => {
+      prisma.invitation.findFirst.mockResolvedValue(pendingInvitation({ status: 'ACCEPTED' }));
+
+      await expect(invitationService.revokeInvitation('org-1', 'inv-1')).rejects.toThrow(
+        'Invitation is already accepted'
+      );
+      expect(prisma.invitation.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    beforeEach(() => {
+      prisma.invitation.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should create the account with the invited role and join the team', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(pendingInvitation({ teamId: 'team-1' }));
+      prisma.user.findFirst.mockResolvedValue(null);
+      prisma.user.create.mockResolvedValue({ id: 'user-1', email: 'new@example.com', role: 'SOCIAL_WORKER' });
+
+      const { user } = await invitationService.acceptInvitation('plain-token', {
+        name: 'New Member',
+        password: 'secret123',
+        acceptedTerms: true,
+      });
+
+      const { data } = prisma.user.create.mock.calls[0][0];
+      expect(user.id).toBe('user-1');
+      expect(data.role).toBe('SOCIAL_WORKER');
+      expect(data.organizationId).toBe('org-1');
+      expect(data.emailVerified).toBe(true);
+      expect(await bcrypt.compare('secret123', data.password)).toBe(true);
+      expect(prisma.teamMember.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ create: { teamId: 'team-1', userId: 'user-1' } })
+      );
+      expect(prisma.invitation.updateMany).toHaveBeenCalledWith({
+        where: { id: 'inv-1', status: 'PENDING' },
+        data: { status: 'ACCEPTED', acceptedAt: expect.any(Date), acceptedById: 'user-1' },
+      });
+    });
+
+    it('should fail when a concurrent acceptance used the invitation first', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(pendingInvitation());
+      prisma.user.findFirst.mockResolvedValue(null);
+      prisma.user.create.mockResolvedValue({ id: 'user-1', email: 'new@example.com', role: 'SOCIAL_WORKER' });
+      prisma.invitation.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(
+        invitationService.acceptInvitation('plain-token', { name: 'New', password: 'secret123', acceptedTerms: true })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should require existing accounts to be logged in as the invited email', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(pendingInvitation());
+      prisma.user.findFirst.mockResolvedValue({ id: 'user-1', email: 'New@Example.com', organizationId: null });
+
+      await expect(
+        invitationService.acceptInvitation('plain-token', {}, { id: 'someone-else' })
+      ).rejects.toMatchObject({ statusCode: 401 });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should link an existing logged-in account', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(pendingInvitation());
+      prisma.user.findFirst.mockResolvedValue({ id: 'user-1', email: 'New@Example.com', organizationId: null });
+      prisma.user.update.mockResolvedValue({ id: 'user-1', organizationId: 'org-1', role: 'SOCIAL_WORKER' });
+
+      const { user } = await invitationService.acceptInvitation('plain-token', {}, { id: 'user-1' });
+
+      expect(prisma.user.findFirst).toHaveBeenCalledWith({
+        where: { email: { equals: 'new@example.com', mode: 'insensitive' } },
+      });
+      expect(user.organizationId).toBe('org-1');
+      expect(prisma.user.create).not.toHaveBeenCalled();
+      expect(prisma.user.update.mock.calls[0][0].data).toMatchObject({
+        organizationId: 'org-1',
+        role: 'SOCIAL_WORKER',
+      });
+    });
+
+    it('should mark expired invitations as EXPIRED', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(
+        pendingInvitation({ expiresAt: new Date(Date.now() - 1000) })
+      );
+
+      await expect(invitationService.acceptInvitation('plain-token', {})).rejects.toThrow(
+        'Invitation has expired'
+      );
+      expect(prisma.invitation.update).toHaveBeenCalledWith({
+        where: { id: 'inv-1' },
+        data: { status: 'EXPIRED' },
+      });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const prisma = require('../../src/prismaClient');
+const { PrismaClient } = require('@prisma/client');
+const { redisClient } = require('../../src/config/redis');
+const organizationService = require('../../src/modules/organizations/organization.service');
+const { parseUserAgent, describeIpAddress } = require('../../src/utils/device.utils');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findFirst: jest.fn(),
+  },
+}));
+
+// Session service keeps its own client
+jest.mock('@prisma/client', () => {
+  const mPrisma = {
+    userSession: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    refreshToken: {
+      updateMany: jest.fn(),
+    },
+    revokedToken: {
+      create: jest.fn(),
+    },
+  };
+  return {
+    PrismaClient: jest.fn(() => mPrisma),
+  };
+});
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {
+    status: 'end',
+    set: jest.fn(),
+    get: jest.fn(),
+    del: jest.fn(),
+    srem: jest.fn(),
+    smembers: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/queues', () => ({
+  addEmailJob: jest.fn(),
+}));
+
+const IPHONE_UA =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const WINDOWS_CHROME_UA =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36';
+
+describe('Organization Member Sessions - Unit Tests', () => {
+  const sessionPrisma = new PrismaClient();
+
+  const phoneSession = {
+    id: 'session-phone',
+    userId: 'user-1',
+    token: 'phone-access-token',
+    deviceInfo: IPHONE_UA,
+    ipAddress: '::ffff:190.12.34.56',
+    lastActiveIp: '181.45.67.89',
+    isValid: true,
+    createdAt: new Date(),
+    lastActiveAt: new Date(),
+    expiresAt: new Date(Date.now() + 60000),
+  };
+
+  beforeEach(() => {
+    prisma.user.findFirst.mockResolvedValue({ id: 'user-1', email: 'user@example.com' });
+    sessionPrisma.userSession.findMany.mockResolvedValue([phoneSession]);
+    sessionPrisma.userSession.findUnique.mockResolvedValue(phoneSession);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('device details', () => {
+    it('should parse browser, OS and device type', () => {
+      expect(parseUserAgent(IPHONE_UA)).toEqual({ browser: 'Safari 17', os: 'iOS 17', deviceType: 'mobile' });
+      expect(parseUserAgent(WINDOWS_CHROME_UA)).toEqual({
+        browser: 'Chrome 129',
+        os: 'Windows 10',
+        deviceType: 'desktop',
+      });
+      expect(parseUserAgent(null)).toEqual({ browser: null, os: null, deviceType: null });
+    });
+
+    it('should describe IP addresses without geolocation', () => {
+      expect(describeIpAddress('::ffff:10.1.2.3')).toEqual({ address: '10.1.2.3', version: 4, isPrivate: true });
+      expect(describeIpAddress('2800:40::1')).toEqual({ address: '2800:40::1', version: 6, isPrivate: false });
+    });
+  });
+
+  describe('getMemberSessions', () => {
+    it('should list sessions with device info and without tokens', async () => {
+      const sessions = await organizationService.getMemberSessions('org-1', 'user-1');
+
+      expect(prisma.user.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 'user-1', organizationId: 'org-1' } })
+      );
+      expect(sessions).toEqual([
+        expect.objectContaining({
+          id: 'session-phone',
+          device: { browser: 'Safari 17', os: 'iOS 17', deviceType: 'mobile' },
+          ip: { address: '190.12.34.56', version: 4, isPrivate: false },
+          lastActiveIp: '181.45.67.89',
+        }),
+      ]);
+      expect(sessions[0]).not.toHaveProperty('token');
+    });
+
+    it('should reject users of another organization', async () => {
+      prisma.user.findFirst.mockResolvedValue(null);
+
+      await expect(organizationService.getMemberSessions('org-1', 'user-2')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(sessionPrisma.userSession.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeMemberSession', () => {
+    it('should revoke the session and blacklist its access token', async () => {
+      sessionPrisma.userSession.findFirst.mockResolvedValue(phoneSession);
+
+      await organizationService.revokeMemberSession('org-1', 'user-1', 'session-phone');
+
+      expect(sessionPrisma.userSession.findFirst).toHaveBeenCalledWith({
+        where: { id: 'session-phone', userId: 'user-1', isValid: true },
+      });
+      expect(sessionPrisma.userSession.update).toHaveBeenCalledWith({
+        where: { id: 'session-phone' },
+        data: { isValid: false },
+      });
+      expect(sessionPrisma.refreshToken.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { sessionId: 'session-phone', revokedAt: null } })
+      );
+      expect(sessionPrisma.revokedToken.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ token: 'phone-access-token', reason: 'Revoked by organization admin' }),
+      });
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      sessionPrisma.userSession.findFirst.mockResolvedValue(null);
+
+      await expect(
+        organizationService.revokeMemberSession('org-1', 'user-1', 'session-of-someone-else')
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(sessionPrisma.userSession.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeMemberSessions', () => {
+    it('should revoke every session of the member', async () => {
+      redisClient.smembers.mockResolvedValue(['session-phone']);
+
+      const result = await organizationService.revokeMemberSessions('org-1', 'user-1');
+
+      expect(result).toEqual({ userId: 'user-1', revokedSessions: 1 });
+      expect(sessionPrisma.userSession.updateMany).toHaveBeenCalledWith({
+        where: { userId: 'user-1', isValid: true },
+        data: { isValid: false },
+      });
+      expect(sessionPrisma.revokedToken.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ token: 'phone-access-token', reason: 'Revoked by organization admin' }),
+      });
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const axios = require('axios');
+const prisma = require('../../src/prismaClient');
+const sessionService = require('../../src/modules/sessions/session.service');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+const authService = require('../../src/modules/auth/auth.service');
+const { encryptClientSecret } = require('../../src/modules/auth/oidc.service');
+const { startMockOidcIssuer } = require('../helpers/mockOidcIssuer');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  organizationSso: {
+    findUnique: jest.fn(),
+  },
+  userIdentity: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/config/redis', () => {
+  const store = new Map();
+  return {
+    redisClient: {
+      set: jest.fn(async (key, value) => store.set(key, value)),
+      get: jest.fn(async (key) => store.get(key) ?? null),
+      del: jest.fn(async (key) => store.delete(key)),
+      getdel: jest.fn(async (key) => {
+        const value = store.get(key) ?? null;
+        store.delete(key);
+        return value;
+      }),
+    },
+  };
+});
+
+jest.mock('../../src/modules/sessions/session.service', () => ({
+  createSession: jest.fn().mockResolvedValue({ id: 'session-1' }),
+  issueRefreshToken: jest.fn().mockResolvedValue('refresh-token'),
+}));
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/queues', () => ({
+  addEmailJob: jest.fn(),
+}));
+
+const CLIENT_ID = 'abrazo-test';
+const CLIENT_SECRET = 'test-secret';
+
+describe('OIDC Single Sign-On - Unit Tests', () => {
+  let issuer;
+  let sso;
+
+  /**
+   * Runs the browser part of the flow against the mock issuer
+   * @returns {Promise<Object>} { code, state } sent to the redirect URI
+   */
+  const authorize = async () => {
+    const { authorizationUrl } = await authService.ssoAuthorize('org-1');
+    const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: () => true });
+    const redirect = new URL(response.headers.location);
+
+    return { code: redirect.searchParams.get('code'), state: redirect.searchParams.get('state') };
+  };
+
+  beforeAll(async () => {
+    issuer = await startMockOidcIssuer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+  });
+
+  beforeEach(() => {
+    sso = {
+      id: 'sso-1',
+      organizationId: 'org-1',
+      enabled: true,
+      issuer: issuer.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: encryptClientSecret('org-1', CLIENT_SECRET),
+      scopes: 'openid email profile',
+      roleClaim: 'groups',
+      roleMapping: { 'social-services': 'SOCIAL_WORKER', 'it-admins': 'ORGANIZATION_ADMIN' },
+      defaultRole: 'VOLUNTEER',
+    };
+    prisma.organizationSso.findUnique.mockResolvedValue(sso);
+    prisma.userIdentity.findUnique.mockResolvedValue(null);
+    prisma.user.findUnique.mockResolvedValue(null);
+    prisma.user.findFirst.mockResolvedValue(null);
+    prisma.user.create.mockImplementation(async ({ data }) => ({ id: 'user-new', ...data }));
+    prisma.user.update.mockImplementation(async ({ data }) => ({ id: 'user-1', organizationId: 'org-1', ...data }));
+
+    issuer.setClaims({ sub: 'emp-42', email: 'Ana@Municipio.gob', email_verified: true, name: 'Ana', groups: ['social-services'] });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should build an authorization URL with PKCE, state and nonce', async () => {
+    const { authorizationUrl } = await authService.ssoAuthorize('org-1');
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(authorizationUrl.startsWith(`${issuer.issuer}/authorize?`)).toBe(true);
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBeTruthy();
+    expect(params.get('state')).toBeTruthy();
+    expect(params.get('nonce')).toBeTruthy();
+    expect(params.get('redirect_uri')).toMatch(/\/auth\/sso\/callback$/);
+  });
+
+  it('should provision a new user into the organization on first login', async () => {
+    const { code, state } = await authorize();
+
+    const result = await authService.ssoLogin(code, state, '10.0.0.1', 'UA');
+
+    expect(result).toMatchObject({ token: expect.any(String), refreshToken: 'refresh-token', provisioned: true });
+    expect(result.user.password).toBeUndefined();
+    expect(prisma.user.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        email: 'ana@municipio.gob',
+        role: 'SOCIAL_WORKER',
+        organizationId: 'org-1',
+        emailVerified: true,
+      }),
+    });
+    expect(prisma.userIdentity.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 'user-new', issuer: issuer.issuer, subject: 'emp-42' }),
+    });
+    expect(sessionService.createSession).toHaveBeenCalledWith('user-new', expect.any(String), 'UA', '10.0.0.1');
+    expect(logAudit).toHaveBeenCalledWith(
+      'user-new',
+      'sso_user_provisioned',
+      'user',
+      'user-new',
+      { organizationId: 'org-1' },
+      '10.0.0.1'
+    );
+  });
+
+  it('should log in a linked user and sync the mapped role', async () => {
+    prisma.userIdentity.findUnique.mockResolvedValue({
+      id: 'identity-1',
+      user: { id: 'user-1', organizationId: 'org-1', role: 'VOLUNTEER' },
+    });
+    issuer.setClaims({ sub: 'emp-42', groups: ['social-services', 'it-admins'] });
+    const { code, state } = await authorize();
+
+    const result = await authService.ssoLogin(code, state);
+
+    expect(result.provisioned).toBe(false);
+    expect(prisma.user.create).not.toHaveBeenCalled();
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { role: 'ORGANIZATION_ADMIN', customRoleId: null },
+    });
+  });
+
+  it('should only link an existing account when the provider verified the email', async () => {
+    prisma.user.findFirst.mockResolvedValue({ id: 'user-1', organizationId: 'org-1', role: 'SOCIAL_WORKER' });
+    issuer.setClaims({ sub: 'emp-42', email: 'ana@municipio.gob', groups: ['social-services'] });
+    const { code, state } = await authorize();
+
+    await expect(authService.ssoLogin(code, state)).rejects.toMatchObject({ statusCode: 401 });
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+
+    issuer.setClaims({ sub: 'emp-42', email: 'ana@municipio.gob', email_verified: true, groups: ['social-services'] });
+    const verified = await authorize();
+    const result = await authService.ssoLogin(verified.code, verified.state);
+
+    expect(result.provisioned).toBe(false);
+    expect(prisma.userIdentity.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 'user-1', subject: 'emp-42' }),
+    });
+  });
+
+  it('should match an existing account whatever the case of its email', async () => {
+    prisma.user.findFirst.mockResolvedValue({
+      id: 'user-1',
+      email: 'Ana@Municipio.gob',
+      organizationId: 'org-1',
+      role: 'SOCIAL_WORKER',
+    });
+    const { code, state } = await authorize();
+
+    const result = await authService.ssoLogin(code, state);
+
+    expect(prisma.user.findFirst).toHaveBeenCalledWith({
+      where: { email: { equals: 'ana@municipio.gob', mode: 'insensitive' } },
+    });
+    expect(result.provisioned).toBe(false);
+    expect(prisma.user.create).not.toHaveBeenCalled();
+  });
+
+  it('should store the client secret encrypted', () => {
+    const stored = encryptClientSecret('org-1', CLIENT_SECRET);
+
+    expect(stored).not.toContain(CLIENT_SECRET);
+    expect(stored.startsWith('enc:v1:0:')).toBe(true);
+    expect(encryptClientSecret('org-1', null)).toBeNull();
+    expect(encryptClientSecret('org-1', undefined)).toBeUndefined();
+  });
+
+  it('should use the default role when no claim value is mapped', async () => {
+    issuer.setClaims({ sub: 'emp-7', email: 'juan@municipio.gob', groups: ['other'] });
+    const { code, state } = await authorize();
+
+    await authService.ssoLogin(code, state);
+
+    expect(prisma.user.create.mock.calls[0][0].data.role).toBe('VOLUNTEER');
+  });
+
+  it('should not take over accounts of other organizations', async () => {
+    prisma.user.findFirst.mockResolvedValue({ id: 'user-9', organizationId: 'org-2' });
+    const { code, state } = await authorize();
+
+    await expect(authService.ssoLogin(code, state)).rejects.toMatchObject({ statusCode: 409 });
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject unverified emails', async () => {
+    issuer.setClaims({ sub: 'emp-8', email: 'x@municipio.gob', email_verified: false });
+    const { code, state } = await authorize();
+
+    await expect(authService.ssoLogin(code, state)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should accept each state only once', async () => {
+    const { code, state } = await authorize();
+    await authService.ssoLogin(code, state);
+
+    await expect(authService.ssoLogin(code, state)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should fail when the identity provider rejects the code exchange', async () => {
+    const { code, state } = await authorize();
+    prisma.organizationSso.findUnique.mockResolvedValue({ ...sso, clientSecret: 'wrong-secret' });
+
+    await expect(authService.ssoLogin(code, state)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should return 404 when the organization has no SSO', async () => {
+    prisma.organizationSso.findUnique.mockResolvedValue(null);
+
+    await expect(authService.ssoAuthorize('org-1')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,180 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = require('../../src/prismaClient');
+const organizationRoleService = require('../../src/modules/permissions/organization-role.service');
+const permissionService = require('../../src/modules/permissions/permission.service');
+
+// Mock Prisma (role service)
+jest.mock('../../src/prismaClient', () => ({
+  organizationRole: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn(),
+  },
+  permission: {
+    findMany: jest.fn(),
+  },
+  rolePermission: {
+    findMany: jest.fn(),
+  },
+  user: {
+    findFirst: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+// Mock Prisma (permission service)
+jest.mock('@prisma/client', () => {
+  const mPrisma = {
+    user: {
+      findUnique: jest.fn(),
+    },
+    rolePermission: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+    },
+    organizationRolePermission: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+    },
+    userPermission: {
+      findMany: jest.fn(),
+    },
+  };
+  return {
+    PrismaClient: jest.fn(() => mPrisma),
+  };
+});
+
+describe('Organization Custom Roles - Unit Tests', () => {
+  const permissionPrisma = new PrismaClient();
+
+  const role = {
+    id: 'role-1',
+    organizationId: 'org-1',
+    name: 'Outreach lead',
+    description: null,
+    baseRole: 'SOCIAL_WORKER',
+    permissions: [{ permission: { name: 'cases:read' } }, { permission: { name: 'cases:assign' } }],
+    _count: { members: 0 },
+  };
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRole', () => {
+    it('should start from the base role permissions, leaving out global ones', async () => {
+      prisma.organizationRole.findFirst.mockResolvedValue(null);
+      prisma.rolePermission.findMany.mockResolvedValue([
+        { permission: { id: 'p-cases-read', name: 'cases:read' } },
+        { permission: { id: 'p-users-delete', name: 'users:delete' } },
+      ]);
+      prisma.organizationRole.create.mockResolvedValue(role);
+
+      const created = await organizationRoleService.createRole('org-1', {
+        name: 'Outreach lead',
+        baseRole: 'SOCIAL_WORKER',
+      });
+
+      expect(prisma.rolePermission.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { role: 'SOCIAL_WORKER' } })
+      );
+      expect(prisma.organizationRole.create.mock.calls[0][0].data.permissions).toEqual({
+        create: [{ permissionId: 'p-cases-read' }],
+      });
+      expect(created).toMatchObject({
+        id: 'role-1',
+        baseRole: 'SOCIAL_WORKER',
+        permissions: ['cases:assign', 'cases:read'],
+        memberCount: 0,
+      });
+    });
+
+    it('should reject global permissions and duplicate names', async () => {
+      prisma.organizationRole.findFirst.mockResolvedValueOnce(null);
+      await expect(
+        organizationRoleService.createRole('org-1', {
+          name: 'Too much',
+          baseRole: 'COORDINATOR',
+          permissions: ['cases:read', 'permissions:manage'],
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      prisma.organizationRole.findFirst.mockResolvedValueOnce({ id: 'role-1' });
+      await expect(
+        organizationRoleService.createRole('org-1', { name: 'Outreach lead', baseRole: 'VOLUNTEER' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(prisma.organizationRole.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assignRole', () => {
+    it('should set the custom role and its base role on the member', async () => {
+      prisma.organizationRole.findFirst.mockResolvedValue(role);
+      prisma.user.findFirst.mockResolvedValue({ id: 'user-1', customRoleId: null });
+      prisma.user.update.mockResolvedValue({ id: 'user-1', role: 'SOCIAL_WORKER', customRoleId: 'role-1' });
+
+      await organizationRoleService.assignRole('org-1', 'role-1', 'user-1');
+
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 'user-1' },
+        data: { customRoleId: 'role-1', role: 'SOCIAL_WORKER' },
+        select: { id: true, role: true, customRoleId: true },
+      });
+    });
+
+    it('should not assign roles to users of other organizations', async () => {
+      prisma.organizationRole.findFirst.mockResolvedValue(role);
+      prisma.user.findFirst.mockResolvedValue(null);
+
+      await expect(organizationRoleService.assignRole('org-1', 'role-1', 'user-9')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('should refuse to delete a role that still has members', async () => {
+      prisma.organizationRole.findFirst.mockResolvedValue({ ...role, _count: { members: 2 } });
+
+      await expect(organizationRoleService.deleteRole('org-1', 'role-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(prisma.organizationRole.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('permission resolution', () => {
+    it('should check the custom role instead of the base role', async () => {
+      permissionPrisma.user.findUnique.mockResolvedValue({ role: 'SOCIAL_WORKER', customRoleId: 'role-1' });
+      permissionPrisma.organizationRolePermission.findFirst.mockResolvedValue({ id: 'orp-1' });
+      permissionPrisma.userPermission.findMany.mockResolvedValue([]);
+
+      const allowed = await permissionService.hasPermission('user-1', 'cases:assign');
+
+      expect(allowed).toBe(true);
+      expect(permissionPrisma.organizationRolePermission.findFirst).toHaveBeenCalledWith({
+        where: { organizationRoleId: 'role-1', permission: { name: 'cases:assign' } },
+      });
+      expect(permissionPrisma.rolePermission.findFirst).not.toHaveBeenCalled();
+    });
+
+    it('should combine custom role permissions with user overrides', async () => {
+      permissionPrisma.user.findUnique.mockResolvedValue({ role: 'SOCIAL_WORKER', customRoleId: 'role-1' });
+      permissionPrisma.organizationRolePermission.findMany.mockResolvedValue([
+        { permission: { name: 'cases:read' } },
+        { permission: { name: 'cases:assign' } },
+      ]);
+      permissionPrisma.userPermission.findMany.mockResolvedValue([
+        { granted: false, permission: { name: 'cases:assign' } },
+        { granted: true, permission: { name: 'zones:create' } },
+      ]);
+
+      const permissions = await permissionService.getUserPermissions('user-1');
+
+      expect(permissions.map(({ name }) => name).sort()).toEqual(['cases:read', 'zones:create']);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const prisma = require('../../src/prismaClient');
+const sessionService = require('../../src/modules/sessions/session.service');
+const { addEmailJob } = require('../../src/queues');
+const authService = require('../../src/modules/auth/auth.service');
+const accountLockout = require('../../src/modules/auth/account-lockout.service');
+const AppError = require('../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  passwordResetToken: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn(),
+}));
+
+jest.mock('../../src/modules/sessions/session.service', () => ({
+  revokeAllUserSessions: jest.fn(),
+}));
+
+jest.mock('../../src/queues', () => ({
+  addEmailJob: jest.fn(),
+}));
+
+jest.mock('../../src/modules/auth/account-lockout.service', () => ({
+  assertNotLocked: jest.fn(),
+  recordFailedAttempt: jest.fn(),
+  clearFailedAttempts: jest.fn(),
+  unlockAccount: jest.fn(),
+}));
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Password Reset - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestPasswordReset', () => {
+    it('should store only the token hash and email the plain token', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'user@example.com', name: 'User' });
+
+      await authService.requestPasswordReset('user@example.com', '127.0.0.1');
+
+      expect(prisma.passwordResetToken.updateMany).toHaveBeenCalledWith({
+        where: { userId: 'user-1', usedAt: null },
+        data: { usedAt: expect.any(Date) },
+      });
+
+      const { data } = prisma.passwordResetToken.create.mock.calls[0][0];
+      const emailJob = addEmailJob.mock.calls[0][0];
+      const token = new URL(emailJob.templateData.resetLink).searchParams.get('token');
+
+      expect(emailJob.to).toBe('user@example.com');
+      expect(emailJob.template).toBe('password-reset');
+      expect(data.tokenHash).toBe(sha256(token));
+      expect(data.tokenHash).not.toBe(token);
+      expect(data.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should do nothing for unknown emails', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      await authService.requestPasswordReset('nobody@example.com');
+
+      expect(prisma.passwordResetToken.create).not.toHaveBeenCalled();
+      expect(addEmailJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    beforeEach(() => {
+      prisma.$transaction.mockImplementation((callback) => callback(prisma));
+      prisma.passwordResetToken.updateMany.mockResolvedValue({ count: 1 });
+      prisma.user.update.mockResolvedValue({ id: 'user-1', email: 'user@example.com' });
+    });
+
+    it('should update the password, consume the token, revoke all sessions and unlock the account', async () => {
+      prisma.passwordResetToken.findUnique.mockResolvedValue({
+        id: 'reset-1',
+        userId: 'user-1',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      await authService.resetPassword('plain-token', 'newPassword123');
+
+      expect(prisma.passwordResetToken.findUnique).toHaveBeenCalledWith({
+        where: { tokenHash: sha256('plain-token') },
+      });
+      expect(prisma.$transaction).toHaveBeenCalled();
+      expect(prisma.passwordResetToken.updateMany).toHaveBeenCalledWith({
+        where: { id: 'reset-1', usedAt: null, expiresAt: { gt: expect.any(Date) } },
+        data: { usedAt: expect.any(Date) },
+      });
+
+      const { data } = prisma.user.update.mock.calls[0][0];
+      expect(await bcrypt.compare('newPassword123', data.password)).toBe(true);
+      expect(data.refreshToken).toBeNull();
+      expect(sessionService.revokeAllUserSessions).toHaveBeenCalledWith('user-1');
+      expect(accountLockout.unlockAccount).toHaveBeenCalledWith('user@example.com');
+    });
+
+    it('should reject a token consumed by a concurrent reset', async () => {
+      prisma.passwordResetToken.findUnique.mockResolvedValue({
+        id: 'reset-1',
+        userId: 'user-1',
+        usedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+      });
+      prisma.passwordResetToken.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(authService.resetPassword('plain-token', 'newPassword123')).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+      expect(sessionService.revokeAllUserSessions).not.toHaveBeenCalled();
+      expect(accountLockout.unlockAccount).not.toHaveBeenCalled();
+    });
+
+    it('should reject an already used token', async () => {
+      prisma.passwordResetToken.findUnique.mockResolvedValue({
+        id: 'reset-1',
+        userId: 'user-1',
+        usedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      await expect(authService.resetPassword('plain-token', 'newPassword123')).rejects.toThrow(AppError);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expired token', async () => {
+      prisma.passwordResetToken.findUnique.mockResolvedValue({
+        id: 'reset-1',
+        userId: 'user-1',
+        usedAt: null,
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      await expect(authService.resetPassword('plain-token', 'newPassword123')).rejects.toThrow(
+        'Password reset token is invalid or has expired'
+      );
+      expect(sessionService.revokeAllUserSessions).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown token', async () => {
+      prisma.passwordResetToken.findUnique.mockResolvedValue(null);
+
+      await expect(authService.resetPassword('unknown', 'newPassword123')).rejects.toThrow(AppError);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const permissionService = require('../../src/modules/permissions/permission.service');
+const { PERMISSIONS, buildCatalogue } = require('../../src/modules/permissions/permission.catalogue');
+const { requirePermission, requireAnyPermission } = require('../../src/middlewares/permission.middleware');
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mPrisma = {
+    user: {
+      findUnique: jest.fn(),
+    },
+    permission: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+    },
+    rolePermission: {
+      findFirst: jest.fn(),
+      createMany: jest.fn(),
+    },
+    userPermission: {
+      findMany: jest.fn(),
+    },
+  };
+  return {
+    PrismaClient: jest.fn(() => mPrisma),
+  };
+});
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {},
+}));
+
+describe('Permission Catalogue - Unit Tests', () => {
+  const prisma = new PrismaClient();
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requirePermission', () => {
+    it('should fail at declaration for permissions outside the catalogue', () => {
+      expect(() => requirePermission('cases:destroy')).toThrow(/Unknown permission "cases:destroy"/);
+      expect(() => requireAnyPermission('cases:read', 'zones:teleport')).toThrow(/zones:teleport/);
+    });
+
+    it('should check the permission table instead of the role', async () => {
+      const req = { user: { id: 'user-1', role: 'COORDINATOR' }, headers: {} };
+      const next = jest.fn();
+      prisma.user.findUnique.mockResolvedValue({ role: 'COORDINATOR' });
+
+      // Role grant removed by an admin
+      prisma.rolePermission.findFirst.mockResolvedValueOnce(null);
+      prisma.userPermission.findMany.mockResolvedValueOnce([]);
+      await requirePermission('zones:update')(req, {}, next);
+
+      // Granted to this user only
+      prisma.rolePermission.findFirst.mockResolvedValueOnce(null);
+      prisma.userPermission.findMany.mockResolvedValueOnce([{ granted: true }]);
+      await requirePermission('zones:delete')(req, {}, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+      expect(next.mock.calls[1][0]).toBeUndefined();
+    });
+  });
+
+  describe('buildCatalogue', () => {
+    it('should list the routes requiring each permission, including router-level guards', () => {
+      const casesRouter = express.Router();
+      casesRouter.get('/', (req, res) => res.end());
+      casesRouter.delete('/:id', requirePermission('cases:delete'), (req, res) => res.end());
+
+      const adminRouter = express.Router();
+      adminRouter.use(requirePermission('permissions:manage'));
+      adminRouter.get('/roles/:role', (req, res) => res.end());
+
+      const app = express();
+      app.use('/api/cases', casesRouter);
+      app.use('/api/permissions', adminRouter);
+
+      const catalogue = buildCatalogue(app);
+      const byName = Object.fromEntries(catalogue.map((permission) => [permission.name, permission]));
+
+      expect(catalogue).toHaveLength(PERMISSIONS.length);
+      expect(byName['cases:delete']).toMatchObject({
+        resource: 'cases',
+        action: 'delete',
+        defaultRoles: ['ADMIN', 'ORGANIZATION_ADMIN'],
+        routes: [{ method: 'DELETE', path: '/api/cases/:id', match: 'all' }],
+      });
+      expect(byName['permissions:manage'].routes).toEqual([
+        { method: 'GET', path: '/api/permissions/roles/:role', match: 'all' },
+      ]);
+      expect(byName['cases:read'].routes).toEqual([]);
+    });
+  });
+
+  describe('syncCatalogue', () => {
+    it('should only create missing permissions with their default roles', async () => {
+      const existing = PERMISSIONS.filter((permission) => permission.name !== 'zones:delete');
+      prisma.permission.findMany.mockResolvedValue(existing.map(({ name }) => ({ name })));
+      prisma.permission.create.mockResolvedValue({ id: 'perm-zones-delete' });
+
+      const created = await permissionService.syncCatalogue();
+
+      expect(created).toEqual(['zones:delete']);
+      expect(prisma.permission.create).toHaveBeenCalledTimes(1);
+      expect(prisma.permission.create).toHaveBeenCalledWith({
+        data: { name: 'zones:delete', description: 'Delete zones', resource: 'zones', action: 'delete' },
+      });
+      expect(prisma.rolePermission.createMany).toHaveBeenCalledWith({
+        data: [
+          { role: 'ADMIN', permissionId: 'perm-zones-delete' },
+          { role: 'ORGANIZATION_ADMIN', permissionId: 'perm-zones-delete' },
+        ],
+        skipDuplicates: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const prisma = require('../../src/prismaClient');
+const permissionExplainService = require('../../src/modules/permissions/permission-explain.service');
+const { explainPermissionSchema } = require('../../src/modules/permissions/permission.validators');
+const {
+  canViewCase,
+  canEditCase,
+  canManageTeam,
+  canViewTeam,
+  requirePermission,
+} = require('../../src/middlewares/permission.middleware');
+
+jest.mock('../../src/config/redis', () => ({ redisClient: {}, redisSubscriber: {} }));
+
+// Mock Prisma (explain and access services)
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findUnique: jest.fn(),
+  },
+  case: {
+    findUnique: jest.fn(),
+  },
+  homeless: {
+    findUnique: jest.fn(),
+  },
+  zone: {
+    findUnique: jest.fn(),
+  },
+  team: {
+    findUnique: jest.fn(),
+  },
+  teamMember: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+  },
+  zoneAssignment: {
+    findMany: jest.fn(),
+  },
+}));
+
+// Mock Prisma (permission service)
+jest.mock('@prisma/client', () => {
+  const mPrisma = {
+    user: {
+      findUnique: jest.fn(),
+    },
+    rolePermission: {
+      findFirst: jest.fn(),
+    },
+    organizationRolePermission: {
+      findFirst: jest.fn(),
+    },
+    userPermission: {
+      findMany: jest.fn(),
+    },
+  };
+  return {
+    PrismaClient: jest.fn(() => mPrisma),
+  };
+});
+
+const HOUR = 60 * 60 * 1000;
+
+// The explain reads the resource checks from the routes, like the catalogue
+const handler = (req, res) => res.end();
+const cases = express.Router();
+cases.get('/:id', requirePermission('cases:read'), canViewCase, handler);
+cases.patch('/:id', requirePermission('cases:update'), canEditCase, handler);
+const teams = express.Router();
+teams.patch('/:id', requirePermission('teams:update'), canViewTeam, handler);
+teams.post('/:id/members', requirePermission('teams:manage'), canManageTeam, handler);
+const app = express();
+app.use('/api/cases', cases);
+app.use('/api/teams', teams);
+
+describe('Permission Explain - Unit Tests', () => {
+  const permissionPrisma = new PrismaClient();
+
+  const caseInOrg2 = {
+    organizationId: 'org-2',
+    zoneId: 'zone-1',
+    assignedToTeamId: null,
+    createdBy: 'user-9',
+    assignedToUserId: null,
+  };
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should trace a case edit denied by tenant isolation', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      id: 'user-1',
+      email: 'coordinator@org1.org',
+      role: 'COORDINATOR',
+      organizationId: 'org-1',
+      customRoleId: null,
+    });
+    prisma.case.findUnique.mockResolvedValue(caseInOrg2);
+    permissionPrisma.user.findUnique.mockResolvedValue({ role: 'COORDINATOR', customRoleId: null, customRole: null });
+    permissionPrisma.rolePermission.findFirst.mockResolvedValue({ id: 'rp-1' });
+    permissionPrisma.userPermission.findMany.mockResolvedValue([]);
+
+    const explanation = await permissionExplainService.explain({
+      userId: 'user-1',
+      action: 'cases:update',
+      resourceType: 'case',
+      resourceId: 'case-1',
+    }, app);
+
+    expect(explanation.allowed).toBe(false);
+    expect(explanation.checks.map(({ check, passed }) => [check, passed])).toEqual([
+      ['permission', true],
+      ['tenant', false],
+      ['canEditCase', false],
+    ]);
+    expect(explanation.checks[0].detail).toMatchObject({
+      decidedBy: 'role',
+      role: { role: 'COORDINATOR', granted: true },
+      overrides: [],
+    });
+    expect(explanation.checks[1].detail.reason).toBe('organization mismatch');
+  });
+
+  it('should show overrides that no longer apply and zones out of reach', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      id: 'user-2',
+      email: 'volunteer@org2.org',
+      role: 'VOLUNTEER',
+      organizationId: 'org-2',
+      customRoleId: null,
+    });
+    prisma.case.findUnique.mockResolvedValue(caseInOrg2);
+    prisma.zoneAssignment.findMany.mockResolvedValue([{ zoneId: 'zone-7' }]);
+    prisma.teamMember.findMany.mockResolvedValue([]);
+    permissionPrisma.user.findUnique.mockResolvedValue({ role: 'VOLUNTEER', customRoleId: null, customRole: null });
+    // Volunteers only see their zones and teams
+    permissionPrisma.rolePermission.findFirst.mockImplementation(async ({ where }) =>
+      where.permission.name === 'visibility:organization' ? null : { id: 'rp-2' }
+    );
+    permissionPrisma.userPermission.findMany.mockResolvedValue([
+      {
+        granted: false,
+        validFrom: null,
+        validUntil: new Date(Date.now() - HOUR),
+        zoneId: null,
+        teamId: null,
+        reason: 'Suspended for a week',
+      },
+    ]);
+
+    const explanation = await permissionExplainService.explain({
+      userId: 'user-2',
+      action: 'cases:read',
+      resourceType: 'case',
+      resourceId: 'case-1',
+    }, app);
+
+    const checks = Object.fromEntries(explanation.checks.map((check) => [check.check, check]));
+    expect(explanation.allowed).toBe(false);
+    expect(checks.permission.passed).toBe(true);
+    expect(checks.permission.detail.decidedBy).toBe('role');
+    expect(checks.permission.detail.overrides).toMatchObject([{ applies: false, skippedBecause: 'expired' }]);
+    expect(checks.tenant.passed).toBe(true);
+    expect(checks.visibility).toMatchObject({ passed: false, detail: { zoneIds: ['zone-7'], teamIds: [] } });
+    expect(checks.canViewCase.passed).toBe(false);
+  });
+
+  it('should let an applicable user override decide', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-3', role: 'COORDINATOR', organizationId: 'org-1' });
+    permissionPrisma.user.findUnique.mockResolvedValue({ role: 'COORDINATOR', customRoleId: null, customRole: null });
+    permissionPrisma.rolePermission.findFirst.mockResolvedValue({ id: 'rp-3' });
+    permissionPrisma.userPermission.findMany.mockResolvedValue([{ granted: false, validFrom: null, validUntil: null }]);
+
+    const explanation = await permissionExplainService.explain({ userId: 'user-3', action: 'zones:create' }, app);
+
+    expect(explanation.allowed).toBe(false);
+    expect(explanation.resource).toBeNull();
+    expect(explanation.checks).toHaveLength(1);
+    expect(explanation.checks[0].detail).toMatchObject({
+      decidedBy: 'userOverride',
+      overrides: [{ granted: false, applies: true }],
+    });
+  });
+
+  it('should replay the resource check the routes of the action run', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-4', role: 'COORDINATOR', organizationId: 'org-1' });
+    prisma.team.findUnique.mockResolvedValue({ organizationId: 'org-1' });
+    prisma.teamMember.findFirst.mockResolvedValue(null);
+    permissionPrisma.user.findUnique.mockResolvedValue({ role: 'COORDINATOR', customRoleId: null, customRole: null });
+    permissionPrisma.rolePermission.findFirst.mockResolvedValue({ id: 'rp-4' });
+    permissionPrisma.userPermission.findMany.mockResolvedValue([]);
+
+    const explanation = await permissionExplainService.explain({
+      userId: 'user-4',
+      action: 'teams:update',
+      resourceType: 'team',
+      resourceId: 'team-1',
+    }, app);
+
+    expect(explanation.allowed).toBe(true);
+    expect(explanation.checks.map(({ check, passed }) => [check, passed])).toEqual([
+      ['permission', true],
+      ['tenant', true],
+      ['canViewTeam', true],
+    ]);
+  });
+
+  it('should return 404 for unknown users and resources', async () => {
+    prisma.user.findUnique.mockResolvedValueOnce(null);
+    await expect(
+      permissionExplainService.explain({ userId: 'user-x', action: 'cases:read' }, app)
+    ).rejects.toMatchObject({ statusCode: 404 });
+
+    prisma.user.findUnique.mockResolvedValueOnce({ id: 'user-1', role: 'COORDINATOR', organizationId: 'org-1' });
+    prisma.team.findUnique.mockResolvedValue(null);
+    await expect(
+      permissionExplainService.explain({
+        userId: 'user-1',
+        action: 'teams:manage',
+        resourceType: 'team',
+        resourceId: 'team-x',
+      }, app)
+    ).rejects.toMatchObject({ statusCode: 404, message: 'Team not found' });
+  });
+
+  it('should validate the query', () => {
+    const userId = '6f1c2a9e-8a47-4b5e-9a3d-2c1b0f9e8d7c';
+
+    expect(() => explainPermissionSchema.parse({ query: { userId, action: 'cases:update' } })).not.toThrow();
+    expect(() => explainPermissionSchema.parse({ query: { userId, action: 'cases:destroy' } })).toThrow();
+    expect(() =>
+      explainPermissionSchema.parse({ query: { userId, action: 'cases:read', resourceType: 'case' } })
+    ).toThrow(/resourceType and resourceId go together/);
+  });
+});
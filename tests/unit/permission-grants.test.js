@@ -0,0 +1,209 @@
+const { PrismaClient } = require('@prisma/client');
+const permissionService = require('../../src/modules/permissions/permission.service');
+const { logAudit } = require('../../src/modules/audit/audit.service');
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mPrisma = {
+    user: {
+      findUnique: jest.fn(),
+    },
+    permission: {
+      findUnique: jest.fn(),
+    },
+    rolePermission: {
+      findFirst: jest.fn(),
+    },
+    userPermission: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    zone: {
+      findFirst: jest.fn(),
+    },
+    team: {
+      findFirst: jest.fn(),
+    },
+  };
+  return {
+    PrismaClient: jest.fn(() => mPrisma),
+  };
+});
+
+jest.mock('../../src/modules/audit/audit.service', () => ({
+  logAudit: jest.fn(),
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Temporary and Scoped Permission Grants - Unit Tests', () => {
+  const prisma = new PrismaClient();
+
+  beforeEach(() => {
+    // Volunteer without zones:update through their role
+    prisma.user.findUnique.mockResolvedValue({ role: 'VOLUNTEER', customRoleId: null, organizationId: 'org-1' });
+    prisma.rolePermission.findFirst.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('hasPermission', () => {
+    it('should only apply a grant inside its validity window', async () => {
+      const now = Date.now();
+
+      prisma.userPermission.findMany.mockResolvedValueOnce([
+        { granted: true, validFrom: new Date(now - HOUR), validUntil: new Date(now + HOUR) },
+      ]);
+      expect(await permissionService.hasPermission('user-1', 'zones:update')).toBe(true);
+
+      prisma.userPermission.findMany.mockResolvedValueOnce([
+        { granted: true, validFrom: new Date(now + HOUR), validUntil: new Date(now + 2 * HOUR) },
+      ]);
+      expect(await permissionService.hasPermission('user-1', 'zones:update')).toBe(false);
+
+      prisma.userPermission.findMany.mockResolvedValueOnce([
+        { granted: true, validFrom: null, validUntil: new Date(now - HOUR) },
+      ]);
+      expect(await permissionService.hasPermission('user-1', 'zones:update')).toBe(false);
+    });
+
+    it('should fall back to the role when a temporary denial has expired', async () => {
+      prisma.rolePermission.findFirst.mockResolvedValue({ id: 'rp-1' });
+      prisma.userPermission.findMany.mockResolvedValue([
+        { granted: false, validUntil: new Date(Date.now() - HOUR) },
+      ]);
+
+      expect(await permissionService.hasPermission('user-1', 'cases:read')).toBe(true);
+    });
+
+    it('should only apply a scoped grant to its zone or team', async () => {
+      prisma.userPermission.findMany.mockResolvedValue([{ granted: true, zoneId: 'zone-1', teamId: null }]);
+
+      expect(await permissionService.hasPermission('user-1', 'zones:update', { zoneId: 'zone-1' })).toBe(true);
+      expect(await permissionService.hasPermission('user-1', 'zones:update', { zoneId: 'zone-2' })).toBe(false);
+      expect(await permissionService.hasPermission('user-1', 'zones:update')).toBe(false);
+    });
+
+    it('should evaluate every grant of the permission', async () => {
+      const now = Date.now();
+      prisma.userPermission.findMany.mockResolvedValue([
+        // Weekend coverage in the north zone, expired
+        { granted: true, zoneId: 'zone-1', teamId: null, validUntil: new Date(now - HOUR) },
+        // Current coverage in the south zone
+        { granted: true, zoneId: 'zone-2', teamId: null, validUntil: new Date(now + HOUR) },
+      ]);
+
+      expect(await permissionService.hasPermission('user-1', 'zones:update', { zoneId: 'zone-1' })).toBe(false);
+      expect(await permissionService.hasPermission('user-1', 'zones:update', { zoneId: 'zone-2' })).toBe(true);
+    });
+  });
+
+  describe('assignPermission', () => {
+    it('should store the window, scope, reason and grantor', async () => {
+      prisma.permission.findUnique.mockResolvedValue({ id: 'perm-1', name: 'zones:update' });
+      prisma.zone.findFirst.mockResolvedValue({ id: 'zone-1' });
+
+      await permissionService.assignPermission('user-1', 'zones:update', {
+        validFrom: '2026-10-24T00:00:00.000Z',
+        validUntil: '2026-10-26T00:00:00.000Z',
+        zoneId: 'zone-1',
+        reason: 'Weekend coverage',
+        grantedById: 'admin-1',
+      });
+
+      expect(prisma.zone.findFirst).toHaveBeenCalledWith({
+        where: { id: 'zone-1', organizationId: 'org-1' },
+        select: { id: true },
+      });
+      expect(prisma.userPermission.create).toHaveBeenCalledWith({
+        data: {
+          userId: 'user-1',
+          permissionId: 'perm-1',
+          granted: true,
+          validFrom: new Date('2026-10-24T00:00:00.000Z'),
+          validUntil: new Date('2026-10-26T00:00:00.000Z'),
+          zoneId: 'zone-1',
+          teamId: null,
+          reason: 'Weekend coverage',
+          grantedById: 'admin-1',
+        },
+      });
+    });
+
+    it('should refuse grants while the user is denied the permission', async () => {
+      prisma.permission.findUnique.mockResolvedValue({ id: 'perm-1', name: 'zones:update' });
+      prisma.userPermission.findFirst.mockResolvedValue({ id: 'up-denial' });
+
+      await expect(permissionService.assignPermission('user-1', 'zones:update')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+      expect(prisma.userPermission.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject scopes outside the user organization', async () => {
+      prisma.permission.findUnique.mockResolvedValue({ id: 'perm-1', name: 'teams:delete' });
+      prisma.team.findFirst.mockResolvedValue(null);
+
+      await expect(
+        permissionService.assignPermission('user-1', 'teams:delete', { teamId: 'team-other-org' })
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.userPermission.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeGrant', () => {
+    it('should only delete the given grant of the user', async () => {
+      prisma.userPermission.findFirst.mockResolvedValue({ id: 'up-2', granted: true, permission: { name: 'zones:update' } });
+
+      const grant = await permissionService.removeGrant('user-1', 'up-2');
+
+      expect(grant.permission.name).toBe('zones:update');
+      expect(prisma.userPermission.findFirst.mock.calls[0][0].where).toEqual({ id: 'up-2', userId: 'user-1' });
+      expect(prisma.userPermission.deleteMany).toHaveBeenCalledWith({ where: { id: 'up-2' } });
+    });
+
+    it('should return 404 for grants of other users', async () => {
+      prisma.userPermission.findFirst.mockResolvedValue(null);
+
+      await expect(permissionService.removeGrant('user-1', 'up-9')).rejects.toMatchObject({ statusCode: 404 });
+      expect(prisma.userPermission.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeExpiredGrants', () => {
+    it('should delete expired grants and audit each expiry', async () => {
+      const validUntil = new Date(Date.now() - HOUR);
+      prisma.userPermission.findMany.mockResolvedValue([
+        {
+          id: 'up-1',
+          userId: 'user-1',
+          granted: true,
+          validFrom: null,
+          validUntil,
+          zoneId: 'zone-1',
+          teamId: null,
+          reason: 'Weekend coverage',
+          grantedById: 'admin-1',
+          permission: { name: 'zones:update' },
+        },
+      ]);
+
+      const purged = await permissionService.purgeExpiredGrants();
+
+      expect(purged).toBe(1);
+      expect(prisma.userPermission.findMany.mock.calls[0][0].where).toEqual({ validUntil: { lte: expect.any(Date) } });
+      expect(prisma.userPermission.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['up-1'] } } });
+      expect(logAudit).toHaveBeenCalledWith(
+        'user-1',
+        'permission_grant_expired',
+        'user',
+        'user-1',
+        expect.objectContaining({ permission: 'zones:update', validUntil, grantedById: 'admin-1' })
+      );
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  PERMISSIONS,
+  listProtectedRoutes,
+  listResourceChecks,
+} = require('../../src/modules/permissions/permission.catalogue');
+
+// The app is only built, never called: any model, client or queue method will do
+jest.mock('@prisma/client', () => {
+  const client = new Proxy({}, { get: () => new Proxy({}, { get: () => jest.fn() }) });
+  return { PrismaClient: jest.fn(() => client), Prisma: {} };
+});
+
+jest.mock('../../src/config/redis', () => {
+  const offline = () => new Proxy({ status: 'end' }, { get: (target, key) => target[key] ?? jest.fn() });
+  return { redisClient: offline(), redisSubscriber: offline() };
+});
+
+jest.mock('../../src/queues', () => new Proxy({ isRedisAvailable: false }, {
+  get: (target, key) => target[key] ?? jest.fn(),
+}));
+
+// Migrations that grant the permissions routes and access checks started requiring
+const BACKFILL_MIGRATIONS = [
+  '20261019180000_backfill_route_permissions',
+  '20261020080000_grant_case_team_member_permissions',
+  '20261020090000_add_organization_visibility_permission',
+];
+
+describe('Route Permissions - Unit Tests', () => {
+  const permissionsByName = new Map(PERMISSIONS.map((permission) => [permission.name, permission]));
+
+  it('should only use catalogue permissions in the application routes', () => {
+    const app = require('../../src/app');
+
+    const routes = listProtectedRoutes(app);
+    const undeclared = routes
+      .flatMap(({ method, path: routePath, permissions }) =>
+        permissions.map((name) => ({ route: `${method} ${routePath}`, name }))
+      )
+      .filter(({ name }) => !permissionsByName.has(name));
+
+    expect(routes.length).toBeGreaterThan(0);
+    expect(undeclared).toEqual([]);
+  });
+
+  it('should list the resource checks the routes run, which the permission explain replays', () => {
+    const app = require('../../src/app');
+
+    expect(listResourceChecks(app, 'case', 'cases:read')).toEqual(['canViewCase']);
+    expect(listResourceChecks(app, 'case', 'cases:update')).toEqual(['canEditCase']);
+    expect(listResourceChecks(app, 'case', 'cases:assign')).toEqual(['canAssignCase']);
+    expect(listResourceChecks(app, 'team', 'teams:update')).toEqual(['canViewTeam']);
+    expect(listResourceChecks(app, 'team', 'teams:manage')).toEqual(['canManageTeam']);
+    expect(listResourceChecks(app, 'zone', 'zones:update')).toEqual([]);
+  });
+
+  it.each(BACKFILL_MIGRATIONS)('should backfill the default roles of the catalogue in %s', (migration) => {
+    const sql = fs.readFileSync(path.join(__dirname, '../../prisma/migrations', migration, 'migration.sql'), 'utf8');
+    const created = [...sql.matchAll(/\('([a-z-]+:[a-z-]+)', '([^']+)', '([a-z-]+)', '([a-z-]+)'\)/g)];
+    // Grants of the built-in roles (custom roles follow their base role)
+    const [roleGrants] = sql.split('INSERT INTO "OrganizationRolePermission"');
+    const grants = [...roleGrants.matchAll(/\('([A-Z_]+)', '([a-z-]+:[a-z-]+)'\)/g)];
+
+    expect(created.length).toBeGreaterThan(0);
+    for (const [, name, description, resource, action] of created) {
+      const permission = permissionsByName.get(name);
+      const roles = grants.filter(([, , grantName]) => grantName === name).map(([, role]) => role);
+
+      // Compared with the name so a failure points at the permission
+      expect({ name, description, resource, action, roles: roles.sort() }).toEqual({
+        name,
+        description: permission?.description,
+        resource: permission?.resource,
+        action: permission?.action,
+        roles: [...(permission?.roles || [])].sort(),
+      });
+    }
+  });
+});
@@ -3,6 +3,7 @@
  */
 
 const permissionService = require('../../src/services/permission.service');
+const rbacService = require('../../src/modules/permissions/permission.service');
 const prisma = require('../../src/prismaClient');
 
 // Mock Prisma
@@ -19,12 +20,22 @@ jest.mock('../../src/prismaClient', () => ({
   },
   teamMember: {
     findFirst: jest.fn(),
+    findMany: jest.fn(),
   },
+  zoneAssignment: {
+    findMany: jest.fn(),
+  },
+}));
+
+// Role and user permissions are resolved by the RBAC service
+jest.mock('../../src/modules/permissions/permission.service', () => ({
+  hasPermission: jest.fn(),
 }));
 
 describe('PermissionService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    rbacService.hasPermission.mockResolvedValue(true);
   });
 
   describe('canViewCase', () => {
@@ -82,6 +93,96 @@ describe('PermissionService', () => {
       const result = await permissionService.canViewCase('user1', 'case1');
       expect(result).toBe(true);
     });
+
+    it('should check cases:read in the zone and team of the case', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'COORDINATOR', organizationId: 'org1' });
+      prisma.case.findUnique.mockResolvedValue({ organizationId: 'org1', zoneId: 'zone-north', assignedToTeamId: 'team-1' });
+      rbacService.hasPermission.mockResolvedValue(false);
+
+      expect(await permissionService.canViewCase('user1', 'case1')).toBe(false);
+      expect(rbacService.hasPermission).toHaveBeenCalledWith('user1', 'cases:read', {
+        zoneId: 'zone-north',
+        teamId: 'team-1',
+      });
+    });
+  });
+
+  describe('zone and team visibility', () => {
+    const fieldCase = {
+      organizationId: 'org1',
+      createdBy: 'user2',
+      assignedToUserId: null,
+      assignedToTeamId: null,
+      zoneId: 'zone-north',
+    };
+
+    beforeEach(() => {
+      prisma.zoneAssignment.findMany.mockResolvedValue([{ zoneId: 'zone-north' }]);
+      prisma.teamMember.findMany.mockResolvedValue([{ teamId: 'team-1' }]);
+      // Field member: every permission but organization-wide visibility
+      rbacService.hasPermission.mockImplementation(async (userId, name) => name !== 'visibility:organization');
+    });
+
+    it('should limit field members to their zones and teams', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'VOLUNTEER', organizationId: 'org1' });
+
+      const scope = await permissionService.getVisibilityScope('user1');
+
+      expect(scope).toEqual({ userId: 'user1', zoneIds: ['zone-north'], teamIds: ['team-1'] });
+    });
+
+    it('should not limit members given visibility:organization', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'COORDINATOR', organizationId: 'org1' });
+      rbacService.hasPermission.mockResolvedValue(true);
+
+      expect(await permissionService.getVisibilityScope('user1')).toBeNull();
+      expect(rbacService.hasPermission).toHaveBeenCalledWith('user1', 'visibility:organization');
+      expect(prisma.zoneAssignment.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should limit organization admins whose custom role has no visibility:organization', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'ORGANIZATION_ADMIN', organizationId: 'org1' });
+
+      const scope = await permissionService.getVisibilityScope('user1');
+
+      expect(scope).toEqual({ userId: 'user1', zoneIds: ['zone-north'], teamIds: ['team-1'] });
+    });
+
+    it('should let field members view cases in their zones or teams only', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'VOLUNTEER', organizationId: 'org1' });
+
+      prisma.case.findUnique.mockResolvedValueOnce(fieldCase);
+      expect(await permissionService.canViewCase('user1', 'case1')).toBe(true);
+
+      prisma.case.findUnique.mockResolvedValueOnce({ ...fieldCase, zoneId: 'zone-south', assignedToTeamId: 'team-1' });
+      expect(await permissionService.canViewCase('user1', 'case2')).toBe(true);
+
+      prisma.case.findUnique.mockResolvedValueOnce({ ...fieldCase, zoneId: 'zone-south' });
+      expect(await permissionService.canViewCase('user1', 'case3')).toBe(false);
+    });
+
+    it('should deny social workers editing cases outside their zones', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'SOCIAL_WORKER', organizationId: 'org1' });
+      prisma.case.findUnique.mockResolvedValue({ ...fieldCase, zoneId: 'zone-south' });
+
+      expect(await permissionService.canEditCase('user1', 'case1')).toBe(false);
+    });
+
+    it('should build list filters from the scope', () => {
+      const scope = { userId: 'user1', zoneIds: ['zone-north'], teamIds: ['team-1'] };
+
+      expect(permissionService.caseVisibilityFilter(scope)).toEqual({
+        OR: [
+          { zoneId: { in: ['zone-north'] } },
+          { assignedToTeamId: { in: ['team-1'] } },
+          { createdBy: 'user1' },
+          { assignedToUserId: 'user1' },
+        ],
+      });
+      expect(permissionService.homelessVisibilityFilter(scope)).toEqual({
+        OR: [{ zoneId: { in: ['zone-north'] } }, { registradoPor: 'user1' }],
+      });
+    });
   });
 
   describe('canEditCase', () => {
@@ -101,23 +202,31 @@ describe('PermissionService', () => {
       expect(result).toBe(true);
     });
 
-    it('should allow assigned user to edit their case', async () => {
+    it('should let a volunteer given cases:update edit the cases assigned to them', async () => {
       prisma.user.findUnique.mockResolvedValue({
         role: 'VOLUNTEER',
         organizationId: 'org1',
       });
+      rbacService.hasPermission.mockImplementation(async (userId, name) => name !== 'visibility:organization');
+      prisma.zoneAssignment.findMany.mockResolvedValue([]);
+      prisma.teamMember.findMany.mockResolvedValue([]);
 
-      prisma.case.findUnique.mockResolvedValue({
+      prisma.case.findUnique.mockResolvedValueOnce({
         organizationId: 'org1',
         createdBy: 'user2',
         assignedToUserId: 'user1',
       });
+      expect(await permissionService.canEditCase('user1', 'case1')).toBe(true);
 
-      const result = await permissionService.canEditCase('user1', 'case1');
-      expect(result).toBe(true);
+      prisma.case.findUnique.mockResolvedValueOnce({
+        organizationId: 'org1',
+        createdBy: 'user2',
+        assignedToUserId: null,
+      });
+      expect(await permissionService.canEditCase('user1', 'case2')).toBe(false);
     });
 
-    it('should deny volunteer from editing unassigned case', async () => {
+    it('should deny editing without cases:update', async () => {
       prisma.user.findUnique.mockResolvedValue({
         role: 'VOLUNTEER',
         organizationId: 'org1',
@@ -126,11 +235,13 @@ describe('PermissionService', () => {
       prisma.case.findUnique.mockResolvedValue({
         organizationId: 'org1',
         createdBy: 'user2',
-        assignedToUserId: null,
+        assignedToUserId: 'user1',
       });
+      rbacService.hasPermission.mockResolvedValue(false);
 
       const result = await permissionService.canEditCase('user1', 'case1');
       expect(result).toBe(false);
+      expect(rbacService.hasPermission).toHaveBeenCalledWith('user1', 'cases:update', expect.any(Object));
     });
   });
 
@@ -149,12 +260,17 @@ describe('PermissionService', () => {
       expect(result).toBe(true);
     });
 
-    it('should deny volunteer from assigning cases', async () => {
+    it('should deny assigning without cases:assign', async () => {
       prisma.user.findUnique.mockResolvedValue({
         role: 'VOLUNTEER',
         organizationId: 'org1',
       });
 
+      prisma.case.findUnique.mockResolvedValue({
+        organizationId: 'org1',
+      });
+      rbacService.hasPermission.mockResolvedValue(false);
+
       const result = await permissionService.canAssignCase('user1', 'case1');
       expect(result).toBe(false);
     });
@@ -175,7 +291,7 @@ describe('PermissionService', () => {
       expect(result).toBe(true);
     });
 
-    it('should allow team leader to manage their team', async () => {
+    it('should check teams:manage scoped to the team', async () => {
       prisma.user.findUnique.mockResolvedValue({
         role: 'VOLUNTEER',
         organizationId: 'org1',
@@ -185,14 +301,23 @@ describe('PermissionService', () => {
         organizationId: 'org1',
       });
 
-      prisma.teamMember.findFirst.mockResolvedValue({
-        teamId: 'team1',
-        userId: 'user1',
-        roleInTeam: 'LEADER',
+      const result = await permissionService.canManageTeam('user1', 'team1');
+      expect(result).toBe(true);
+      expect(rbacService.hasPermission).toHaveBeenCalledWith('user1', 'teams:manage', { teamId: 'team1' });
+    });
+
+    it('should deny managing teams of another organization', async () => {
+      prisma.user.findUnique.mockResolvedValue({
+        role: 'ORGANIZATION_ADMIN',
+        organizationId: 'org1',
+      });
+
+      prisma.team.findUnique.mockResolvedValue({
+        organizationId: 'org2',
       });
 
       const result = await permissionService.canManageTeam('user1', 'team1');
-      expect(result).toBe(true);
+      expect(result).toBe(false);
     });
   });
 
@@ -207,23 +332,25 @@ describe('PermissionService', () => {
       expect(result).toBe(true);
     });
 
-    it('should allow data analyst to view statistics', async () => {
+    it('should deny viewing statistics without analytics:view', async () => {
       prisma.user.findUnique.mockResolvedValue({
         role: 'DATA_ANALYST',
         organizationId: 'org1',
       });
+      rbacService.hasPermission.mockResolvedValue(false);
 
       const result = await permissionService.canViewStatistics('user1', 'org1');
-      expect(result).toBe(true);
+      expect(result).toBe(false);
+      expect(rbacService.hasPermission).toHaveBeenCalledWith('user1', 'analytics:view');
     });
 
-    it('should deny volunteer from viewing statistics', async () => {
+    it('should deny viewing the statistics of another organization', async () => {
       prisma.user.findUnique.mockResolvedValue({
-        role: 'VOLUNTEER',
+        role: 'ORGANIZATION_ADMIN',
         organizationId: 'org1',
       });
 
-      const result = await permissionService.canViewStatistics('user1', 'org1');
+      const result = await permissionService.canViewStatistics('user1', 'org2');
       expect(result).toBe(false);
     });
   });
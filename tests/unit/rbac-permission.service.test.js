@@ -23,7 +23,7 @@ jest.mock('@prisma/client', () => {
     userPermission: {
       findFirst: jest.fn(),
       findMany: jest.fn(),
-      upsert: jest.fn(),
+      create: jest.fn(),
     },
     $disconnect: jest.fn(),
   };
@@ -43,7 +43,7 @@ describe('PermissionService', () => {
     it('should return true if user has role-based permission', async () => {
       prisma.user.findUnique.mockResolvedValue({ role: 'ADMIN' });
       prisma.rolePermission.findFirst.mockResolvedValue({ id: '1' });
-      prisma.userPermission.findFirst.mockResolvedValue(null);
+      prisma.userPermission.findMany.mockResolvedValue([]);
 
       const result = await permissionService.hasPermission('user-1', 'cases:create');
 
@@ -54,7 +54,7 @@ describe('PermissionService', () => {
     it('should return false if user has no permission', async () => {
       prisma.user.findUnique.mockResolvedValue({ role: 'VOLUNTEER' });
       prisma.rolePermission.findFirst.mockResolvedValue(null);
-      prisma.userPermission.findFirst.mockResolvedValue(null);
+      prisma.userPermission.findMany.mockResolvedValue([]);
 
       const result = await permissionService.hasPermission('user-1', 'cases:delete');
 
@@ -64,7 +64,7 @@ describe('PermissionService', () => {
     it('should respect user-specific permission overrides', async () => {
       prisma.user.findUnique.mockResolvedValue({ role: 'VOLUNTEER' });
       prisma.rolePermission.findFirst.mockResolvedValue(null);
-      prisma.userPermission.findFirst.mockResolvedValue({ granted: true });
+      prisma.userPermission.findMany.mockResolvedValue([{ granted: true }]);
 
       const result = await permissionService.hasPermission('user-1', 'cases:create');
 
@@ -74,12 +74,22 @@ describe('PermissionService', () => {
     it('should revoke permission if user override is false', async () => {
       prisma.user.findUnique.mockResolvedValue({ role: 'ADMIN' });
       prisma.rolePermission.findFirst.mockResolvedValue({ id: '1' });
-      prisma.userPermission.findFirst.mockResolvedValue({ granted: false });
+      prisma.userPermission.findMany.mockResolvedValue([{ granted: false }]);
 
       const result = await permissionService.hasPermission('user-1', 'cases:create');
 
       expect(result).toBe(false);
     });
+
+    it('should let a denial win over the user grants', async () => {
+      prisma.user.findUnique.mockResolvedValue({ role: 'VOLUNTEER' });
+      prisma.rolePermission.findFirst.mockResolvedValue(null);
+      prisma.userPermission.findMany.mockResolvedValue([{ granted: true }, { granted: false }]);
+
+      const result = await permissionService.hasPermission('user-1', 'zones:update');
+
+      expect(result).toBe(false);
+    });
   });
 
   describe('getUserPermissions', () => {
@@ -102,11 +112,12 @@ describe('PermissionService', () => {
   describe('assignPermission', () => {
     it('should assign permission to user', async () => {
       prisma.permission.findUnique.mockResolvedValue({ id: 'perm-1', name: 'cases:create' });
-      prisma.userPermission.upsert.mockResolvedValue({ id: 'up-1' });
+      prisma.userPermission.findFirst.mockResolvedValue(null);
+      prisma.userPermission.create.mockResolvedValue({ id: 'up-1' });
 
       await permissionService.assignPermission('user-1', 'cases:create');
 
-      expect(prisma.userPermission.upsert).toHaveBeenCalled();
+      expect(prisma.userPermission.create).toHaveBeenCalled();
     });
   });
 });
@@ -39,6 +39,22 @@ describe('RealtimeService', () => {
     expect(res.write).toHaveBeenCalledWith(expect.stringContaining('connected'));
   });
 
+  it('should only send zone and team events of their scope to field members', () => {
+    const client = {
+      user: { id: 'user-1', organizationId: 'org-1', role: 'VOLUNTEER' },
+      visibilityScope: { userId: 'user-1', zoneIds: ['zone-north'], teamIds: ['team-1'] },
+    };
+    const event = (filters) => ({ type: 'case_updated', payload: {}, filters: { organizationId: 'org-1', ...filters } });
+
+    expect(realtimeService.shouldSendToClient(client, event({ zoneId: 'zone-north' }))).toBe(true);
+    expect(realtimeService.shouldSendToClient(client, event({ zoneId: 'zone-south', teamId: 'team-1' }))).toBe(true);
+    expect(realtimeService.shouldSendToClient(client, event({ zoneId: 'zone-south' }))).toBe(false);
+    expect(realtimeService.shouldSendToClient(client, event({}))).toBe(true);
+    expect(
+      realtimeService.shouldSendToClient({ ...client, visibilityScope: null }, event({ zoneId: 'zone-south' }))
+    ).toBe(true);
+  });
+
   it('should emit an event to Redis', async () => {
     const type = 'TEST_EVENT';
     const payload = { foo: 'bar' };
@@ -0,0 +1,195 @@
+const jwt = require('jsonwebtoken');
+const env = require('../../src/config/env');
+const prisma = require('../../src/prismaClient');
+const { PrismaClient } = require('@prisma/client');
+const sessionService = require('../../src/modules/sessions/session.service');
+const { protect } = require('../../src/middlewares/auth.middleware');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findUnique: jest.fn(),
+  },
+}));
+
+// Session service keeps its own client
+jest.mock('@prisma/client', () => {
+  const mPrisma = {
+    user: {
+      findUnique: jest.fn(),
+    },
+    userSession: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    refreshToken: {
+      updateMany: jest.fn(),
+    },
+    revokedToken: {
+      create: jest.fn(),
+    },
+  };
+  return {
+    PrismaClient: jest.fn(() => mPrisma),
+  };
+});
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {
+    set: jest.fn(),
+    get: jest.fn().mockResolvedValue(null),
+    del: jest.fn(),
+    sadd: jest.fn(),
+    srem: jest.fn(),
+  },
+}));
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('Session Policies - Unit Tests', () => {
+  const sessionPrisma = new PrismaClient();
+  const token = jwt.sign({ id: 'user-1' }, env.JWT_SECRET);
+
+  const buildSession = (overrides = {}) => ({
+    id: 'session-1',
+    userId: 'user-1',
+    token,
+    isValid: true,
+    createdAt: new Date(Date.now() - HOUR),
+    lastActiveAt: new Date(Date.now() - 5 * MINUTE),
+    expiresAt: new Date(Date.now() + 24 * HOUR),
+    ...overrides,
+  });
+
+  const runProtect = async (organization, ip) => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', emailVerified: true, organization });
+    const req = { method: 'GET', originalUrl: '/api/cases', ip, headers: { authorization: `Bearer ${token}` } };
+    const next = jest.fn();
+    await protect(req, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('protect', () => {
+    it('should record activity on the session', async () => {
+      sessionPrisma.userSession.findUnique.mockResolvedValue(buildSession());
+
+      expect(await runProtect({ sessionIdleTimeoutMinutes: 30 })).toBeUndefined();
+      expect(sessionPrisma.userSession.update).toHaveBeenCalledWith({
+        where: { id: 'session-1' },
+        data: { lastActiveAt: expect.any(Date) },
+      });
+    });
+
+    it('should record the IP of the latest request when it changes', async () => {
+      sessionPrisma.userSession.findUnique.mockResolvedValue(
+        buildSession({ lastActiveAt: new Date(), lastActiveIp: '190.12.34.56' })
+      );
+
+      expect(await runProtect(null, '181.45.67.89')).toBeUndefined();
+      expect(sessionPrisma.userSession.update).toHaveBeenCalledWith({
+        where: { id: 'session-1' },
+        data: { lastActiveAt: expect.any(Date), lastActiveIp: '181.45.67.89' },
+      });
+    });
+
+    it('should not write lastActiveAt on every request', async () => {
+      sessionPrisma.userSession.findUnique.mockResolvedValue(buildSession({ lastActiveAt: new Date() }));
+
+      expect(await runProtect(null)).toBeUndefined();
+      expect(sessionPrisma.userSession.update).not.toHaveBeenCalled();
+    });
+
+    it('should expire idle sessions', async () => {
+      sessionPrisma.userSession.findUnique.mockResolvedValue(
+        buildSession({ lastActiveAt: new Date(Date.now() - 31 * MINUTE) })
+      );
+
+      const error = await runProtect({ sessionIdleTimeoutMinutes: 30 });
+
+      expect(error.statusCode).toBe(401);
+      expect(error.message).toMatch(/inactivity/);
+      expect(sessionPrisma.userSession.update).toHaveBeenCalledWith({
+        where: { id: 'session-1' },
+        data: { isValid: false },
+      });
+    });
+
+    it('should expire sessions past the absolute lifetime even if active', async () => {
+      sessionPrisma.userSession.findUnique.mockResolvedValue(
+        buildSession({ createdAt: new Date(Date.now() - 13 * HOUR), lastActiveAt: new Date() })
+      );
+
+      const error = await runProtect({ sessionMaxLifetimeHours: 12 });
+
+      expect(error.statusCode).toBe(401);
+      expect(error.message).toMatch(/maximum lifetime/);
+    });
+
+    it('should reject revoked sessions', async () => {
+      sessionPrisma.userSession.findUnique.mockResolvedValue(buildSession({ isValid: false }));
+
+      expect((await runProtect(null)).statusCode).toBe(401);
+    });
+  });
+
+  describe('concurrent sessions', () => {
+    it('should evict the oldest sessions beyond the limit on login', async () => {
+      sessionPrisma.userSession.create.mockResolvedValue(buildSession({ id: 'session-new' }));
+      sessionPrisma.user.findUnique.mockResolvedValue({ organization: { maxConcurrentSessions: 2 } });
+      sessionPrisma.userSession.findMany.mockResolvedValue([buildSession({ id: 'session-oldest' })]);
+      sessionPrisma.userSession.findUnique.mockResolvedValue(buildSession({ id: 'session-oldest' }));
+
+      await sessionService.createSession('user-1', 'new-token', 'UA', '10.0.0.1');
+
+      expect(sessionPrisma.userSession.findMany).toHaveBeenCalledWith({
+        where: { userId: 'user-1', isValid: true },
+        orderBy: { createdAt: 'desc' },
+        skip: 2,
+      });
+      expect(sessionPrisma.userSession.update).toHaveBeenCalledWith({
+        where: { id: 'session-oldest' },
+        data: { isValid: false },
+      });
+      expect(sessionPrisma.revokedToken.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ reason: 'Concurrent session limit exceeded' }),
+      });
+    });
+
+    it('should not evict sessions without a limit', async () => {
+      sessionPrisma.userSession.create.mockResolvedValue(buildSession());
+      sessionPrisma.user.findUnique.mockResolvedValue({ organization: null });
+
+      await sessionService.createSession('user-1', 'new-token', 'UA', '10.0.0.1');
+
+      expect(sessionPrisma.userSession.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enforceOrganizationPolicy (cleanup job)', () => {
+    it('should revoke idle sessions and sessions beyond the limit', async () => {
+      sessionPrisma.userSession.findMany.mockResolvedValue([
+        buildSession({ id: 'a-newest', userId: 'user-a' }),
+        buildSession({ id: 'a-older', userId: 'user-a' }),
+        buildSession({ id: 'b-idle', userId: 'user-b', lastActiveAt: new Date(Date.now() - 2 * HOUR) }),
+        buildSession({ id: 'b-active', userId: 'user-b' }),
+      ]);
+
+      const revoked = await sessionService.enforceOrganizationPolicy({
+        id: 'org-1',
+        sessionIdleTimeoutMinutes: 60,
+        maxConcurrentSessions: 1,
+      });
+
+      expect(revoked).toBe(2);
+      const revokedIds = sessionPrisma.userSession.update.mock.calls.map(([args]) => args.where.id);
+      expect(revokedIds).toEqual(['a-older', 'b-idle']);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const sessionService = require('../../src/modules/sessions/session.service');
 const { redisClient } = require('../../src/config/redis');
 const { PrismaClient } = require('@prisma/client');
+const { signRefreshToken } = require('../../src/utils/jwt');
+const { hashToken } = require('../../src/utils/token.utils');
 
 // Mock Redis
 jest.mock('../../src/config/redis', () => {
@@ -21,16 +23,28 @@ jest.mock('../../src/config/redis', () => {
 // Mock Prisma
 jest.mock('@prisma/client', () => {
   const mPrisma = {
+    user: {
+      findUnique: jest.fn(),
+    },
     userSession: {
       create: jest.fn(),
       update: jest.fn(),
       findUnique: jest.fn(),
+      findFirst: jest.fn(),
       findMany: jest.fn(),
       updateMany: jest.fn(),
     },
+    refreshToken: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
     revokedToken: {
       create: jest.fn(),
     },
+    auditLog: {
+      create: jest.fn(),
+    },
     $disconnect: jest.fn(),
   };
   return {
@@ -85,6 +99,71 @@ describe('SessionService', () => {
         where: { id: sessionId },
         data: { isValid: false },
       });
+      expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+        where: { sessionId, revokedAt: null },
+        data: { revokedAt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    const session = { id: 'session-1', userId: 'user-1', isValid: true, token: 'access-1' };
+
+    it('should consume the token and issue a new pair', async () => {
+      const refreshToken = signRefreshToken('user-1', 'session-1');
+      prisma.refreshToken.findUnique.mockResolvedValue({
+        id: 'rt-1',
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+        session,
+      });
+      prisma.refreshToken.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await sessionService.rotateRefreshToken(refreshToken, '181.45.67.89');
+
+      expect(prisma.refreshToken.findUnique.mock.calls[0][0].where.tokenHash).toBe(hashToken(refreshToken));
+      expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+        where: { id: 'rt-1', usedAt: null, revokedAt: null },
+        data: { usedAt: expect.any(Date) },
+      });
+      expect(result.refreshToken).not.toBe(refreshToken);
+      expect(prisma.refreshToken.create.mock.calls[0][0].data.tokenHash).toBe(hashToken(result.refreshToken));
+      expect(prisma.userSession.update.mock.calls[0][0].data).toMatchObject({
+        token: result.token,
+        lastActiveIp: '181.45.67.89',
+      });
+      expect(prisma.revokedToken.create.mock.calls[0][0].data).toMatchObject({
+        token: 'access-1',
+        userId: 'user-1',
+        reason: 'Access token rotated',
+      });
+      expect(redisClient.set).toHaveBeenCalledWith('revoked:access-1', expect.any(String), 'EX', expect.any(Number));
+    });
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      prisma.refreshToken.findUnique.mockResolvedValue({
+        id: 'rt-1',
+        usedAt: new Date(),
+        revokedAt: null,
+        expiresAt: new Date(Date.now() + 60000),
+        session,
+      });
+      prisma.userSession.findUnique.mockResolvedValue(session);
+
+      await expect(
+        sessionService.rotateRefreshToken(signRefreshToken('user-1', 'session-1'))
+      ).rejects.toThrow('Refresh token reuse detected');
+
+      expect(prisma.userSession.update).toHaveBeenCalledWith({
+        where: { id: 'session-1' },
+        data: { isValid: false },
+      });
+      expect(prisma.revokedToken.create.mock.calls[0][0].data).toMatchObject({
+        token: 'access-1',
+        reason: 'Refresh token reuse detected',
+      });
+      expect(prisma.refreshToken.create).not.toHaveBeenCalled();
     });
   });
 
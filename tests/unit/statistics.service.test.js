@@ -25,6 +25,9 @@ jest.mock('../../src/prismaClient', () => ({
     count: jest.fn(),
     groupBy: jest.fn(),
   },
+  homeless: {
+    findMany: jest.fn(),
+  },
 }));
 
 // Mock CacheService
@@ -206,4 +209,96 @@ describe('StatisticsService', () => {
       });
     });
   });
+
+  describe('getNeedsByZone', () => {
+    it('should count the needs of the latest assessment of each person by zone', async () => {
+      prisma.zone.findMany.mockResolvedValueOnce([
+        { id: 'zone-1', name: 'Centro' },
+        { id: 'zone-2', name: 'Alberdi' },
+      ]);
+      prisma.homeless.findMany.mockResolvedValueOnce([
+        { zoneId: 'zone-1', assessments: [{ needs: ['ADDICTION_TREATMENT', 'MEDICAL_CARE'] }] },
+        { zoneId: 'zone-1', assessments: [{ needs: ['ADDICTION_TREATMENT'] }] },
+        { zoneId: null, assessments: [{ needs: [] }] },
+      ]);
+
+      const result = await statisticsService.getNeedsByZone(orgId);
+
+      expect(prisma.homeless.findMany.mock.calls[0][0].where).toEqual({
+        organizationId: orgId,
+        assessments: { some: { score: { not: null } } },
+      });
+      expect(result.zones).toEqual([
+        {
+          zoneId: 'zone-1',
+          zoneName: 'Centro',
+          assessedPersons: 2,
+          needs: { ADDICTION_TREATMENT: 2, MEDICAL_CARE: 1 },
+        },
+        { zoneId: 'zone-2', zoneName: 'Alberdi', assessedPersons: 0, needs: {} },
+      ]);
+      expect(result.unassigned).toEqual({ assessedPersons: 1, needs: {} });
+      expect(result.totals).toEqual({ assessedPersons: 3, needs: { ADDICTION_TREATMENT: 2, MEDICAL_CARE: 1 } });
+    });
+  });
+
+  describe('visibility scope', () => {
+    const scope = { userId: 'volunteer-1', zoneIds: ['zone-1'], teamIds: ['team-1'] };
+    const visibleCases = {
+      OR: [
+        { zoneId: { in: ['zone-1'] } },
+        { assignedToTeamId: { in: ['team-1'] } },
+        { createdBy: 'volunteer-1' },
+        { assignedToUserId: 'volunteer-1' },
+      ],
+    };
+
+    it('should only count the cases, zones, teams and colleagues of a field member', async () => {
+      const cacheService = require('../../src/services/cache.service');
+      prisma.case.count.mockResolvedValue(1);
+      prisma.user.count.mockResolvedValue(2);
+      prisma.team.count.mockResolvedValue(1);
+      prisma.zone.count.mockResolvedValue(1);
+      prisma.case.groupBy.mockResolvedValue([]);
+
+      await statisticsService.getOverviewStats(orgId, scope);
+
+      prisma.case.count.mock.calls.forEach(([{ where }]) => {
+        expect(where).toMatchObject({ organizationId: orgId, AND: [visibleCases] });
+      });
+      expect(prisma.case.groupBy.mock.calls[0][0].where.AND).toEqual([visibleCases]);
+      expect(prisma.team.count.mock.calls[0][0].where).toEqual({ organizationId: orgId, id: { in: ['team-1'] } });
+      expect(prisma.zone.count.mock.calls[0][0].where).toEqual({ organizationId: orgId, id: { in: ['zone-1'] } });
+      expect(prisma.user.count.mock.calls[0][0].where.AND[0].OR).toContainEqual({ id: 'volunteer-1' });
+      // Scoped statistics differ per member: never read from or written to the organization cache
+      expect(cacheService.get).not.toHaveBeenCalled();
+      expect(cacheService.set).not.toHaveBeenCalled();
+    });
+
+    it('should only list the zones and persons of a field member', async () => {
+      prisma.zone.findMany.mockResolvedValueOnce([{ id: 'zone-1', name: 'Centro' }]);
+      prisma.homeless.findMany.mockResolvedValueOnce([]);
+
+      await statisticsService.getNeedsByZone(orgId, scope);
+
+      expect(prisma.zone.findMany.mock.calls[0][0].where).toEqual({ organizationId: orgId, id: { in: ['zone-1'] } });
+      expect(prisma.homeless.findMany.mock.calls[0][0].where.AND).toEqual([
+        { OR: [{ zoneId: { in: ['zone-1'] } }, { registradoPor: 'volunteer-1' }] },
+      ]);
+    });
+
+    it('should only count the activity of colleagues on visible cases', async () => {
+      prisma.user.findMany.mockResolvedValueOnce([]);
+
+      await statisticsService.getUserActivityStats(orgId, scope);
+
+      const { select } = prisma.user.findMany.mock.calls[0][0];
+      expect(select._count.select).toEqual({
+        createdCases: { where: visibleCases },
+        assignedCases: { where: visibleCases },
+        caseHistory: { where: { case: visibleCases } },
+        comments: { where: { case: visibleCases } },
+      });
+    });
+  });
 });
@@ -0,0 +1,223 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const prisma = require('../../src/prismaClient');
+const env = require('../../src/config/env');
+const { hashToken } = require('../../src/utils/token.utils');
+const { base32Encode, generateSecret, generateTotp } = require('../../src/utils/totp.utils');
+const authService = require('../../src/modules/auth/auth.service');
+const twoFactorService = require('../../src/modules/auth/two-factor.service');
+const fieldEncryptionService = require('../../src/services/field-encryption.service');
+const { protect } = require('../../src/middlewares/auth.middleware');
+
+// Mock dependencies
+jest.mock('../../src/prismaClient', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  organization: {
+    findUnique: jest.fn(),
+  },
+  twoFactorRecoveryCode: {
+    deleteMany: jest.fn(),
+    createMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+}));
+
+jest.mock('../../src/modules/sessions/session.service', () => ({
+  isTokenRevoked: jest.fn().mockResolvedValue(false),
+  touchSession: jest.fn().mockResolvedValue(null),
+  createSession: jest.fn().mockResolvedValue({ id: 'session-1' }),
+  issueRefreshToken: jest.fn().mockResolvedValue('refresh-token'),
+}));
+
+jest.mock('../../src/queues', () => ({
+  addEmailJob: jest.fn(),
+}));
+
+jest.mock('../../src/modules/auth/account-lockout.service', () => ({
+  assertNotLocked: jest.fn(),
+  recordFailedAttempt: jest.fn(),
+  clearFailedAttempts: jest.fn(),
+}));
+
+describe('Two-Factor Authentication - Unit Tests', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('totp utils', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+      expect(generateTotp(secret, Math.floor(59 / 30))).toBe('287082');
+      expect(generateTotp(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    });
+  });
+
+  describe('setupTwoFactor', () => {
+    it('should store the secret encrypted', async () => {
+      const { secret } = await twoFactorService.setupTwoFactor({ id: 'user-1', email: 'a@example.com' });
+
+      const stored = prisma.user.update.mock.calls[0][0].data.twoFactorSecret;
+      expect(stored).not.toContain(secret);
+      expect(fieldEncryptionService.decryptSecret(stored, 'user:user-1:twoFactorSecret')).toBe(secret);
+      // Bound to its user: copied to another account it does not decrypt
+      expect(() => fieldEncryptionService.decryptSecret(stored, 'user:user-2:twoFactorSecret')).toThrow();
+    });
+  });
+
+  describe('enableTwoFactor', () => {
+    it('should enable 2FA and store only hashed recovery codes', async () => {
+      const secret = generateSecret();
+      const user = {
+        id: 'user-1',
+        twoFactorEnabled: false,
+        twoFactorSecret: fieldEncryptionService.encryptSecret(secret, 'user:user-1:twoFactorSecret'),
+      };
+
+      const { recoveryCodes } = await twoFactorService.enableTwoFactor(user, generateTotp(secret));
+
+      const { data } = prisma.twoFactorRecoveryCode.createMany.mock.calls[0][0];
+      expect(recoveryCodes).toHaveLength(10);
+      expect(data[0].codeHash).toBe(hashToken(recoveryCodes[0]));
+      expect(prisma.user.update.mock.calls[0][0].data.twoFactorEnabled).toBe(true);
+    });
+
+    it('should reject a wrong code', async () => {
+      const user = { id: 'user-1', twoFactorEnabled: false, twoFactorSecret: generateSecret() };
+
+      await expect(twoFactorService.enableTwoFactor(user, '000000')).rejects.toThrow('Invalid two-factor code');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('two-step login', () => {
+    const secret = generateSecret();
+    let user;
+
+    beforeEach(async () => {
+      user = {
+        id: 'user-1',
+        email: 'admin@example.com',
+        password: await bcrypt.hash('password123', 4),
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+        twoFactorLastStep: null,
+      };
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should return a challenge instead of tokens', async () => {
+      const result = await authService.login('admin@example.com', 'password123');
+
+      expect(result.twoFactorRequired).toBe(true);
+      expect(result.token).toBeUndefined();
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      const { challengeToken } = await authService.login('admin@example.com', 'password123');
+
+      expect(() => jwt.verify(challengeToken, env.JWT_SECRET)).toThrow();
+    });
+
+    it('should issue tokens after a valid TOTP code', async () => {
+      const { challengeToken } = await authService.login('admin@example.com', 'password123');
+
+      const result = await authService.verifyTwoFactorLogin(challengeToken, { code: generateTotp(secret) });
+
+      expect(result.token).toBeDefined();
+      expect(result.user).not.toHaveProperty('twoFactorSecret');
+      expect(result.user).not.toHaveProperty('password');
+    });
+
+    it('should encrypt a plaintext secret on its next use', async () => {
+      const { challengeToken } = await authService.login('admin@example.com', 'password123');
+
+      await authService.verifyTwoFactorLogin(challengeToken, { code: generateTotp(secret) });
+
+      const { data } = prisma.user.updateMany.mock.calls[0][0];
+      expect(fieldEncryptionService.decryptSecret(data.twoFactorSecret, 'user:user-1:twoFactorSecret')).toBe(secret);
+    });
+
+    it('should reject a code that was already used', async () => {
+      // The step is only recorded while it is ahead of the last one used
+      prisma.user.updateMany.mockResolvedValue({ count: 0 });
+      const { challengeToken } = await authService.login('admin@example.com', 'password123');
+
+      await expect(
+        authService.verifyTwoFactorLogin(challengeToken, { code: generateTotp(secret) })
+      ).rejects.toThrow('Invalid two-factor code');
+      expect(prisma.user.updateMany.mock.calls[0][0].where).toEqual({
+        id: 'user-1',
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: expect.any(Number) } }],
+      });
+    });
+
+    it('should accept an unused recovery code once', async () => {
+      const { challengeToken } = await authService.login('admin@example.com', 'password123');
+      prisma.twoFactorRecoveryCode.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+      await authService.verifyTwoFactorLogin(challengeToken, { recoveryCode: 'ABCDE-12345' });
+
+      expect(prisma.twoFactorRecoveryCode.updateMany.mock.calls[0][0].where.codeHash).toBe(hashToken('abcde-12345'));
+      await expect(
+        authService.verifyTwoFactorLogin(challengeToken, { recoveryCode: 'abcde-12345' })
+      ).rejects.toThrow('Invalid two-factor code');
+    });
+  });
+
+  describe('organization enforcement', () => {
+    const runProtect = async (originalUrl) => {
+      const req = {
+        method: 'GET',
+        originalUrl,
+        headers: { authorization: `Bearer ${jwt.sign({ id: 'user-1' }, env.JWT_SECRET)}` },
+      };
+      const next = jest.fn();
+      await protect(req, {}, next);
+      return next.mock.calls[0][0];
+    };
+
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue({
+        id: 'user-1',
+        role: 'COORDINATOR',
+        twoFactorEnabled: false,
+        organization: { twoFactorRequiredRoles: ['COORDINATOR'] },
+      });
+    });
+
+    it('should block users that must enroll', async () => {
+      const error = await runProtect('/api/homeless');
+      expect(error.statusCode).toBe(403);
+    });
+
+    it('should allow the enrollment endpoints', async () => {
+      expect(await runProtect('/api/auth/2fa/setup')).toBeUndefined();
+    });
+
+    it('should not allow disabling 2FA when the role requires it', async () => {
+      const secret = generateSecret();
+      prisma.organization.findUnique.mockResolvedValue({ twoFactorRequiredRoles: ['COORDINATOR'] });
+      const user = {
+        id: 'user-1',
+        role: 'COORDINATOR',
+        organizationId: 'org-1',
+        password: await bcrypt.hash('password123', 4),
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+        twoFactorLastStep: null,
+      };
+
+      await expect(
+        twoFactorService.disableTwoFactor(user, 'password123', { code: generateTotp(secret) })
+      ).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});